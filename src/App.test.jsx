@@ -0,0 +1,350 @@
+import { act, fireEvent, render, screen, waitFor, within } from "@testing-library/react";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import App from "./App.jsx";
+import { installMockApi } from "./mock/server.js";
+
+// App flows against the in-browser mock backend (src/mock): same routes and payloads as the Render API,
+// without the artificial latency. The tab is the only one, so it polls and owns the grid.
+
+let realFetch;
+let mockFetch;
+let fetchSpy;
+
+function apiCalls(path) {
+  return fetchSpy.mock.calls.filter(([input]) => new URL(String(input), window.location.href).pathname === path);
+}
+
+function renderApp() {
+  const mock = installMockApi({ latency: false });
+  mockFetch = window.fetch;
+  fetchSpy = vi.spyOn(window, "fetch");
+  return render(<App mock={mock} />);
+}
+
+beforeEach(() => {
+  realFetch = window.fetch;
+  vi.spyOn(console, "info").mockImplementation(() => {});
+  localStorage.setItem("na_terms_v1_accepted", "1");
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+  window.fetch = realFetch;
+});
+
+describe("Resolver → Watchlist", () => {
+  it("shows snapshot prices for the default watchlist", async () => {
+    renderApp();
+    expect((await screen.findAllByText("64,250.00", {}, { timeout: 5000 })).length).toBeGreaterThan(0);
+    expect(apiCalls("/api/watchlist/snapshot").length).toBeGreaterThan(0);
+  });
+
+  it("adds a coin picked in the market search and prices it", async () => {
+    renderApp();
+    await screen.findAllByText("64,250.00", {}, { timeout: 5000 });
+
+    const input = screen.getByPlaceholderText("Add symbol (e.g. TBP, BTC, XRP, SOL)");
+    fireEvent.change(input, { target: { value: "avax" } });
+    fireEvent.keyDown(input, { key: "Enter" });
+
+    const hit = await screen.findByText(/Avalanche/, {}, { timeout: 5000 });
+    const row = hit.closest(".row");
+    fireEvent.click(within(row).getByRole("button", { name: /Add/ }));
+
+    expect(await screen.findByText("27.40", {}, { timeout: 5000 })).toBeTruthy();
+    const items = apiCalls("/api/watchlist/snapshot").flatMap(([, init]) => JSON.parse(init.body).items);
+    expect(items).toContainEqual(expect.objectContaining({ symbol: "AVAX", mode: "market", id: "avalanche-2" }));
+  });
+});
+
+describe("Grid", () => {
+  it("starts an AUTO grid and places manual orders", async () => {
+    renderApp();
+    await screen.findAllByText("64,250.00", {}, { timeout: 5000 });
+
+    fireEvent.click(screen.getByRole("button", { name: /Start/ }));
+    expect(await screen.findByText("10 orders", {}, { timeout: 5000 })).toBeTruthy();
+    const [, startInit] = apiCalls("/api/grid/start")[0];
+    const start = JSON.parse(startInit.body);
+    expect(start).toMatchObject({ order_mode: "AUTO", mode: "SAFE" });
+
+    fireEvent.change(screen.getByPlaceholderText("Price"), { target: { value: "60000" } });
+    const manualAdd = screen.getByPlaceholderText("Qty (opt.)").parentElement;
+    fireEvent.click(within(manualAdd).getByRole("button", { name: "+ Add" }));
+
+    expect(await screen.findByText("11 orders", {}, { timeout: 5000 })).toBeTruthy();
+    const [, addInit] = apiCalls("/api/grid/manual/add")[0];
+    expect(JSON.parse(addInit.body)).toMatchObject({ item: start.item, side: "BUY", price: 60000, order_mode: "MANUAL" });
+  });
+
+  it("shows the validation error for a manual order without price", async () => {
+    renderApp();
+    await screen.findAllByText("64,250.00", {}, { timeout: 5000 });
+
+    const manualAdd = screen.getByPlaceholderText("Qty (opt.)").parentElement;
+    fireEvent.click(within(manualAdd).getByRole("button", { name: "+ Add" }));
+    expect(await screen.findByText("Manual price must be a number > 0")).toBeTruthy();
+    expect(apiCalls("/api/grid/manual/add")).toHaveLength(0);
+  });
+});
+
+describe("Health", () => {
+  it("shows the factor breakdown and rescores with the user profile", async () => {
+    renderApp();
+    await screen.findAllByText("64,250.00", {}, { timeout: 5000 });
+
+    // Health is only fetched on demand (Refresh = FAST, then FULL in the background).
+    fireEvent.click(screen.getByTitle("Live Health neu laden (Primary + Compare)"));
+    fireEvent.click(screen.getByRole("button", { name: /Score breakdown/ }));
+    expect((await screen.findAllByText(/^Backend \d+\/100$/, {}, { timeout: 5000 })).length).toBeGreaterThan(0);
+    expect(screen.getAllByText("Contribution per factor").length).toBeGreaterThan(0);
+
+    fireEvent.click(screen.getByRole("button", { name: /Score profile/ }));
+    fireEvent.change(screen.getByLabelText("Healthy threshold"), { target: { value: "100" } });
+    fireEvent.click(screen.getByLabelText(/Use my profile/));
+
+    expect(await screen.findByText("profile")).toBeTruthy();
+    expect(screen.getByRole("button", { name: /Score profile \(active\)/ })).toBeTruthy();
+    expect(JSON.parse(localStorage.getItem("na_health_profile_v1"))).toMatchObject({ enabled: true, thresholds: { healthy: 100 } });
+  });
+});
+
+describe("Watchlist health", () => {
+  it("refreshes health for every symbol and filters the table by label", async () => {
+    renderApp();
+    await screen.findAllByText("64,250.00", {}, { timeout: 5000 });
+
+    fireEvent.click(screen.getByRole("button", { name: /Refresh all health/ }));
+    expect(await screen.findByText(/^Health refreshed: /, {}, { timeout: 10000 })).toBeTruthy();
+    const watched = JSON.parse(localStorage.getItem("na_watchlist")) || [];
+    expect(apiCalls("/api/health/market").length).toBeGreaterThanOrEqual(watched.length);
+
+    const status = screen.getAllByText(/^\d+ · (Healthy|Stable|Weak)$/)[0].textContent.split(" · ")[1];
+    fireEvent.change(screen.getByLabelText("Filter watchlist by health"), { target: { value: status } });
+    for (const tag of screen.getAllByText(/^\d+ · (Healthy|Stable|Weak)$/)) expect(tag.textContent).toContain(status);
+  }, 15000);
+
+  it("asks each symbol once without retries and Cancel aborts the requests in flight", async () => {
+    renderApp();
+    await screen.findAllByText("64,250.00", {}, { timeout: 5000 });
+    let hang = false;
+    fetchSpy.mockImplementation((input, init) => {
+      if (new URL(String(input), window.location.href).pathname !== "/api/health/market") return mockFetch(input, init);
+      if (!hang) return Promise.resolve(new Response(JSON.stringify({ error: "busy" }), { status: 503, headers: { "Content-Type": "application/json" } }));
+      return new Promise((_, reject) => init.signal?.addEventListener("abort", () => reject(new DOMException("Aborted", "AbortError"))));
+    });
+
+    // Every FAST request fails: one request per symbol (the queue spaces them, the client must not retry), FULL is skipped.
+    fireEvent.click(screen.getByRole("button", { name: /Refresh all health/ }));
+    await screen.findByRole("button", { name: /Refresh all health/ }, { timeout: 10000 });
+    const symbols = apiCalls("/api/health/market").map(([input]) => new URL(String(input), window.location.href).searchParams.get("symbol"));
+    expect(symbols.length).toBeGreaterThan(0);
+    expect(new Set(symbols).size).toBe(symbols.length);
+
+    hang = true;
+    fetchSpy.mockClear();
+    fireEvent.click(screen.getByRole("button", { name: /Refresh all health/ }));
+    await waitFor(() => expect(apiCalls("/api/health/market").length).toBeGreaterThan(0));
+    fireEvent.click(screen.getByRole("button", { name: "Cancel health refresh" }));
+    await screen.findByRole("button", { name: /Refresh all health/ }, { timeout: 3000 });
+    expect(apiCalls("/api/health/market").every(([, init]) => init.signal.aborted)).toBe(true);
+  }, 20000);
+});
+
+describe("Compare", () => {
+  it("compares the selected assets side by side and hands all of them to the AI", async () => {
+    renderApp();
+    await screen.findAllByText("64,250.00", {}, { timeout: 5000 });
+    const card = screen.getByText(/^Pick 2–6 watchlist assets/).closest(".card");
+
+    for (const sym of ["BTC", "ETH", "SOL"]) {
+      const chip = within(card).getByRole("button", { name: sym });
+      if (chip.getAttribute("aria-pressed") !== "true") fireEvent.click(chip);
+    }
+    await waitFor(() => expect(within(card).getByText("3/6")).toBeTruthy());
+    expect(await within(card).findByText("Correlation (daily returns)")).toBeTruthy();
+    await waitFor(() => expect(within(card).getAllByTitle(/common returns$/)).toHaveLength(9), { timeout: 5000 });
+    expect(JSON.parse(localStorage.getItem("na_compare_v1")).selection).toEqual(expect.arrayContaining(["BTC", "ETH", "SOL"]));
+
+    await act(async () => {
+      fireEvent.click(screen.getByRole("button", { name: "Ask AI" }));
+    });
+    await screen.findByText(/This answer is a fixture/, {}, { timeout: 8000 });
+    const body = JSON.parse(apiCalls("/api/ai")[0][1].body);
+    expect(body.context.assets.map((a) => a.id)).toEqual(expect.arrayContaining(["BTC", "ETH", "SOL"]));
+    expect(body.context.correlations.pairs.length).toBeGreaterThanOrEqual(3);
+    await waitFor(() => expect(screen.getByRole("button", { name: "Ask AI" }).disabled).toBe(false), { timeout: 3000 });
+  }, 20000);
+
+  it("does not stay loading when the selection drops below two mid-load", async () => {
+    renderApp();
+    await screen.findAllByText("64,250.00", {}, { timeout: 5000 });
+    let held = [];
+    fetchSpy.mockImplementation((input, init) => {
+      if (!held || !String(input).includes("/market_chart")) return mockFetch(input, init);
+      return new Promise((resolve) => held.push(() => resolve(mockFetch(input, init))));
+    });
+    const card = screen.getByText(/^Pick 2–6 watchlist assets/).closest(".card");
+    const chip = (sym) => within(card).getByRole("button", { name: sym });
+    for (const sym of ["BTC", "ETH"]) if (chip(sym).getAttribute("aria-pressed") !== "true") fireEvent.click(chip(sym));
+    fireEvent.click(chip("SOL"));
+    expect(await within(card).findByText("loading…", {}, { timeout: 3000 })).toBeTruthy();
+
+    fireEvent.click(chip("SOL"));
+    fireEvent.click(chip("ETH"));
+    expect(await within(card).findByText(/^Select at least 2 assets/)).toBeTruthy();
+    fireEvent.click(chip("ETH"));
+    // Still inside the next load's debounce: nothing is loading yet.
+    expect(within(card).queryByText("loading…")).toBeNull();
+    for (const release of held) release();
+    held = null;
+    await waitFor(() => expect(within(card).getAllByTitle(/common returns$/)).toHaveLength(4), { timeout: 5000 });
+  }, 20000);
+});
+
+describe("Named watchlists", () => {
+  it("switches lists, pins majors on demand and tags symbols", async () => {
+    renderApp();
+    await screen.findAllByText("64,250.00", {}, { timeout: 5000 });
+    const gridCoins = () => within(screen.getByLabelText("Grid coin")).getAllByRole("option").map((o) => o.value);
+    expect(gridCoins()).toContain("XRP");
+
+    fireEvent.click(screen.getByRole("button", { name: "+ New list" }));
+    fireEvent.change(screen.getByLabelText("Watchlist name"), { target: { value: "Research" } });
+    fireEvent.click(screen.getByRole("button", { name: "Create" }));
+    expect(await screen.findByText(/^This list is empty/)).toBeTruthy();
+    expect(gridCoins()).not.toContain("XRP");
+
+    fireEvent.click(screen.getByLabelText("always include majors"));
+    await waitFor(() => expect(gridCoins()).toContain("XRP"));
+    expect(document.querySelectorAll("#resolver-symbols option")).toHaveLength(5);
+
+    fireEvent.click(screen.getByTitle("Edit tags of BTC"));
+    const tagInput = screen.getByLabelText("Tags for BTC");
+    fireEvent.change(tagInput, { target: { value: "core, #L1" } });
+    fireEvent.keyDown(tagInput, { key: "Enter" });
+    await waitFor(() => expect(Array.from(document.querySelectorAll(".tagChip")).map((t) => t.textContent)).toEqual(["#core", "#L1"]));
+    expect(within(screen.getByLabelText("Filter watchlist by tag")).getByRole("option", { name: "#L1" })).toBeTruthy();
+
+    await waitFor(() => {
+      const stored = JSON.parse(localStorage.getItem("na_watchlists_v1"));
+      const research = stored.lists.find((l) => l.name === "Research");
+      expect(stored.activeId).toBe(research.id);
+      expect(research).toMatchObject({ pinMajors: true, symbols: ["BTC", "ETH", "BNB", "XRP", "SOL"] });
+    });
+    expect(JSON.parse(localStorage.getItem("na_symbol_tags_v1"))).toEqual({ BTC: ["core", "L1"] });
+  }, 15000);
+});
+
+describe("Alerts", () => {
+  it("shares rules and fired alerts with the other tabs and takes theirs", async () => {
+    const otherTab = new BroadcastChannel("nexus-analyt-sync");
+    const received = [];
+    otherTab.onmessage = (e) => received.push(e.data);
+    try {
+      renderApp();
+      await screen.findAllByText("64,250.00", {}, { timeout: 5000 });
+      const card = screen.getByRole("button", { name: "+ Rule" }).closest(".card");
+      fireEvent.change(within(card).getByPlaceholderText("USD"), { target: { value: "1000" } });
+      fireEvent.click(within(card).getByRole("button", { name: "+ Rule" }));
+      fireEvent.click(screen.getByRole("button", { name: /Refresh Watchlist/ }));
+
+      // This tab is the leader: it evaluates the rule (BTC is above $1,000) and tells the others.
+      await waitFor(() => expect(received.some((m) => m.topic === "alertsFired")).toBe(true), { timeout: 3000 });
+      const rules = received.filter((m) => m.topic === "alertRules").at(-1).value;
+      expect(rules).toEqual([expect.objectContaining({ symbol: "BTC", type: "price_above", value: 1000 })]);
+      expect(received.filter((m) => m.topic === "alertHistory").at(-1).value[0]).toMatchObject({ ruleId: rules[0].id });
+
+      // A rule added in the other tab shows up here (and is saved with this tab's rules).
+      const fromOther = { ...rules[0], id: "rule-other", symbol: "ETH", type: "price_below", value: 100, lastFiredAt: 0 };
+      otherTab.postMessage({ topic: "alertRules", value: [...rules, fromOther], from: "other" });
+      expect(await within(card).findByText(/^ETH price < \$/, {}, { timeout: 3000 })).toBeTruthy();
+      await waitFor(() => expect(JSON.parse(localStorage.getItem("na_alert_rules_v1")).map((r) => r.id)).toContain("rule-other"));
+    } finally {
+      otherTab.close();
+    }
+  });
+});
+
+describe("AI", () => {
+  it("streams the answer for Ask AI with the selected assets as context", async () => {
+    renderApp();
+    await screen.findAllByText("64,250.00", {}, { timeout: 5000 });
+
+    await act(async () => {
+      fireEvent.click(screen.getByRole("button", { name: "Ask AI" }));
+    });
+    expect(await screen.findByText(/This answer is a fixture/, {}, { timeout: 8000 })).toBeTruthy();
+
+    const [, init] = apiCalls("/api/ai")[0];
+    const body = JSON.parse(init.body);
+    expect(body.context.primary).toMatchObject({ id: "BTC" });
+    await waitFor(() => expect(screen.getByRole("button", { name: "Ask AI" }).disabled).toBe(false), { timeout: 3000 });
+  });
+
+  it("hands the AI the profile score the cards show", async () => {
+    renderApp();
+    await screen.findAllByText("64,250.00", {}, { timeout: 5000 });
+    fireEvent.click(screen.getByTitle("Live Health neu laden (Primary + Compare)"));
+    fireEvent.click(screen.getByRole("button", { name: /Score profile/ }));
+    fireEvent.change(screen.getByLabelText("Healthy threshold"), { target: { value: "100" } });
+    fireEvent.click(screen.getByLabelText(/Use my profile/));
+    fireEvent.click(screen.getByRole("button", { name: /Score breakdown/ }));
+    await screen.findAllByText(/^Backend \d+\/100$/, {}, { timeout: 5000 });
+
+    await act(async () => {
+      fireEvent.click(screen.getByRole("button", { name: "Ask AI" }));
+    });
+    await waitFor(() => expect(apiCalls("/api/ai")).toHaveLength(1), { timeout: 5000 });
+    const { health } = JSON.parse(apiCalls("/api/ai")[0][1].body).context.primary;
+    expect(health).toMatchObject({ scoredBy: "profile", status: expect.stringMatching(/^(stable|weak)$/) });
+    expect(health.score).not.toBeUndefined();
+    await waitFor(() => expect(screen.getByRole("button", { name: "Ask AI" }).disabled).toBe(false), { timeout: 8000 });
+  }, 15000);
+
+  it("keeps the question in the thread when the answer fails and sends the history once", async () => {
+    renderApp();
+    await screen.findAllByText("64,250.00", {}, { timeout: 5000 });
+    fetchSpy.mockImplementation((input, init) =>
+      new URL(String(input), window.location.href).pathname === "/api/ai"
+        ? Promise.resolve(new Response(JSON.stringify({ error: "model down" }), { status: 500, headers: { "Content-Type": "application/json" } }))
+        : mockFetch(input, init)
+    );
+    const ask = screen.getByRole("button", { name: "Ask AI" });
+    fireEvent.change(ask.closest(".card").querySelector("textarea"), { target: { value: "Is BTC trending?" } });
+
+    await act(async () => {
+      fireEvent.click(ask);
+    });
+    expect(await screen.findByText("[AI error: model down]", {}, { timeout: 5000 })).toBeTruthy();
+    expect(within(ask.closest(".card")).getAllByText("Is BTC trending?").map((el) => el.tagName)).toContain("PRE");
+
+    // The follow-up carries the question, not the failed answer, and only inside `question`.
+    await act(async () => {
+      fireEvent.click(ask);
+    });
+    await waitFor(() => expect(apiCalls("/api/ai")).toHaveLength(2));
+    const body = JSON.parse(apiCalls("/api/ai")[1][1].body);
+    expect(body.history).toBeUndefined();
+    expect(body.question).toContain("User: Is BTC trending?");
+    expect(body.question).not.toContain("model down");
+  });
+
+  it("Stop keeps the text streamed so far and marks it [stopped]", async () => {
+    renderApp();
+    await screen.findAllByText("64,250.00", {}, { timeout: 5000 });
+
+    await act(async () => {
+      fireEvent.click(screen.getByRole("button", { name: "Ask AI" }));
+    });
+    await screen.findByText(/^Mock analysis for/, {}, { timeout: 8000 });
+    await act(async () => {
+      fireEvent.click(within(screen.getByRole("button", { name: "Ask AI" }).closest(".card")).getByRole("button", { name: "■ Stop" }));
+    });
+
+    const saved = await screen.findByText(/\[stopped\]$/, {}, { timeout: 3000 });
+    expect(saved.textContent).toMatch(/^Mock analysis for/);
+    expect(saved.textContent).not.toMatch(/no model was called/);
+    expect(screen.getByRole("button", { name: "Ask AI" }).disabled).toBe(false);
+  }, 15000);
+});
@@ -0,0 +1,63 @@
+/**
+ * Nexus Analyt — alert rule helpers
+ *
+ * - price / 24h change rules fire when their condition starts to hold (the price crosses the threshold), not on
+ *   every update while it holds: `rule.triggered` remembers that the condition held at the last evaluation and
+ *   re-arms the rule once it no longer does
+ * - a fired rule stays silent for its cooldown (at least ALERT_MIN_COOLDOWN_MIN), while snoozed or disabled
+ */
+
+import { formatPct, formatPrice, normalizeSymbol } from "./format.js";
+
+export const ALERT_MIN_COOLDOWN_MIN = 1;
+export const VALUE_ALERT_TYPES = ["price_above", "price_below", "change_abs"];
+
+/** Cooldown in minutes as stored on a rule: a number, never below ALERT_MIN_COOLDOWN_MIN. */
+export function alertCooldownMin(v) {
+  return Math.max(ALERT_MIN_COOLDOWN_MIN, Number(v) || 0);
+}
+
+// Snoozed / cooling down / disabled rules stay silent.
+export function alertRuleReady(r, now) {
+  if (!r || r.enabled === false) return false;
+  if (r.snoozedUntil && now < r.snoozedUntil) return false;
+  const cooldownMs = alertCooldownMin(r.cooldownMin) * 60_000;
+  return !(r.lastFiredAt && now - r.lastFiredAt < cooldownMs);
+}
+
+// { met, message } for a price / 24h rule against a watchlist row; null when the row has no usable value.
+function valueRuleState(r, row) {
+  const v = Number(r.value);
+  if (!row || !Number.isFinite(v)) return null;
+  const price = Number(row.price);
+  const ch = Number(row.change24h);
+  if (r.type === "price_above" && Number.isFinite(price)) {
+    return { met: price > v, message: `${row.symbol} is $${formatPrice(price)} (above $${formatPrice(v)})` };
+  }
+  if (r.type === "price_below" && Number.isFinite(price)) {
+    return { met: price < v, message: `${row.symbol} is $${formatPrice(price)} (below $${formatPrice(v)})` };
+  }
+  if (r.type === "change_abs" && Number.isFinite(ch)) {
+    return { met: Math.abs(ch) >= Math.abs(v), message: `${row.symbol} moved ${formatPct(ch)} in 24h` };
+  }
+  return null;
+}
+
+/**
+ * Price / 24h rules against the watchlist rows (Map SYMBOL -> row).
+ * Returns the alerts to fire ([{ ruleId, symbol, message }], readiness is checked by the caller) and the rules whose
+ * `triggered` flag changed ({ ruleId: boolean }). Rules without a row or value keep their flag.
+ */
+export function evaluateValueRules(rules, rowsBySym) {
+  const events = [];
+  const triggered = {};
+  for (const r of rules || []) {
+    if (!VALUE_ALERT_TYPES.includes(r?.type)) continue;
+    const row = rowsBySym?.get(normalizeSymbol(r.symbol));
+    const st = valueRuleState(r, row);
+    if (!st) continue;
+    if (st.met && !r.triggered) events.push({ ruleId: r.id, symbol: row.symbol, message: st.message });
+    if (st.met !== Boolean(r.triggered)) triggered[r.id] = st.met;
+  }
+  return { events, triggered };
+}
@@ -0,0 +1,83 @@
+import { describe, expect, it } from "vitest";
+import { ALERT_MIN_COOLDOWN_MIN, alertCooldownMin, alertRuleReady, evaluateValueRules } from "./alerts.js";
+
+const rows = (entries) => new Map(Object.entries(entries).map(([symbol, r]) => [symbol, { symbol, ...r }]));
+
+// Feeds a series of rows through the rules like the controller does: events out, `triggered` written back.
+function run(rules, series) {
+  let cur = rules;
+  const fired = [];
+  for (const entries of series) {
+    const { events, triggered } = evaluateValueRules(cur, rows(entries));
+    fired.push(events.map((e) => e.ruleId));
+    cur = cur.map((r) => (r.id in triggered ? { ...r, triggered: triggered[r.id] } : r));
+  }
+  return { fired, rules: cur };
+}
+
+describe("evaluateValueRules", () => {
+  it("fires a price rule once per crossing, not on every update while it holds", () => {
+    const rules = [{ id: "a", symbol: "btc", type: "price_above", value: 65000 }];
+    const { fired, rules: after } = run(rules, [
+      { BTC: { price: 64000 } },
+      { BTC: { price: 65100 } },
+      { BTC: { price: 65200 } },
+      { BTC: { price: 65300 } },
+      { BTC: { price: 64900 } },
+      { BTC: { price: 65050 } },
+    ]);
+    expect(fired).toEqual([[], ["a"], [], [], [], ["a"]]);
+    expect(after[0].triggered).toBe(true);
+  });
+
+  it("fires a rule that already holds when it is first evaluated", () => {
+    expect(run([{ id: "b", symbol: "ETH", type: "price_below", value: 4000 }], [{ ETH: { price: 3150 } }, { ETH: { price: 3100 } }]).fired).toEqual([
+      ["b"],
+      [],
+    ]);
+  });
+
+  it("checks the absolute 24h change against ±value and builds the messages", () => {
+    const { events } = evaluateValueRules(
+      [
+        { id: "c", symbol: "SOL", type: "change_abs", value: 5 },
+        { id: "d", symbol: "XRP", type: "change_abs", value: 5 },
+        { id: "e", symbol: "BTC", type: "price_above", value: 60000 },
+      ],
+      rows({ SOL: { change24h: -6.5 }, XRP: { change24h: 4.9 }, BTC: { price: 64250 } })
+    );
+    expect(events).toEqual([
+      { ruleId: "c", symbol: "SOL", message: "SOL moved -6.50% in 24h" },
+      { ruleId: "e", symbol: "BTC", message: expect.stringMatching(/^BTC is \$64,250\.00 \(above \$60,000\.00\)$/) },
+    ]);
+  });
+
+  it("leaves rules without a row, a price or a numeric value (and other rule types) alone", () => {
+    const rules = [
+      { id: "f", symbol: "DOGE", type: "price_above", value: 1, triggered: true },
+      { id: "g", symbol: "BTC", type: "price_above", value: "x" },
+      { id: "h", symbol: "BTC", type: "health_change" },
+      { id: "i", symbol: "ETH", type: "price_below", value: 10, triggered: true },
+    ];
+    expect(evaluateValueRules(rules, rows({ BTC: { price: 64250 }, ETH: { price: null } }))).toEqual({ events: [], triggered: {} });
+  });
+});
+
+describe("alertRuleReady", () => {
+  const now = 10 * 60_000;
+
+  it("keeps disabled, snoozed and cooling-down rules silent", () => {
+    expect(alertRuleReady({ enabled: false }, now)).toBe(false);
+    expect(alertRuleReady({ snoozedUntil: now + 1 }, now)).toBe(false);
+    expect(alertRuleReady({ snoozedUntil: now - 1 }, now)).toBe(true);
+    expect(alertRuleReady({ cooldownMin: 5, lastFiredAt: now - 4 * 60_000 }, now)).toBe(false);
+    expect(alertRuleReady({ cooldownMin: 5, lastFiredAt: now - 5 * 60_000 }, now)).toBe(true);
+    expect(alertRuleReady(null, now)).toBe(false);
+  });
+
+  it("never goes below the minimum cooldown", () => {
+    expect(alertCooldownMin(0)).toBe(ALERT_MIN_COOLDOWN_MIN);
+    expect(alertCooldownMin("15")).toBe(15);
+    expect(alertRuleReady({ cooldownMin: 0, lastFiredAt: now - 1000 }, now)).toBe(false);
+  });
+});
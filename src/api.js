@@ -0,0 +1,369 @@
+/**
+ * Nexus Analyt — API client
+ *
+ * One fetch layer for every backend call:
+ * - attaches the backend session (Authorization: Bearer <token>) when signed in
+ * - 401 with a token -> token is cleared (same as logout()) and listeners are notified
+ * - idempotent GETs are retried with exponential backoff (network errors, timeouts, 429, 5xx)
+ * - identical in-flight GET/HEAD requests share one promise (no poll storms); writes are always sent
+ * - bodies the service worker served from its offline cache (X-SW-Stale) are flagged: isStaleResponse(data)
+ * - every failure is an ApiError { message, status, kind, url, data } so toasts can show e.message
+ * - stream() reads long answers (SSE / chunked) token by token
+ */
+
+export class ApiError extends Error {
+  constructor(message, { status = 0, kind = "http", url = "", data = null } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status; // HTTP status (0 = no response)
+    this.kind = kind; // "http" | "timeout" | "network" | "aborted" | "unauthorized"
+    this.url = url;
+    this.data = data;
+  }
+}
+
+// Parsed bodies of responses the service worker answered from its cache while offline.
+const staleBodies = new WeakSet();
+
+/** True when `data` (as returned by get/post) is the service worker's offline copy, not a live answer. */
+export function isStaleResponse(data) {
+  return Boolean(data && typeof data === "object" && staleBodies.has(data));
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function isRetryable(e) {
+  if (!(e instanceof ApiError)) return false;
+  if (e.kind === "timeout" || e.kind === "network") return true;
+  return e.status === 429 || e.status >= 500;
+}
+
+/**
+ * Incremental Server-Sent-Events parser. Feed it decoded text chunks; it calls onEvent({event, data})
+ * for every complete event (blank-line terminated). Chunk boundaries may fall anywhere.
+ */
+export function createSseParser(onEvent) {
+  let buf = "";
+  let event = "";
+  let data = [];
+
+  function line(l) {
+    if (l === "") {
+      if (data.length) onEvent({ event: event || "message", data: data.join("\n") });
+      event = "";
+      data = [];
+      return;
+    }
+    if (l.startsWith(":")) return; // comment / keep-alive
+    const i = l.indexOf(":");
+    const field = i < 0 ? l : l.slice(0, i);
+    let value = i < 0 ? "" : l.slice(i + 1);
+    if (value.startsWith(" ")) value = value.slice(1);
+    if (field === "data") data.push(value);
+    else if (field === "event") event = value;
+  }
+
+  return {
+    push(chunk) {
+      buf += chunk;
+      let nl;
+      while ((nl = buf.search(/\r?\n/)) >= 0) {
+        const l = buf.slice(0, nl);
+        buf = buf.slice(buf[nl] === "\r" ? nl + 2 : nl + 1);
+        line(l);
+      }
+    },
+    flush() {
+      if (buf) line(buf);
+      buf = "";
+      line("");
+    },
+  };
+}
+
+// SSE "data:" payloads may be raw text or JSON like {token}, {delta}, {text}, {content} or a final {answer}.
+export function tokenFromStreamData(data) {
+  const s = String(data ?? "");
+  if (!s.startsWith("{")) return { token: s };
+  try {
+    const j = JSON.parse(s);
+    if (j?.error) return { error: String(j.error) };
+    const t = j?.token ?? j?.delta ?? j?.text ?? j?.content ?? j?.choices?.[0]?.delta?.content;
+    if (t != null) return { token: String(t) };
+    if (j?.answer != null) return { answer: String(j.answer) };
+    return { token: "" };
+  } catch {
+    return { token: s };
+  }
+}
+
+function toEpochMs(v) {
+  if (v == null || v === "") return null;
+  const n = Number(v);
+  if (Number.isFinite(n)) return n < 1e12 ? n * 1000 : n; // seconds -> ms
+  const d = Date.parse(String(v));
+  return Number.isFinite(d) ? d : null;
+}
+
+/** Expiry (ms epoch) from a JWT's `exp` claim; null for opaque / undecodable tokens. */
+export function tokenExpiry(token) {
+  const part = String(token || "").split(".")[1];
+  if (!part) return null;
+  try {
+    const b64 = part.replace(/-/g, "+").replace(/_/g, "/").padEnd(Math.ceil(part.length / 4) * 4, "=");
+    const claims = JSON.parse(atob(b64));
+    return toEpochMs(claims?.exp);
+  } catch {
+    return null;
+  }
+}
+
+/** Expiry advertised next to the token in an auth response ({expires_at} or {expires_in} seconds). */
+export function responseExpiry(res, now = Date.now()) {
+  const at = toEpochMs(res?.expires_at ?? res?.expiresAt);
+  if (at) return at;
+  const inSec = Number(res?.expires_in ?? res?.expiresIn);
+  return Number.isFinite(inSec) && inSec > 0 ? now + inSec * 1000 : null;
+}
+
+async function readBody(res) {
+  const txt = await res.text();
+  if (!txt) return null;
+  try {
+    return JSON.parse(txt);
+  } catch {
+    return { raw: txt };
+  }
+}
+
+export function createApiClient({
+  getToken = () => "",
+  clearToken = () => {},
+  timeoutMs = 15000,
+  retries = 2,
+  retryBaseMs = 500,
+} = {}) {
+  const inFlight = new Map();
+  const unauthorizedListeners = new Set();
+
+  function handleUnauthorized(err) {
+    clearToken();
+    for (const fn of unauthorizedListeners) {
+      try {
+        fn(err);
+      } catch {}
+    }
+  }
+
+  // Links the caller's signal to an internal controller that can also fire on timeout.
+  function linkAbort(signal, timeout) {
+    const ctrl = new AbortController();
+    let t = null;
+    const arm = () => {
+      clearTimeout(t);
+      t = setTimeout(() => ctrl.abort("timeout"), timeout);
+    };
+    const onAbort = () => ctrl.abort("aborted");
+    if (signal) {
+      if (signal.aborted) onAbort();
+      else signal.addEventListener("abort", onAbort, { once: true });
+    }
+    arm();
+    return {
+      signal: ctrl.signal,
+      rearm: arm,
+      dispose() {
+        clearTimeout(t);
+        if (signal) signal.removeEventListener("abort", onAbort);
+      },
+    };
+  }
+
+  function abortError(e, signal, url, timeout) {
+    if (e instanceof ApiError) return e;
+    if (signal.aborted && signal.reason === "timeout") {
+      return new ApiError("Timeout (" + Math.round(timeout / 1000) + "s) – API antwortet nicht.", { kind: "timeout", url });
+    }
+    if (signal.aborted) return new ApiError("Request aborted.", { kind: "aborted", url });
+    return new ApiError(`Network error – ${e?.message || "API not reachable"}`, { kind: "network", url });
+  }
+
+  async function send(url, { method, body, headers, token }, signal) {
+    return fetch(url, {
+      method,
+      headers: {
+        ...(body !== undefined ? { "Content-Type": "application/json" } : {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...(headers || {}),
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+      signal,
+    });
+  }
+
+  async function failFromResponse(res, url, token) {
+    const data = await readBody(res).catch(() => null);
+    const msg = data && (data.error || data.message) ? data.error || data.message : res.status + " " + res.statusText;
+    const err = new ApiError(String(msg), {
+      status: res.status,
+      kind: res.status === 401 ? "unauthorized" : "http",
+      url,
+      data,
+    });
+    if (res.status === 401 && token) handleUnauthorized(err);
+    throw err;
+  }
+
+  async function once(url, opts) {
+    const link = linkAbort(opts.signal, opts.timeout);
+    try {
+      const res = await send(url, opts, link.signal);
+      if (!res.ok) await failFromResponse(res, url, opts.token);
+      const data = await readBody(res).catch(() => null);
+      if (data && typeof data === "object" && res.headers?.get("X-SW-Stale")) staleBodies.add(data);
+      return data;
+    } catch (e) {
+      throw abortError(e, link.signal, url, opts.timeout);
+    } finally {
+      link.dispose();
+    }
+  }
+
+  async function withRetries(url, opts) {
+    const max = opts.method === "GET" ? Math.max(0, opts.retries) : 0;
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await once(url, opts);
+      } catch (e) {
+        if (attempt >= max || !isRetryable(e) || opts.signal?.aborted) throw e;
+        await sleep(retryBaseMs * 2 ** attempt + Math.random() * retryBaseMs);
+      }
+    }
+  }
+
+  /**
+   * @param {string} url absolute URL (see apiUrl())
+   * @param {{method?:string, body?:any, headers?:object, timeoutMs?:number, retries?:number, signal?:AbortSignal}} [options]
+   */
+  function request(url, options = {}) {
+    const method = String(options.method || "GET").toUpperCase();
+    const token = getToken() || "";
+    const opts = {
+      method,
+      body: options.body,
+      headers: options.headers,
+      timeout: options.timeoutMs ?? timeoutMs,
+      retries: options.retries ?? retries,
+      signal: options.signal,
+      token,
+    };
+
+    // Requests with their own abort signal are owned by the caller and never shared. Writes are never merged:
+    // two identical POSTs (e.g. two grid ticks) are two actions.
+    if (opts.signal || (method !== "GET" && method !== "HEAD")) return withRetries(url, opts);
+
+    const key = `${method} ${url} ${opts.body !== undefined ? JSON.stringify(opts.body) : ""} ${token}`;
+    const pending = inFlight.get(key);
+    if (pending) return pending;
+
+    const p = withRetries(url, opts).finally(() => inFlight.delete(key));
+    inFlight.set(key, p);
+    return p;
+  }
+
+  /**
+   * POST and stream the answer as it is generated (SSE or plain chunked text).
+   * Falls back to a regular JSON body ({answer}) when the backend does not stream.
+   * `timeoutMs` is an idle timeout: it restarts with every received chunk.
+   * Resolves with the full text; on abort/failure the text received so far is on err.partial.
+   *
+   * @param {string} url
+   * @param {object} body
+   * @param {{onToken?:(t:string)=>void, signal?:AbortSignal, timeoutMs?:number, headers?:object}} [options]
+   */
+  async function stream(url, body, options = {}) {
+    const token = getToken() || "";
+    const timeout = options.timeoutMs ?? timeoutMs;
+    const onToken = typeof options.onToken === "function" ? options.onToken : () => {};
+    const link = linkAbort(options.signal, timeout);
+    let text = "";
+    const emit = (t) => {
+      if (!t) return;
+      text += t;
+      onToken(t);
+    };
+
+    try {
+      const res = await send(
+        url,
+        {
+          method: "POST",
+          body: { ...(body || {}), stream: true },
+          headers: { Accept: "text/event-stream, application/json", ...(options.headers || {}) },
+          token,
+        },
+        link.signal
+      );
+      if (!res.ok) await failFromResponse(res, url, token);
+
+      const type = String(res.headers.get("content-type") || "").toLowerCase();
+      if (type.includes("application/json") || !res.body?.getReader) {
+        const data = await readBody(res);
+        emit(String(data?.answer ?? data?.raw ?? ""));
+        return text;
+      }
+
+      const isSse = type.includes("text/event-stream");
+      let done = false;
+      const parser = createSseParser(({ data }) => {
+        if (done) return;
+        if (data === "[DONE]") {
+          done = true;
+          return;
+        }
+        const r = tokenFromStreamData(data);
+        if (r.error) throw new ApiError(r.error, { kind: "http", status: res.status, url });
+        if (r.answer != null) {
+          // Final full answer event: only use it if nothing was streamed.
+          if (!text) emit(r.answer);
+          return;
+        }
+        emit(r.token);
+      });
+
+      const reader = res.body.getReader();
+      const decoder = new TextDecoder();
+      while (!done) {
+        const { value, done: end } = await reader.read();
+        if (end) break;
+        link.rearm();
+        const chunk = decoder.decode(value, { stream: true });
+        if (isSse) parser.push(chunk);
+        else emit(chunk);
+      }
+      if (isSse) parser.flush();
+      else emit(decoder.decode());
+      if (done) reader.cancel().catch(() => {});
+      return text;
+    } catch (e) {
+      const err = abortError(e, link.signal, url, timeout);
+      err.partial = text;
+      throw err;
+    } finally {
+      link.dispose();
+    }
+  }
+
+  return {
+    request,
+    stream,
+    get: (url, options) => request(url, { ...(options || {}), method: "GET" }),
+    post: (url, body, options) => request(url, { ...(options || {}), method: "POST", body: body || {} }),
+    onUnauthorized(fn) {
+      unauthorizedListeners.add(fn);
+      return () => unauthorizedListeners.delete(fn);
+    },
+  };
+}
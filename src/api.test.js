@@ -0,0 +1,182 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { ApiError, createApiClient, createSseParser, isStaleResponse, tokenFromStreamData } from "./api.js";
+
+const URL = "https://api.test/api/ai";
+
+// A streaming response like fetch gives it: chunks arrive one by one, the body errors when the request is aborted.
+// hang: keep the stream open after the last chunk (idle server).
+function streamResponse(chunks, { type = "text/event-stream", hang = false } = {}, signal) {
+  const enc = new TextEncoder();
+  let i = 0;
+  const body = new ReadableStream({
+    start(ctrl) {
+      signal?.addEventListener("abort", () => ctrl.error(new DOMException("The operation was aborted.", "AbortError")), { once: true });
+    },
+    async pull(ctrl) {
+      await new Promise((r) => setTimeout(r, 1));
+      if (i < chunks.length) ctrl.enqueue(enc.encode(chunks[i++]));
+      else if (!hang) ctrl.close();
+      else await new Promise(() => {});
+    },
+  });
+  return { ok: true, status: 200, statusText: "OK", headers: new Headers({ "content-type": type }), body };
+}
+
+function mockStream(chunks, options) {
+  return vi.spyOn(globalThis, "fetch").mockImplementation(async (_url, init) => streamResponse(chunks, options, init.signal));
+}
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+const jsonResponse = (status, data, headers = {}) =>
+  new Response(JSON.stringify(data), {
+    status,
+    statusText: status === 200 ? "OK" : "Error",
+    headers: { "Content-Type": "application/json", ...headers },
+  });
+
+describe("api.request", () => {
+  it("sends the session token and clears it on 401", async () => {
+    vi.spyOn(globalThis, "fetch").mockResolvedValue(jsonResponse(401, { error: "token expired" }));
+    const clearToken = vi.fn();
+    const client = createApiClient({ getToken: () => "tok", clearToken });
+    const onUnauthorized = vi.fn();
+    client.onUnauthorized(onUnauthorized);
+
+    const err = await client.get("https://api.test/api/me").catch((e) => e);
+    expect(err).toBeInstanceOf(ApiError);
+    expect(err).toMatchObject({ status: 401, kind: "unauthorized", message: "token expired" });
+    expect(fetch.mock.calls[0][1].headers.Authorization).toBe("Bearer tok");
+    expect(clearToken).toHaveBeenCalledTimes(1);
+    expect(onUnauthorized).toHaveBeenCalledWith(err);
+  });
+
+  it("retries GETs on 5xx / network errors with backoff, but not 4xx or POSTs", async () => {
+    vi.useFakeTimers();
+    try {
+      const fetchMock = vi
+        .spyOn(globalThis, "fetch")
+        .mockResolvedValueOnce(jsonResponse(503, { error: "busy" }))
+        .mockRejectedValueOnce(new TypeError("Failed to fetch"))
+        .mockResolvedValueOnce(jsonResponse(200, { ok: 1 }));
+      const client = createApiClient({ retries: 2, retryBaseMs: 100 });
+
+      const p = client.get("https://api.test/api/health");
+      await vi.advanceTimersByTimeAsync(99);
+      expect(fetchMock).toHaveBeenCalledTimes(1); // first backoff is at least retryBaseMs
+      await vi.advanceTimersByTimeAsync(2000);
+      expect(await p).toEqual({ ok: 1 });
+      expect(fetchMock).toHaveBeenCalledTimes(3);
+
+      fetchMock.mockReset().mockResolvedValue(jsonResponse(404, { error: "nope" }));
+      await expect(client.get("https://api.test/api/x")).rejects.toMatchObject({ status: 404 });
+      fetchMock.mockReset().mockResolvedValue(jsonResponse(503, { error: "busy" }));
+      await expect(client.post("https://api.test/api/grid/tick", { item: "BTC" })).rejects.toMatchObject({ status: 503 });
+      expect(fetchMock).toHaveBeenCalledTimes(1);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it("flags bodies the service worker served from its offline cache", async () => {
+    vi.spyOn(globalThis, "fetch")
+      .mockResolvedValueOnce(jsonResponse(200, { results: [] }, { "X-SW-Stale": "1" }))
+      .mockResolvedValueOnce(jsonResponse(200, { results: [] }));
+    const client = createApiClient();
+    expect(isStaleResponse(await client.post("https://api.test/api/watchlist/snapshot", { items: [] }))).toBe(true);
+    expect(isStaleResponse(await client.post("https://api.test/api/watchlist/snapshot", { items: [] }))).toBe(false);
+    expect(isStaleResponse(null)).toBe(false);
+  });
+
+  it("shares identical in-flight GETs but always sends identical POSTs", async () => {
+    let release;
+    const gate = new Promise((r) => (release = r));
+    vi.spyOn(globalThis, "fetch").mockImplementation(async () => {
+      await gate;
+      return jsonResponse(200, { ok: true });
+    });
+    const client = createApiClient();
+
+    const gets = [client.get("https://api.test/api/grid/orders"), client.get("https://api.test/api/grid/orders")];
+    const posts = [client.post("https://api.test/api/grid/tick", { item: "BTC" }), client.post("https://api.test/api/grid/tick", { item: "BTC" })];
+    release();
+    await Promise.all([...gets, ...posts]);
+    expect(gets[0]).toBe(gets[1]);
+    expect(fetch.mock.calls.map(([url, init]) => `${init.method} ${url}`)).toEqual([
+      "GET https://api.test/api/grid/orders",
+      "POST https://api.test/api/grid/tick",
+      "POST https://api.test/api/grid/tick",
+    ]);
+
+    await client.get("https://api.test/api/grid/orders"); // settled requests are not cached
+    expect(fetch).toHaveBeenCalledTimes(4);
+  });
+});
+
+describe("createSseParser", () => {
+  it("emits complete events only, whatever the chunk boundaries", () => {
+    const events = [];
+    const p = createSseParser((e) => events.push(e));
+    p.push("data: hel");
+    p.push("lo\r\n\r\n: keep-alive\n\nevent: done\ndata: a\nda");
+    expect(events).toEqual([{ event: "message", data: "hello" }]);
+    p.push("ta: b\n");
+    p.flush();
+    expect(events[1]).toEqual({ event: "done", data: "a\nb" });
+  });
+});
+
+describe("tokenFromStreamData", () => {
+  it("reads raw text, token-ish JSON, a final answer and errors", () => {
+    expect(tokenFromStreamData("plain ")).toEqual({ token: "plain " });
+    expect(tokenFromStreamData('{"delta":"x"}')).toEqual({ token: "x" });
+    expect(tokenFromStreamData('{"choices":[{"delta":{"content":"y"}}]}')).toEqual({ token: "y" });
+    expect(tokenFromStreamData('{"answer":"all"}')).toEqual({ answer: "all" });
+    expect(tokenFromStreamData('{"error":"quota"}')).toEqual({ error: "quota" });
+    expect(tokenFromStreamData("{not json")).toEqual({ token: "{not json" });
+  });
+});
+
+describe("api.stream", () => {
+  it("streams SSE tokens split across chunks and stops at [DONE]", async () => {
+    mockStream(['data: {"token":"Hel', 'lo"}\n\ndata: {"token":" wor', 'ld"}\n', "\ndata: [DONE]\n\n", 'data: {"token":"ignored"}\n\n']);
+    const tokens = [];
+    const text = await createApiClient().stream(URL, { question: "q" }, { onToken: (t) => tokens.push(t) });
+    expect(text).toBe("Hello world");
+    expect(tokens).toEqual(["Hello", " world"]);
+    expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({ question: "q", stream: true });
+  });
+
+  it("streams chunked plain text as it arrives", async () => {
+    mockStream(["Gr", "id ", "ok ü"], { type: "text/plain" });
+    const tokens = [];
+    expect(await createApiClient().stream(URL, {}, { onToken: (t) => tokens.push(t) })).toBe("Grid ok ü");
+    expect(tokens).toEqual(["Gr", "id ", "ok ü"]);
+  });
+
+  it("fails with a timeout when the stream goes idle and keeps the partial text", async () => {
+    mockStream(["data: first\n\n"], { hang: true });
+    const err = await createApiClient().stream(URL, {}, { timeoutMs: 40 }).catch((e) => e);
+    expect(err.kind).toBe("timeout");
+    expect(err.partial).toBe("first");
+  });
+
+  it("keeps err.partial when the caller aborts", async () => {
+    mockStream(["data: one\n\n", "data: two\n\n"], { hang: true });
+    const ctrl = new AbortController();
+    const seen = [];
+    const err = await createApiClient()
+      .stream(URL, {}, {
+        signal: ctrl.signal,
+        onToken: (t) => {
+          seen.push(t);
+          if (seen.length === 2) ctrl.abort();
+        },
+      })
+      .catch((e) => e);
+    expect(err.kind).toBe("aborted");
+    expect(err.partial).toBe("onetwo");
+  });
+});
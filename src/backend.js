@@ -0,0 +1,47 @@
+/**
+ * Nexus Analyt — backend endpoints + shared API client
+ *
+ * - API_BASE: Render in prod, fallback for localhost dev (VITE_API_BASE overrides)
+ * - optional live stream (price ticks + order events), e.g. VITE_STREAM_PATH=/api/stream. Unset = polling only.
+ * - `api` attaches the backend session token and clears it on 401 (see ./api.js)
+ */
+
+import { createApiClient } from "./api.js";
+
+export const API_BASE =
+  import.meta?.env?.VITE_API_BASE ||
+  (typeof window !== "undefined" && window.location.hostname === "localhost"
+    ? "https://nexus-analyt.onrender.com"
+    : typeof window !== "undefined"
+      ? window.location.origin
+      : "");
+
+export function apiUrl(path) {
+  if (!path) return API_BASE;
+  if (path.startsWith("http")) return path;
+  if (!path.startsWith("/")) path = "/" + path;
+  return `${API_BASE}${path}`;
+}
+
+// ✅ AI runs via your backend (/api/ai) which proxies TBP-Advisor
+export const API = apiUrl("/api");
+
+export const STREAM_PATH = import.meta?.env?.VITE_STREAM_PATH || "";
+export const STREAM_TRANSPORT = import.meta?.env?.VITE_STREAM_TRANSPORT === "ws" ? "ws" : "sse";
+
+export const LS_AUTH_TOKEN = "na_auth_token";
+
+export const api = createApiClient({
+  getToken: () => {
+    try {
+      return localStorage.getItem(LS_AUTH_TOKEN) || "";
+    } catch {
+      return "";
+    }
+  },
+  clearToken: () => {
+    try {
+      localStorage.removeItem(LS_AUTH_TOKEN);
+    } catch {}
+  },
+});
@@ -0,0 +1,224 @@
+/**
+ * Nexus Analyt — grid backtest (client-side replay)
+ *
+ * - Replays a candle series through a symmetric ladder with a simplified fill rule: a filled level re-arms one step
+ *   away. The default per mode is the ASSUMED AUTO ladder (AUTO_GRID_LADDER in ./grid.js, not a backend contract);
+ *   step and level count can be overridden
+ * - Runs fully in the browser (loaded file or cached series) so it works offline
+ * - The cached series per symbol is fed by the price chart history (mergeBacktestSeries)
+ */
+
+import { normalizeSymbol } from "./format.js";
+import { AUTO_GRID_LADDER, autoGridLadder } from "./grid.js";
+import { loadJson, saveJson } from "./util.js";
+
+const LS_BT_SERIES_PREFIX = "na_bt_series_v1_"; // + SYMBOL -> { ts, source, candles }
+const BT_SERIES_MAX_CANDLES = 3000; // keeps one cached series well below the localStorage quota
+
+function toMs(ts) {
+  const n = Number(ts);
+  if (Number.isFinite(n)) return n < 1e12 ? n * 1000 : n; // seconds -> ms
+  const d = Date.parse(String(ts || ""));
+  return Number.isFinite(d) ? d : null;
+}
+
+function toCandle(ts, o, h, l, c) {
+  const t = toMs(ts);
+  const close = Number(c);
+  if (t == null || !Number.isFinite(close) || close <= 0) return null;
+  const open = Number.isFinite(Number(o)) && Number(o) > 0 ? Number(o) : close;
+  const high = Number.isFinite(Number(h)) && Number(h) > 0 ? Number(h) : Math.max(open, close);
+  const low = Number.isFinite(Number(l)) && Number(l) > 0 ? Number(l) : Math.min(open, close);
+  return { ts: t, open, high: Math.max(high, open, close), low: Math.min(low, open, close), close };
+}
+
+// Accepts: JSON [[ts,o,h,l,c], ...] (CoinGecko OHLC / klines), JSON [{ts|time, open, high, low, close|price}],
+// JSON { prices: [[ts, price], ...] } (market_chart), or CSV "ts,open,high,low,close" / "ts,price".
+export function candlesFromData(data) {
+  let list = data;
+  if (list && !Array.isArray(list)) list = list.candles || list.prices || list.data || [];
+  const rows = [];
+  for (const r of Array.isArray(list) ? list : []) {
+    if (Array.isArray(r)) {
+      rows.push(r.length >= 5 ? toCandle(r[0], r[1], r[2], r[3], r[4]) : toCandle(r[0], null, null, null, r[1]));
+    } else if (r && typeof r === "object") {
+      rows.push(
+        toCandle(
+          r.ts ?? r.t ?? r.time ?? r.timestamp ?? r.date,
+          r.open ?? r.o,
+          r.high ?? r.h,
+          r.low ?? r.l,
+          r.close ?? r.c ?? r.price
+        )
+      );
+    }
+  }
+  return sortCandles(rows);
+}
+
+export function sortCandles(rows) {
+  const byTs = new Map();
+  for (const c of rows) if (c) byTs.set(c.ts, c);
+  return Array.from(byTs.values()).sort((a, b) => a.ts - b.ts);
+}
+
+export function parseCandles(text) {
+  const raw = String(text || "").trim();
+  if (!raw) return [];
+  if (raw.startsWith("[") || raw.startsWith("{")) return candlesFromData(JSON.parse(raw));
+
+  const rows = [];
+  for (const line of raw.split(/\r?\n/)) {
+    const cols = line.split(/[,;\t]/).map((x) => x.trim());
+    if (cols.length < 2) continue;
+    if (!Number.isFinite(Number(cols[1]))) continue; // header row
+    rows.push(
+      cols.length >= 5
+        ? toCandle(cols[0], cols[1], cols[2], cols[3], cols[4])
+        : toCandle(cols[0], null, null, null, cols[1])
+    );
+  }
+  return sortCandles(rows);
+}
+
+export function readBacktestSeries(symbol) {
+  const S = normalizeSymbol(symbol);
+  if (!S) return null;
+  const obj = loadJson(`${LS_BT_SERIES_PREFIX}${S}`, null);
+  return obj && Array.isArray(obj.candles) && obj.candles.length ? obj : null;
+}
+
+export function writeBacktestSeries(symbol, candles, source) {
+  const S = normalizeSymbol(symbol);
+  if (!S || !Array.isArray(candles) || !candles.length) return;
+  saveJson(`${LS_BT_SERIES_PREFIX}${S}`, { ts: Date.now(), source: source || "", candles });
+}
+
+/** Candles within the panel's date inputs ("YYYY-MM-DD", local days, both inclusive; empty = open end). */
+export function filterCandlesByDate(candles, from, to) {
+  const fromMs = from ? Date.parse(`${from}T00:00:00`) : -Infinity;
+  const toMs = to ? Date.parse(`${to}T23:59:59.999`) : Infinity;
+  return (candles || []).filter((c) => c.ts >= fromMs && c.ts <= toMs);
+}
+
+/**
+ * Ladder for a run: the mode's assumed AUTO ladder with the given overrides (empty / missing = keep the default).
+ * Throws when an override is out of range.
+ */
+export function backtestLadder(mode, { stepPct, levelsPerSide } = {}) {
+  const ladder = { ...autoGridLadder(mode) };
+  if (stepPct !== undefined && stepPct !== "") {
+    const v = Number(stepPct);
+    if (!Number.isFinite(v) || v <= 0 || v >= 50) throw new Error("Ladder step must be between 0 and 50%.");
+    ladder.stepPct = v;
+  }
+  if (levelsPerSide !== undefined && levelsPerSide !== "") {
+    const v = Number(levelsPerSide);
+    if (!Number.isInteger(v) || v < 1 || v > 50) throw new Error("Levels per side must be a whole number from 1 to 50.");
+    ladder.levelsPerSide = v;
+  }
+  return ladder;
+}
+
+export function runGridBacktest({ candles, mode, capitalUsd, ladder: overrides }) {
+  const series = Array.isArray(candles) ? candles : [];
+  if (series.length < 2) throw new Error("Backtest needs at least 2 candles in the selected range.");
+  const capital = Number(capitalUsd);
+  if (!Number.isFinite(capital) || capital <= 0) throw new Error("Backtest capital must be > 0.");
+
+  const ladder = backtestLadder(mode, overrides);
+  const step = ladder.stepPct / 100;
+  const half = ladder.levelsPerSide;
+  const perLevelUsd = capital / (half * 2);
+  const startPrice = series[0].open;
+
+  let cash = capital;
+  let base = 0;
+  let realized = 0;
+  const orders = [];
+  const fills = [];
+
+  // BUY levels below start; SELL levels above are backed by inventory bought at the start price.
+  for (let i = 1; i <= half; i++) {
+    const buyPrice = startPrice * (1 - step * i);
+    orders.push({ side: "BUY", price: buyPrice, qty: perLevelUsd / buyPrice, cost: null });
+
+    const qty = perLevelUsd / startPrice;
+    cash -= perLevelUsd;
+    base += qty;
+    orders.push({ side: "SELL", price: startPrice * (1 + step * i), qty, cost: startPrice });
+  }
+
+  const fill = (o, ts) => {
+    o.filled = true;
+    if (o.side === "BUY") {
+      cash -= o.price * o.qty;
+      base += o.qty;
+      orders.push({ side: "SELL", price: o.price * (1 + step), qty: o.qty, cost: o.price });
+      fills.push({ side: "BUY", fill_price: o.price, qty: o.qty, pnl_delta: 0, filled_ts: Math.floor(ts / 1000) });
+    } else {
+      const pnl = (o.price - o.cost) * o.qty;
+      cash += o.price * o.qty;
+      base -= o.qty;
+      realized += pnl;
+      orders.push({ side: "BUY", price: o.price / (1 + step), qty: o.qty, cost: null });
+      fills.push({ side: "SELL", fill_price: o.price, qty: o.qty, pnl_delta: pnl, filled_ts: Math.floor(ts / 1000) });
+    }
+  };
+  const touchDown = (low, ts) => {
+    const hit = orders.filter((o) => !o.filled && o.side === "BUY" && low <= o.price).sort((a, b) => b.price - a.price);
+    for (const o of hit) fill(o, ts);
+  };
+  const touchUp = (high, ts) => {
+    const hit = orders.filter((o) => !o.filled && o.side === "SELL" && high >= o.price).sort((a, b) => a.price - b.price);
+    for (const o of hit) fill(o, ts);
+  };
+
+  let peak = capital;
+  let maxDrawdown = 0;
+  const equityCurve = [];
+
+  for (const c of series) {
+    // Intra-candle path is unknown: assume open→low→high→close for green candles, open→high→low→close for red ones.
+    if (c.close >= c.open) {
+      touchDown(c.low, c.ts);
+      touchUp(c.high, c.ts);
+    } else {
+      touchUp(c.high, c.ts);
+      touchDown(c.low, c.ts);
+    }
+    for (let i = orders.length - 1; i >= 0; i--) if (orders[i].filled) orders.splice(i, 1);
+
+    const equity = cash + base * c.close;
+    equityCurve.push({ ts: c.ts, equity });
+    if (equity > peak) peak = equity;
+    if (peak > 0) maxDrawdown = Math.max(maxDrawdown, (peak - equity) / peak);
+  }
+
+  const endPrice = series[series.length - 1].close;
+  const finalEquity = cash + base * endPrice;
+  return {
+    mode: AUTO_GRID_LADDER[mode] ? mode : "SAFE",
+    ladder,
+    capital,
+    startPrice,
+    endPrice,
+    fromTs: series[0].ts,
+    toTs: series[series.length - 1].ts,
+    candles: series.length,
+    fills,
+    fillCount: fills.length,
+    realizedPnl: realized,
+    pnl: finalEquity - capital,
+    roiPct: ((finalEquity - capital) / capital) * 100,
+    maxDrawdownPct: maxDrawdown * 100,
+    equityCurve,
+  };
+}
+
+// Merges fresh history into the cached backtest series so the replay has data offline.
+export function mergeBacktestSeries(symbol, candles, source) {
+  if (!Array.isArray(candles) || !candles.length) return;
+  const prev = readBacktestSeries(symbol)?.candles || [];
+  writeBacktestSeries(symbol, sortCandles([...prev, ...candles]).slice(-BT_SERIES_MAX_CANDLES), source);
+}
@@ -0,0 +1,76 @@
+import { describe, expect, it } from "vitest";
+import { backtestLadder, filterCandlesByDate, runGridBacktest } from "./backtest.js";
+import { AUTO_GRID_LADDER } from "./grid.js";
+
+const candle = (i, open, low, high, close) => ({ ts: i * 86_400_000, open, high, low, close });
+
+describe("runGridBacktest", () => {
+  it("replays the AUTO ladder spacing of the chosen mode", () => {
+    // A dip to -1.5% reaches SAFE's first BUY level (-1%) but not AGGRESSIVE's (-2%).
+    const candles = [candle(0, 100, 100, 100, 100), candle(1, 100, 98.5, 100, 99)];
+    const safe = runGridBacktest({ candles, mode: "SAFE", capitalUsd: 1000 });
+    const aggressive = runGridBacktest({ candles, mode: "AGGRESSIVE", capitalUsd: 1000 });
+
+    expect(safe.fills.map((f) => f.fill_price)).toEqual([100 * (1 - AUTO_GRID_LADDER.SAFE.stepPct / 100)]);
+    expect(aggressive.fillCount).toBe(0);
+    expect(runGridBacktest({ candles, mode: "nope", capitalUsd: 1000 }).mode).toBe("SAFE");
+  });
+
+  it("re-arms a filled level one step away and books the round trip", () => {
+    // 1 level per side, 10% apart, $200 -> $100 per level; SELL @110 backed by 1 unit bought at 100.
+    const candles = [
+      candle(0, 100, 100, 100, 100),
+      candle(1, 100, 90, 100, 91), // red: BUY @90 fills -> SELL re-armed @99
+      candle(2, 91, 91, 100, 99), // green: that SELL fills -> BUY re-armed @90
+      candle(3, 99, 99, 99, 99),
+    ];
+    const r = runGridBacktest({ candles, mode: "SAFE", capitalUsd: 200, ladder: { stepPct: 10, levelsPerSide: 1 } });
+    const buyQty = 100 / 90;
+
+    expect(r.ladder).toEqual({ stepPct: 10, levelsPerSide: 1 });
+    expect(r.fills.map((f) => [f.side, f.fill_price])).toEqual([
+      ["BUY", 90],
+      ["SELL", expect.closeTo(99, 9)],
+    ]);
+    expect(r.fills[1].qty).toBeCloseTo(buyQty, 9);
+    expect(r.realizedPnl).toBeCloseTo(9 * buyQty, 9);
+    expect(r.fills[1].pnl_delta).toBeCloseTo(r.realizedPnl, 9);
+
+    // Equity: cash 100 + 1 unit. Day 1 closes at 91 with 1 + 100/90 units and no cash.
+    const day1 = (1 + buyQty) * 91;
+    expect(r.equityCurve.map((p) => p.equity)[1]).toBeCloseTo(day1, 9);
+    expect(r.maxDrawdownPct).toBeCloseTo(((200 - day1) / 200) * 100, 9);
+
+    const final = 100 + 9 * buyQty + 99; // cash after the round trip + 1 unit at 99
+    expect(r.pnl).toBeCloseTo(final - 200, 9);
+    expect(r.roiPct).toBeCloseTo(((final - 200) / 200) * 100, 9);
+  });
+
+  it("rejects bad input and ladder overrides", () => {
+    const candles = [candle(0, 100, 100, 100, 100), candle(1, 100, 100, 100, 100)];
+    expect(() => runGridBacktest({ candles: candles.slice(0, 1), mode: "SAFE", capitalUsd: 100 })).toThrow(/2 candles/);
+    expect(() => runGridBacktest({ candles, mode: "SAFE", capitalUsd: 0 })).toThrow(/capital/);
+    expect(() => runGridBacktest({ candles, mode: "SAFE", capitalUsd: 100, ladder: { stepPct: 0 } })).toThrow(/step/);
+    expect(() => runGridBacktest({ candles, mode: "SAFE", capitalUsd: 100, ladder: { levelsPerSide: 2.5 } })).toThrow(/Levels/);
+  });
+});
+
+describe("backtestLadder", () => {
+  it("defaults to the assumed AUTO ladder and applies only the filled-in overrides", () => {
+    expect(backtestLadder("AGGRESSIVE")).toEqual(AUTO_GRID_LADDER.AGGRESSIVE);
+    expect(backtestLadder("SAFE", { stepPct: "", levelsPerSide: "3" })).toEqual({ ...AUTO_GRID_LADDER.SAFE, levelsPerSide: 3 });
+    expect(backtestLadder("SAFE", { stepPct: "0.5" }).stepPct).toBe(0.5);
+  });
+});
+
+describe("filterCandlesByDate", () => {
+  it("keeps candles from the start of `from` to the end of `to` (local days, inclusive)", () => {
+    const at = (s) => ({ ts: new Date(s).getTime() });
+    const candles = [at("2026-03-01T23:00:00"), at("2026-03-02T00:00:00"), at("2026-03-03T23:59:59.500"), at("2026-03-04T00:00:00")];
+
+    expect(filterCandlesByDate(candles, "2026-03-02", "2026-03-03")).toEqual(candles.slice(1, 3));
+    expect(filterCandlesByDate(candles, "", "2026-03-01")).toEqual(candles.slice(0, 1));
+    expect(filterCandlesByDate(candles, "2026-03-04", "")).toEqual(candles.slice(3));
+    expect(filterCandlesByDate(candles, "", "")).toEqual(candles);
+  });
+});
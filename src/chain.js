@@ -0,0 +1,152 @@
+/**
+ * Nexus Analyt — on-chain reads through the connected wallet provider (EIP-1193)
+ *
+ * Read-only JSON-RPC: eth_getBalance + ERC-20 balanceOf/decimals via eth_call.
+ * Works with window.ethereum and the WalletConnect provider (both expose request()).
+ */
+
+// Native coin per supported chain; `price` = watchlist symbol used for valuation.
+export const NATIVE_ASSETS = {
+  1: { symbol: "ETH", price: "ETH" },
+  137: { symbol: "POL", price: "POL" },
+  56: { symbol: "BNB", price: "BNB" },
+  42161: { symbol: "ETH", price: "ETH" },
+  10: { symbol: "ETH", price: "ETH" },
+  43114: { symbol: "AVAX", price: "AVAX" },
+  8453: { symbol: "ETH", price: "ETH" },
+};
+
+// Well-known ERC-20s per chain (majors + stables). price "USD" = valued at the $1 peg.
+export const MAJOR_TOKENS = {
+  1: [
+    { symbol: "USDC", price: "USD", address: "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48" },
+    { symbol: "USDT", price: "USD", address: "0xdAC17F958D2ee523a2206206994597C13D831ec7" },
+    { symbol: "DAI", price: "USD", address: "0x6B175474E89094C44Da98b954EedeAC495271d0F" },
+    { symbol: "WETH", price: "ETH", address: "0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2" },
+    { symbol: "WBTC", price: "BTC", address: "0x2260FAC5E5542a773Aa44fBCfeDf7C193bc2C599" },
+  ],
+  137: [
+    { symbol: "USDC", price: "USD", address: "0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359" },
+    { symbol: "USDC.e", price: "USD", address: "0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174" },
+    { symbol: "USDT", price: "USD", address: "0xc2132D05D31c914a87C6611C10748AEb04B58e8F" },
+    { symbol: "WETH", price: "ETH", address: "0x7ceB23fD6bC0adD59E62ac25578270cFf1b9f619" },
+    { symbol: "WBTC", price: "BTC", address: "0x1BFD67037B42Cf73acF2047067bd4F2C47D9BfD6" },
+  ],
+  56: [
+    { symbol: "USDT", price: "USD", address: "0x55d398326f99059fF775485246999027B3197955" },
+    { symbol: "USDC", price: "USD", address: "0x8AC76a51cc950d9822D68b83fE1Ad97B32Cd580d" },
+    { symbol: "ETH", price: "ETH", address: "0x2170Ed0880ac9A755fd29B2688956BD959F933F8" },
+    { symbol: "BTCB", price: "BTC", address: "0x7130d2A12B9BCbFAe4f2634d864A1Ee1Ce3Ead9c" },
+    { symbol: "XRP", price: "XRP", address: "0x1D2F0da169ceB9fC7B3144628dB156f3F6c60dBE" },
+  ],
+  42161: [
+    { symbol: "USDC", price: "USD", address: "0xaf88d065e77c8cC2239327C5EDb3A432268e5831" },
+    { symbol: "USDT", price: "USD", address: "0xFd086bC7CD5C481DCC9C85ebE478A1C0b69FCbb9" },
+    { symbol: "WETH", price: "ETH", address: "0x82aF49447D8a07e3bd95BD0d56f35241523fBab1" },
+    { symbol: "WBTC", price: "BTC", address: "0x2f2a2543B76A4166549F7aaB2e75Bef0aefC5B0f" },
+  ],
+  10: [
+    { symbol: "USDC", price: "USD", address: "0x0b2C639c533813f4Aa9D7837CAf62653d097Ff85" },
+    { symbol: "USDT", price: "USD", address: "0x94b008aA00579c1307B0EF2c499aD98a8ce58e58" },
+    { symbol: "WETH", price: "ETH", address: "0x4200000000000000000000000000000000000006" },
+  ],
+  43114: [
+    { symbol: "USDC", price: "USD", address: "0xB97EF9Ef8734C71904D8002F8b6Bc66Dd9c48a6E" },
+    { symbol: "USDT", price: "USD", address: "0x9702230A8Ea53601f5cD2dc00fDBc13d4dF4A8c7" },
+    { symbol: "WETH.e", price: "ETH", address: "0x49D5c2BdFfac6CE2BFdB6640F4F80f226bc10bAB" },
+    { symbol: "BTC.b", price: "BTC", address: "0x152b9d0FdC40C096757F570A51E494bd4b943E50" },
+  ],
+  8453: [
+    { symbol: "USDC", price: "USD", address: "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913" },
+    { symbol: "WETH", price: "ETH", address: "0x4200000000000000000000000000000000000006" },
+  ],
+};
+
+// wallet_addEthereumChain params (without chainId) for the WalletConnect chain list.
+export const ADD_CHAIN_PARAMS = {
+  1: {
+    chainName: "Ethereum Mainnet",
+    nativeCurrency: { name: "Ether", symbol: "ETH", decimals: 18 },
+    rpcUrls: ["https://ethereum-rpc.publicnode.com"],
+    blockExplorerUrls: ["https://etherscan.io"],
+  },
+  137: {
+    chainName: "Polygon Mainnet",
+    nativeCurrency: { name: "POL", symbol: "POL", decimals: 18 },
+    rpcUrls: ["https://polygon-rpc.com"],
+    blockExplorerUrls: ["https://polygonscan.com"],
+  },
+  56: {
+    chainName: "BNB Smart Chain",
+    nativeCurrency: { name: "BNB", symbol: "BNB", decimals: 18 },
+    rpcUrls: ["https://bsc-dataseed.bnbchain.org"],
+    blockExplorerUrls: ["https://bscscan.com"],
+  },
+  42161: {
+    chainName: "Arbitrum One",
+    nativeCurrency: { name: "Ether", symbol: "ETH", decimals: 18 },
+    rpcUrls: ["https://arb1.arbitrum.io/rpc"],
+    blockExplorerUrls: ["https://arbiscan.io"],
+  },
+  10: {
+    chainName: "OP Mainnet",
+    nativeCurrency: { name: "Ether", symbol: "ETH", decimals: 18 },
+    rpcUrls: ["https://mainnet.optimism.io"],
+    blockExplorerUrls: ["https://optimistic.etherscan.io"],
+  },
+  43114: {
+    chainName: "Avalanche C-Chain",
+    nativeCurrency: { name: "Avalanche", symbol: "AVAX", decimals: 18 },
+    rpcUrls: ["https://api.avax.network/ext/bc/C/rpc"],
+    blockExplorerUrls: ["https://snowtrace.io"],
+  },
+  8453: {
+    chainName: "Base",
+    nativeCurrency: { name: "Ether", symbol: "ETH", decimals: 18 },
+    rpcUrls: ["https://mainnet.base.org"],
+    blockExplorerUrls: ["https://basescan.org"],
+  },
+};
+
+const SEL_BALANCE_OF = "0x70a08231"; // balanceOf(address)
+const SEL_DECIMALS = "0x313ce567"; // decimals()
+
+const decimalsCache = new Map(); // `${chainId}:${token}` -> number
+
+function hexToBigInt(hex) {
+  const s = String(hex || "");
+  return s && s !== "0x" ? BigInt(s) : 0n;
+}
+
+/** Converts a raw integer amount to a JS number (precision is fine for display). */
+export function formatUnits(raw, decimals) {
+  const d = BigInt(10) ** BigInt(decimals);
+  const whole = raw / d;
+  const frac = raw % d;
+  return Number(whole) + Number(frac) / Number(d);
+}
+
+async function ethCall(provider, to, data) {
+  return provider.request({ method: "eth_call", params: [{ to, data }, "latest"] });
+}
+
+export async function nativeBalance(provider, owner) {
+  const hex = await provider.request({ method: "eth_getBalance", params: [owner, "latest"] });
+  return formatUnits(hexToBigInt(hex), 18);
+}
+
+export async function tokenDecimals(provider, chainId, token) {
+  const key = `${chainId}:${String(token).toLowerCase()}`;
+  if (decimalsCache.has(key)) return decimalsCache.get(key);
+  const hex = await ethCall(provider, token, SEL_DECIMALS);
+  if (!hex || hex === "0x") throw new Error("not an ERC-20 contract on this chain");
+  const d = Number(hexToBigInt(hex));
+  decimalsCache.set(key, d);
+  return d;
+}
+
+export async function erc20Balance(provider, chainId, token, owner) {
+  const data = SEL_BALANCE_OF + String(owner).toLowerCase().replace(/^0x/, "").padStart(64, "0");
+  const [hex, decimals] = await Promise.all([ethCall(provider, token, data), tokenDecimals(provider, chainId, token)]);
+  return formatUnits(hexToBigInt(hex), decimals);
+}
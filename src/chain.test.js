@@ -0,0 +1,38 @@
+import { describe, expect, it } from "vitest";
+import { erc20Balance, formatUnits, nativeBalance } from "./chain.js";
+import { stubProvider } from "./test/eip1193.js";
+
+const OWNER = "0x" + "11".repeat(20);
+
+describe("formatUnits", () => {
+  it("scales raw integer amounts by the token decimals", () => {
+    expect(formatUnits(1_500_000n, 6)).toBe(1.5);
+    expect(formatUnits(10n ** 18n * 3n + 25n * 10n ** 16n, 18)).toBe(3.25);
+    expect(formatUnits(0n, 18)).toBe(0);
+    expect(formatUnits(7n, 0)).toBe(7);
+  });
+});
+
+describe("balances", () => {
+  it("reads the native balance in 18 decimals", async () => {
+    const provider = stubProvider({ owner: OWNER, native: 2n * 10n ** 18n });
+    expect(await nativeBalance(provider, OWNER)).toBe(2);
+    expect(provider.calls).toEqual([{ method: "eth_getBalance", params: [OWNER, "latest"] }]);
+  });
+
+  it("reads balanceOf with the token's decimals and asks for the decimals once per chain + token", async () => {
+    const token = "0x" + "aa".repeat(20);
+    const provider = stubProvider({ owner: OWNER, tokens: { [token]: { decimals: 6, balance: 12_340_000n } } });
+
+    expect(await erc20Balance(provider, 1, token, OWNER)).toBe(12.34);
+    expect(await erc20Balance(provider, 1, token.toUpperCase().replace("0X", "0x"), OWNER)).toBe(12.34);
+    const decimalsCalls = provider.calls.filter((c) => c.params[0].data === "0x313ce567");
+    expect(decimalsCalls).toHaveLength(1);
+    expect(provider.calls[0].params).toEqual([{ to: token, data: "0x70a08231" + OWNER.slice(2).padStart(64, "0") }, "latest"]);
+  });
+
+  it("fails for an address without a contract on the chain", async () => {
+    const provider = stubProvider({ owner: OWNER });
+    await expect(erc20Balance(provider, 137, "0x" + "bb".repeat(20), OWNER)).rejects.toThrow("not an ERC-20 contract on this chain");
+  });
+});
@@ -0,0 +1,53 @@
+/**
+ * Nexus Analyt — price history (CoinGecko public API)
+ *
+ * The backend has no history route: market coins are charted from CoinGecko's market_chart by the id the
+ * watchlist's symbolMap already holds. CoinGecko returns prices only (5-min points for 1 day, hourly up to
+ * 90 days, daily beyond); they are grouped into candles here. DEX items have no history source.
+ */
+
+import { createApiClient } from "./api.js";
+import { sortCandles } from "./backtest.js";
+
+const COINGECKO = "https://api.coingecko.com/api/v3";
+
+// Third-party host: no getToken, so the backend session is never sent along.
+const client = createApiClient({ timeoutMs: 10000, retries: 1 });
+
+const HOUR_MS = 3_600_000;
+
+/** Candle width per range: hourly for 1 day, 4h up to 30 days, daily beyond (matches CoinGecko's granularity). */
+export function historyBucketMs(days) {
+  const d = Number(days) || 0;
+  return d <= 1 ? HOUR_MS : d <= 30 ? 4 * HOUR_MS : 24 * HOUR_MS;
+}
+
+export function coinHistoryUrl(id, days) {
+  return `${COINGECKO}/coins/${encodeURIComponent(id)}/market_chart?vs_currency=usd&days=${encodeURIComponent(days)}`;
+}
+
+/** market_chart `prices` ([[ms, price], ...]) -> candles: first / max / min / last price per bucket. */
+export function candlesFromPrices(prices, bucketMs) {
+  const byBucket = new Map();
+  for (const p of Array.isArray(prices) ? prices : []) {
+    const ts = p?.[0] == null ? NaN : Number(p[0]);
+    const price = Number(p?.[1]);
+    if (!Number.isFinite(ts) || !Number.isFinite(price) || price <= 0) continue;
+    const b = Math.floor(ts / bucketMs) * bucketMs;
+    const c = byBucket.get(b);
+    if (!c) byBucket.set(b, { ts: b, open: price, high: price, low: price, close: price, last: ts, first: ts });
+    else {
+      if (ts < c.first) Object.assign(c, { open: price, first: ts });
+      if (ts >= c.last) Object.assign(c, { close: price, last: ts });
+      c.high = Math.max(c.high, price);
+      c.low = Math.min(c.low, price);
+    }
+  }
+  return sortCandles(Array.from(byBucket.values(), ({ ts, open, high, low, close }) => ({ ts, open, high, low, close })));
+}
+
+/** Candles for a CoinGecko coin id over the last `days` days. */
+export async function fetchCoinHistory(id, days, { signal } = {}) {
+  const r = await client.get(coinHistoryUrl(id, days), { signal });
+  return candlesFromPrices(r?.prices, historyBucketMs(days));
+}
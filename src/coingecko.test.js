@@ -0,0 +1,47 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { candlesFromPrices, coinHistoryUrl, fetchCoinHistory, historyBucketMs } from "./coingecko.js";
+
+const H = 3_600_000;
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe("candlesFromPrices", () => {
+  it("groups prices into first / max / min / last candles per bucket", () => {
+    const prices = [
+      [2 * H + 600_000, 11],
+      [H, 10],
+      [H + 1_200_000, 14],
+      [H + 2_400_000, 9],
+      [H + 3_000_000, 12],
+      [3 * H, "bad"],
+      [null, 5],
+    ];
+    expect(candlesFromPrices(prices, H)).toEqual([
+      { ts: H, open: 10, high: 14, low: 9, close: 12 },
+      { ts: 2 * H, open: 11, high: 11, low: 11, close: 11 },
+    ]);
+    expect(candlesFromPrices(undefined, H)).toEqual([]);
+  });
+
+  it("uses hourly, 4h and daily candles like CoinGecko's granularity", () => {
+    expect(historyBucketMs(1)).toBe(H);
+    expect(historyBucketMs(7)).toBe(4 * H);
+    expect(historyBucketMs(30)).toBe(4 * H);
+    expect(historyBucketMs(180)).toBe(24 * H);
+  });
+});
+
+describe("fetchCoinHistory", () => {
+  it("loads market_chart by coin id without the backend session", async () => {
+    const fetchMock = vi.spyOn(globalThis, "fetch").mockResolvedValue(
+      new Response(JSON.stringify({ prices: [[0, 1], [H, 2]] }), { status: 200, headers: { "Content-Type": "application/json" } })
+    );
+    expect(await fetchCoinHistory("avalanche-2", 1)).toHaveLength(2);
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe(coinHistoryUrl("avalanche-2", 1));
+    expect(url).toBe("https://api.coingecko.com/api/v3/coins/avalanche-2/market_chart?vs_currency=usd&days=1");
+    expect(init.headers.Authorization).toBeUndefined();
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Nexus Analyt — comparison helpers (2–6 assets side by side)
+ *
+ * - performance: every close rescaled to % change since the asset's first close in the range
+ * - correlation: Pearson of per-bucket returns (hourly for 1D, daily otherwise) over the buckets all
+ *   assets of a pair have in common, so a missing day on one asset does not shift the other
+ */
+
+export const COMPARE_MIN = 2;
+export const COMPARE_MAX = 6;
+export const COMPARE_COLORS = [
+  "rgba(0,255,160,.9)",
+  "rgba(0,160,255,.9)",
+  "rgba(255,180,0,.9)",
+  "rgba(255,110,180,.9)",
+  "rgba(170,130,255,.9)",
+  "rgba(255,255,255,.75)",
+];
+
+/** Selected symbols: unique, upper-case, at most COMPARE_MAX, only those still on the watchlist. */
+export function normalizeCompareSelection(selection, watchlist) {
+  const out = [];
+  for (const s of Array.isArray(selection) ? selection : []) {
+    const sym = String(s || "").trim().toUpperCase();
+    if (sym && !out.includes(sym) && (!watchlist || watchlist.includes(sym))) out.push(sym);
+  }
+  return out.slice(0, COMPARE_MAX);
+}
+
+export function performanceSeries(candles) {
+  const list = (candles || []).filter((c) => Number.isFinite(c?.close) && c.close > 0);
+  if (!list.length) return [];
+  const c0 = list[0].close;
+  return list.map((c) => ({ x: c.ts, y: (c.close / c0 - 1) * 100 }));
+}
+
+// Last close per bucket -> { bucket: return vs the previous bucket }
+export function bucketReturns(candles, bucketMs = 86_400_000) {
+  const closes = new Map();
+  for (const c of candles || []) {
+    if (Number.isFinite(c?.close) && c.close > 0) closes.set(Math.floor(c.ts / bucketMs), c.close);
+  }
+  const keys = Array.from(closes.keys()).sort((a, b) => a - b);
+  const out = new Map();
+  for (let i = 1; i < keys.length; i++) {
+    if (keys[i] - keys[i - 1] !== 1) continue; // gap: no return for this bucket
+    out.set(keys[i], closes.get(keys[i]) / closes.get(keys[i - 1]) - 1);
+  }
+  return out;
+}
+
+export function pearson(xs, ys) {
+  const n = Math.min(xs.length, ys.length);
+  if (n < 3) return null;
+  let mx = 0;
+  let my = 0;
+  for (let i = 0; i < n; i++) {
+    mx += xs[i] / n;
+    my += ys[i] / n;
+  }
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxy += (xs[i] - mx) * (ys[i] - my);
+    sxx += (xs[i] - mx) ** 2;
+    syy += (ys[i] - my) ** 2;
+  }
+  if (!sxx || !syy) return null;
+  return Math.max(-1, Math.min(1, sxy / Math.sqrt(sxx * syy)));
+}
+
+/** { symbols, matrix[i][j] (null = not enough common buckets), samples[i][j] } */
+export function correlationMatrix(candlesBySym, symbols, bucketMs = 86_400_000) {
+  const returns = symbols.map((s) => bucketReturns(candlesBySym?.[s], bucketMs));
+  const matrix = symbols.map(() => symbols.map(() => null));
+  const samples = symbols.map(() => symbols.map(() => 0));
+  for (let i = 0; i < symbols.length; i++) {
+    for (let j = i; j < symbols.length; j++) {
+      const common = Array.from(returns[i].keys()).filter((k) => returns[j].has(k));
+      const r = i === j ? (common.length >= 3 ? 1 : null) : pearson(common.map((k) => returns[i].get(k)), common.map((k) => returns[j].get(k)));
+      matrix[i][j] = matrix[j][i] = r;
+      samples[i][j] = samples[j][i] = common.length;
+    }
+  }
+  return { symbols, matrix, samples };
+}
@@ -0,0 +1,47 @@
+import { describe, expect, it } from "vitest";
+import { bucketReturns, correlationMatrix, normalizeCompareSelection, pearson, performanceSeries } from "./compare.js";
+
+const DAY = 86_400_000;
+const candles = (closes, start = 0) => closes.map((close, i) => ({ ts: start + i * DAY, close }));
+
+describe("normalizeCompareSelection", () => {
+  it("dedupes, keeps watchlist symbols only and caps at six", () => {
+    expect(normalizeCompareSelection(["btc", "BTC", "ETH", "DOGE"], ["BTC", "ETH"])).toEqual(["BTC", "ETH"]);
+    expect(normalizeCompareSelection(["A", "B", "C", "D", "E", "F", "G"])).toHaveLength(6);
+    expect(normalizeCompareSelection(null, ["BTC"])).toEqual([]);
+  });
+});
+
+describe("performanceSeries", () => {
+  it("rescales closes to % change since the first close", () => {
+    const ys = performanceSeries(candles([100, 110, 90])).map((p) => p.y);
+    expect(ys[0]).toBe(0);
+    expect(ys[1]).toBeCloseTo(10);
+    expect(ys[2]).toBeCloseTo(-10);
+    expect(performanceSeries([])).toEqual([]);
+  });
+});
+
+describe("correlation", () => {
+  it("computes returns per bucket and skips gaps", () => {
+    const r = bucketReturns([...candles([100, 110]), { ts: 3 * DAY, close: 121 }]);
+    expect(Array.from(r.keys())).toEqual([1]);
+    expect(r.get(1)).toBeCloseTo(0.1);
+  });
+
+  it("is 1 for identical moves, -1 for mirrored moves and null without enough overlap", () => {
+    expect(pearson([1, 2, 3], [2, 4, 6])).toBeCloseTo(1);
+    expect(pearson([1, 2], [1, 2])).toBeNull();
+
+    const up = candles([100, 102, 99, 105, 104]);
+    const same = candles([50, 51, 49.5, 52.5, 52]);
+    const mirrored = candles([100, 98, 101, 95, 96]);
+    const { matrix, samples } = correlationMatrix({ A: up, B: same, C: mirrored, D: candles([1, 2]) }, ["A", "B", "C", "D"]);
+    expect(matrix[0][0]).toBe(1);
+    expect(matrix[0][1]).toBeCloseTo(1, 2);
+    expect(matrix[0][2]).toBeLessThan(-0.9);
+    expect(matrix[2][0]).toBe(matrix[0][2]);
+    expect(matrix[0][3]).toBeNull();
+    expect(samples[0][1]).toBe(4);
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Nexus Analyt — IndexedDB helper
+ *
+ * Tiny promise wrapper around one shared database. Stores are created in onupgradeneeded;
+ * bump DB_VERSION and add a step when a feature needs a new store.
+ * A newer build opening a higher version in another tab gets the connection released right away
+ * (onversionchange), so the upgrade is never blocked by this tab; the next call reopens.
+ */
+
+const DB_NAME = "nexus-analyt";
+const DB_VERSION = 2;
+
+let dbPromise = null;
+
+export function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB not available in this browser."));
+      return;
+    }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = (e) => {
+      const db = req.result;
+      if (e.oldVersion < 1) {
+        // AI Analyst threads: { id, pairKey, title, turns:[{role, kind, content, ts}], createdAt, updatedAt }
+        const threads = db.createObjectStore("aiThreads", { keyPath: "id" });
+        threads.createIndex("pairKey", "pairKey", { unique: false });
+      }
+      if (e.oldVersion < 2) {
+        // Health score history: { id: "SYMBOL:ts", symbol, ts, fast, score, status, metrics }
+        const history = db.createObjectStore("healthHistory", { keyPath: "id" });
+        history.createIndex("symbol", "symbol", { unique: false });
+        history.createIndex("ts", "ts", { unique: false });
+      }
+    };
+    req.onsuccess = () => {
+      const db = req.result;
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+    req.onerror = () => reject(req.error || new Error("IndexedDB open failed."));
+    // Tabs of builds before onversionchange keep the old version open: wait, the open completes once they close.
+    req.onblocked = () => console.info("[db] IndexedDB upgrade waits for other tabs of an older version to close.");
+  }).catch((e) => {
+    dbPromise = null; // allow a retry later
+    throw e;
+  });
+  return dbPromise;
+}
+
+function done(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function store(name, mode) {
+  const db = await openDb();
+  return db.transaction(name, mode).objectStore(name);
+}
+
+/** All records of a store, or of one index value when `indexName` + `query` are given. */
+export async function idbGetAll(name, indexName, query) {
+  const s = await store(name, "readonly");
+  return done(indexName ? s.index(indexName).getAll(query) : s.getAll());
+}
+
+export async function idbGet(name, key) {
+  return done((await store(name, "readonly")).get(key));
+}
+
+export async function idbPut(name, value) {
+  return done((await store(name, "readwrite")).put(value));
+}
+
+export async function idbDelete(name, key) {
+  return done((await store(name, "readwrite")).delete(key));
+}
+
+/** Deletes every record whose `indexName` value lies in `range` (an IDBKeyRange); resolves with the count. */
+export async function idbDeleteRange(name, indexName, range) {
+  const s = await store(name, "readwrite");
+  return new Promise((resolve, reject) => {
+    let n = 0;
+    const req = s.index(indexName).openCursor(range);
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return resolve(n);
+      cursor.delete();
+      n += 1;
+      cursor.continue();
+    };
+    req.onerror = () => reject(req.error);
+  });
+}
@@ -0,0 +1,41 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { openDb } from "./db.js";
+
+// Minimal indexedDB.open stand-in: every open succeeds with a fresh connection.
+function fakeIndexedDb() {
+  const connections = [];
+  return {
+    connections,
+    open: vi.fn(() => {
+      const req = {};
+      const db = { close: vi.fn() };
+      connections.push(db);
+      queueMicrotask(() => {
+        req.result = db;
+        req.onsuccess?.();
+      });
+      return req;
+    }),
+  };
+}
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe("openDb", () => {
+  it("releases the connection when another tab upgrades and reopens on the next call", async () => {
+    const idb = fakeIndexedDb();
+    vi.stubGlobal("indexedDB", idb);
+
+    const first = await openDb();
+    expect(await openDb()).toBe(first);
+    expect(idb.open).toHaveBeenCalledTimes(1);
+
+    first.onversionchange();
+    expect(first.close).toHaveBeenCalled();
+    const second = await openDb();
+    expect(second).not.toBe(first);
+    expect(idb.open).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Nexus Analyt — DEX resolver (Dexscreener public API)
+ *
+ * Takes a token contract and finds the supported chains it trades on plus its pools
+ * (liquidity, quote asset, DEX). Supported chains = the WalletConnect chain list.
+ */
+
+import { createApiClient } from "./api.js";
+
+export const DEX_CHAINS = [
+  { chainId: 1, key: "ethereum", short: "ETH", name: "Ethereum", aliases: ["eth", "mainnet"] },
+  { chainId: 137, key: "polygon", short: "POL", name: "Polygon", aliases: ["matic", "pol"] },
+  { chainId: 56, key: "bsc", short: "BSC", name: "BNB Chain", aliases: ["bnb", "binance"] },
+  { chainId: 42161, key: "arbitrum", short: "ARB", name: "Arbitrum", aliases: ["arb"] },
+  { chainId: 10, key: "optimism", short: "OP", name: "Optimism", aliases: ["op"] },
+  { chainId: 43114, key: "avalanche", short: "AVAX", name: "Avalanche", aliases: ["avax"] },
+  { chainId: 8453, key: "base", short: "BASE", name: "Base", aliases: [] },
+];
+
+const DEXSCREENER = "https://api.dexscreener.com";
+
+// Third-party host: no getToken, so the backend session is never sent along.
+const client = createApiClient({ timeoutMs: 10000, retries: 1 });
+
+export function isEvmAddress(x) {
+  return /^0x[a-fA-F0-9]{40}$/.test(String(x || "").trim());
+}
+
+/** Chain by Dexscreener key, chain id or a common alias ("eth", "matic", "arb", 8453, ...). */
+export function findDexChain(x) {
+  const s = String(x ?? "").trim().toLowerCase();
+  if (!s) return null;
+  return DEX_CHAINS.find((c) => c.key === s || String(c.chainId) === s || c.aliases.includes(s)) || null;
+}
+
+function num(v) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function toPool(p, chain) {
+  return {
+    chainId: chain.chainId,
+    chain: chain.key,
+    chainName: chain.name,
+    dex: String(p?.dexId || ""),
+    pairAddress: String(p?.pairAddress || ""),
+    url: String(p?.url || ""),
+    base: { symbol: String(p?.baseToken?.symbol || ""), name: String(p?.baseToken?.name || ""), address: String(p?.baseToken?.address || "") },
+    quote: { symbol: String(p?.quoteToken?.symbol || ""), address: String(p?.quoteToken?.address || "") },
+    priceUsd: num(p?.priceUsd),
+    liquidityUsd: num(p?.liquidity?.usd),
+    volume24h: num(p?.volume?.h24),
+    change24h: num(p?.priceChange?.h24),
+  };
+}
+
+/**
+ * Pools of a token on the supported chains, best liquidity first.
+ * Only pools where the token is the base asset are kept (their priceUsd is the token's price).
+ * @returns {Promise<{token:{symbol,name}|null, chains:Array<{chainId,key,name,pools}>, pools:Array, otherChains:string[]}>}
+ */
+export async function findTokenPools(contract, { signal } = {}) {
+  const addr = String(contract || "").trim();
+  if (!isEvmAddress(addr)) throw new Error("Contract must be a valid EVM address (0x + 40 hex).");
+
+  const r = await client.get(`${DEXSCREENER}/latest/dex/tokens/${addr}`, { signal });
+  const pairs = Array.isArray(r?.pairs) ? r.pairs : [];
+  const lower = addr.toLowerCase();
+
+  const pools = [];
+  const otherChains = new Set();
+  for (const p of pairs) {
+    if (String(p?.baseToken?.address || "").toLowerCase() !== lower) continue;
+    const chain = findDexChain(p?.chainId);
+    if (!chain) {
+      if (p?.chainId) otherChains.add(String(p.chainId));
+      continue;
+    }
+    if (p?.pairAddress) pools.push(toPool(p, chain));
+  }
+  pools.sort((a, b) => (b.liquidityUsd || 0) - (a.liquidityUsd || 0));
+
+  const chains = DEX_CHAINS.map((c) => ({ chainId: c.chainId, key: c.key, name: c.name, pools: pools.filter((p) => p.chainId === c.chainId) })).filter(
+    (c) => c.pools.length
+  );
+  const top = pools[0];
+  return {
+    token: top ? { symbol: top.base.symbol, name: top.base.name } : null,
+    chains,
+    pools,
+    otherChains: Array.from(otherChains),
+  };
+}
@@ -0,0 +1,781 @@
+/**
+ * Nexus Analyt — AI Analyst (feature)
+ *
+ * - Quick Buttons + Ask AI via the backend (/api/ai), answers stream into the card and can be stopped
+ * - threads are saved per primary/compare pair in IndexedDB ("aiThreads"); follow-ups send the last turns along
+ * - prompts only carry CONTEXT_JSON built from the watchlist snapshot, health and live data of the selected pair,
+ *   plus every asset of the comparison workspace (context.assets + correlations) when 2 or more are selected
+ */
+
+import { useEffect, useRef } from "react";
+import { API, api } from "../backend.js";
+import { idbDelete, idbGetAll, idbPut } from "../db.js";
+import { createSelector, useActions, useProvideActions, useSetSlice, useStore, useStoreApi } from "../store.js";
+import { COMPARE_MIN } from "../compare.js";
+import { Badge, Card } from "../ui.jsx";
+import { downloadText, newId } from "../util.js";
+import { selectCompareCorrelation, selectCompareRows } from "./compare.jsx";
+import { selectEffectiveCompareHealth, selectEffectiveHealth, selectEffectiveLive } from "./health.jsx";
+import { selectCompareSym, selectPrimarySym } from "./resolver.jsx";
+import { selectWlMap } from "./watchlist.jsx";
+
+const LS_AI_VERBOSITY = "na_ai_verbosity_v1";
+const AI_HISTORY_TURNS = 6; // previous turns sent with a follow-up question
+const AI_HISTORY_MAX_CHARS = 1500; // per turn (keeps the prompt small)
+
+// Failed answers stay in the thread (marked `error`) but are not sent back as history.
+export function aiHistoryForPrompt(turns) {
+  return (Array.isArray(turns) ? turns : [])
+    .filter((t) => !t?.error)
+    .slice(-AI_HISTORY_TURNS)
+    .map((t) => ({
+      role: t.role === "assistant" ? "assistant" : "user",
+      content: String(t.content || "").slice(0, AI_HISTORY_MAX_CHARS),
+    }));
+}
+
+export function threadToMarkdown(thread) {
+  const lines = [`# ${thread?.title || "AI thread"}`, "", `Assets: ${thread?.pairKey || "-"}`, ""];
+  for (const t of thread?.turns || []) {
+    const who = t.role === "assistant" ? "AI" : "You";
+    const when = t.ts ? ` (${new Date(t.ts).toLocaleString()})` : "";
+    lines.push(`## ${who}${when}`, "", String(t.content || ""), "");
+  }
+  lines.push("_Educational overview only. Not financial advice._", "");
+  return lines.join("\n");
+}
+
+// ===== AI (via Backend → TBP-Advisor) =====
+// Rules we enforce in the frontend:
+// - Quick Buttons: medium length, NO prices, NO % values, NO trade levels, NO invented metrics/scores.
+// - Ask AI: can be longer, but MUST stay strictly within provided context data (no hallucinations).
+// - Language: Quick Buttons follow the last Ask AI input language (default EN). Ask AI follows the current input language.
+export function detectLang(s) {
+  const t = String(s || "").trim();
+  if (!t) return "en";
+  // lightweight heuristic: if it contains common German words/umlauts → de
+  const deHints = /\b(und|oder|aber|weil|dass|nicht|was|wie|warum|bitte|kann|soll|würde|für|mit|ohne)\b|[äöüß]/i;
+  return deHints.test(t) ? "de" : "en";
+}
+function level3(x, { low, high }) {
+  const n = Number(x);
+  if (!Number.isFinite(n)) return "unknown";
+  if (n < low) return "low";
+  if (n > high) return "high";
+  return "medium";
+}
+function sign3(x, eps = 0.15) {
+  const n = Number(x);
+  if (!Number.isFinite(n)) return "unknown";
+  if (n > eps) return "up";
+  if (n < -eps) return "down";
+  return "flat";
+}
+
+const num = (v) => (v != null && isFinite(Number(v)) ? Number(v) : null);
+
+function assetContext(r) {
+  return {
+    id: r.symbol,
+    mode: r.mode,
+    price: num(r.price),
+    change24h: num(r.change24h),
+    volume24h: num(r.volume24h),
+    liquidity: num(r.liquidity),
+    health: r.health ? { score: r.health.score, status: r.health.label, reasons: r.health.reasons.slice(0, 5) } : null,
+  };
+}
+
+function assetSignals(r) {
+  return {
+    id: r.symbol,
+    trend24h: sign3(r.change24h),
+    volumeLevel: level3(r.volume24h, { low: 50_000_000, high: 1_000_000_000 }),
+    liquidityLevel: level3(r.liquidity, { low: 500_000, high: 10_000_000 }),
+    healthStatus: r.health?.label || null,
+    healthReasons: r.health?.reasons?.slice(0, 5) || [],
+    mode: r.mode,
+  };
+}
+
+// Upper triangle of the comparison's correlation matrix: [{ a, b, r }] over the chosen range.
+function correlationPairs(corr, range) {
+  if (!corr) return null;
+  const pairs = [];
+  corr.symbols.forEach((a, i) =>
+    corr.symbols.forEach((b, j) => {
+      if (j > i) pairs.push({ a, b, r: corr.matrix[i][j] != null ? Number(corr.matrix[i][j].toFixed(2)) : null });
+    })
+  );
+  return { range, basis: range === "1D" ? "hourly returns" : "daily returns", pairs };
+}
+
+function readVerbosity() {
+  try {
+    const v = localStorage.getItem(LS_AI_VERBOSITY);
+    return v === "concise" || v === "detailed" ? v : "detailed";
+  } catch {
+    return "detailed";
+  }
+}
+
+export function aiState() {
+  return {
+    busy: false,
+    prompt: "Why stable? What to observe? What risks?",
+    answer: "", // answer currently streaming in
+    pendingQ: "", // question of the answer currently streaming
+    threads: [], // saved threads of the current pair
+    threadId: "",
+    renaming: false,
+    renameValue: "",
+    verbosity: readVerbosity(),
+    lastAskLang: "en",
+  };
+}
+
+// Threads are saved per primary/compare pair.
+export const selectAiPairKey = createSelector(
+  [selectPrimarySym, selectCompareSym, (s) => s.resolver.primaryItemId, (s) => s.resolver.compareItemId],
+  (primarySym, compareSym, primaryItemId, compareItemId) =>
+    `${primarySym || String(primaryItemId || "").trim() || "-"} vs ${compareSym || String(compareItemId || "").trim() || "-"}`
+);
+
+const selectAiThread = createSelector([(s) => s.ai.threads, (s) => s.ai.threadId], (threads, id) => threads.find((t) => t.id === id) || null);
+
+/* -------------------------
+   Controller
+--------------------------*/
+export function AiController() {
+  const store = useStoreApi();
+  const aiPairKey = useStore(selectAiPairKey);
+  const aiVerbosity = useStore((s) => s.ai.verbosity);
+  const setAi = useSetSlice("ai");
+  const watchlistActions = useActions("watchlist");
+  const aiAbortRef = useRef(null);
+  const aiPairKeyRef = useRef(aiPairKey);
+  aiPairKeyRef.current = aiPairKey;
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(LS_AI_VERBOSITY, aiVerbosity);
+    } catch {}
+  }, [aiVerbosity]);
+
+  // Load the saved threads of the current pair; reopen the most recent one.
+  useEffect(() => {
+    let cancelled = false;
+    setAi({ renaming: false });
+    idbGetAll("aiThreads", "pairKey", aiPairKey)
+      .then((rows) => {
+        if (cancelled) return;
+        const sorted = (rows || []).sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+        setAi({ threads: sorted, threadId: sorted[0]?.id || "" });
+      })
+      .catch(() => {
+        if (cancelled) return;
+        setAi({ threads: [], threadId: "" });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [aiPairKey, setAi]);
+
+  function saveAiThread(thread) {
+    // A thread finished after the pair changed still gets persisted, just not listed for the new pair.
+    if (thread.pairKey === aiPairKeyRef.current) {
+      setAi((cur) => ({ threads: [thread, ...(cur.threads || []).filter((t) => t.id !== thread.id)] }));
+    }
+    idbPut("aiThreads", thread).catch(() => {});
+  }
+
+  function newAiThread() {
+    setAi({ threadId: "", answer: "", renaming: false });
+  }
+
+  function renameAiThread() {
+    const { renameValue } = store.getState().ai;
+    const aiThread = selectAiThread(store.getState());
+    const title = String(renameValue || "").trim();
+    setAi({ renaming: false });
+    if (!aiThread || !title) return;
+    saveAiThread({ ...aiThread, title, updatedAt: Date.now() });
+  }
+
+  function deleteAiThread() {
+    const aiThread = selectAiThread(store.getState());
+    if (!aiThread) return;
+    const id = aiThread.id;
+    setAi((cur) => ({ threads: (cur.threads || []).filter((t) => t.id !== id), threadId: "", answer: "" }));
+    idbDelete("aiThreads", id).catch(() => {});
+  }
+
+  function exportAiThread() {
+    const aiThread = selectAiThread(store.getState());
+    if (!aiThread) return;
+    const slug = String(aiThread.title || aiThread.id).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+    downloadText(`nexus-ai-${slug || "thread"}.md`, threadToMarkdown(aiThread), "text/markdown");
+  }
+
+  async function askAi(kind) {
+    const s = store.getState();
+    const { primaryItemId, compareItemId } = s.resolver;
+    const primarySym = selectPrimarySym(s);
+    const compareSym = selectCompareSym(s);
+    const wlMap = selectWlMap(s);
+    const effectiveLive = selectEffectiveLive(s);
+    const effectiveHealth = selectEffectiveHealth(s);
+    const effectiveCompareHealth = selectEffectiveCompareHealth(s);
+    const walletAddress = s.wallet.address;
+    const { prompt: aiPrompt, verbosity: aiVerbosity, lastAskLang } = s.ai;
+    const aiThread = selectAiThread(s);
+    const userQ = String(aiPrompt || "").trim();
+
+    // Defaults so Quick Buttons work even when the Ask field is empty
+    const defaultQ =
+      kind === "Quick Overview"
+        ? "Give a quick overview for the selected assets."
+        : kind === "Risk Check"
+        ? "Run a risk check for the selected assets."
+        : kind === "Volume Breakdown"
+        ? "Explain what the current volume implies for grid fills."
+        : kind === "LP Stress Test"
+        ? "Simulate a liquidity stress scenario impact on a grid."
+        : "Explain what the data suggests and how a grid behaves in this situation.";
+
+    // Language rules:
+    // - Ask AI uses the language of the current input
+    // - Quick Buttons use the last Ask AI input language (default EN)
+    const askLangNow = detectLang(userQ);
+    const outLang = kind === "General" ? askLangNow : (lastAskLang || "en");
+
+    // Update lastAskLang ONLY when user clicks Ask AI (General)
+    if (kind === "General") setAi({ lastAskLang: askLangNow });
+
+    // Best-effort refresh for selected symbols (do not block AI)
+    const compareRows = selectCompareRows(s);
+    const comparing = compareRows.length >= COMPARE_MIN;
+    watchlistActions
+      .refreshWatchlist([...new Set([primarySym, compareSym, ...(comparing ? compareRows.map((r) => r.symbol) : [])].filter(Boolean))])
+      .catch(() => {});
+
+    const pIsMarket = Boolean(primarySym);
+    const cIsMarket = Boolean(compareSym);
+
+    const pRow = pIsMarket ? wlMap.get(primarySym) : null;
+    const cRow = cIsMarket ? wlMap.get(compareSym) : null;
+
+    // Same health the cards and context.assets show: profile-scored when the profile is enabled.
+    const pHealth = effectiveHealth || null;
+    const cHealth = effectiveCompareHealth || null;
+
+    // Signals for Quick Buttons (qualitative; avoids showing raw numbers)
+    const primarySignals = {
+      trend24h: sign3(pIsMarket ? pRow?.change24h : effectiveLive?.change24h),
+      volumeLevel: level3(pIsMarket ? pRow?.volume24h : effectiveLive?.volume24h, { low: 50_000_000, high: 1_000_000_000 }),
+      liquidityLevel: level3(pIsMarket ? pRow?.liquidity : effectiveLive?.liquidity, { low: 500_000, high: 10_000_000 }),
+      healthStatus: pHealth?.status || null,
+      healthReasons: Array.isArray(pHealth?.reasons) ? pHealth.reasons.slice(0, 5) : [],
+      mode: pIsMarket ? "market" : "dex",
+    };
+    const compareSignals = compareItemId
+      ? {
+          trend24h: sign3(cIsMarket ? cRow?.change24h : null),
+          volumeLevel: level3(cIsMarket ? cRow?.volume24h : null, { low: 50_000_000, high: 1_000_000_000 }),
+          liquidityLevel: level3(cIsMarket ? cRow?.liquidity : null, { low: 500_000, high: 10_000_000 }),
+          healthStatus: cHealth?.status || null,
+          healthReasons: Array.isArray(cHealth?.reasons) ? cHealth.reasons.slice(0, 5) : [],
+          mode: cIsMarket ? "market" : "dex",
+        }
+      : null;
+
+    const context = {
+      kind,
+      language: outLang,
+      // raw numeric snapshot (Ask AI may use, Quick Buttons must not print numbers)
+      primary: pIsMarket
+        ? {
+            id: primarySym,
+            mode: "market",
+            price: Number(pRow?.price) || null,
+            change24h: isFinite(Number(pRow?.change24h)) ? Number(pRow?.change24h) : null,
+            volume24h: isFinite(Number(pRow?.volume24h)) ? Number(pRow?.volume24h) : null,
+            liquidity: isFinite(Number(pRow?.liquidity)) ? Number(pRow?.liquidity) : null,
+            health: pHealth || null,
+          }
+        : {
+            id: primaryItemId || "-",
+            mode: "dex",
+            price: effectiveLive?.price ?? null,
+            change24h: effectiveLive?.change24h ?? null,
+            volume24h: effectiveLive?.volume24h ?? null,
+            liquidity: effectiveLive?.liquidity ?? null,
+            fdv: effectiveLive?.fdv ?? null,
+            marketCap: effectiveLive?.marketCap ?? null,
+            health: pHealth || null,
+          },
+      compare: compareItemId
+        ? cIsMarket
+          ? {
+              id: compareSym,
+              mode: "market",
+              price: Number(cRow?.price) || null,
+              change24h: isFinite(Number(cRow?.change24h)) ? Number(cRow?.change24h) : null,
+              volume24h: isFinite(Number(cRow?.volume24h)) ? Number(cRow?.volume24h) : null,
+              liquidity: isFinite(Number(cRow?.liquidity)) ? Number(cRow?.liquidity) : null,
+              health: cHealth || null,
+            }
+          : {
+              id: compareItemId,
+              mode: "dex",
+              health: cHealth || null,
+            }
+        : null,
+      // qualitative signals (preferred for Quick Buttons)
+      signals: {
+        primary: { id: pIsMarket ? primarySym : (primaryItemId || "-"), ...primarySignals },
+        compare: compareItemId ? { id: cIsMarket ? compareSym : compareItemId, ...compareSignals } : null,
+        assets: comparing ? compareRows.map(assetSignals) : null,
+      },
+      // comparison workspace (2–6 assets, health with the user's score profile applied)
+      assets: comparing ? compareRows.map(assetContext) : null,
+      correlations: comparing ? correlationPairs(selectCompareCorrelation(s), s.compare.range) : null,
+    };
+
+    // Build strict instructions per button
+    const baseRulesEN = [
+      "Use ONLY the provided CONTEXT_JSON. Do NOT use outside knowledge.",
+      "Do NOT invent metrics (no 'liquidity score', no 'confidence score' unless explicitly present in context.health).",
+      "If a value is null/missing, say 'data not available'.",
+      "No financial advice. No buy/sell instructions.",
+    ];
+    const baseRulesDE = [
+      "Nutze AUSSCHLIESSLICH das CONTEXT_JSON. Kein Außenwissen.",
+      "Erfinde keine Metriken (kein 'liquidity score', kein 'confidence score', außer es steht explizit in context.health).",
+      "Wenn ein Wert fehlt/null ist, schreibe 'Data not available'.",
+      "Keine Finanzberatung. Keine Buy/Sell-Anweisungen.",
+    ];
+
+    const assetsRule =
+      outLang === "de"
+        ? "Wenn context.assets vorhanden ist: behandle JEDES dort gelistete Asset (Vergleich), nicht nur A und B."
+        : "If context.assets is present: cover EVERY asset listed there (comparison), not only A and B.";
+    const rules = [...(outLang === "de" ? baseRulesDE : baseRulesEN), ...(comparing ? [assetsRule] : [])];
+
+    const quickCommon = outLang === "de"
+      ? [
+          "Für Quick-Buttons: KEINE Zahlen ausgeben (keine Preise, keine %, keine Volumen-Zahlen).",
+          "Nutze stattdessen die qualitativen Signale: trend24h (up/down/flat), volumeLevel (low/medium/high), liquidityLevel (low/medium/high), healthStatus + healthReasons.",
+          (aiVerbosity === "concise" ? "Länge: kurz (max ~120 Wörter)." : "Länge: mittel (ca. 8–12 Zeilen)."),
+          "Format: Bulletpoints, klar getrennt für A und B (falls Compare vorhanden).",
+          "Am Ende IMMER 1 Disclaimer-Satz: 'Educational overview only. Not financial advice.'",
+        ]
+      : [
+          "For Quick Buttons: DO NOT output numbers (no prices, no % values, no raw volume numbers).",
+          "Use the qualitative signals only: trend24h (up/down/flat), volumeLevel (low/medium/high), liquidityLevel (low/medium/high), healthStatus + healthReasons.",
+          (aiVerbosity === "concise" ? "Length: short (max ~120 words)." : "Length: medium (about 8–12 lines)."),
+          "Format: bullet points; clearly separate Asset A and Asset B (if compare).",
+          "Always end with exactly one disclaimer sentence: 'Educational overview only. Not financial advice.'",
+        ];
+
+    const askAiRules = outLang === "de"
+      ? [
+          (aiVerbosity === "concise" ? "Antwortlänge: kurz & prägnant (max ~180 Wörter)." : "Antwortlänge: ausführlicher (bis ~350 Wörter)."),
+          "Ask AI darf ausführlich sein, aber NUR auf Basis des CONTEXT_JSON.",
+          "Du darfst Zahlen aus context.primary/compare/assets verwenden (z.B. price, change24h, volume24h), aber nur wenn sie nicht null sind.",
+          "Keine erfundenen Scores. Keine Empfehlungen, keine Trade-Anweisungen.",
+          "Am Ende IMMER 1 Disclaimer-Satz: 'Educational overview only. Not financial advice.'",
+        ]
+      : [
+          (aiVerbosity === "concise" ? "Answer length: concise (max ~180 words)." : "Answer length: detailed (up to ~350 words)."),
+          "Ask AI can be detailed, but ONLY based on CONTEXT_JSON.",
+          "You may reference numeric fields from context.primary/compare/assets (price/change24h/volume24h) ONLY if they are not null.",
+          "No invented scores. No recommendations or trade instructions.",
+          "Always end with exactly one disclaimer sentence: 'Educational overview only. Not financial advice.'",
+        ];
+
+    const promptByKind = (() => {
+      const a = context.signals.primary?.id || "A";
+      const b = context.signals.compare?.id || "B";
+
+      if (kind === "Quick Overview") {
+        return (outLang === "de"
+          ? `Erstelle einen kurzen Überblick (Quick Overview) für A und ggf. B.
+` +
+            `A: ${a}
+` +
+            (context.signals.compare ? `B: ${b}
+` : "") +
+            `Inhalte: Marktcharakter + Grid-Eignung (qualitativ), keine Zahlen.
+` +
+            `
+Regeln:
+- ${rules.join("\n- ")}
+- ${quickCommon.join("\n- ")}
+
+CONTEXT_JSON:
+${JSON.stringify(context)}`
+          : `Create a Quick Overview for A and (if present) B.
+` +
+            `A: ${a}
+` +
+            (context.signals.compare ? `B: ${b}
+` : "") +
+            `Content: market character + grid suitability (qualitative), no numbers.
+` +
+            `
+Rules:
+- ${rules.join("\n- ")}
+- ${quickCommon.join("\n- ")}
+
+CONTEXT_JSON:
+${JSON.stringify(context)}`);
+      }
+
+      if (kind === "Risk Check") {
+        return (outLang === "de"
+          ? `Führe einen Risk Check für A und ggf. B durch.
+` +
+            `Nur Risiken und worauf man achten sollte (Grid-spezifisch). Keine Zahlen.
+` +
+            `
+Regeln:
+- ${rules.join("\n- ")}
+- ${quickCommon.join("\n- ")}
+
+CONTEXT_JSON:
+${JSON.stringify(context)}`
+          : `Run a Risk Check for A and (if present) B.
+` +
+            `Only risks and what to watch (grid-specific). No numbers.
+` +
+            `
+Rules:
+- ${rules.join("\n- ")}
+- ${quickCommon.join("\n- ")}
+
+CONTEXT_JSON:
+${JSON.stringify(context)}`);
+      }
+
+      if (kind === "Volume Breakdown") {
+        return (outLang === "de"
+          ? `Erkläre Volume Breakdown für A und ggf. B.
+` +
+            `Fokus: Aktivität + Fill-Verhalten (qualitativ). Keine Zahlen.
+` +
+            `
+Regeln:
+- ${rules.join("\n- ")}
+- ${quickCommon.join("\n- ")}
+
+CONTEXT_JSON:
+${JSON.stringify(context)}`
+          : `Explain a Volume Breakdown for A and (if present) B.
+` +
+            `Focus: activity + fill behavior (qualitative). No numbers.
+` +
+            `
+Rules:
+- ${rules.join("\n- ")}
+- ${quickCommon.join("\n- ")}
+
+CONTEXT_JSON:
+${JSON.stringify(context)}`);
+      }
+
+      if (kind === "LP Stress Test") {
+        return (outLang === "de"
+          ? `Führe einen LP Stress Test für A und ggf. B durch.
+` +
+            `Fokus: Liquiditätsstress-Szenarien + Auswirkungen auf Grid (qualitativ). Keine Zahlen.
+` +
+            `
+Regeln:
+- ${rules.join("\n- ")}
+- ${quickCommon.join("\n- ")}
+
+CONTEXT_JSON:
+${JSON.stringify(context)}`
+          : `Run an LP Stress Test for A and (if present) B.
+` +
+            `Focus: liquidity stress scenarios + grid impact (qualitative). No numbers.
+` +
+            `
+Rules:
+- ${rules.join("\n- ")}
+- ${quickCommon.join("\n- ")}
+
+CONTEXT_JSON:
+${JSON.stringify(context)}`);
+      }
+
+      // Ask AI (General)
+      return (outLang === "de"
+        ? `Beantworte die Nutzerfrage ausführlich, aber strikt nur mit den Daten aus CONTEXT_JSON.
+` +
+          `User question: ${userQ || defaultQ}
+` +
+          `
+Regeln:
+- ${rules.join("\n- ")}
+- ${askAiRules.join("\n- ")}
+
+CONTEXT_JSON:
+${JSON.stringify(context)}`
+        : `Answer the user's question in detail, but strictly only using CONTEXT_JSON data.
+` +
+          `User question: ${userQ || defaultQ}
+` +
+          `
+Rules:
+- ${rules.join("\n- ")}
+- ${askAiRules.join("\n- ")}
+
+CONTEXT_JSON:
+${JSON.stringify(context)}`);
+    })();
+
+    // Follow-ups: send the previous turns of the open thread along with CONTEXT_JSON.
+    // The question text stays top-level (Render payload) and carries the history; it is not sent a second time.
+    const thread =
+      aiThread || {
+        id: newId("thr"),
+        pairKey: aiPairKeyRef.current,
+        title: "",
+        turns: [],
+        createdAt: Date.now(),
+      };
+    const history = aiHistoryForPrompt(thread.turns);
+    const question = history.length
+      ? `${promptByKind}\n\nCONVERSATION_HISTORY (earlier turns, oldest first; use for follow-up references only):\n${history
+          .map((h) => `${h.role === "assistant" ? "AI" : "User"}: ${h.content}`)
+          .join("\n\n")}`
+      : promptByKind;
+    const userTurn = {
+      role: "user",
+      kind,
+      content: kind === "General" ? userQ || defaultQ : kind,
+      ts: Date.now(),
+    };
+
+    // Stream the answer into the box as it arrives; Stop aborts but keeps the partial text.
+    const ctrl = new AbortController();
+    aiAbortRef.current = ctrl;
+    setAi({ answer: "", pendingQ: userTurn.content, busy: true });
+    let finalText = "";
+    let failed = false;
+    try {
+      const answer = await api.stream(
+        `${API}/ai`,
+        {
+          mode: kind === "General" ? "chat" : "analysis",
+          question,
+          context,
+          wallet_address: walletAddress || "",
+        },
+        {
+          signal: ctrl.signal,
+          timeoutMs: 20000, // idle timeout: restarts with every streamed chunk
+          onToken: (t) => setAi((cur) => ({ answer: cur.answer + t })),
+        }
+      );
+
+      finalText = String(answer || "").trim() || (outLang === "de" ? "No answer." : "No answer.");
+    } catch (e) {
+      const partial = String(e?.partial || "");
+      if (e?.kind === "aborted") finalText = partial ? `${partial}\n\n[stopped]` : "[stopped]";
+      else {
+        // Keep the question in the thread: the failed answer is saved with an error marker.
+        failed = true;
+        const msg = `AI error: ${String(e?.message || e)}`;
+        finalText = partial ? `${partial}\n\n[${msg}]` : `[${msg}]`;
+      }
+    } finally {
+      if (aiAbortRef.current === ctrl) aiAbortRef.current = null;
+      setAi({ pendingQ: "", busy: false });
+    }
+
+    saveAiThread({
+      ...thread,
+      title: thread.title || userTurn.content.slice(0, 60),
+      turns: [...thread.turns, userTurn, { role: "assistant", kind, content: finalText, ts: Date.now(), ...(failed ? { error: true } : {}) }],
+      updatedAt: Date.now(),
+    });
+    setAi({ threadId: thread.id, answer: "" });
+  }
+
+
+  function stopAi() {
+    aiAbortRef.current?.abort();
+  }
+
+  useProvideActions("ai", { askAi, stopAi, newAiThread, renameAiThread, deleteAiThread, exportAiThread });
+  return null;
+}
+
+/* -------------------------
+   UI
+--------------------------*/
+export function AiCard() {
+  const {
+    busy: aiBusy,
+    prompt: aiPrompt,
+    answer: aiAnswer,
+    pendingQ: aiPendingQ,
+    threads: aiThreads,
+    threadId: aiThreadId,
+    renaming: aiRenaming,
+    renameValue: aiRenameValue,
+    verbosity: aiVerbosity,
+  } = useStore((s) => s.ai);
+  const aiThread = useStore(selectAiThread);
+  const aiPairKey = useStore(selectAiPairKey);
+  const compareRows = useStore(selectCompareRows);
+  const setAi = useSetSlice("ai");
+  const { askAi, stopAi, newAiThread, renameAiThread, deleteAiThread, exportAiThread } = useActions("ai");
+
+  return (
+    <Card
+      title="AI Analyst (Render)"
+      right={<Badge ok={aiBusy ? null : true}>{aiBusy ? (aiAnswer ? "streaming…" : "thinking…") : "ready"}</Badge>}
+    >
+      <textarea
+        className="textarea mono"
+        value={aiPrompt}
+        onChange={(e) => setAi({ prompt: e.target.value })}
+        rows={3}
+      />
+
+      <div className="row" style={{ gap: 8, alignItems: "center", flexWrap: "wrap", marginTop: 8 }}>
+        <span className="muted">AI output:</span>
+        <button
+          className={"modeBtn" + (aiVerbosity === "concise" ? " active" : "")}
+          onClick={() => setAi({ verbosity: "concise" })}
+          disabled={aiBusy}
+          style={{ padding: "6px 10px", fontSize: 12 }}
+        >
+          Concise
+        </button>
+        <button
+          className={"modeBtn" + (aiVerbosity === "detailed" ? " active" : "")}
+          onClick={() => setAi({ verbosity: "detailed" })}
+          disabled={aiBusy}
+          style={{ padding: "6px 10px", fontSize: 12 }}
+        >
+          Detailed
+        </button>
+      </div>
+
+      <div className="muted" style={{ marginTop: 6 }}>
+        Not Financial Advice · Not Buy/Sell · Only Analyse & explanation.
+      </div>
+      <div className="muted" style={{ marginTop: 4, fontSize: 12 }}>
+        Context: {aiPairKey}
+        {compareRows.length >= COMPARE_MIN ? ` + comparison (${compareRows.map((r) => r.symbol).join(", ")})` : ""}
+      </div>
+
+      <div className="row" style={{ gap: 10, marginTop: 10, flexWrap: "wrap" }}>
+        <button className="btn" onClick={() => askAi("Quick Overview")} disabled={aiBusy}>
+          📌 Quick Overview
+        </button>
+        <button className="btn" onClick={() => askAi("Risk Check")} disabled={aiBusy}>
+          ⚠ Risk Check
+        </button>
+        <button className="btn" onClick={() => askAi("Volume Breakdown")} disabled={aiBusy}>
+          📉 Volume Breakdown
+        </button>
+        <button className="btn" onClick={() => askAi("LP Stress Test")} disabled={aiBusy}>
+          🧪 LP Stress Test
+        </button>
+      </div>
+
+      <div className="row" style={{ gap: 10, marginTop: 10 }}>
+        <button className="modeBtn" onClick={() => askAi("General")} disabled={aiBusy}>
+          Ask AI
+        </button>
+        {aiBusy ? (
+          <button className="modeBtn" onClick={stopAi}>
+            ■ Stop
+          </button>
+        ) : null}
+        <button className="modeBtn" onClick={newAiThread} disabled={aiBusy} title="Start a new thread (saved threads stay available)">
+          ＋ New thread
+        </button>
+      </div>
+
+      <div className="row" style={{ gap: 8, marginTop: 10, flexWrap: "wrap", alignItems: "center" }}>
+        <span className="muted">Thread</span>
+        {aiRenaming ? (
+          <>
+            <input
+              className="input"
+              style={{ width: 220 }}
+              value={aiRenameValue}
+              autoFocus
+              onChange={(e) => setAi({ renameValue: e.target.value })}
+              onKeyDown={(e) => {
+                if (e.key === "Enter") renameAiThread();
+                if (e.key === "Escape") setAi({ renaming: false });
+              }}
+            />
+            <button className="btn small" onClick={renameAiThread}>Save</button>
+            <button className="btn small" onClick={() => setAi({ renaming: false })}>Cancel</button>
+          </>
+        ) : (
+          <>
+            <select
+              className="select"
+              style={{ width: 240 }}
+              value={aiThreadId}
+              onChange={(e) => setAi({ threadId: e.target.value, answer: "" })}
+              disabled={aiBusy}
+            >
+              <option value="">New thread ({aiPairKey})</option>
+              {aiThreads.map((t) => (
+                <option key={t.id} value={t.id}>
+                  {t.title || "Untitled"} · {new Date(t.updatedAt || t.createdAt).toLocaleDateString()}
+                </option>
+              ))}
+            </select>
+            <button
+              className="btn small"
+              onClick={() => setAi({ renameValue: aiThread?.title || "", renaming: true })}
+              disabled={aiBusy || !aiThread}
+            >
+              Rename
+            </button>
+            <button className="btn small" onClick={exportAiThread} disabled={!aiThread}>
+              Export .md
+            </button>
+            <button className="btn small" onClick={deleteAiThread} disabled={aiBusy || !aiThread}>
+              Delete
+            </button>
+          </>
+        )}
+      </div>
+
+      <div className="answerBox" style={{ marginTop: 10 }}>
+        {!aiThread?.turns?.length && !aiPendingQ && !aiAnswer ? <div className="muted">No answer yet.</div> : null}
+        {(aiThread?.turns || []).map((t, i) => (
+          <div key={i} className={"aiTurn " + (t.role === "assistant" ? "ai" : "user")}>
+            <div className="muted">{t.role === "assistant" ? "AI" : "You"}</div>
+            <pre className="pre">{t.content}</pre>
+          </div>
+        ))}
+        {aiPendingQ ? (
+          <div className="aiTurn user">
+            <div className="muted">You</div>
+            <pre className="pre">{aiPendingQ}</pre>
+          </div>
+        ) : null}
+        {aiAnswer ? (
+          <div className="aiTurn ai">
+            <div className="muted">AI</div>
+            <pre className="pre">{aiAnswer}</pre>
+          </div>
+        ) : null}
+      </div>
+    </Card>
+  );
+}
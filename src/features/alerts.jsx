@@ -0,0 +1,432 @@
+/**
+ * Nexus Analyt — alerts (feature)
+ *
+ * Price / 24h change / health label / grid fill rules (price / 24h rules fire on the crossing, see ../alerts.js).
+ * - rules + history live in localStorage, notifications go through the PWA service worker
+ * - rules are evaluated whenever watchlist rows, market health or grid orders change, by the leader tab only (one
+ *   notification + one history entry per alert); rules and history are shared with the other tabs (features/sync.jsx),
+ *   which show the fired alerts as toasts
+ */
+
+import { useEffect, useRef } from "react";
+import { ALERT_MIN_COOLDOWN_MIN, VALUE_ALERT_TYPES, alertCooldownMin, alertRuleReady, evaluateValueRules } from "../alerts.js";
+import { formatPrice, normalizeSymbol } from "../format.js";
+import { applyHealthProfile, healthLabelForScore, withMetricFallbacks } from "../health.js";
+import { useActions, useProvideActions, useSetSlice, useStore, useStoreApi, useStoreState } from "../store.js";
+import { Badge, Card, Collapsible } from "../ui.jsx";
+import { loadJson, newId, saveJson } from "../util.js";
+import { selectHealthProfile, selectHealthThresholds } from "./health.jsx";
+import { selectPrimarySym } from "./resolver.jsx";
+import { selectWlMap } from "./watchlist.jsx";
+
+export const LS_ALERT_RULES = "na_alert_rules_v1";
+const LS_ALERT_HISTORY = "na_alert_history_v1";
+const ALERT_HISTORY_MAX = 200;
+export const ALERT_TYPES = {
+  price_above: "Price above",
+  price_below: "Price below",
+  change_abs: "24h change beyond ±%",
+  health_change: "Health label changes",
+  order_filled: "Grid order fills",
+};
+
+export function alertRuleLabel(r) {
+  const sym = r?.symbol === "*" ? "Any" : r?.symbol || "-";
+  if (r?.type === "price_above") return `${sym} price > $${formatPrice(r.value)}`;
+  if (r?.type === "price_below") return `${sym} price < $${formatPrice(r.value)}`;
+  if (r?.type === "change_abs") return `${sym} |24h| ≥ ${Number(r.value)}%`;
+  if (r?.type === "health_change") return `${sym} health ${r.fromLabel || "any"} → ${r.toLabel || "any"}`;
+  if (r?.type === "order_filled") return `${sym} grid order filled`;
+  return `${sym} ${r?.type || "?"}`;
+}
+
+async function showAlertNotification(title, body, tag) {
+  if (typeof Notification === "undefined" || Notification.permission !== "granted") return false;
+  const opts = { body, tag, icon: "/pwa-192.png", badge: "/pwa-192.png", data: { url: "/" } };
+  try {
+    const reg = await navigator.serviceWorker?.getRegistration?.();
+    if (reg?.showNotification) {
+      await reg.showNotification(title, opts);
+      return true;
+    }
+  } catch {}
+  try {
+    new Notification(title, opts);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function alertsState() {
+  const rules = loadJson(LS_ALERT_RULES, []);
+  const history = loadJson(LS_ALERT_HISTORY, []);
+  return {
+    rules: Array.isArray(rules) ? rules : [],
+    history: Array.isArray(history) ? history : [],
+    toasts: [],
+    draft: { symbol: "", type: "price_above", value: "", fromLabel: "", toLabel: "Weak", cooldownMin: 30 },
+    err: "",
+    notifyPermission: typeof Notification === "undefined" ? "unsupported" : Notification.permission,
+  };
+}
+
+/* -------------------------
+   Controller
+--------------------------*/
+export function AlertsController() {
+  const store = useStoreApi();
+  const [alertRules, setAlertRules] = useStoreState("alerts", "rules");
+  const [alertHistory, setAlertHistory] = useStoreState("alerts", "history");
+  const [, setAlertToasts] = useStoreState("alerts", "toasts");
+  const setAlerts = useSetSlice("alerts");
+  const wlMap = useStore(selectWlMap);
+  const marketHealthMap = useStore((s) => s.health.marketHealthMap);
+  const healthProfile = useStore(selectHealthProfile);
+  const healthThresholds = useStore(selectHealthThresholds);
+  const gridOrders = useStore((s) => s.grid.orders);
+  const isLeader = useStore((s) => s.sync.isLeader);
+  const sync = useActions("sync");
+  const prevHealthLabelRef = useRef({}); // { SYMBOL: "Healthy" | "Stable" | "Weak" }
+  const prevOrderStatusRef = useRef(null); // { orderId: STATUS } (null until first load)
+
+  useEffect(() => {
+    saveJson(LS_ALERT_RULES, alertRules);
+  }, [alertRules]);
+  useEffect(() => {
+    saveJson(LS_ALERT_HISTORY, alertHistory);
+  }, [alertHistory]);
+
+  const currentRules = () => store.getState().alerts.rules || [];
+
+  // events: [{ ruleId, symbol, message }]
+  function fireAlerts(events) {
+    const now = Date.now();
+    const byId = new Map(currentRules().map((r) => [r.id, r]));
+    const fired = [];
+    for (const ev of events || []) {
+      const rule = byId.get(ev.ruleId);
+      if (!alertRuleReady(rule, now)) continue;
+      byId.set(rule.id, { ...rule, lastFiredAt: now }); // one shot per rule per batch
+      fired.push({ id: newId("al"), ts: now, ruleId: rule.id, symbol: ev.symbol, title: alertRuleLabel(rule), message: ev.message });
+    }
+    if (!fired.length) return;
+
+    const firedIds = new Set(fired.map((f) => f.ruleId));
+    setAlertRules((prev) => (prev || []).map((r) => (firedIds.has(r.id) ? { ...r, lastFiredAt: now } : r)));
+    setAlertHistory((prev) => [...fired.reverse(), ...(prev || [])].slice(0, ALERT_HISTORY_MAX));
+    showAlertToasts(fired);
+    sync.publishSync("alertsFired", fired);
+    for (const f of fired) showAlertNotification(`Nexus Alert · ${f.symbol}`, f.message, `nexus-${f.ruleId}`);
+  }
+
+  // In-app toasts: for the alerts this tab fired and for those the leader broadcast.
+  function showAlertToasts(fired) {
+    if (!fired.length) return;
+    setAlertToasts((prev) => [...(prev || []), ...fired].slice(-4));
+    for (const f of fired) setTimeout(() => setAlertToasts((prev) => (prev || []).filter((t) => t.id !== f.id)), 8000);
+  }
+
+  // Price / 24h rules: evaluated whenever watchlist rows change (snapshot poll, live ticks); they fire on the crossing.
+  // `triggered` only changes on a crossing, so the rules are not rewritten (and broadcast) on every tick.
+  useEffect(() => {
+    if (!isLeader) return;
+    const { events, triggered } = evaluateValueRules(currentRules(), wlMap);
+    if (Object.keys(triggered).length) {
+      setAlertRules((prev) => (prev || []).map((r) => (r.id in triggered ? { ...r, triggered: triggered[r.id] } : r)));
+    }
+    fireAlerts(events);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [wlMap, isLeader]);
+
+  // Health label transitions (e.g. Healthy → Weak) between two health fetches (scored with the active profile).
+  useEffect(() => {
+    if (!isLeader) return;
+    const events = [];
+    const prevLabels = prevHealthLabelRef.current || {};
+    const nextLabels = { ...prevLabels };
+    for (const [sym, h] of Object.entries(marketHealthMap || {})) {
+      const label = healthLabelForScore(applyHealthProfile(withMetricFallbacks(h, wlMap.get(sym)), healthProfile)?.score, healthThresholds).label;
+      if (label === "—") continue;
+      const before = prevLabels[sym];
+      nextLabels[sym] = label;
+      if (!before || before === label) continue;
+      for (const r of currentRules()) {
+        if (r.type !== "health_change") continue;
+        if (r.symbol !== "*" && normalizeSymbol(r.symbol) !== sym) continue;
+        if (r.fromLabel && r.fromLabel !== before) continue;
+        if (r.toLabel && r.toLabel !== label) continue;
+        events.push({ ruleId: r.id, symbol: sym, message: `${sym} health changed ${before} → ${label}` });
+      }
+    }
+    prevHealthLabelRef.current = nextLabels;
+    fireAlerts(events);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [marketHealthMap, isLeader]);
+
+  // Grid fills: an order switching to FILLED between two /grid/orders loads.
+  useEffect(() => {
+    if (!isLeader) return;
+    const orders = Array.isArray(gridOrders) ? gridOrders : [];
+    const prev = prevOrderStatusRef.current;
+    const next = {};
+    const events = [];
+    for (const o of orders) {
+      if (!o?.id) continue;
+      const id = String(o.id);
+      const status = String(o?.status || "").toUpperCase();
+      next[id] = status;
+      if (!prev || status !== "FILLED" || prev[id] === "FILLED") continue;
+      const sym = normalizeSymbol(o?.item || o?.symbol);
+      for (const r of currentRules()) {
+        if (r.type !== "order_filled") continue;
+        if (r.symbol !== "*" && normalizeSymbol(r.symbol) !== sym) continue;
+        events.push({
+          ruleId: r.id,
+          symbol: sym || "GRID",
+          message: `${sym || "Grid"} ${String(o?.side || "").toUpperCase()} filled at $${formatPrice(o?.fill_price ?? o?.price)}`,
+        });
+      }
+    }
+    prevOrderStatusRef.current = next;
+    fireAlerts(events);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [gridOrders, isLeader]);
+
+  function addAlertRule() {
+    setAlerts({ err: "" });
+    const s = store.getState();
+    const d = s.alerts.draft || {};
+    const symbol = d.symbol === "*" ? "*" : normalizeSymbol(d.symbol || selectPrimarySym(s) || (s.watchlist.list || [])[0]);
+    if (!symbol) return setAlerts({ err: "Pick a symbol." });
+    if (symbol === "*" && !["health_change", "order_filled"].includes(d.type)) {
+      return setAlerts({ err: "'Any' only works for health and grid fill alerts." });
+    }
+    const value = Number(d.value);
+    if (VALUE_ALERT_TYPES.includes(d.type) && (!Number.isFinite(value) || value <= 0)) {
+      return setAlerts({ err: "Value must be a number > 0." });
+    }
+    const rule = {
+      id: newId("rule"),
+      symbol,
+      type: d.type,
+      value: Number.isFinite(value) ? value : null,
+      fromLabel: d.type === "health_change" ? d.fromLabel || "" : "",
+      toLabel: d.type === "health_change" ? d.toLabel || "" : "",
+      cooldownMin: alertCooldownMin(d.cooldownMin),
+      enabled: true,
+      triggered: false,
+      snoozedUntil: 0,
+      lastFiredAt: 0,
+      createdAt: Date.now(),
+    };
+    setAlertRules((prev) => [...(prev || []), rule]);
+    setAlerts((cur) => ({ draft: { ...cur.draft, value: "" } }));
+  }
+
+  function updateAlertRule(id, patch) {
+    setAlertRules((prev) => (prev || []).map((r) => (r.id === id ? { ...r, ...patch } : r)));
+  }
+
+  function removeAlertRule(id) {
+    setAlertRules((prev) => (prev || []).filter((r) => r.id !== id));
+  }
+
+  async function enableAlertNotifications() {
+    if (typeof Notification === "undefined") return;
+    try {
+      setAlerts({ notifyPermission: await Notification.requestPermission() });
+    } catch {}
+  }
+
+  useProvideActions("alerts", { addAlertRule, updateAlertRule, removeAlertRule, enableAlertNotifications, showAlertToasts });
+  return null;
+}
+
+/* -------------------------
+   UI
+--------------------------*/
+export function AlertToasts() {
+  const [alertToasts, setAlertToasts] = useStoreState("alerts", "toasts");
+  if (!alertToasts.length) return null;
+
+  return (
+    <div className="alertToasts">
+      {alertToasts.map((t) => (
+        <div key={t.id} className="alertToast" onClick={() => setAlertToasts((prev) => prev.filter((x) => x.id !== t.id))}>
+          <div style={{ fontWeight: 800 }}>🔔 {t.symbol}</div>
+          <div>{t.message}</div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export function AlertsCard() {
+  const { rules: alertRules, history: alertHistory, draft: alertDraft, err: alertErr, notifyPermission } = useStore((s) => s.alerts);
+  const watchlist = useStore((s) => s.watchlist.list);
+  const primarySym = useStore(selectPrimarySym);
+  const setAlerts = useSetSlice("alerts");
+  const { addAlertRule, updateAlertRule, removeAlertRule, enableAlertNotifications } = useActions("alerts");
+  const setAlertDraft = (fn) => setAlerts((cur) => ({ draft: fn(cur.draft) }));
+
+  return (
+    <Card
+      title="Alerts"
+      right={
+        <div className="row" style={{ gap: 10 }}>
+          <Badge ok={alertRules.some((r) => r.enabled !== false) ? true : null}>
+            {alertRules.filter((r) => r.enabled !== false).length} active
+          </Badge>
+        </div>
+      }
+    >
+      <div className="row" style={{ gap: 8, flexWrap: "wrap", alignItems: "center" }}>
+        <select
+          className="select"
+          style={{ width: 120 }}
+          value={alertDraft.symbol}
+          onChange={(e) => setAlertDraft((d) => ({ ...d, symbol: e.target.value }))}
+        >
+          <option value="">{primarySym || "Symbol"}</option>
+          <option value="*">Any</option>
+          {(watchlist || []).map((s) => (
+            <option key={s} value={s}>{s}</option>
+          ))}
+        </select>
+        <select
+          className="select"
+          style={{ width: 210 }}
+          value={alertDraft.type}
+          onChange={(e) => setAlertDraft((d) => ({ ...d, type: e.target.value }))}
+        >
+          {Object.entries(ALERT_TYPES).map(([k, label]) => (
+            <option key={k} value={k}>{label}</option>
+          ))}
+        </select>
+        {VALUE_ALERT_TYPES.includes(alertDraft.type) ? (
+          <input
+            className="input"
+            style={{ width: 120 }}
+            value={alertDraft.value}
+            onChange={(e) => setAlertDraft((d) => ({ ...d, value: e.target.value }))}
+            placeholder={alertDraft.type === "change_abs" ? "% (e.g. 5)" : "USD"}
+          />
+        ) : null}
+        {alertDraft.type === "health_change" ? (
+          <>
+            <select
+              className="select"
+              style={{ width: 120 }}
+              value={alertDraft.fromLabel}
+              onChange={(e) => setAlertDraft((d) => ({ ...d, fromLabel: e.target.value }))}
+            >
+              <option value="">from any</option>
+              <option value="Healthy">Healthy</option>
+              <option value="Stable">Stable</option>
+              <option value="Weak">Weak</option>
+            </select>
+            <select
+              className="select"
+              style={{ width: 120 }}
+              value={alertDraft.toLabel}
+              onChange={(e) => setAlertDraft((d) => ({ ...d, toLabel: e.target.value }))}
+            >
+              <option value="">to any</option>
+              <option value="Healthy">Healthy</option>
+              <option value="Stable">Stable</option>
+              <option value="Weak">Weak</option>
+            </select>
+          </>
+        ) : null}
+        <label className="muted" title={`At least ${ALERT_MIN_COOLDOWN_MIN} min`}>Cooldown (min)</label>
+        <input
+          className="input"
+          style={{ width: 80 }}
+          value={alertDraft.cooldownMin}
+          onChange={(e) => setAlertDraft((d) => ({ ...d, cooldownMin: e.target.value }))}
+        />
+        <button className="btn" onClick={addAlertRule}>
+          + Rule
+        </button>
+      </div>
+      {alertErr ? <div className="muted" style={{ marginTop: 8, color: "rgba(255,140,140,.95)" }}>{alertErr}</div> : null}
+
+      <div className="row" style={{ gap: 10, marginTop: 10, flexWrap: "wrap", alignItems: "center" }}>
+        <span className="muted">
+          Notifications:{" "}
+          {notifyPermission === "granted" ? "on" : notifyPermission === "denied" ? "blocked in browser settings" : notifyPermission === "unsupported" ? "not supported" : "off"}
+        </span>
+        {notifyPermission === "default" ? (
+          <button className="btn small" onClick={enableAlertNotifications}>
+            Enable notifications
+          </button>
+        ) : null}
+      </div>
+
+      {!alertRules.length ? (
+        <div className="empty">No alert rules yet.</div>
+      ) : (
+        <div className="list" style={{ marginTop: 10 }}>
+          {alertRules.map((r) => {
+            const snoozed = r.snoozedUntil && Date.now() < r.snoozedUntil;
+            return (
+              <div key={r.id} className="alertRow">
+                <div className="mono">{alertRuleLabel(r)}</div>
+                <div className="muted">
+                  {r.enabled === false ? "off" : snoozed ? `snoozed until ${new Date(r.snoozedUntil).toLocaleTimeString()}` : "armed"}
+                  {" · "}cooldown {alertCooldownMin(r.cooldownMin)}m
+                  {r.lastFiredAt ? ` · last ${new Date(r.lastFiredAt).toLocaleString()}` : ""}
+                </div>
+                <div className="row" style={{ gap: 6, justifyContent: "flex-end", flexWrap: "wrap" }}>
+                  <button className="btn small" onClick={() => updateAlertRule(r.id, { enabled: r.enabled === false })}>
+                    {r.enabled === false ? "Enable" : "Disable"}
+                  </button>
+                  {snoozed ? (
+                    <button className="btn small" onClick={() => updateAlertRule(r.id, { snoozedUntil: 0 })}>
+                      Unsnooze
+                    </button>
+                  ) : (
+                    <>
+                      <button className="btn small" onClick={() => updateAlertRule(r.id, { snoozedUntil: Date.now() + 3600_000 })}>
+                        Snooze 1h
+                      </button>
+                      <button className="btn small" onClick={() => updateAlertRule(r.id, { snoozedUntil: Date.now() + 86_400_000 })}>
+                        24h
+                      </button>
+                    </>
+                  )}
+                  <button className="btn small" onClick={() => removeAlertRule(r.id)}>
+                    ×
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      <div style={{ marginTop: 10 }}>
+        <Collapsible title={`Alert history (${alertHistory.length})`}>
+          {!alertHistory.length ? (
+            <div className="empty">Nothing fired yet.</div>
+          ) : (
+            <>
+              <div className="wlTableScroll">
+                {alertHistory.map((h) => (
+                  <div key={h.id} className="row" style={{ gap: 10, padding: "6px 0", borderBottom: "1px solid rgba(97,255,194,.08)" }}>
+                    <span className="muted mono">{new Date(h.ts).toLocaleString()}</span>
+                    <span>{h.message}</span>
+                  </div>
+                ))}
+              </div>
+              <button className="btn small" style={{ marginTop: 8 }} onClick={() => setAlerts({ history: [] })}>
+                Clear history
+              </button>
+            </>
+          )}
+        </Collapsible>
+      </div>
+    </Card>
+  );
+}
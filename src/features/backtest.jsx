@@ -0,0 +1,224 @@
+/**
+ * Nexus Analyt — backtest (feature)
+ *
+ * Offline replay panel inside Grid Controls: follows the grid coin, replays its cached series
+ * (price chart history or a loaded JSON/CSV file) with the demo capital of the chosen mode.
+ */
+
+import { useEffect } from "react";
+import { backtestLadder, filterCandlesByDate, parseCandles, readBacktestSeries, runGridBacktest, writeBacktestSeries } from "../backtest.js";
+import { formatPct, formatPrice, formatUSD, normalizeSymbol } from "../format.js";
+import { autoGridLadder } from "../grid.js";
+import { useActions, useProvideActions, useSetSlice, useStore } from "../store.js";
+import { Collapsible, Pill } from "../ui.jsx";
+
+export function backtestState() {
+  return {
+    symbol: "",
+    mode: "SAFE",
+    stepPct: "", // ladder overrides; "" = the mode's assumed AUTO ladder
+    levelsPerSide: "",
+    from: "",
+    to: "",
+    series: null, // { ts, source, candles }
+    result: null,
+    err: "",
+  };
+}
+
+// Capital = the AUTO % of the demo investment for the backtest's mode.
+const selectBtCapitalUsd = (s) => {
+  const { autoInvestPctAgg, autoInvestPctSafe, demoInvestUsd } = s.grid;
+  const pct = Number(s.backtest.mode === "AGGRESSIVE" ? autoInvestPctAgg : autoInvestPctSafe);
+  const usd = Number(demoInvestUsd) * (Math.max(0, Math.min(100, Number.isFinite(pct) ? pct : 0)) / 100);
+  return Number.isFinite(usd) ? Math.max(0, usd) : 0;
+};
+
+/* -------------------------
+   Controller
+--------------------------*/
+export function BacktestController() {
+  const { symbol: btSymbol, mode: btMode, stepPct, levelsPerSide, from: btFrom, to: btTo, series: btSeries } = useStore((s) => s.backtest);
+  const gridSelectedItem = useStore((s) => s.grid.selectedItem);
+  const btCapitalUsd = useStore(selectBtCapitalUsd);
+  const setBt = useSetSlice("backtest");
+
+  // Follow the grid coin by default; load whatever series is cached for it.
+  useEffect(() => {
+    if (!btSymbol && gridSelectedItem) setBt({ symbol: normalizeSymbol(gridSelectedItem) });
+  }, [gridSelectedItem, btSymbol, setBt]);
+
+  useEffect(() => {
+    setBt({ result: null, err: "", series: readBacktestSeries(btSymbol) });
+  }, [btSymbol, setBt]);
+
+  async function loadBacktestFile(file) {
+    setBt({ err: "", result: null });
+    if (!file) return;
+    try {
+      const S = normalizeSymbol(btSymbol);
+      if (!S) throw new Error("Pick a coin before loading candles.");
+      const candles = parseCandles(await file.text());
+      if (candles.length < 2) throw new Error("No candles found in file (expected JSON or CSV with ts + price/OHLC).");
+      writeBacktestSeries(S, candles, file.name);
+      setBt({ series: { ts: Date.now(), source: file.name, candles } });
+    } catch (e) {
+      setBt({ err: String(e?.message || e) });
+    }
+  }
+
+  function runBacktest() {
+    setBt({ err: "", result: null });
+    try {
+      const all = btSeries?.candles || [];
+      if (!all.length) throw new Error("No price series for this coin yet. Open its price chart or load a candle file first.");
+      const candles = filterCandlesByDate(all, btFrom, btTo);
+      setBt({ result: runGridBacktest({ candles, mode: btMode, capitalUsd: btCapitalUsd, ladder: { stepPct, levelsPerSide } }) });
+    } catch (e) {
+      setBt({ err: String(e?.message || e) });
+    }
+  }
+
+  useProvideActions("backtest", { loadBacktestFile, runBacktest });
+  return null;
+}
+
+/* -------------------------
+   UI (inside the Grid Controls card)
+--------------------------*/
+export function BacktestPanel() {
+  const {
+    symbol: btSymbol,
+    mode: btMode,
+    stepPct,
+    levelsPerSide,
+    from: btFrom,
+    to: btTo,
+    series: btSeries,
+    result: btResult,
+    err: btErr,
+  } = useStore((s) => s.backtest);
+  const watchlist = useStore((s) => s.watchlist.list);
+  const demoInvestUsd = useStore((s) => s.grid.demoInvestUsd);
+  const btPct = useStore((s) => (s.backtest.mode === "AGGRESSIVE" ? s.grid.autoInvestPctAgg : s.grid.autoInvestPctSafe));
+  const btCapitalUsd = useStore(selectBtCapitalUsd);
+  const assumed = autoGridLadder(btMode);
+  let ladder = assumed;
+  try {
+    ladder = backtestLadder(btMode, { stepPct, levelsPerSide });
+  } catch {} // Run reports the invalid override
+  const setBt = useSetSlice("backtest");
+  const { loadBacktestFile, runBacktest } = useActions("backtest");
+
+  return (
+    <div style={{ marginTop: 10 }}>
+      <Collapsible title="Backtest (offline replay)">
+        <div className="row" style={{ gap: 10, flexWrap: "wrap", alignItems: "center" }}>
+          <div className="muted">Coin</div>
+          <select className="select" style={{ width: 140 }} value={btSymbol} onChange={(e) => setBt({ symbol: e.target.value })}>
+            {!btSymbol ? <option value="">—</option> : null}
+            {(watchlist || []).map((s) => (
+              <option key={s} value={s}>{s}</option>
+            ))}
+          </select>
+          <div className="muted">Mode</div>
+          <select className="select" style={{ width: 160 }} value={btMode} onChange={(e) => setBt({ mode: e.target.value })}>
+            <option value="SAFE">SAFE</option>
+            <option value="AGGRESSIVE">AGGRESSIVE</option>
+          </select>
+        </div>
+        <div className="row" style={{ gap: 10, flexWrap: "wrap", alignItems: "center", marginTop: 8 }}>
+          <div className="muted">Step %</div>
+          <input
+            className="input"
+            style={{ width: 90 }}
+            value={stepPct}
+            placeholder={String(assumed.stepPct)}
+            aria-label="Backtest ladder step %"
+            onChange={(e) => setBt({ stepPct: e.target.value })}
+          />
+          <div className="muted">Levels per side</div>
+          <input
+            className="input"
+            style={{ width: 90 }}
+            value={levelsPerSide}
+            placeholder={String(assumed.levelsPerSide)}
+            aria-label="Backtest levels per side"
+            onChange={(e) => setBt({ levelsPerSide: e.target.value })}
+          />
+        </div>
+        <div className="muted" style={{ marginTop: 6, fontSize: 12 }}>
+          Replays a ladder of {ladder.levelsPerSide} BUY + {ladder.levelsPerSide} SELL levels, {ladder.stepPct}% apart around the first open; a
+          filled level re-arms one step away. The default ({assumed.levelsPerSide} per side, {assumed.stepPct}% for {btMode}) is an assumption:
+          the backend does not publish how it lays out AUTO orders. Fees, slippage and backend re-pricing are not modelled.
+        </div>
+
+        <div className="row" style={{ gap: 10, flexWrap: "wrap", alignItems: "center", marginTop: 8 }}>
+          <div className="muted">From</div>
+          <input className="input" type="date" style={{ width: 160 }} value={btFrom} onChange={(e) => setBt({ from: e.target.value })} />
+          <div className="muted">To</div>
+          <input className="input" type="date" style={{ width: 160 }} value={btTo} onChange={(e) => setBt({ to: e.target.value })} />
+        </div>
+
+        <div className="row" style={{ gap: 10, flexWrap: "wrap", alignItems: "center", marginTop: 8 }}>
+          <label className="muted">Candles (JSON/CSV)</label>
+          <input
+            type="file"
+            accept=".json,.csv,.txt,application/json,text/csv"
+            onChange={(e) => {
+              loadBacktestFile(e.target.files?.[0]);
+              e.target.value = "";
+            }}
+          />
+        </div>
+
+        <div className="muted" style={{ marginTop: 6 }}>
+          {btSeries?.candles?.length
+            ? `Cached: ${btSeries.candles.length} candles · ${new Date(btSeries.candles[0].ts).toLocaleDateString()} – ${new Date(
+                btSeries.candles[btSeries.candles.length - 1].ts
+              ).toLocaleDateString()}${btSeries.source ? ` · ${btSeries.source}` : ""}`
+            : "No cached series for this coin."}
+        </div>
+
+        <div className="row" style={{ gap: 10, flexWrap: "wrap", alignItems: "center", marginTop: 8 }}>
+          <button className="btn" onClick={runBacktest} disabled={!btSeries?.candles?.length}>
+            ▶ Run Backtest
+          </button>
+          <span className="muted">
+            Capital: <b>${formatUSD(btCapitalUsd)}</b> ({btPct}% of ${formatUSD(demoInvestUsd)})
+          </span>
+        </div>
+
+        {btErr ? <div className="muted" style={{ marginTop: 8, color: "rgba(255,140,140,.95)" }}>{btErr}</div> : null}
+
+        {btResult ? (
+          <>
+            <div className="row" style={{ gap: 8, flexWrap: "wrap", marginTop: 10 }}>
+              <Pill>PnL ${formatUSD(btResult.pnl)} ({formatPct(btResult.roiPct)})</Pill>
+              <Pill>Realized ${formatUSD(btResult.realizedPnl)}</Pill>
+              <Pill>Max DD {btResult.maxDrawdownPct.toFixed(2)}%</Pill>
+              <Pill>Fills {btResult.fillCount}</Pill>
+            </div>
+            <div className="muted" style={{ marginTop: 6 }}>
+              {btResult.candles} candles · ${formatPrice(btResult.startPrice)} → ${formatPrice(btResult.endPrice)} · simulated, educational only.
+            </div>
+            {btResult.fills.length ? (
+              <div className="list" style={{ marginTop: 10 }}>
+                {btResult.fills.slice(-10).reverse().map((f, i) => (
+                  <div key={i} className="listItem">
+                    <div className="mono">{btSymbol}</div>
+                    <div className="mono"><span className={"pill " + f.side}>{f.side}</span></div>
+                    <div className="mono">${formatPrice(f.fill_price)}</div>
+                    <div className="mono">{f.qty.toPrecision(4)}</div>
+                    <div className="mono">{f.pnl_delta ? `$${formatUSD(f.pnl_delta)}` : "—"}</div>
+                    <div className="mono" style={{ opacity: 0.7 }}>{new Date(f.filled_ts * 1000).toLocaleDateString()}</div>
+                  </div>
+                ))}
+              </div>
+            ) : null}
+          </>
+        ) : null}
+      </Collapsible>
+    </div>
+  );
+}
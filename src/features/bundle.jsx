@@ -0,0 +1,524 @@
+/**
+ * Nexus Analyt — export / import (feature)
+ *
+ * - versioned JSON setup bundle (named watchlists + symbol tags, symbol mappings, hidden orders, grid settings, alert rules,
+ *   PnL assumptions, health score profile); the flat "watchlist" (active list) stays in for older readers
+ * - imports are validated section by section and previewed (merge / replace) before they are applied
+ * - CSV export of grid orders and ledger fills
+ */
+
+import { useMemo, useState } from "react";
+import { normalizeSymbol } from "../format.js";
+import { DEFAULT_GRID_DESIGN, gridDesignErrors } from "../grid.js";
+import { normalizeHealthProfile } from "../health.js";
+import { useStore, useStoreApi } from "../store.js";
+import { Card } from "../ui.jsx";
+import { downloadText, newId } from "../util.js";
+import { normalizeSymbolTags, normalizeWatchlists, parseTags, withMajors } from "../watchlist.js";
+import { ALERT_TYPES } from "./alerts.jsx";
+import { DEFAULT_SYMBOL_MAP, DEFAULT_WATCHLIST } from "./watchlist.jsx";
+
+export const BUNDLE_SCHEMA = "nexus-analyt.bundle";
+export const BUNDLE_VERSION = 1;
+const GRID_SETTING_KEYS = [
+  "mode",
+  "gridOrderMode",
+  "demoInvestUsd",
+  "autoInvestPctSafe",
+  "autoInvestPctAgg",
+  "autoInterval",
+  "manualTTL",
+  "manualTTLUnit",
+  "gridDesign",
+];
+// Units the manual TTL input offers (ttlToSeconds in format.js).
+const TTL_UNITS = ["s", "m", "h", "d"];
+const GRID_SPACINGS = ["geometric", "arithmetic"];
+const GRID_SIZE_MODES = ["usd", "qty"];
+
+function isPlainObject(v) {
+  return Boolean(v) && typeof v === "object" && !Array.isArray(v);
+}
+
+// Returns { ok, errors, data } where data only contains validated, normalized sections.
+export function validateBundle(obj) {
+  const errors = [];
+  if (!isPlainObject(obj)) return { ok: false, errors: ["File is not a JSON object."], data: null };
+  if (obj.schema !== BUNDLE_SCHEMA) errors.push(`schema must be "${BUNDLE_SCHEMA}".`);
+  if (!Number.isInteger(obj.version) || obj.version < 1) errors.push("version must be a positive integer.");
+  else if (obj.version > BUNDLE_VERSION) errors.push(`version ${obj.version} is newer than this app supports (${BUNDLE_VERSION}).`);
+  if (!isPlainObject(obj.data)) errors.push("data must be an object.");
+  if (errors.length) return { ok: false, errors, data: null };
+
+  const d = obj.data;
+  const data = {};
+
+  if (d.watchlist !== undefined) {
+    if (!Array.isArray(d.watchlist)) errors.push("data.watchlist must be an array of symbols.");
+    else data.watchlist = Array.from(new Set(d.watchlist.map(normalizeSymbol).filter(Boolean)));
+  }
+
+  if (d.watchlists !== undefined) {
+    if (!Array.isArray(d.watchlists) || d.watchlists.some((l) => !isPlainObject(l) || !Array.isArray(l.symbols))) {
+      errors.push("data.watchlists must be an array of { name, symbols, pinMajors }.");
+    } else {
+      // Ids are local to a browser: lists are matched by name on import.
+      data.watchlists = normalizeWatchlists(d.watchlists.map((l, i) => ({ ...l, id: String(i + 1) }))).map(({ name, symbols, pinMajors }) => ({
+        name,
+        symbols,
+        pinMajors,
+      }));
+      if (!data.watchlists.length) errors.push("data.watchlists has no named list.");
+    }
+  }
+
+  if (d.activeWatchlist !== undefined) {
+    if (typeof d.activeWatchlist !== "string") errors.push("data.activeWatchlist must be a list name.");
+    else data.activeWatchlist = d.activeWatchlist.trim();
+  }
+
+  if (d.symbolTags !== undefined) {
+    if (!isPlainObject(d.symbolTags)) errors.push("data.symbolTags must be an object of tag arrays.");
+    else data.symbolTags = normalizeSymbolTags(d.symbolTags);
+  }
+
+  if (d.symbolMap !== undefined) {
+    if (!isPlainObject(d.symbolMap)) errors.push("data.symbolMap must be an object.");
+    else {
+      data.symbolMap = {};
+      for (const [k, v] of Object.entries(d.symbolMap)) {
+        const sym = normalizeSymbol(k);
+        if (!sym || !isPlainObject(v)) {
+          errors.push(`symbolMap.${k}: invalid entry.`);
+          continue;
+        }
+        if (v.mode === "market") {
+          if (typeof v.id !== "string" || !v.id) errors.push(`symbolMap.${k}: market entries need an id.`);
+          else data.symbolMap[sym] = { ...v };
+        } else if (v.mode === "dex") {
+          if (!/^0x[a-fA-F0-9]{40}$/.test(String(v.contract || ""))) errors.push(`symbolMap.${k}: dex entries need a 0x contract.`);
+          else data.symbolMap[sym] = { ...v };
+        } else {
+          errors.push(`symbolMap.${k}: mode must be "market" or "dex".`);
+        }
+      }
+    }
+  }
+
+  if (d.gridHiddenIds !== undefined) {
+    if (!Array.isArray(d.gridHiddenIds)) errors.push("data.gridHiddenIds must be an array.");
+    else data.gridHiddenIds = d.gridHiddenIds.map(String);
+  }
+
+  if (d.gridSettings !== undefined) {
+    if (!isPlainObject(d.gridSettings)) errors.push("data.gridSettings must be an object.");
+    else {
+      const gs = {};
+      for (const k of GRID_SETTING_KEYS) if (d.gridSettings[k] !== undefined) gs[k] = d.gridSettings[k];
+      if (gs.mode !== undefined && !["SAFE", "AGGRESSIVE"].includes(gs.mode)) errors.push("gridSettings.mode must be SAFE or AGGRESSIVE.");
+      if (gs.gridOrderMode !== undefined && !["AUTO", "CUSTOM", "MANUAL"].includes(gs.gridOrderMode)) {
+        errors.push("gridSettings.gridOrderMode must be AUTO, CUSTOM or MANUAL.");
+      }
+      if (gs.gridDesign !== undefined) {
+        if (!isPlainObject(gs.gridDesign)) errors.push("gridSettings.gridDesign must be an object.");
+        else {
+          // Only the designer's fields, checked as apply stores them (on top of the defaults) with buildGridLevels' rules.
+          const gd = {};
+          for (const k of Object.keys(DEFAULT_GRID_DESIGN)) if (gs.gridDesign[k] !== undefined) gd[k] = gs.gridDesign[k];
+          if (gd.spacing !== undefined && !GRID_SPACINGS.includes(gd.spacing)) errors.push(`gridSettings.gridDesign.spacing must be ${GRID_SPACINGS.join(" or ")}.`);
+          if (gd.sizeMode !== undefined && !GRID_SIZE_MODES.includes(gd.sizeMode)) errors.push(`gridSettings.gridDesign.sizeMode must be ${GRID_SIZE_MODES.join(" or ")}.`);
+          for (const e of gridDesignErrors({ ...DEFAULT_GRID_DESIGN, ...gd }, { allowBlank: true })) errors.push(`gridSettings.gridDesign: ${e}`);
+          gs.gridDesign = gd;
+        }
+      }
+      for (const k of ["demoInvestUsd", "autoInvestPctSafe", "autoInvestPctAgg", "autoInterval"]) {
+        if (gs[k] !== undefined && !Number.isFinite(Number(gs[k]))) errors.push(`gridSettings.${k} must be a number.`);
+      }
+      if (gs.manualTTL !== undefined && !(Number.isFinite(Number(gs.manualTTL)) && Number(gs.manualTTL) >= 0)) {
+        errors.push("gridSettings.manualTTL must be a number ≥ 0.");
+      }
+      if (gs.manualTTLUnit !== undefined && !TTL_UNITS.includes(gs.manualTTLUnit)) errors.push(`gridSettings.manualTTLUnit must be one of ${TTL_UNITS.join(", ")}.`);
+      data.gridSettings = gs;
+    }
+  }
+
+  if (d.alertRules !== undefined) {
+    if (!Array.isArray(d.alertRules)) errors.push("data.alertRules must be an array.");
+    else data.alertRules = d.alertRules.filter((r) => isPlainObject(r) && r.id && ALERT_TYPES[r.type]);
+  }
+
+  if (d.pnlAssumptions !== undefined) {
+    if (!isPlainObject(d.pnlAssumptions)) errors.push("data.pnlAssumptions must be an object.");
+    else data.pnlAssumptions = { feeBps: Number(d.pnlAssumptions.feeBps) || 0, slippageBps: Number(d.pnlAssumptions.slippageBps) || 0 };
+  }
+
+  if (d.healthProfile !== undefined) {
+    if (!isPlainObject(d.healthProfile)) errors.push("data.healthProfile must be an object.");
+    else data.healthProfile = normalizeHealthProfile(d.healthProfile);
+  }
+
+  return { ok: !errors.length, errors, data };
+}
+
+const settingText = (v) => (v === undefined || v === "" ? "—" : String(v));
+
+// What an import would change. strategy: "merge" | "replace"
+export function planImport(current, incoming, strategy) {
+  const replace = strategy === "replace";
+  const plan = { watchlistAdd: [], watchlistRemove: [], listsAdd: [], listsChange: [], listsRemove: [], tagsChange: 0, mapAdd: [], mapChange: [], mapRemove: [], hiddenAdd: 0, hiddenRemove: 0, settings: [], alertsAdd: 0, alertsRemove: 0, healthProfile: false };
+
+  if (incoming.watchlists) {
+    const key = (n) => n.toLowerCase();
+    const cur = new Map((current.watchlists || []).map((l) => [key(l.name), l]));
+    for (const l of incoming.watchlists) {
+      const c = cur.get(key(l.name));
+      if (!c) {
+        plan.listsAdd.push(l.name);
+        continue;
+      }
+      // Same result apply would store: merge appends the incoming symbols, replace takes them as they are.
+      const base = replace ? l.symbols : withMajors(c.symbols, l.symbols);
+      const next = l.pinMajors ? withMajors(base, DEFAULT_WATCHLIST) : base;
+      if (c.symbols.join(",") !== next.join(",") || Boolean(c.pinMajors) !== Boolean(l.pinMajors)) plan.listsChange.push(l.name);
+    }
+    if (replace) {
+      const inc = new Set(incoming.watchlists.map((l) => key(l.name)));
+      plan.listsRemove = (current.watchlists || []).filter((l) => !inc.has(key(l.name))).map((l) => l.name);
+    }
+  } else if (incoming.watchlist) {
+    const cur = new Set(current.watchlist || []);
+    const inc = new Set(incoming.watchlist);
+    plan.watchlistAdd = incoming.watchlist.filter((s) => !cur.has(s));
+    if (replace) plan.watchlistRemove = (current.watchlist || []).filter((s) => !inc.has(s));
+  }
+  if (incoming.symbolMap) {
+    const cur = current.symbolMap || {};
+    for (const [k, v] of Object.entries(incoming.symbolMap)) {
+      if (!cur[k]) plan.mapAdd.push(k);
+      else if (JSON.stringify(cur[k]) !== JSON.stringify(v)) plan.mapChange.push(k);
+    }
+    // Replace keeps the built-in mappings (see apply): a missing default is reset to its built-in entry, not removed.
+    if (replace) {
+      for (const k of Object.keys(cur)) {
+        if (incoming.symbolMap[k]) continue;
+        if (!DEFAULT_SYMBOL_MAP[k]) plan.mapRemove.push(k);
+        else if (JSON.stringify(cur[k]) !== JSON.stringify(DEFAULT_SYMBOL_MAP[k])) plan.mapChange.push(k);
+      }
+    }
+  }
+  if (incoming.gridHiddenIds) {
+    const cur = new Set((current.gridHiddenIds || []).map(String));
+    plan.hiddenAdd = incoming.gridHiddenIds.filter((id) => !cur.has(id)).length;
+    if (replace) {
+      const inc = new Set(incoming.gridHiddenIds);
+      plan.hiddenRemove = Array.from(cur).filter((id) => !inc.has(id)).length;
+    }
+  }
+  if (incoming.gridSettings) {
+    for (const [k, v] of Object.entries(incoming.gridSettings)) {
+      const was = current.gridSettings?.[k];
+      if (k === "gridDesign") {
+        // Field by field, against the design apply would store.
+        const next = { ...DEFAULT_GRID_DESIGN, ...v };
+        for (const f of Object.keys(next)) {
+          if (String(was?.[f] ?? "") !== String(next[f])) plan.settings.push(`gridDesign.${f}: ${settingText(was?.[f])} → ${settingText(next[f])}`);
+        }
+      } else if (String(was) !== String(v)) plan.settings.push(`${k}: ${was} → ${v}`);
+    }
+  }
+  if (incoming.alertRules) {
+    const cur = new Set((current.alertRules || []).map((r) => r.id));
+    plan.alertsAdd = incoming.alertRules.filter((r) => !cur.has(r.id)).length;
+    if (replace) {
+      const inc = new Set(incoming.alertRules.map((r) => r.id));
+      plan.alertsRemove = (current.alertRules || []).filter((r) => !inc.has(r.id)).length;
+    }
+  }
+  if (incoming.symbolTags) {
+    const cur = current.symbolTags || {};
+    plan.tagsChange = Object.keys(incoming.symbolTags).filter((k) => String(cur[k]) !== String(incoming.symbolTags[k])).length;
+    if (replace) plan.tagsChange += Object.keys(cur).filter((k) => !incoming.symbolTags[k]).length;
+  }
+  if (incoming.healthProfile) plan.healthProfile = JSON.stringify(incoming.healthProfile) !== JSON.stringify(current.healthProfile);
+  return plan;
+}
+
+function csvCell(v) {
+  const s = v == null ? "" : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function toCsv(rows, columns) {
+  const lines = [columns.map(csvCell).join(",")];
+  for (const r of rows || []) lines.push(columns.map((c) => csvCell(r?.[c])).join(","));
+  return lines.join("\r\n") + "\r\n";
+}
+
+// The exportable setup, in bundle "data" shape.
+function currentSetup(s) {
+  const g = s.grid;
+  const wl = s.watchlist;
+  return {
+    watchlist: wl.list,
+    watchlists: (wl.lists || []).map(({ name, symbols, pinMajors }) => ({ name, symbols, pinMajors })),
+    activeWatchlist: (wl.lists || []).find((l) => l.id === wl.activeId)?.name || "",
+    symbolTags: wl.tags,
+    symbolMap: s.watchlist.symbolMap,
+    gridHiddenIds: g.hiddenIds,
+    gridSettings: {
+      mode: g.mode,
+      gridOrderMode: g.orderMode,
+      demoInvestUsd: g.demoInvestUsd,
+      autoInvestPctSafe: g.autoInvestPctSafe,
+      autoInvestPctAgg: g.autoInvestPctAgg,
+      autoInterval: g.autoInterval,
+      manualTTL: g.manualTTL,
+      manualTTLUnit: g.manualTTLUnit,
+      gridDesign: g.design,
+    },
+    alertRules: s.alerts.rules,
+    pnlAssumptions: g.pnlAssumptions,
+    healthProfile: s.health.profile,
+  };
+}
+
+/* -------------------------
+   UI
+--------------------------*/
+export function BundleCard() {
+  const store = useStoreApi();
+  const watchlistSlice = useStore((s) => s.watchlist);
+  const grid = useStore((s) => s.grid);
+  const alerts = useStore((s) => s.alerts);
+  const healthProfile = useStore((s) => s.health.profile);
+  const [importPreview, setImportPreview] = useState(null); // { fileName, data, strategy }
+  const [importErr, setImportErr] = useState("");
+  const [importMsg, setImportMsg] = useState("");
+  const gridOrders = grid.orders;
+  const gridLedger = grid.ledger;
+
+  function exportBundle() {
+    const bundle = { schema: BUNDLE_SCHEMA, version: BUNDLE_VERSION, exportedAt: new Date().toISOString(), data: currentSetup(store.getState()) };
+    downloadText(`nexus-analyt-setup-${new Date().toISOString().slice(0, 10)}.json`, JSON.stringify(bundle, null, 2), "application/json");
+  }
+
+  function exportOrdersCsv() {
+    const rows = (gridOrders || []).map((o) => ({
+      id: o?.id ?? "",
+      item: o?.item || o?.symbol || "",
+      side: o?.side || "",
+      price: o?.price ?? "",
+      qty: o?.qty ?? o?.amount ?? "",
+      level: o?.level ?? "",
+      status: o?.status || "",
+      ts: o?.ts ? new Date(Number(o.ts) * (Number(o.ts) < 1e12 ? 1000 : 1)).toISOString() : "",
+    }));
+    downloadText("nexus-grid-orders.csv", toCsv(rows, ["id", "item", "side", "price", "qty", "level", "status", "ts"]), "text/csv");
+  }
+
+  function exportFillsCsv() {
+    const rows = [];
+    for (const l of Object.values(gridLedger || {})) {
+      for (const f of l?.fills || []) {
+        rows.push({
+          item: l.item,
+          side: f.side,
+          fill_price: f.fill_price,
+          qty: f.qty ?? "",
+          pnl_delta: f.pnl_delta ?? "",
+          filled_at: new Date(f.filled_ts * 1000).toISOString(),
+          order_id: f.order_id ?? "",
+        });
+      }
+    }
+    rows.sort((a, b) => (a.filled_at < b.filled_at ? -1 : 1));
+    downloadText("nexus-grid-fills.csv", toCsv(rows, ["item", "side", "fill_price", "qty", "pnl_delta", "filled_at", "order_id"]), "text/csv");
+  }
+
+  async function readImportFile(file) {
+    setImportErr("");
+    setImportMsg("");
+    setImportPreview(null);
+    if (!file) return;
+    try {
+      let obj;
+      try {
+        obj = JSON.parse(await file.text());
+      } catch {
+        throw new Error("File is not valid JSON.");
+      }
+      const v = validateBundle(obj);
+      if (!v.ok) throw new Error(`Invalid bundle: ${v.errors.slice(0, 6).join(" ")}`);
+      setImportPreview({ fileName: file.name, data: v.data, strategy: "merge" });
+    } catch (e) {
+      setImportErr(String(e?.message || e));
+    }
+  }
+
+  const importPlan = useMemo(
+    () => (importPreview ? planImport(currentSetup(store.getState()), importPreview.data, importPreview.strategy) : null),
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    [importPreview, watchlistSlice, grid, alerts, healthProfile]
+  );
+
+  function applyImport() {
+    if (!importPreview) return;
+    const { data, strategy } = importPreview;
+    const replace = strategy === "replace";
+
+    store.setState("watchlist", (cur) => {
+      const patch = {};
+      if (data.symbolMap) patch.symbolMap = replace ? { ...DEFAULT_SYMBOL_MAP, ...data.symbolMap } : { ...(cur.symbolMap || {}), ...data.symbolMap };
+      if (data.watchlists) {
+        // Merge: lists with the same name (case-insensitive) get the incoming symbols appended; replace: exactly the file's lists.
+        const lists = replace ? [] : (cur.lists || []).map((l) => ({ ...l }));
+        for (const inc of data.watchlists) {
+          const prev = (cur.lists || []).find((l) => l.name.toLowerCase() === inc.name.toLowerCase());
+          const hit = lists.find((l) => l.name.toLowerCase() === inc.name.toLowerCase());
+          if (hit) Object.assign(hit, { symbols: withMajors(hit.symbols, inc.symbols), pinMajors: inc.pinMajors });
+          else lists.push({ ...inc, id: prev?.id || newId("wl") });
+        }
+        patch.lists = lists.map((l) => (l.pinMajors ? { ...l, symbols: withMajors(l.symbols, DEFAULT_WATCHLIST) } : l));
+        const wanted = String(data.activeWatchlist || "").toLowerCase();
+        const active =
+          patch.lists.find((l) => wanted && l.name.toLowerCase() === wanted) || patch.lists.find((l) => l.id === cur.activeId) || patch.lists[0];
+        patch.activeId = active.id;
+        patch.list = active.symbols;
+      } else if (data.watchlist) {
+        const base = replace ? [] : Array.isArray(cur.list) ? cur.list : [];
+        const next = [...base];
+        for (const s of data.watchlist) if (!next.includes(s)) next.push(s);
+        patch.list = next;
+      }
+      if (data.symbolTags) {
+        const tags = replace ? {} : { ...(cur.tags || {}) };
+        for (const [sym, list] of Object.entries(data.symbolTags)) tags[sym] = parseTags([...(tags[sym] || []), ...list].join(","));
+        patch.tags = tags;
+      }
+      return patch;
+    });
+    if (data.alertRules) {
+      store.setState("alerts", (cur) => {
+        if (replace) return { rules: data.alertRules };
+        const ids = new Set((cur.rules || []).map((r) => r.id));
+        return { rules: [...(cur.rules || []), ...data.alertRules.filter((r) => !ids.has(r.id))] };
+      });
+    }
+    if (data.healthProfile) store.setState("health", { profile: data.healthProfile });
+    store.setState("grid", (cur) => {
+      const patch = {};
+      if (data.gridHiddenIds) {
+        patch.hiddenIds = replace ? data.gridHiddenIds : Array.from(new Set([...(cur.hiddenIds || []).map(String), ...data.gridHiddenIds]));
+      }
+      if (data.pnlAssumptions) patch.pnlAssumptions = data.pnlAssumptions;
+      const gs = data.gridSettings || {};
+      if (gs.mode !== undefined) patch.mode = gs.mode;
+      if (gs.gridOrderMode !== undefined) patch.orderMode = gs.gridOrderMode;
+      if (gs.demoInvestUsd !== undefined) patch.demoInvestUsd = Number(gs.demoInvestUsd);
+      if (gs.autoInvestPctSafe !== undefined) patch.autoInvestPctSafe = Number(gs.autoInvestPctSafe);
+      if (gs.autoInvestPctAgg !== undefined) patch.autoInvestPctAgg = Number(gs.autoInvestPctAgg);
+      if (gs.autoInterval !== undefined) patch.autoInterval = Number(gs.autoInterval);
+      if (gs.manualTTL !== undefined) patch.manualTTL = gs.manualTTL;
+      if (gs.manualTTLUnit !== undefined) patch.manualTTLUnit = gs.manualTTLUnit;
+      if (gs.gridDesign !== undefined) patch.design = { ...DEFAULT_GRID_DESIGN, ...gs.gridDesign };
+      return patch;
+    });
+
+    setImportMsg(`Imported ${importPreview.fileName} (${strategy}).`);
+    setImportPreview(null);
+  }
+
+  return (
+    <Card title="Export / Import">
+      <div className="row" style={{ gap: 10, flexWrap: "wrap" }}>
+        <button className="btn" onClick={exportBundle}>
+          ⬇ Setup (JSON)
+        </button>
+        <button className="btn" onClick={exportOrdersCsv} disabled={!gridOrders?.length}>
+          ⬇ Grid Orders (CSV)
+        </button>
+        <button className="btn" onClick={exportFillsCsv} disabled={!Object.values(gridLedger || {}).some((l) => l?.fills?.length)}>
+          ⬇ Fills (CSV)
+        </button>
+      </div>
+      <div className="muted" style={{ marginTop: 8 }}>
+        Setup = named watchlists + tags, symbol mappings, hidden orders, grid settings, alert rules, PnL assumptions and the health score profile (schema v{BUNDLE_VERSION}).
+      </div>
+
+      <div className="row" style={{ gap: 10, marginTop: 12, flexWrap: "wrap", alignItems: "center" }}>
+        <label className="muted">Import setup</label>
+        <input
+          type="file"
+          accept=".json,application/json"
+          onChange={(e) => {
+            readImportFile(e.target.files?.[0]);
+            e.target.value = "";
+          }}
+        />
+      </div>
+      {importErr ? <div className="muted" style={{ marginTop: 8, color: "rgba(255,140,140,.95)" }}>{importErr}</div> : null}
+      {importMsg ? <div className="muted" style={{ marginTop: 8 }}>{importMsg}</div> : null}
+
+      {importPreview && importPlan ? (
+        <div className="answerBox" style={{ marginTop: 10 }}>
+          <div className="row" style={{ gap: 8, flexWrap: "wrap", alignItems: "center" }}>
+            <b>{importPreview.fileName}</b>
+            <button
+              className={"modeBtn" + (importPreview.strategy === "merge" ? " active" : "")}
+              style={{ padding: "6px 10px", fontSize: 12 }}
+              onClick={() => setImportPreview((p) => ({ ...p, strategy: "merge" }))}
+            >
+              Merge
+            </button>
+            <button
+              className={"modeBtn" + (importPreview.strategy === "replace" ? " active" : "")}
+              style={{ padding: "6px 10px", fontSize: 12 }}
+              onClick={() => setImportPreview((p) => ({ ...p, strategy: "replace" }))}
+            >
+              Replace
+            </button>
+          </div>
+          <div className="muted" style={{ marginTop: 8, lineHeight: 1.6 }}>
+            {importPreview.data.watchlists ? (
+              <>
+                Watchlists: +{importPlan.listsAdd.length}
+                {importPlan.listsAdd.length ? ` (${importPlan.listsAdd.join(", ")})` : ""} · changed {importPlan.listsChange.length}
+                {importPlan.listsChange.length ? ` (${importPlan.listsChange.join(", ")})` : ""} / −{importPlan.listsRemove.length}
+                {importPlan.listsRemove.length ? ` (${importPlan.listsRemove.join(", ")})` : ""}
+              </>
+            ) : (
+              <>
+                Watchlist: +{importPlan.watchlistAdd.length}
+                {importPlan.watchlistAdd.length ? ` (${importPlan.watchlistAdd.join(", ")})` : ""} / −{importPlan.watchlistRemove.length}
+                {importPlan.watchlistRemove.length ? ` (${importPlan.watchlistRemove.join(", ")})` : ""}
+              </>
+            )}
+            <br />
+            {importPreview.data.symbolTags ? (
+              <>
+                Symbol tags: {importPlan.tagsChange} symbol{importPlan.tagsChange === 1 ? "" : "s"} changed
+                <br />
+              </>
+            ) : null}
+            Mappings: +{importPlan.mapAdd.length} · changed {importPlan.mapChange.length}
+            {importPlan.mapChange.length ? ` (${importPlan.mapChange.join(", ")})` : ""} · −{importPlan.mapRemove.length}
+            <br />
+            Hidden orders: +{importPlan.hiddenAdd} / −{importPlan.hiddenRemove} · Alert rules: +{importPlan.alertsAdd} / −{importPlan.alertsRemove}
+            <br />
+            Grid settings: {importPlan.settings.length ? importPlan.settings.join(" · ") : "no change"}
+            <br />
+            Health profile: {importPlan.healthProfile ? "replaced" : "no change"}
+          </div>
+          <div className="row" style={{ gap: 10, marginTop: 10 }}>
+            <button className="btn start" onClick={applyImport}>
+              Apply {importPreview.strategy}
+            </button>
+            <button className="btn" onClick={() => setImportPreview(null)}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      ) : null}
+    </Card>
+  );
+}
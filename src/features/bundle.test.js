@@ -0,0 +1,116 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULT_GRID_DESIGN } from "../grid.js";
+import { BUNDLE_SCHEMA, BUNDLE_VERSION, planImport, toCsv, validateBundle } from "./bundle.jsx";
+
+const bundle = (data, extra = {}) => ({ schema: BUNDLE_SCHEMA, version: BUNDLE_VERSION, data, ...extra });
+const CONTRACT = "0x" + "ab".repeat(20);
+
+describe("validateBundle", () => {
+  it("rejects files that are not a bundle of this app", () => {
+    expect(validateBundle([]).errors).toEqual(["File is not a JSON object."]);
+    expect(validateBundle({ schema: "other", version: 1, data: {} }).errors).toEqual([`schema must be "${BUNDLE_SCHEMA}".`]);
+    expect(validateBundle(bundle({}, { version: BUNDLE_VERSION + 1 })).errors[0]).toMatch(/newer than this app supports/);
+    expect(validateBundle(bundle(null)).ok).toBe(false);
+  });
+
+  it("normalizes the sections it understands and drops unknown keys and rules", () => {
+    const v = validateBundle(
+      bundle({
+        watchlist: ["btc", " eth ", "BTC", ""],
+        watchlists: [{ name: "Majors", symbols: ["btc"], pinMajors: false, id: "x" }],
+        symbolMap: { avax: { mode: "market", id: "avalanche-2" }, tok: { mode: "dex", contract: CONTRACT, chain: "ethereum" } },
+        gridHiddenIds: [1, "2"],
+        gridSettings: { mode: "SAFE", demoInvestUsd: "500", junk: true, gridDesign: { lower: "90", upper: "110", levels: 5, extra: 1 } },
+        alertRules: [{ id: "a", type: "price_above", value: 1 }, { id: "b", type: "nope" }, "x"],
+        pnlAssumptions: { feeBps: "10" },
+      })
+    );
+    expect(v.errors).toEqual([]);
+    expect(v.data.watchlist).toEqual(["BTC", "ETH"]);
+    expect(v.data.watchlists).toEqual([{ name: "Majors", symbols: ["BTC"], pinMajors: false }]);
+    expect(Object.keys(v.data.symbolMap)).toEqual(["AVAX", "TOK"]);
+    expect(v.data.gridHiddenIds).toEqual(["1", "2"]);
+    expect(v.data.gridSettings).toEqual({ mode: "SAFE", demoInvestUsd: "500", gridDesign: { lower: "90", upper: "110", levels: 5 } });
+    expect(v.data.alertRules.map((r) => r.id)).toEqual(["a"]);
+    expect(v.data.pnlAssumptions).toEqual({ feeBps: 10, slippageBps: 0 });
+  });
+
+  it("reports bad mappings and grid settings", () => {
+    const v = validateBundle(
+      bundle({
+        symbolMap: { aaa: { mode: "market" }, bbb: { mode: "dex", contract: "0x12" }, ccc: { mode: "cex" } },
+        gridSettings: { mode: "YOLO", gridOrderMode: "AUTO", autoInterval: "soon", manualTTL: -1, manualTTLUnit: "w" },
+      })
+    );
+    expect(v.ok).toBe(false);
+    expect(v.errors).toEqual([
+      "symbolMap.aaa: market entries need an id.",
+      "symbolMap.bbb: dex entries need a 0x contract.",
+      'symbolMap.ccc: mode must be "market" or "dex".',
+      "gridSettings.mode must be SAFE or AGGRESSIVE.",
+      "gridSettings.autoInterval must be a number.",
+      "gridSettings.manualTTL must be a number ≥ 0.",
+      "gridSettings.manualTTLUnit must be one of s, m, h, d.",
+    ]);
+  });
+
+  it("checks the grid design with the designer's rules but accepts an unfinished draft", () => {
+    const errorsFor = (gridDesign) => validateBundle(bundle({ gridSettings: { gridDesign } })).errors;
+
+    expect(errorsFor({ ...DEFAULT_GRID_DESIGN })).toEqual([]);
+    expect(errorsFor({ lower: 100 })).toEqual([]);
+    expect(errorsFor([])).toEqual(["gridSettings.gridDesign must be an object."]);
+    expect(errorsFor({ lower: 110, upper: 100, levels: 1, spacing: "log", sizeMode: "qty", qtyPerLevel: 0 })).toEqual([
+      "gridSettings.gridDesign.spacing must be geometric or arithmetic.",
+      "gridSettings.gridDesign: Upper bound must be above the lower bound.",
+      "gridSettings.gridDesign: Levels must be a whole number between 2 and 100.",
+      "gridSettings.gridDesign: Quantity per level must be > 0.",
+    ]);
+    expect(errorsFor({ lower: -5, sizeMode: "coins" })).toEqual([
+      "gridSettings.gridDesign.sizeMode must be usd or qty.",
+      "gridSettings.gridDesign: Lower bound must be > 0.",
+    ]);
+  });
+});
+
+describe("planImport", () => {
+  const current = {
+    watchlist: ["BTC", "ETH"],
+    symbolMap: { BTC: { mode: "market", id: "bitcoin" }, OLD: { mode: "market", id: "old" } },
+    gridHiddenIds: ["1", "2"],
+    gridSettings: { mode: "SAFE", demoInvestUsd: 1000, gridDesign: { ...DEFAULT_GRID_DESIGN, lower: "90", upper: "110" } },
+    alertRules: [{ id: "a" }, { id: "b" }],
+  };
+
+  it("lists additions for a merge and removals only for a replace", () => {
+    const incoming = {
+      watchlist: ["ETH", "SOL"],
+      symbolMap: { BTC: { mode: "market", id: "bitcoin" }, NEW: { mode: "market", id: "new" } },
+      gridHiddenIds: ["2", "3"],
+      alertRules: [{ id: "b" }, { id: "c" }],
+    };
+    const merge = planImport(current, incoming, "merge");
+    expect(merge).toMatchObject({ watchlistAdd: ["SOL"], watchlistRemove: [], mapAdd: ["NEW"], mapRemove: [], hiddenAdd: 1, hiddenRemove: 0, alertsAdd: 1, alertsRemove: 0 });
+
+    const replace = planImport(current, incoming, "replace");
+    expect(replace).toMatchObject({ watchlistRemove: ["BTC"], mapRemove: ["OLD"], hiddenAdd: 1, hiddenRemove: 1, alertsRemove: 1 });
+  });
+
+  it("compares the grid design field by field instead of as [object Object]", () => {
+    const same = planImport(current, { gridSettings: { demoInvestUsd: "1000", gridDesign: { lower: "90", upper: "110" } } }, "merge");
+    expect(same.settings).toEqual([]);
+
+    const changed = planImport(current, { gridSettings: { mode: "AGGRESSIVE", gridDesign: { lower: "90", upper: "120", levels: 12 } } }, "merge");
+    expect(changed.settings).toEqual(["mode: SAFE → AGGRESSIVE", "gridDesign.upper: 110 → 120", "gridDesign.levels: 10 → 12"]);
+
+    expect(planImport({}, { gridSettings: { gridDesign: { lower: 5 } } }, "merge").settings).toContain("gridDesign.lower: — → 5");
+  });
+});
+
+describe("toCsv", () => {
+  it("writes a header row and quotes cells with commas, quotes or line breaks", () => {
+    const rows = [{ a: 1, b: 'say "hi"' }, { a: "x,y", b: null }, { a: "line\nbreak" }];
+    expect(toCsv(rows, ["a", "b"])).toBe('a,b\r\n1,"say ""hi"""\r\n"x,y",\r\n"line\nbreak",\r\n');
+    expect(toCsv(undefined, ["a"])).toBe("a\r\n");
+  });
+});
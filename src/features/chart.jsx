@@ -0,0 +1,229 @@
+/**
+ * Nexus Analyt — price chart (feature)
+ *
+ * - history comes from CoinGecko by the symbol's market id (see ../coingecko.js) and is merged into the backtest
+ *   series cache; the backend has no history route
+ * - falls back to the cached backtest series when there is none (offline, DEX items, coins without an id)
+ * - overlays the primary item's OPEN grid levels, its fills and an optional normalized compare line
+ */
+
+import { useEffect, useMemo, useRef } from "react";
+import { mergeBacktestSeries, readBacktestSeries } from "../backtest.js";
+import { fetchCoinHistory } from "../coingecko.js";
+import { formatPct, normalizeSymbol } from "../format.js";
+import { gridKey, isOpenOrder, toLedgerFill } from "../grid.js";
+import { useProvideActions, useSetSlice, useStore, useStoreApi } from "../store.js";
+import { Badge, PriceChart } from "../ui.jsx";
+import { selectVisibleOrders } from "./grid.jsx";
+import { selectCompareSym, selectPrimarySym } from "./resolver.jsx";
+
+// 1D / 7D for the 24h move and the week; 30D / 180D are the windows of the health trends (trend30d / trend180d).
+export const CHART_RANGES = { "1D": 1, "7D": 7, "30D": 30, "180D": 180 };
+const PRICE_HISTORY_TTL_MS = 5 * 60 * 1000;
+
+/** CoinGecko id of a market symbol from the symbolMap; null for DEX items and symbols the map has no id for. */
+export function historyCoinId(symbolMap, symbol) {
+  const meta = symbolMap?.[normalizeSymbol(symbol)];
+  return meta?.mode === "market" && meta.id ? meta.id : null;
+}
+
+// Rescales the compare series so both lines start at the same price (relative performance).
+export function normalizeOverlay(base, other) {
+  const b0 = base?.[0]?.close;
+  const o0 = other?.[0]?.close;
+  if (!b0 || !o0) return [];
+  return other.map((c) => ({ ts: c.ts, value: (c.close / o0) * b0, pct: (c.close / o0 - 1) * 100 }));
+}
+
+export function chartState() {
+  return {
+    range: "7D",
+    kind: "line", // line | candles
+    compare: false,
+    data: null, // { primary: candles[], compare: candles[], source }
+    busy: false,
+    err: "",
+  };
+}
+
+/* -------------------------
+   Controller
+--------------------------*/
+export function ChartController() {
+  const store = useStoreApi();
+  const { primaryItemId, compareItemId } = useStore((s) => s.resolver);
+  const primarySym = useStore(selectPrimarySym);
+  const compareSym = useStore(selectCompareSym);
+  const chartRange = useStore((s) => s.chart.range);
+  const chartCompare = useStore((s) => s.chart.compare);
+  const setChart = useSetSlice("chart");
+  const historyCacheRef = useRef({}); // url -> { ts, candles }
+
+  async function fetchPriceHistory(target, days) {
+    const cacheSym = normalizeSymbol(target.symbol || target.item);
+    const id = historyCoinId(store.getState().watchlist.symbolMap, cacheSym);
+    const key = `${id}|${days}`;
+    const hit = historyCacheRef.current[key];
+    if (id && hit && Date.now() - hit.ts < PRICE_HISTORY_TTL_MS) return { candles: hit.candles, source: "history" };
+
+    try {
+      if (!id) throw new Error(`No price history for ${cacheSym || "this item"} (market coins with a CoinGecko id only)`);
+      const candles = await fetchCoinHistory(id, days);
+      historyCacheRef.current[key] = { ts: Date.now(), candles };
+      if (cacheSym && candles.length) {
+        mergeBacktestSeries(cacheSym, candles, "price history");
+        if (normalizeSymbol(store.getState().backtest.symbol) === cacheSym) {
+          store.setState("backtest", { series: readBacktestSeries(cacheSym) });
+        }
+      }
+      return { candles, source: "history" };
+    } catch (e) {
+      // Offline / no history source: fall back to the cached backtest series.
+      const from = Date.now() - days * 86_400_000;
+      const cached = (readBacktestSeries(cacheSym)?.candles || []).filter((c) => c.ts >= from);
+      if (cached.length >= 2) return { candles: cached, source: "cache", error: e };
+      throw e;
+    }
+  }
+
+  useEffect(() => {
+    const primary = primaryItemId ? { symbol: primarySym, item: primaryItemId } : null;
+    const compare = chartCompare && compareItemId ? { symbol: compareSym, item: compareItemId } : null;
+    if (!primary) {
+      setChart({ data: null, err: "" });
+      return;
+    }
+    const days = CHART_RANGES[chartRange] || 7;
+    let cancelled = false;
+
+    // Debounced: primaryItemId changes on every keystroke in the Resolver.
+    const t = setTimeout(async () => {
+      setChart({ busy: true, err: "" });
+      try {
+        const [p, c] = await Promise.allSettled([
+          fetchPriceHistory(primary, days),
+          compare ? fetchPriceHistory(compare, days) : Promise.resolve(null),
+        ]);
+        if (cancelled) return;
+        if (p.status === "rejected") throw p.reason;
+        setChart({
+          data: {
+            primary: p.value.candles,
+            compare: c.status === "fulfilled" ? c.value?.candles || [] : [],
+            source: p.value.source,
+          },
+        });
+        if (p.value.error) setChart({ err: `History unavailable (${p.value.error?.message || p.value.error}) – showing cached series.` });
+        else if (c.status === "rejected") setChart({ err: `Compare history unavailable: ${c.reason?.message || c.reason}` });
+      } catch (e) {
+        if (!cancelled) setChart({ data: null, err: String(e?.message || e) });
+      } finally {
+        if (!cancelled) setChart({ busy: false });
+      }
+    }, 400);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(t);
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [primaryItemId, primarySym, compareItemId, compareSym, chartRange, chartCompare]);
+
+  // Shared with the comparison workspace (same cache + offline fallback).
+  useProvideActions("chart", { fetchPriceHistory });
+  return null;
+}
+
+/* -------------------------
+   UI (inside the Live Price card)
+--------------------------*/
+export function PriceHistoryPanel() {
+  const primaryItemId = useStore((s) => s.resolver.primaryItemId);
+  const compareItemId = useStore((s) => s.resolver.compareItemId);
+  const compareSym = useStore(selectCompareSym);
+  const { range: chartRange, kind: chartKind, compare: chartCompare, data: chartData, busy: chartBusy, err: chartErr } = useStore(
+    (s) => s.chart
+  );
+  const gridOrdersVisibleAll = useStore(selectVisibleOrders);
+  const gridLedger = useStore((s) => s.grid.ledger);
+  const gridSessions = useStore((s) => s.grid.sessions);
+  const setChart = useSetSlice("chart");
+
+  const chartLevels = useMemo(() => {
+    const k = gridKey(primaryItemId);
+    return (gridOrdersVisibleAll || [])
+      .filter((o) => isOpenOrder(o) && gridKey(o?.item || o?.symbol) === k)
+      .map((o) => ({ price: Number(o?.price), side: String(o?.side || "").toUpperCase() }))
+      .filter((l) => Number.isFinite(l.price) && l.price > 0);
+  }, [gridOrdersVisibleAll, primaryItemId]);
+
+  // Fills of the primary item: persisted ledger plus the latest tick fills of its session.
+  const chartMarkers = useMemo(() => {
+    const k = gridKey(primaryItemId);
+    const byKey = new Map();
+    for (const f of [...(gridLedger?.[k]?.fills || []), ...(gridSessions?.[k]?.lastFills || [])]) {
+      const lf = toLedgerFill(f);
+      if (lf) byKey.set(lf.key, { ts: lf.filled_ts * 1000, price: lf.fill_price, side: lf.side });
+    }
+    return Array.from(byKey.values());
+  }, [gridLedger, gridSessions, primaryItemId]);
+
+  const chartOverlay = useMemo(
+    () => (chartCompare && chartData?.compare?.length ? normalizeOverlay(chartData.primary, chartData.compare) : []),
+    [chartCompare, chartData]
+  );
+
+  return (
+    <div style={{ marginTop: 12 }}>
+      <div className="row" style={{ gap: 8, flexWrap: "wrap", alignItems: "center" }}>
+        {Object.keys(CHART_RANGES).map((r) => (
+          <button key={r} className={`modeBtn ${chartRange === r ? "active" : ""}`} onClick={() => setChart({ range: r })}>
+            {r}
+          </button>
+        ))}
+        <select className="select" value={chartKind} onChange={(e) => setChart({ kind: e.target.value })}>
+          <option value="line">Line</option>
+          <option value="candles">Candles</option>
+        </select>
+        {compareItemId ? (
+          <label className="muted" style={{ display: "flex", gap: 6, alignItems: "center" }}>
+            <input type="checkbox" checked={chartCompare} onChange={(e) => setChart({ compare: e.target.checked })} />
+            Overlay {compareSym || compareItemId} (normalized)
+          </label>
+        ) : null}
+        {chartBusy ? <Badge>loading…</Badge> : null}
+      </div>
+
+      {chartErr ? <div className="muted" style={{ marginTop: 6 }}>{chartErr}</div> : null}
+
+      {chartData?.primary?.length ? (
+        <>
+          <PriceChart
+            candles={chartData.primary}
+            kind={chartKind}
+            levels={chartLevels}
+            markers={chartMarkers}
+            overlay={chartOverlay}
+            overlayLabel={compareSym || compareItemId}
+          />
+          <div className="row muted" style={{ gap: 12, flexWrap: "wrap", fontSize: 12 }}>
+            <span><span className="legendDot buy" /> BUY order / fill</span>
+            <span><span className="legendDot sell" /> SELL order / fill</span>
+            {chartOverlay.length ? (
+              <span>
+                <span className="legendDot overlay" /> {compareSym || compareItemId} ({formatPct(chartOverlay[chartOverlay.length - 1].pct)})
+              </span>
+            ) : null}
+            <span>
+              {chartRange}{" "}
+              {formatPct((chartData.primary[chartData.primary.length - 1].close / chartData.primary[0].close - 1) * 100)}
+              {chartData.source === "cache" ? " · cached" : ""}
+            </span>
+          </div>
+        </>
+      ) : !chartBusy && !chartErr ? (
+        <div className="empty" style={{ marginTop: 8 }}>No price history for this range yet.</div>
+      ) : null}
+    </div>
+  );
+}
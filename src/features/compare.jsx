@@ -0,0 +1,290 @@
+/**
+ * Nexus Analyt — comparison workspace (feature)
+ *
+ * - 2–6 watchlist symbols side by side; the Resolver's primary/compare pair keeps driving the other cards
+ * - table: price, 24h, volume, liquidity (watchlist snapshot) and health score + reasons (score profile applied)
+ * - performance chart (% since range start) and correlation matrix of daily returns (hourly for 1D)
+ * - history comes through the chart feature's fetchPriceHistory (CoinGecko by market id, shared cache + offline fallback)
+ * - the selection is part of the AI context (context.assets), so answers cover every selected asset
+ */
+
+import { useEffect, useMemo } from "react";
+import {
+  COMPARE_COLORS,
+  COMPARE_MAX,
+  COMPARE_MIN,
+  correlationMatrix,
+  normalizeCompareSelection,
+  performanceSeries,
+} from "../compare.js";
+import { formatPct, formatPrice, formatUSD } from "../format.js";
+import { runQueue } from "../queue.js";
+import { createSelector, useActions, useProvideActions, useSetSlice, useStore, useStoreApi } from "../store.js";
+import { Badge, Card, LineChart, Pill } from "../ui.jsx";
+import { loadJson, saveJson } from "../util.js";
+import { CHART_RANGES } from "./chart.jsx";
+import { selectCompareSymRaw, selectPrimarySymRaw } from "./resolver.jsx";
+import { selectWlHealth, selectWlMap } from "./watchlist.jsx";
+
+const LS_COMPARE = "na_compare_v1";
+
+export function compareState() {
+  const stored = loadJson(LS_COMPARE, null);
+  return {
+    selection: Array.isArray(stored?.selection) ? stored.selection : null, // null = not chosen yet (seeded from Resolver)
+    range: CHART_RANGES[stored?.range] ? stored.range : "30D",
+    data: null, // { candles: { SYM: candles[] }, errors: { SYM: message }, range }
+    busy: false,
+    err: "",
+  };
+}
+
+/* -------------------------
+   Selectors
+--------------------------*/
+export const selectCompareSelection = createSelector([(s) => s.compare.selection, (s) => s.watchlist.list], normalizeCompareSelection);
+
+// Side-by-side rows in selection order: { symbol, mode, price, change24h, volume24h, liquidity, health }
+export const selectCompareRows = createSelector([selectCompareSelection, selectWlMap, selectWlHealth], (syms, wlMap, health) =>
+  syms.map((symbol) => {
+    const r = wlMap.get(symbol) || {};
+    return {
+      symbol,
+      mode: r.mode || "market",
+      price: r.price ?? null,
+      change24h: r.change24h ?? null,
+      volume24h: r.volume24h ?? null,
+      liquidity: r.liquidity ?? null,
+      health: health[symbol] || null,
+    };
+  })
+);
+
+export const selectCompareCorrelation = createSelector([(s) => s.compare.data, selectCompareSelection], (data, syms) => {
+  if (!data || syms.length < COMPARE_MIN) return null;
+  const shown = syms.filter((s) => data.candles?.[s]?.length);
+  return shown.length >= COMPARE_MIN ? correlationMatrix(data.candles, shown, CHART_RANGES[data.range] <= 1 ? 3_600_000 : 86_400_000) : null;
+});
+
+/* -------------------------
+   Controller
+--------------------------*/
+export function CompareController() {
+  const store = useStoreApi();
+  const rawSelection = useStore((s) => s.compare.selection);
+  const selection = useStore(selectCompareSelection);
+  const range = useStore((s) => s.compare.range);
+  const setCompare = useSetSlice("compare");
+  const chart = useActions("chart");
+  const health = useActions("health");
+  const selectionKey = selection.join(",");
+
+  // First run: start from the Resolver's pair (watchlist symbols only), else the first two watchlist symbols.
+  useEffect(() => {
+    if (rawSelection) return;
+    const s = store.getState();
+    const list = s.watchlist.list || [];
+    const fromResolver = normalizeCompareSelection([selectPrimarySymRaw(s), selectCompareSymRaw(s)], list);
+    setCompare({ selection: fromResolver.length >= COMPARE_MIN ? fromResolver : list.slice(0, COMPARE_MIN) });
+  }, [rawSelection, setCompare, store]);
+
+  useEffect(() => {
+    if (rawSelection) saveJson(LS_COMPARE, { selection: rawSelection, range });
+  }, [rawSelection, range]);
+
+  useEffect(() => {
+    if (selection.length < COMPARE_MIN) {
+      setCompare({ data: null, err: "", busy: false });
+      return;
+    }
+    const syms = selectionKey.split(",");
+    const days = CHART_RANGES[range] || 30;
+    let cancelled = false;
+
+    // Debounced: chips are often toggled in quick succession.
+    const t = setTimeout(async () => {
+      setCompare({ busy: true, err: "" });
+      const res = await Promise.allSettled(syms.map((symbol) => chart.fetchPriceHistory({ symbol }, days)));
+      if (cancelled) return;
+      const candles = {};
+      const errors = {};
+      res.forEach((r, i) => {
+        if (r.status === "fulfilled") candles[syms[i]] = r.value.candles;
+        else errors[syms[i]] = String(r.reason?.message || r.reason);
+      });
+      const failed = Object.keys(errors);
+      setCompare({
+        data: { candles, errors, range },
+        err: failed.length ? `History unavailable for ${failed.join(", ")}.` : "",
+        busy: false,
+      });
+    }, 300);
+
+    return () => {
+      // A load cut short by a new selection / range never reaches its busy: false.
+      cancelled = true;
+      clearTimeout(t);
+      setCompare({ busy: false });
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [selectionKey, range]);
+
+  function toggleCompareSymbol(sym) {
+    setCompare((cur) => {
+      const sel = normalizeCompareSelection(cur.selection, store.getState().watchlist.list);
+      if (sel.includes(sym)) return { selection: sel.filter((x) => x !== sym) };
+      return sel.length < COMPARE_MAX ? { selection: [...sel, sym] } : {};
+    });
+  }
+
+  // FAST health for every selected symbol, then FULL (same queue limits as the watchlist bulk refresh).
+  async function refreshCompareHealth() {
+    const syms = selectCompareSelection(store.getState());
+    for (const fast of [true, false]) {
+      await runQueue(syms, (s) => health.fetchMarketHealth(s, { fast, retries: 0 }), { concurrency: 2, minIntervalMs: 300 });
+    }
+  }
+
+  useProvideActions("compare", { toggleCompareSymbol, refreshCompareHealth });
+  return null;
+}
+
+/* -------------------------
+   UI
+--------------------------*/
+function corrStyle(r) {
+  if (r == null) return undefined;
+  const a = (Math.abs(r) * 0.45).toFixed(2);
+  return { background: r >= 0 ? `rgba(0,255,160,${a})` : `rgba(255,80,80,${a})` };
+}
+
+export function CompareCard() {
+  const watchlist = useStore((s) => s.watchlist.list);
+  const selection = useStore(selectCompareSelection);
+  const rows = useStore(selectCompareRows);
+  const corr = useStore(selectCompareCorrelation);
+  const { range, data, busy, err } = useStore((s) => s.compare);
+  const setCompare = useSetSlice("compare");
+  const { toggleCompareSymbol, refreshCompareHealth } = useActions("compare");
+
+  const perf = useMemo(
+    () =>
+      selection.map((sym, i) => ({
+        symbol: sym,
+        color: COMPARE_COLORS[i % COMPARE_COLORS.length],
+        points: performanceSeries(data?.candles?.[sym]),
+      })),
+    [selection, data]
+  );
+
+  return (
+    <Card title="Compare" right={<Pill>{`${selection.length}/${COMPARE_MAX}`}</Pill>}>
+      <div className="muted" style={{ marginBottom: 6 }}>
+        Pick {COMPARE_MIN}–{COMPARE_MAX} watchlist assets:
+      </div>
+      <div className="chips">
+        {(watchlist || []).map((s) => {
+          const on = selection.includes(s);
+          return (
+            <button
+              key={s}
+              className={`modeBtn ${on ? "active" : ""}`}
+              onClick={() => toggleCompareSymbol(s)}
+              disabled={!on && selection.length >= COMPARE_MAX}
+              aria-pressed={on}
+            >
+              {s}
+            </button>
+          );
+        })}
+      </div>
+
+      {selection.length < COMPARE_MIN ? (
+        <div className="empty" style={{ marginTop: 10 }}>Select at least {COMPARE_MIN} assets to compare.</div>
+      ) : (
+        <>
+          <div className="row" style={{ gap: 8, flexWrap: "wrap", alignItems: "center", marginTop: 10 }}>
+            {Object.keys(CHART_RANGES).map((r) => (
+              <button key={r} className={`modeBtn ${range === r ? "active" : ""}`} onClick={() => setCompare({ range: r })}>
+                {r}
+              </button>
+            ))}
+            <button className="btn small" onClick={refreshCompareHealth} title="FAST, then FULL health for the selected assets">
+              Refresh health
+            </button>
+            {busy ? <Badge>loading…</Badge> : null}
+          </div>
+          {err ? <div className="muted" style={{ marginTop: 6 }}>{err}</div> : null}
+
+          <div className="table" style={{ marginTop: 10 }}>
+            <div className="tHead compareGrid">
+              <div>Asset</div>
+              <div>Price</div>
+              <div>24h</div>
+              <div>Volume 24h</div>
+              <div>LP</div>
+              <div>Health</div>
+              <div>Reasons</div>
+            </div>
+            {rows.map((r) => (
+              <div key={r.symbol} className="tRow compareGrid">
+                <div className="mono">{r.symbol}</div>
+                <div className="mono">{r.price != null ? formatPrice(r.price) : "—"}</div>
+                <div className={Number(r.change24h) >= 0 ? "pos" : "neg"}>{r.change24h != null ? formatPct(r.change24h) : "—"}</div>
+                <div className="mono">{r.volume24h != null ? formatUSD(r.volume24h) : "—"}</div>
+                <div className="mono">{r.liquidity != null ? formatUSD(r.liquidity) : "—"}</div>
+                <div>
+                  {r.health ? (
+                    <span className={`healthTag ${r.health.tone}`}>
+                      {r.health.score} · {r.health.label}
+                    </span>
+                  ) : (
+                    <span className="muted">—</span>
+                  )}
+                </div>
+                <div className="muted" style={{ fontSize: 12 }}>
+                  {r.health?.reasons?.length ? r.health.reasons.slice(0, 3).join(" · ") : "—"}
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <div className="muted" style={{ marginTop: 12 }}>Performance ({range}, % since start)</div>
+          <LineChart series={perf} height={180} zeroLine yFormat={(v) => formatPct(v)} xFormat={(v) => new Date(v).toLocaleDateString()} />
+          <div className="row muted" style={{ gap: 12, flexWrap: "wrap", fontSize: 12 }}>
+            {perf.map((p) => (
+              <span key={p.symbol}>
+                <span className="legendDot" style={{ background: p.color }} /> {p.symbol}
+                {p.points.length ? ` ${formatPct(p.points[p.points.length - 1].y)}` : " —"}
+              </span>
+            ))}
+          </div>
+
+          <div className="muted" style={{ marginTop: 12 }}>Correlation ({range === "1D" ? "hourly" : "daily"} returns)</div>
+          {corr ? (
+            <div className="table corrMatrix" style={{ marginTop: 6 }}>
+              <div className="tHead" style={{ gridTemplateColumns: `repeat(${corr.symbols.length + 1}, 1fr)` }}>
+                <div />
+                {corr.symbols.map((s) => (
+                  <div key={s}>{s}</div>
+                ))}
+              </div>
+              {corr.symbols.map((a, i) => (
+                <div key={a} className="tRow" style={{ gridTemplateColumns: `repeat(${corr.symbols.length + 1}, 1fr)` }}>
+                  <div className="mono">{a}</div>
+                  {corr.symbols.map((b, j) => (
+                    <div key={b} className="mono corrCell" style={corrStyle(corr.matrix[i][j])} title={`${a} / ${b}: ${corr.samples[i][j]} common returns`}>
+                      {corr.matrix[i][j] != null ? corr.matrix[i][j].toFixed(2) : "—"}
+                    </div>
+                  ))}
+                </div>
+              ))}
+            </div>
+          ) : (
+            <div className="empty" style={{ marginTop: 6 }}>{busy ? "Loading history…" : "Not enough price history to correlate."}</div>
+          )}
+        </>
+      )}
+    </Card>
+  );
+}
@@ -0,0 +1,1284 @@
+/**
+ * Nexus Analyt — grid (feature)
+ *
+ * - one grid session per item (AUTO 10 orders / CUSTOM designer ladder / MANUAL single orders)
+ * - orders come from GET /api/grid/orders; the leader tab polls them while orders are active and no stream is live
+ * - PnL ledger per session (fills from ticks, FILLED orders and stream events)
+ * Cards: Grid Controls, Grid Orders, Grid Sessions, Grid PnL.
+ */
+
+import { useEffect, useMemo, useRef } from "react";
+import { API, api } from "../backend.js";
+import { formatPct, formatPrice, formatUSD, normalizeSymbol, ttlToSeconds } from "../format.js";
+import {
+  DEFAULT_GRID_DESIGN,
+  buildGridLevels,
+  computeGridPnl,
+  gridKey,
+  newLedgerFills,
+  postManualOrder,
+  rebuildGridSessions,
+  toLedgerFill,
+} from "../grid.js";
+import { createSelector, useActions, useProvideActions, useSetSlice, useStore, useStoreApi, useStoreState } from "../store.js";
+import { Badge, Card, Collapsible, LineChart, Pill } from "../ui.jsx";
+import { loadJson, saveJson } from "../util.js";
+import { selectEffectiveLive } from "./health.jsx";
+import { selectPrimarySym } from "./resolver.jsx";
+import { selectWlMap } from "./watchlist.jsx";
+
+export const LS_GRID_SESSIONS = "na_grid_sessions_v1"; // { ITEM: session }
+export const LS_GRID_HIDDEN_ORDERS = "na_grid_hidden_orders_v1";
+// PnL ledger: built from fills (side, fill_price, qty, pnl_delta, filled_ts); fees/slippage are local assumptions.
+export const LS_GRID_LEDGER = "na_grid_ledger_v1"; // { ITEM: { startedAt, capitalUsd, fills: [...] } }
+export const LS_PNL_ASSUMPTIONS = "na_pnl_assumptions_v1"; // { feeBps, slippageBps }
+export const LS_GRID_DESIGN = "na_grid_design_v1";
+const LS_AUTO_INV_PCT_SAFE = "NA_AUTO_INV_PCT_SAFE";
+const LS_AUTO_INV_PCT_AGG = "NA_AUTO_INV_PCT_AGG";
+
+function readPct(key, fallback) {
+  try {
+    return Number(localStorage.getItem(key) || fallback);
+  } catch {
+    return fallback;
+  }
+}
+
+function plainObject(raw) {
+  return raw && typeof raw === "object" && !Array.isArray(raw) ? raw : {};
+}
+
+export function gridState() {
+  const pnl = loadJson(LS_PNL_ASSUMPTIONS, null);
+  const hidden = loadJson(LS_GRID_HIDDEN_ORDERS, []);
+  return {
+    mode: "SAFE", // SAFE / AGGRESSIVE
+    sessions: plainObject(loadJson(LS_GRID_SESSIONS, {})),
+    orders: [],
+    hiddenIds: Array.isArray(hidden) ? hidden : [],
+    ordersFilter: "ALL",
+    autoInterval: 10,
+    ledger: plainObject(loadJson(LS_GRID_LEDGER, {})),
+    pnlAssumptions: { feeBps: Number(pnl?.feeBps ?? 10), slippageBps: Number(pnl?.slippageBps ?? 5) },
+    pnlItem: "",
+    demoInvestUsd: 5000, // demo investment per asset (USD)
+    // Auto mode: how much of demo capital is used (percent), per SAFE/AGGRESSIVE
+    autoInvestPctSafe: readPct(LS_AUTO_INV_PCT_SAFE, 35),
+    autoInvestPctAgg: readPct(LS_AUTO_INV_PCT_AGG, 70),
+    manualSide: "BUY",
+    manualPrice: "",
+    manualQty: "",
+    selectedItem: "",
+    orderMode: "AUTO", // AUTO | CUSTOM | MANUAL
+    design: { ...DEFAULT_GRID_DESIGN, ...loadJson(LS_GRID_DESIGN, {}) },
+    manualTTL: 60, // seconds
+    manualTTLUnit: "s", // s | m | h | d
+  };
+}
+
+/* -------------------------
+   Selectors
+--------------------------*/
+export const selectVisibleOrders = createSelector([(s) => s.grid.orders, (s) => s.grid.hiddenIds], (orders, hiddenIds) => {
+  const all = Array.isArray(orders) ? orders : [];
+  const hidden = new Set(Array.isArray(hiddenIds) ? hiddenIds.map(String) : []);
+  return all.filter((o) => {
+    const oid = o?.id;
+    return oid ? !hidden.has(String(oid)) : true;
+  });
+});
+
+// Grid Controls / Sessions act on the selected grid, else on the resolver's primary item.
+export const selectGridItem = (s) => s.grid.selectedItem || s.resolver.primaryItemId;
+
+export const selectSelectedGridSession = (s) => s.grid.sessions?.[gridKey(selectGridItem(s))] || null;
+
+export const selectAutoInvestPct = (s) => {
+  const { mode, autoInvestPctAgg, autoInvestPctSafe } = s.grid;
+  const n = Number(mode === "AGGRESSIVE" ? autoInvestPctAgg : autoInvestPctSafe);
+  if (!Number.isFinite(n)) return mode === "AGGRESSIVE" ? 70 : 35;
+  return Math.max(0, Math.min(100, n));
+};
+
+export const selectAutoInvestUsd = (s) => {
+  const usd = Number(s.grid.demoInvestUsd) * (selectAutoInvestPct(s) / 100);
+  if (!Number.isFinite(usd)) return 0;
+  return Math.max(0, usd);
+};
+
+// Live price for a grid item: primary live price when it is the selected primary, else the watchlist row.
+export function gridLivePrice(s, item) {
+  const k = gridKey(item);
+  const p =
+    k && (k === gridKey(s.resolver.primaryItemId) || k === selectPrimarySym(s))
+      ? Number(selectEffectiveLive(s)?.price)
+      : Number(selectWlMap(s).get(k)?.price);
+  return Number.isFinite(p) ? p : null;
+}
+
+/* -------------------------
+   Controller
+--------------------------*/
+export function GridController() {
+  const store = useStoreApi();
+  const grid = useStore((s) => s.grid);
+  const primaryItemId = useStore((s) => s.resolver.primaryItemId);
+  const pairOrContract = useStore((s) => s.resolver.pairOrContract);
+  const isLeader = useStore((s) => s.sync.isLeader);
+  const streamLive = useStore((s) => s.sync.streamStatus === "live");
+  const autoInvestUsd = useStore(selectAutoInvestUsd);
+  const setGrid = useSetSlice("grid");
+  const setUi = useSetSlice("ui");
+  const setPwa = useSetSlice("pwa");
+  const [, setGridSessions] = useStoreState("grid", "sessions");
+  const [, setGridHiddenIds] = useStoreState("grid", "hiddenIds");
+  const [, setGridLedger] = useStoreState("grid", "ledger");
+  const sync = useActions("sync");
+  const ordersPollInFlight = useRef(false);
+
+  const {
+    mode,
+    sessions: gridSessions,
+    orders: gridOrders,
+    hiddenIds: gridHiddenIds,
+    autoInterval,
+    ledger: gridLedger,
+    pnlAssumptions,
+    demoInvestUsd,
+    autoInvestPctSafe,
+    autoInvestPctAgg,
+    manualSide,
+    manualPrice,
+    manualQty,
+    selectedItem: gridSelectedItem,
+    orderMode: gridOrderMode,
+    design: gridDesign,
+    manualTTL,
+    manualTTLUnit,
+  } = grid;
+  const selectedGridSession = gridSessions?.[gridKey(gridSelectedItem || primaryItemId)] || null;
+
+  useEffect(() => {
+    try { localStorage.setItem(LS_AUTO_INV_PCT_SAFE, String(autoInvestPctSafe)); } catch {}
+  }, [autoInvestPctSafe]);
+  useEffect(() => {
+    try { localStorage.setItem(LS_AUTO_INV_PCT_AGG, String(autoInvestPctAgg)); } catch {}
+  }, [autoInvestPctAgg]);
+  useEffect(() => {
+    saveJson(LS_GRID_HIDDEN_ORDERS, gridHiddenIds);
+  }, [gridHiddenIds]);
+
+  // Unhide newly created OPEN orders even if their IDs were hidden before (backend may reuse IDs).
+  useEffect(() => {
+    const all = Array.isArray(gridOrders) ? gridOrders : [];
+    if (!all.length) return;
+
+    const openIds = new Set(
+      all
+        .filter((o) => String(o?.status || "").toUpperCase() === "OPEN" && o?.id)
+        .map((o) => String(o.id))
+    );
+    if (!openIds.size) return;
+
+    setGridHiddenIds((prev) => {
+      const arr = Array.isArray(prev) ? prev.map(String) : [];
+      const next = arr.filter((id) => !openIds.has(String(id)));
+      // Avoid state updates when nothing changes
+      if (next.length === arr.length) return prev;
+      return next;
+    });
+  }, [gridOrders, setGridHiddenIds]);
+
+  useEffect(() => {
+    if (!gridSelectedItem && primaryItemId) setGrid({ selectedItem: primaryItemId });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [primaryItemId]);
+
+  useEffect(() => {
+    saveJson(LS_GRID_SESSIONS, gridSessions);
+  }, [gridSessions]);
+  useEffect(() => {
+    saveJson(LS_GRID_LEDGER, gridLedger);
+  }, [gridLedger]);
+  useEffect(() => {
+    saveJson(LS_PNL_ASSUMPTIONS, pnlAssumptions);
+  }, [pnlAssumptions]);
+  useEffect(() => {
+    saveJson(LS_GRID_DESIGN, gridDesign);
+  }, [gridDesign]);
+
+  // Auto Tick input follows the selected grid's interval.
+  useEffect(() => {
+    if (selectedGridSession?.autoInterval) setGrid({ autoInterval: selectedGridSession.autoInterval });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [gridSelectedItem]);
+
+  async function loadAllGridOrders() {
+    try {
+      const r = await api.get(`${API}/grid/orders`);
+      applyGridOrders(r);
+      sync.publishSync("gridOrders", r);
+    } catch (e) {
+      // do not hard-fail UI; surface in toast
+      setUi({ err: String(e?.message || e) });
+    }
+  }
+
+  // Shared by loadAllGridOrders and order lists broadcast by the polling tab.
+  function applyGridOrders(r) {
+    // Backend returns { orders: [...] } (and may include extra metadata, e.g. sessions/grids).
+    const orders = Array.isArray(r?.orders) ? r.orders : [];
+    setGrid({ orders });
+    setGridSessions((prev) => rebuildGridSessions(prev, orders, r?.sessions ?? r?.grids));
+
+    // FILLED orders feed the PnL ledger too (covers server-side autorun ticks).
+    const filledByItem = new Map();
+    for (const o of orders) {
+      if (String(o?.status || "").toUpperCase() !== "FILLED") continue;
+      const item = String(o?.item || o?.symbol || "").trim();
+      if (!item) continue;
+      if (!filledByItem.has(item)) filledByItem.set(item, []);
+      filledByItem.get(item).push(o);
+    }
+    for (const [item, fills] of filledByItem) appendLedgerFills(item, fills);
+  }
+
+  // Load existing grid orders on page load (keeps the UI in sync even after a browser refresh).
+  useEffect(() => {
+    loadAllGridOrders();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  // Poll grid orders only when there are *active* (running/open) orders.
+  // This prevents /grid/orders flooding when there are no real orders (or only hidden/stopped ones).
+  useEffect(() => {
+    const orders = Array.isArray(gridOrders) ? gridOrders : [];
+    const hiddenSet = new Set(Array.isArray(gridHiddenIds) ? gridHiddenIds.map(String) : []);
+
+    const isActiveOrder = (o) => {
+      const id = o?.id != null ? String(o.id) : "";
+      if (id && hiddenSet.has(id)) return false;
+      const status = String(o?.status || o?.state || o?.phase || "").toUpperCase();
+      const running = (o?.running ?? o?.is_running ?? o?.active ?? o?.isActive ?? null);
+      if (running === true) return true;
+      if (running === false) return false;
+      if (!status) return true; // unknown => treat as active to stay synced
+      if (status.includes("STOP") || status.includes("DONE") || status.includes("FILLED") || status.includes("CANCEL")) return false;
+      return true;
+    };
+
+    const shouldPoll = orders.some(isActiveOrder);
+    if (!shouldPoll || !isLeader || streamLive) return; // other tabs get the orders via the sync channel, the stream pushes them
+
+    let cancelled = false;
+    const poll = async () => {
+      if (cancelled) return;
+      if (ordersPollInFlight.current) return;
+      ordersPollInFlight.current = true;
+      try {
+        await loadAllGridOrders();
+      } finally {
+        ordersPollInFlight.current = false;
+      }
+    };
+
+    // Run once immediately, then poll slowly (user build friendly).
+    poll();
+    const t = setInterval(poll, 15000);
+    return () => {
+      cancelled = true;
+      clearInterval(t);
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [gridOrders, gridHiddenIds, isLeader, streamLive]);
+
+  async function stopSingleOrder(order) {
+    if (!order?.id) return;
+    const item = String(order?.item || "").trim();
+    if (!item) return;
+    try {
+      const r = await api.post(`${API}/grid/order/stop`, {
+        item,
+        id: order?.id || null,
+        side: order?.side || null,
+        price: order?.price ?? null,
+        level: order?.level ?? null,
+      });
+      if (r?.queued) {
+        setPwa({ queueMsg: "Offline – order stop queued, it is sent when the connection is back." });
+        return;
+      }
+      await loadAllGridOrders();
+    } catch (e) {
+      setUi({ err: String(e?.message || e) });
+    }
+  }
+
+  function removeOrderFromUI(order) {
+    const oid = order?.id;
+    if (!oid) return;
+    setGridHiddenIds((prev) => {
+      const s = new Set(Array.isArray(prev) ? prev.map(String) : []);
+      s.add(String(oid));
+      return Array.from(s);
+    });
+  }
+
+  function resetGridLedger(item, capitalUsd, orderCount) {
+    const k = gridKey(item);
+    if (!k) return;
+    setGridLedger((prev) => ({ ...(prev || {}), [k]: { item, startedAt: Date.now(), capitalUsd, orderCount: orderCount || null, fills: [] } }));
+  }
+
+  function appendLedgerFills(item, rawFills) {
+    const k = gridKey(item);
+    const fills = (Array.isArray(rawFills) ? rawFills : []).map(toLedgerFill).filter(Boolean);
+    if (!k || !fills.length) return;
+    const sessions = store.getState().grid.sessions;
+    setGridLedger((prev) => {
+      // No ledger yet (e.g. a grid started in another browser): take every fill the backend reports.
+      const add = newLedgerFills(prev?.[k] || null, fills);
+      const cur = prev?.[k] || { item, startedAt: Date.now(), capitalUsd: sessions?.[k]?.capitalUsd ?? null, fills: [] };
+      if (!add.length) return prev;
+      return { ...(prev || {}), [k]: { ...cur, fills: [...(cur.fills || []), ...add] } };
+    });
+  }
+
+  function patchGridSession(item, patch) {
+    const k = gridKey(item);
+    if (!k) return;
+    setGridSessions((prev) => {
+      const cur = prev?.[k] || { item, lastFills: [], fillsCount: 0, tick: 0, autoRun: false, autoInterval: 10 };
+      const p = typeof patch === "function" ? patch(cur) : patch;
+      return { ...(prev || {}), [k]: { ...cur, ...p, item: cur.item || item, updatedAt: Date.now() } };
+    });
+  }
+
+  function patchGridDesign(patch) {
+    setGrid((cur) => ({ design: { ...cur.design, ...patch } }));
+  }
+
+  // Centers a ±pct range on the live price (rounded to the price's magnitude).
+  function fitGridDesign(pct) {
+    const designPrice = gridLivePrice(store.getState(), gridSelectedItem || primaryItemId);
+    if (!(designPrice > 0)) return;
+    const digits = Math.max(0, 4 - Math.floor(Math.log10(designPrice)));
+    const round = (v) => Number(v.toFixed(Math.min(digits, 10)));
+    patchGridDesign({ lower: round(designPrice * (1 - pct / 100)), upper: round(designPrice * (1 + pct / 100)) });
+  }
+
+  async function startGrid(itemArg) {
+    setUi({ err: "", busy: true });
+    try {
+      const gridItem = String(itemArg || gridSelectedItem || primaryItemId || "").trim();
+      if (!gridItem) throw new Error("Missing primary item id for grid");
+
+      const livePrice = gridLivePrice(store.getState(), gridItem);
+      let design = null;
+      if (gridOrderMode === "CUSTOM") {
+        design = buildGridLevels(gridDesign, { price: livePrice, capitalUsd: demoInvestUsd });
+        if (design.errors.length) throw new Error(`Grid design: ${design.errors.join(" ")}`);
+      }
+      const capitalUsd = gridOrderMode === "AUTO" ? autoInvestUsd : design ? design.totalUsd : demoInvestUsd;
+
+      const r = await api.post(`${API}/grid/start`, {
+        mode,
+        item: gridItem,
+        order_mode: gridOrderMode,
+        initial_capital_usd: capitalUsd,
+        pairOrContract: pairOrContract || "",
+        price: livePrice,
+        ...(design
+          ? {
+              levels: design.levels.map((l) => ({ side: l.side, price: l.price, qty: l.qty })),
+              design: { lower: Number(gridDesign.lower), upper: Number(gridDesign.upper), levels: Number(gridDesign.levels), spacing: gridDesign.spacing },
+            }
+          : {}),
+      });
+
+      resetGridLedger(gridItem, capitalUsd, design?.levels.length);
+      appendLedgerFills(gridItem, r?.fills);
+      patchGridSession(gridItem, {
+        status: "RUNNING",
+        mode,
+        orderMode: gridOrderMode,
+        capitalUsd,
+        startedAt: Date.now(),
+        tick: r?.tick || 0,
+        pnl: r?.pnl?.total ?? null,
+        price: r?.price || livePrice,
+        price_source: livePrice != null ? "frontend" : "snapshot",
+        filled_now: 0,
+        note: null,
+        lastFills: r?.fills || [],
+        fillsCount: (r?.fills || []).length,
+        autoRun: false,
+      });
+      await loadAllGridOrders();
+    } catch (e) {
+      setUi({ err: String(e?.message || e) });
+    } finally {
+      setUi({ busy: false });
+    }
+  }
+
+  async function tickGrid(itemArg) {
+    setUi({ err: "", busy: true });
+    try {
+      const gridItem = String(itemArg || gridSelectedItem || primaryItemId || "").trim();
+      if (!gridItem) throw new Error("Missing primary item id for grid");
+
+      const livePrice = gridLivePrice(store.getState(), gridItem);
+
+      const r = await api.post(`${API}/grid/tick`, {
+        item: gridItem,
+        price: livePrice,
+      });
+
+      const fills = Array.isArray(r?.fills) ? r.fills : [];
+      appendLedgerFills(gridItem, fills);
+      patchGridSession(gridItem, (cur) => ({
+        status: "RUNNING",
+        tick: r?.tick ?? (Number(cur.tick) || 0) + 1,
+        pnl: r?.pnl?.total ?? cur.pnl ?? null,
+        price: r?.price ?? livePrice ?? cur.price ?? null,
+        price_source: r?.price_source ?? (livePrice ? "frontend" : "cache"),
+        filled_now: r?.filled_now,
+        note: r?.note,
+        lastFills: fills,
+        fillsCount: (Number(cur.fillsCount) || 0) + fills.length,
+        lastTickAt: Date.now(),
+      }));
+      await loadAllGridOrders();
+    } catch (e) {
+      setUi({ err: String(e?.message || e) });
+    } finally {
+      setUi({ busy: false });
+    }
+  }
+
+  async function stopGrid(itemArg) {
+    setUi({ err: "", busy: true });
+    try {
+      const gridItem = String(itemArg || gridSelectedItem || primaryItemId || "").trim();
+      if (!gridItem) throw new Error("Missing primary item id for grid");
+
+      // stop autorun if active
+      try {
+        await api.post(`${API}/grid/autorun`, { item: gridItem, enable: false });
+      } catch (_) {}
+
+      const r = await api.post(`${API}/grid/stop`, { item: gridItem });
+      if (r?.queued) {
+        patchGridSession(gridItem, { autoRun: false, note: "Stop queued (offline)" });
+        setPwa({ queueMsg: `Offline – stop for ${gridItem} queued, it is sent when the connection is back.` });
+        return;
+      }
+
+      patchGridSession(gridItem, { status: "STOPPED", autoRun: false, openOrders: 0, stoppedAt: Date.now() });
+      await loadAllGridOrders();
+    } catch (e) {
+      setUi({ err: String(e?.message || e) });
+    } finally {
+      setUi({ busy: false });
+    }
+  }
+
+  async function toggleAutorun(next, itemArg, intervalArg) {
+    setUi({ err: "", busy: true });
+    try {
+      const gridItem = String(itemArg || gridSelectedItem || primaryItemId || "").trim();
+      if (!gridItem) throw new Error("Missing primary item id for grid");
+
+      const cur = gridSessions?.[gridKey(gridItem)];
+      const enable = typeof next === "boolean" ? next : !cur?.autoRun;
+      const n = Number(intervalArg ?? (itemArg ? cur?.autoInterval : autoInterval));
+      const interval = Number.isFinite(n) && n > 0 ? n : 10;
+      await api.post(`${API}/grid/autorun`, {
+        item: gridItem,
+        enable,
+        interval,
+      });
+      patchGridSession(gridItem, { autoRun: enable, autoInterval: interval });
+    } catch (e) {
+      setUi({ err: String(e?.message || e) });
+    } finally {
+      setUi({ busy: false });
+    }
+  }
+
+  function forgetGridSession(item) {
+    const k = gridKey(item);
+    setGridSessions((prev) => {
+      const next = { ...(prev || {}) };
+      delete next[k];
+      return next;
+    });
+  }
+
+  async function addManualOrder() {
+    setUi({ err: "", busy: true });
+    try {
+      const gridItem = (gridSelectedItem || primaryItemId || "").trim();
+      if (!gridItem) throw new Error("Missing primary item id for grid");
+
+      const price = Number(manualPrice);
+      if (!Number.isFinite(price) || price <= 0) throw new Error("Manual price must be a number > 0");
+
+      const qtyNum = manualQty !== "" ? Number(manualQty) : null;
+      if (qtyNum !== null && (!Number.isFinite(qtyNum) || qtyNum <= 0)) throw new Error("Qty must be > 0");
+
+      const payload = {
+        item: gridItem,
+        ttl_s: ttlToSeconds(manualTTL, manualTTLUnit),
+        side: manualSide,
+        price,
+        qty: qtyNum,
+        amount: qtyNum, // some backends use "amount" instead of "qty"
+        order_mode: "MANUAL",
+        confirm: mode === "AGGRESSIVE" ? "YES" : undefined,
+      };
+
+      // Tries the known manual-order routes; only a missing route (404) moves on to the next one.
+      const ok = await postManualOrder(api, API, payload);
+      if (ok?.queued) {
+        setPwa({ queueMsg: "Offline – manual order queued, it is sent when the connection is back." });
+        setGrid({ manualPrice: "", manualQty: "" });
+        return;
+      }
+
+      await loadAllGridOrders();
+      setGrid({ manualPrice: "", manualQty: "" });
+    } catch (e) {
+      setUi({ err: String(e?.message || e) });
+    } finally {
+      setUi({ busy: false });
+    }
+  }
+
+  useProvideActions("grid", {
+    loadAllGridOrders,
+    applyGridOrders,
+    stopSingleOrder,
+    removeOrderFromUI,
+    appendLedgerFills,
+    patchGridSession,
+    patchGridDesign,
+    fitGridDesign,
+    startGrid,
+    tickGrid,
+    stopGrid,
+    toggleAutorun,
+    forgetGridSession,
+    addManualOrder,
+  });
+  return null;
+}
+
+/* -------------------------
+   UI
+--------------------------*/
+// children = the backtest panel (backtest.jsx), rendered at the bottom of the card.
+export function GridControlsCard({ children }) {
+  const grid = useStore((s) => s.grid);
+  const watchlist = useStore((s) => s.watchlist.list);
+  const wlAddInput = useStore((s) => s.watchlist.addInput);
+  const wlBusy = useStore((s) => s.watchlist.busy);
+  const primaryItemId = useStore((s) => s.resolver.primaryItemId);
+  const busy = useStore((s) => s.ui.busy);
+  const offlineQueue = useStore((s) => s.pwa.offlineQueue);
+  const livePrice = useStore((s) => selectEffectiveLive(s)?.price);
+  const selectedGridSession = useStore(selectSelectedGridSession);
+  const autoInvestPct = useStore(selectAutoInvestPct);
+  const autoInvestUsd = useStore(selectAutoInvestUsd);
+  const designPrice = useStore((s) => gridLivePrice(s, selectGridItem(s)));
+  const setGrid = useSetSlice("grid");
+  const setPicker = useSetSlice("picker");
+  const { patchGridDesign, fitGridDesign, startGrid, tickGrid, stopGrid, toggleAutorun, addManualOrder } = useActions("grid");
+  const { refreshAll } = useActions("health");
+
+  const {
+    mode,
+    autoInterval,
+    demoInvestUsd,
+    manualSide,
+    manualPrice,
+    manualQty,
+    selectedItem: gridSelectedItem,
+    orderMode: gridOrderMode,
+    design: gridDesign,
+    manualTTL,
+    manualTTLUnit,
+  } = grid;
+  const autoRun = Boolean(selectedGridSession?.autoRun);
+  const gridMeta = selectedGridSession?.status === "RUNNING" ? selectedGridSession : null;
+  const gridFills = selectedGridSession?.lastFills || [];
+
+  const gridDesignPlan = useMemo(
+    () => (gridOrderMode === "CUSTOM" ? buildGridLevels(gridDesign, { price: designPrice, capitalUsd: demoInvestUsd }) : null),
+    [gridOrderMode, gridDesign, designPrice, demoInvestUsd]
+  );
+
+  return (
+    <Card title="Grid Controls">
+      <div className="row" style={{ gap: 10, flexWrap: "wrap", marginBottom: 10, alignItems: "center" }}>
+        <div className="muted">Coin</div>
+        <select className="select" value={gridSelectedItem} onChange={(e) => setGrid({ selectedItem: e.target.value })} aria-label="Grid coin">
+          {(watchlist || []).map((s) => (
+            <option key={s} value={s}>{s}</option>
+          ))}
+          {(!(watchlist || []).includes(primaryItemId) && primaryItemId) ? (
+            <option value={primaryItemId}>{primaryItemId}</option>
+          ) : null}
+          {/* Keep a coin from another watchlist selectable after switching lists (its session may still run). */}
+          {gridSelectedItem && gridSelectedItem !== primaryItemId && !(watchlist || []).includes(gridSelectedItem) ? (
+            <option value={gridSelectedItem}>{gridSelectedItem}</option>
+          ) : null}
+        </select>
+
+        <div className="muted" style={{ marginLeft: 8 }}>Mode</div>
+        <select
+          className="select"
+          value={gridOrderMode}
+          onChange={(e) => setGrid({ orderMode: e.target.value })}
+          style={{ minWidth: 160 }}
+        >
+          <option value="AUTO">AUTO (10 Orders)</option>
+          <option value="CUSTOM">CUSTOM (Designer)</option>
+          <option value="MANUAL">MANUAL</option>
+        </select>
+
+        <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap", marginTop: 8 }}>
+          <label style={{ fontSize: 12, opacity: 0.9 }}>Demo investment (USD)</label>
+          <input
+            type="number"
+            min={0}
+            step={100}
+            value={demoInvestUsd}
+            onChange={(e) => setGrid({ demoInvestUsd: Number(e.target.value || 0) })}
+            style={{ width: 140 }}
+          />
+          <span style={{ fontSize: 12, opacity: 0.7 }}>
+            This is the simulated starting capital used for PnL/ROI (default 5000).
+          </span>
+        </div>
+
+        {gridOrderMode === "AUTO" ? (
+          <div className="row" style={{ alignItems: "center", flexWrap: "wrap", marginTop: 8 }}>
+            <label style={{ fontSize: 12, opacity: 0.9 }}>AUTO uses % of demo capital</label>
+            <input
+              type="number"
+              min={0}
+              max={100}
+              step={1}
+              value={autoInvestPct}
+              onChange={(e) => {
+                const v = Number(e.target.value || 0);
+                if (mode === "AGGRESSIVE") setGrid({ autoInvestPctAgg: v });
+                else setGrid({ autoInvestPctSafe: v });
+              }}
+              style={{ width: 100 }}
+            />
+            <span style={{ fontSize: 12, opacity: 0.7 }}>
+              =&nbsp;<b>${autoInvestUsd.toFixed(2)}</b> used for AUTO in <b>{mode}</b> mode (SAFE/AGGRESSIVE keep their own %).
+            </span>
+          </div>
+        ) : null}
+        {gridOrderMode === "CUSTOM" ? (
+          <div style={{ marginTop: 8, width: "100%" }}>
+            <div className="row" style={{ gap: 8, flexWrap: "wrap", alignItems: "center" }}>
+              <label className="muted">Lower</label>
+              <input
+                className="input mono"
+                style={{ width: 110 }}
+                value={gridDesign.lower}
+                onChange={(e) => patchGridDesign({ lower: e.target.value })}
+                placeholder="e.g. 2800"
+              />
+              <label className="muted">Upper</label>
+              <input
+                className="input mono"
+                style={{ width: 110 }}
+                value={gridDesign.upper}
+                onChange={(e) => patchGridDesign({ upper: e.target.value })}
+                placeholder="e.g. 3400"
+              />
+              <label className="muted">Levels</label>
+              <input
+                className="input mono"
+                style={{ width: 70 }}
+                value={gridDesign.levels}
+                onChange={(e) => patchGridDesign({ levels: Number(e.target.value || 0) })}
+              />
+              <select className="select" value={gridDesign.spacing} onChange={(e) => patchGridDesign({ spacing: e.target.value })}>
+                <option value="geometric">Geometric (equal %)</option>
+                <option value="arithmetic">Arithmetic (equal $)</option>
+              </select>
+              <button className="btn small" onClick={() => fitGridDesign(10)} disabled={!(designPrice > 0)} title="Range ±10% around the live price">
+                ±10% around price
+              </button>
+            </div>
+
+            <div className="row" style={{ gap: 8, flexWrap: "wrap", alignItems: "center", marginTop: 6 }}>
+              <label className="muted">Size per level</label>
+              <select className="select" value={gridDesign.sizeMode} onChange={(e) => patchGridDesign({ sizeMode: e.target.value })}>
+                <option value="usd">Split demo capital equally</option>
+                <option value="qty">Fixed coin quantity</option>
+              </select>
+              {gridDesign.sizeMode === "qty" ? (
+                <input
+                  className="input mono"
+                  style={{ width: 110 }}
+                  value={gridDesign.qtyPerLevel}
+                  onChange={(e) => patchGridDesign({ qtyPerLevel: e.target.value })}
+                  placeholder="qty"
+                />
+              ) : (
+                <span className="muted" style={{ fontSize: 12 }}>${formatUSD(demoInvestUsd)} demo capital</span>
+              )}
+            </div>
+
+            {gridDesignPlan?.errors.map((m) => (
+              <div key={m} className="designErr">{m}</div>
+            ))}
+            {gridDesignPlan?.warnings.map((m) => (
+              <div key={m} className="designWarn">⚠ {m}</div>
+            ))}
+            {gridDesignPlan?.levels.length ? (
+              <>
+                <div className="row" style={{ gap: 8, flexWrap: "wrap", marginTop: 6 }}>
+                  <Pill>Step {gridDesignPlan.stepPct.toFixed(2)}%</Pill>
+                  <Pill>BUY {gridDesignPlan.levels.filter((l) => l.side === "BUY").length} · ${formatUSD(gridDesignPlan.buyUsd)}</Pill>
+                  <Pill>SELL {gridDesignPlan.levels.filter((l) => l.side === "SELL").length} · ${formatUSD(gridDesignPlan.sellUsd)}</Pill>
+                  <Pill>Total ${formatUSD(gridDesignPlan.totalUsd)}</Pill>
+                </div>
+                {gridDesign.sizeMode === "qty" && gridDesignPlan.totalUsd > demoInvestUsd ? (
+                  <div className="designWarn">⚠ Levels need ${formatUSD(gridDesignPlan.totalUsd)}, more than the ${formatUSD(demoInvestUsd)} demo capital.</div>
+                ) : null}
+                <div className="table gridOrdersScroll" style={{ marginTop: 6 }}>
+                  <div className="tHead designGrid">
+                    <div>#</div>
+                    <div>Side</div>
+                    <div>Price</div>
+                    <div>Qty</div>
+                    <div>USD</div>
+                  </div>
+                  {gridDesignPlan.levels
+                    .slice()
+                    .reverse()
+                    .map((l, i) => (
+                      <div key={i} className="tRow designGrid">
+                        <div className="mono muted">{gridDesignPlan.levels.length - i}</div>
+                        <div className={"mono " + (l.side === "BUY" ? "pos" : "neg")}>{l.side}</div>
+                        <div className="mono">${formatPrice(l.price)}</div>
+                        <div className="mono">{formatPrice(l.qty)}</div>
+                        <div className="mono">${formatUSD(l.usd)}</div>
+                      </div>
+                    ))}
+                </div>
+              </>
+            ) : null}
+          </div>
+        ) : null}
+        {gridOrderMode === "MANUAL" ? (
+          <>
+            <div className="muted" style={{ marginLeft: 8 }}>Laufzeit</div>
+            <input
+              className="input mono"
+              style={{ width: 120 }}
+              value={manualTTL}
+              onChange={(e) => setGrid({ manualTTL: e.target.value })}
+              placeholder="TTL"
+            />
+            <select
+              className="select"
+              value={manualTTLUnit}
+              onChange={(e) => setGrid({ manualTTLUnit: e.target.value })}
+              style={{ width: 120 }}
+            >
+              <option value="s">Seconds</option>
+              <option value="m">Minutes</option>
+              <option value="h">Hours</option>
+              <option value="d">Days</option>
+            </select>
+          </>
+        ) : null}
+      </div>
+      <div className="row" style={{ gap: 10, flexWrap: "wrap" }}>
+        <button className="btn start" onClick={() => startGrid()} disabled={busy}>
+          ▶ Start
+        </button>
+        <button className="btn tick" onClick={() => tickGrid()} disabled={busy}>
+          ⟳ Tick
+        </button>
+        <button className="btn stop" onClick={() => stopGrid()} disabled={busy}>
+          ■ Stop
+        </button>
+        {offlineQueue ? <Badge>⏳ {offlineQueue} queued offline</Badge> : null}
+      </div>
+
+      <div className="muted" style={{ marginTop: 10 }}>
+        Tick: <b>{gridMeta?.tick ?? "-"}</b> · Price:{" "}
+        <b>
+          {gridMeta?.price != null
+            ? `$${formatPrice(gridMeta.price)}`
+            : livePrice != null
+            ? `$${formatPrice(livePrice)}`
+            : "—"}
+        </b>
+
+        <span style={{ opacity: 0.75 }}>({gridMeta?.price_source || "—"})</span>{" "}
+        · Filled now: <b>{gridMeta?.filled_now ?? 0}</b> · PnL: <b>{gridMeta?.pnl != null ? `$${formatUSD(gridMeta.pnl)}` : "—"}</b>
+        {gridMeta?.note ? <span> · {gridMeta.note}</span> : null}
+      </div>
+      {gridFills?.length ? (
+        <div className="list" style={{ marginTop: 10 }}>
+          <div className="muted" style={{ marginBottom: 6 }}>Treffer (letzte 10)</div>
+          {gridFills.slice(-10).reverse().map((f, i) => (
+            <div key={i} className="listItem">
+              <div className="mono">{(gridSelectedItem || f?.item) || "-"}</div>
+              <div className="mono">{f?.side || "-"}</div>
+              <div className="mono">{f?.fill_price != null ? `$${formatPrice(f.fill_price)}` : "-"}</div>
+              <div className="mono">{f?.pnl_delta != null ? `$${formatUSD(f.pnl_delta)}` : "—"}</div>
+              <div className="mono" style={{ opacity: 0.7 }}>{f?.filled_ts ? new Date(f.filled_ts * 1000).toLocaleTimeString() : ""}</div>
+            </div>
+          ))}
+        </div>
+      ) : null}
+
+      <div className="row" style={{ gap: 10, marginTop: 12, flexWrap: "wrap", alignItems: "center" }}>
+        <label className="muted">Auto Tick (s)</label>
+        <input
+          className="input"
+          style={{ width: 90 }}
+          value={autoInterval}
+          onChange={(e) => setGrid({ autoInterval: e.target.value })}
+          placeholder="10"
+        />
+        <button className="btn" onClick={() => toggleAutorun(true)} disabled={busy || autoRun}>
+          ▶ Auto
+        </button>
+        <button className="btn" onClick={() => toggleAutorun(false)} disabled={busy || !autoRun}>
+          ■ Auto Stop
+        </button>
+        <span className="muted" style={{ marginLeft: 6 }}>
+          {autoRun ? "running" : "off"}
+        </span>
+      </div>
+
+      <div className="row" style={{ gap: 10, marginTop: 12, flexWrap: "wrap", alignItems: "center" }}>
+        <label className="muted">Manual</label>
+        <select className="input" style={{ width: 110 }} value={manualSide} onChange={(e) => setGrid({ manualSide: e.target.value })}>
+          <option value="BUY">BUY</option>
+          <option value="SELL">SELL</option>
+        </select>
+        <input
+          className="input"
+          style={{ width: 140 }}
+          value={manualPrice}
+          onChange={(e) => setGrid({ manualPrice: e.target.value })}
+          placeholder="Price"
+        />
+        <input
+          className="input"
+          style={{ width: 120 }}
+          value={manualQty}
+          onChange={(e) => setGrid({ manualQty: e.target.value })}
+          placeholder="Qty (opt.)"
+        />
+        <button className="btn" onClick={addManualOrder} disabled={busy}>
+          + Add
+        </button>
+        <button
+          className="btn"
+          onClick={() => {
+            const s = normalizeSymbol(wlAddInput);
+            setPicker({
+              err: "",
+              query: s || "",
+              tab: "dex",
+              dexSymbol: s || "",
+              dexContract: "",
+              dexChain: "",
+              dexErr: "",
+              dexPools: null,
+              results: [],
+              open: true,
+            });
+          }}
+          disabled={wlBusy}
+        >
+          + DEX
+        </button>
+      </div>
+
+      <div className="row" style={{ gap: 10, marginTop: 12, flexWrap: "wrap" }}>
+        <button
+          className={`modeBtn ${mode === "SAFE" ? "active" : ""}`}
+          onClick={() => setGrid({ mode: "SAFE" })}
+          disabled={busy}
+        >
+          Mode: SAFE
+        </button>
+        <button
+          className={`modeBtn ${mode === "AGGRESSIVE" ? "active" : ""}`}
+          onClick={() => setGrid({ mode: "AGGRESSIVE" })}
+          disabled={busy}
+        >
+          Mode: AGGRESSIVE
+        </button>
+        <button className="modeBtn" onClick={refreshAll} disabled={busy}>
+          ↻ Refresh All
+        </button>
+      </div>
+
+      <div className="muted" style={{ marginTop: 10 }}>
+        Note: AGGRESSIVE requires confirmation → it will be sent automatically with <code>confirm=YES</code>.
+      </div>
+
+      {children}
+    </Card>
+  );
+}
+
+export function GridOrdersCard() {
+  const gridOrdersVisibleAll = useStore(selectVisibleOrders);
+  const gridOrdersFilter = useStore((s) => s.grid.ordersFilter);
+  const busy = useStore((s) => s.ui.busy);
+  const setGrid = useSetSlice("grid");
+  const { stopSingleOrder, removeOrderFromUI } = useActions("grid");
+
+  const gridCoins = useMemo(() => {
+    const arr = (gridOrdersVisibleAll || [])
+      .map((o) => String(o?.item || o?.symbol || "").toUpperCase())
+      .filter(Boolean);
+    return Array.from(new Set(arr));
+  }, [gridOrdersVisibleAll]);
+
+  const gridOrdersFiltered = useMemo(() => {
+    const visible = gridOrdersVisibleAll || [];
+    if (!gridOrdersFilter || gridOrdersFilter === "ALL") return visible;
+    const want = String(gridOrdersFilter || "").toUpperCase();
+    return visible.filter((o) => String(o?.item || o?.symbol || "").toUpperCase() === want);
+  }, [gridOrdersVisibleAll, gridOrdersFilter]);
+
+  const gridOrdersShown = useMemo(() => {
+    return (gridOrdersFiltered || []).slice(0, 10);
+  }, [gridOrdersFiltered]);
+
+  return (
+    <Card
+      title="Grid Orders"
+      right={
+        <Badge ok={gridOrdersVisibleAll.length ? true : null}>
+          {gridOrdersVisibleAll.length || 0} orders
+        </Badge>
+      }
+    >
+      {!gridOrdersVisibleAll?.length ? (
+        <div className="empty">No orders yet. Press Start or Tick.</div>
+      ) : (
+        <>
+          <div className="gridOrdersTop">
+            <div className="row" style={{ gap: 10, alignItems: "center", marginBottom: 10 }}>
+              <span className="muted">Coin:</span>
+              <span className="muted" style={{ marginLeft: "auto" }}>
+                Showing {gridOrdersShown.length} / {gridOrdersFiltered.length}
+              </span>
+            </div>
+
+            <div className="coinTabs" role="tablist" aria-label="Grid Orders coins">
+              <button
+                className={"btn " + (gridOrdersFilter === "ALL" ? "primary" : "")}
+                onClick={() => setGrid({ ordersFilter: "ALL" })}
+              >
+                ALL
+                <span className="miniCount">{gridOrdersVisibleAll.length}</span>
+              </button>
+
+              {gridCoins.map((c) => {
+                const n = (gridOrdersVisibleAll || []).filter((o) => String(o?.item || o?.symbol || "").toUpperCase() === c).length;
+                return (
+                  <button
+                    key={c}
+                    className={"btn " + (gridOrdersFilter === c ? "primary" : "")}
+                    onClick={() => setGrid({ ordersFilter: c })}
+                    title={`${n} orders`}
+                  >
+                    {c}
+                    <span className="miniCount">{n}</span>
+                  </button>
+                );
+              })}
+            </div>
+          </div>
+
+          <div className="gridOrdersScroll">
+            <div className="listHeader">
+              <div>Coin</div>
+              <div>Side</div>
+              <div>Price</div>
+              <div>Qty</div>
+              <div>Status</div>
+              <div style={{ textAlign: "right" }}>Action</div>
+            </div>
+
+            <div className="list">
+              {gridOrdersShown.map((o) => (
+                <div key={String(o?.id || `${o?.item || ""}-${o?.side || ""}-${o?.price ?? ""}-${o?.level ?? ""}-${o?.ts ?? ""}`)} className="listItem">
+                  <div className="mono">{o?.item || "-"}</div>
+                  <div className="mono"><span className={"pill " + String(o?.side || "").toUpperCase()}>{o?.side || "-"}</span></div>
+                  <div className="mono">{o?.price != null ? `$${formatPrice(o.price)}` : "-"}</div>
+                  <div className="mono">{o?.qty != null ? o.qty : (o?.amount != null ? o.amount : "-")}</div>
+                  <div className="mono"><span className={"pill " + String(o?.status || "").toUpperCase()}>{o?.status || "-"}</span></div>
+                  <div style={{ textAlign: "right" }}>
+                    <button
+                      className="btn small"
+                      disabled={busy || String(o?.status || "").toUpperCase() !== "OPEN"}
+                      onClick={() => stopSingleOrder(o)}
+                      title="Stop this order"
+                    >
+                      Stop
+                    </button>
+                    <button
+                      className="btn small"
+                      disabled={busy || String(o?.status || "").toUpperCase() === "OPEN"}
+                      onClick={() => removeOrderFromUI(o)}
+                    >
+                      Remove
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        </>
+      )}
+    </Card>
+  );
+}
+
+export function GridSessionsCard() {
+  const gridSessions = useStore((s) => s.grid.sessions);
+  const gridItem = useStore(selectGridItem);
+  const busy = useStore((s) => s.ui.busy);
+  const setGrid = useSetSlice("grid");
+  const { loadAllGridOrders, patchGridSession, tickGrid, toggleAutorun, stopGrid, startGrid, forgetGridSession } = useActions("grid");
+
+  const gridSessionList = useMemo(
+    () =>
+      Object.values(gridSessions || {})
+        .filter((g) => g && g.item)
+        .sort((a, b) => (a.status === "RUNNING" ? 0 : 1) - (b.status === "RUNNING" ? 0 : 1) || String(a.item).localeCompare(String(b.item))),
+    [gridSessions]
+  );
+
+  return (
+    <Card
+      title="Grid Sessions"
+      right={
+        <div className="row" style={{ gap: 10 }}>
+          <Badge ok={gridSessionList.some((g) => g.status === "RUNNING") ? true : null}>
+            {gridSessionList.filter((g) => g.status === "RUNNING").length} running
+          </Badge>
+          <button className="btn small" onClick={loadAllGridOrders} disabled={busy}>
+            ↻ Sync
+          </button>
+        </div>
+      }
+    >
+      {!gridSessionList.length ? (
+        <div className="empty">No grids yet. Start one in Grid Controls.</div>
+      ) : (
+        <div className="gridOrdersScroll">
+          <div className="listHeader sessionGrid">
+            <div>Coin</div>
+            <div>Mode</div>
+            <div>Capital</div>
+            <div>Tick</div>
+            <div>Auto (s)</div>
+            <div>PnL</div>
+            <div>Fills</div>
+            <div style={{ textAlign: "right" }}>Action</div>
+          </div>
+          <div className="list">
+            {gridSessionList.map((g) => {
+              const running = g.status === "RUNNING";
+              const selected = gridKey(g.item) === gridKey(gridItem);
+              return (
+                <div key={gridKey(g.item)} className={"listItem sessionGrid" + (selected ? " selected" : "")}>
+                  <div className="mono">
+                    <button className="linkBtn mono" onClick={() => setGrid({ selectedItem: g.item })} title="Select in Grid Controls">
+                      {g.item}
+                    </button>
+                    <div>
+                      <span className={"pill " + (running ? "OPEN" : "CANCELLED")}>{g.status || "—"}</span>
+                    </div>
+                  </div>
+                  <div className="mono">{g.mode || "-"}<div className="muted">{g.orderMode || ""}</div></div>
+                  <div className="mono">{g.capitalUsd != null ? `$${formatUSD(g.capitalUsd)}` : "—"}</div>
+                  <div className="mono">{g.tick ?? 0}</div>
+                  <div className="mono">
+                    <input
+                      className="input"
+                      style={{ width: 64, padding: "6px 8px" }}
+                      value={g.autoInterval ?? 10}
+                      onChange={(e) => patchGridSession(g.item, { autoInterval: e.target.value })}
+                      disabled={g.autoRun}
+                    />
+                    <div className="muted">{g.autoRun ? "auto on" : "off"}</div>
+                  </div>
+                  <div className={"mono " + (Number(g.pnl) >= 0 ? "pos" : "neg")}>{g.pnl != null ? `$${formatUSD(g.pnl)}` : "—"}</div>
+                  <div className="mono">{g.fillsCount || 0}</div>
+                  <div className="row" style={{ gap: 6, justifyContent: "flex-end", flexWrap: "wrap" }}>
+                    {running ? (
+                      <>
+                        <button className="btn small" onClick={() => tickGrid(g.item)} disabled={busy}>
+                          ⟳
+                        </button>
+                        <button className="btn small" onClick={() => toggleAutorun(!g.autoRun, g.item)} disabled={busy}>
+                          {g.autoRun ? "Auto ■" : "Auto ▶"}
+                        </button>
+                        <button className="btn small" onClick={() => stopGrid(g.item)} disabled={busy}>
+                          ■
+                        </button>
+                      </>
+                    ) : (
+                      <>
+                        <button
+                          className="btn small"
+                          onClick={() => {
+                            setGrid({ selectedItem: g.item });
+                            startGrid(g.item);
+                          }}
+                          disabled={busy}
+                          title="Start again with the current Grid Controls settings"
+                        >
+                          ▶
+                        </button>
+                        <button className="btn small" onClick={() => forgetGridSession(g.item)} disabled={busy} title="Remove from this list">
+                          ×
+                        </button>
+                      </>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+    </Card>
+  );
+}
+
+export function GridPnlCard() {
+  const gridLedger = useStore((s) => s.grid.ledger);
+  const gridSessions = useStore((s) => s.grid.sessions);
+  const pnlAssumptions = useStore((s) => s.grid.pnlAssumptions);
+  const pnlItem = useStore((s) => s.grid.pnlItem);
+  // PnL dashboard follows the selected grid unless the user picks another ledger.
+  const pnlKey = useStore((s) => gridKey(s.grid.pnlItem || selectGridItem(s)));
+  const ledgerPrice = useStore((s) => {
+    const l = s.grid.ledger?.[pnlKey];
+    return l ? gridLivePrice(s, l.item) : null;
+  });
+  const setGrid = useSetSlice("grid");
+
+  const pnlLedger = gridLedger?.[pnlKey] || null;
+  const pnlPrice = pnlLedger ? ledgerPrice ?? gridSessions?.[pnlKey]?.price ?? null : null;
+  const pnlStats = useMemo(
+    () =>
+      pnlLedger
+        ? computeGridPnl(
+            { ...pnlLedger, capitalUsd: pnlLedger.capitalUsd ?? gridSessions?.[pnlKey]?.capitalUsd },
+            { price: pnlPrice, feeBps: pnlAssumptions.feeBps, slippageBps: pnlAssumptions.slippageBps }
+          )
+        : null,
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    [pnlLedger, pnlPrice, pnlAssumptions, pnlKey]
+  );
+  const setPnlAssumptions = (fn) => setGrid((cur) => ({ pnlAssumptions: fn(cur.pnlAssumptions) }));
+
+  return (
+    <Card
+      title="Grid PnL"
+      right={
+        <select className="select" style={{ width: 160 }} value={pnlItem} onChange={(e) => setGrid({ pnlItem: e.target.value })}>
+          <option value="">Selected grid</option>
+          {Object.values(gridLedger || {}).map((l) => (
+            <option key={gridKey(l.item)} value={l.item}>{l.item}</option>
+          ))}
+        </select>
+      }
+    >
+      {!pnlStats ? (
+        <div className="empty">No ledger for {pnlKey || "this grid"} yet. Start a grid to record fills.</div>
+      ) : (
+        <>
+          <div className="row" style={{ gap: 8, flexWrap: "wrap" }}>
+            <Pill>Realized ${formatUSD(pnlStats.realized)}</Pill>
+            <Pill>
+              Unrealized ${formatUSD(pnlStats.unrealized)}
+              {pnlPrice != null ? ` @ $${formatPrice(pnlPrice)}` : " (no price)"}
+            </Pill>
+            <Pill>Total ${formatUSD(pnlStats.total)}</Pill>
+            <Pill>ROI {pnlStats.roiPct != null ? formatPct(pnlStats.roiPct) : "—"}</Pill>
+          </div>
+          <div className="muted" style={{ marginTop: 6 }}>
+            {pnlStats.fills} fills · position {pnlStats.position.toPrecision(4)} @ ${formatPrice(pnlStats.avgCost)} · fees+slippage ${formatUSD(pnlStats.costs)}
+            {pnlStats.capital ? ` · capital $${formatUSD(pnlStats.capital)}` : ""}
+            {pnlStats.estimatedQty ? " · qty estimated from capital where fills had none" : ""}
+          </div>
+
+          <div style={{ marginTop: 10 }}>
+            <LineChart
+              series={[{ points: pnlStats.equityCurve, color: pnlStats.total >= 0 ? "rgba(80,255,160,.95)" : "rgba(255,120,120,.95)" }]}
+              height={150}
+              yFormat={(v) => `$${formatUSD(v)}`}
+              xFormat={(v) => new Date(v).toLocaleDateString()}
+            />
+          </div>
+
+          <div className="row" style={{ gap: 10, marginTop: 10, flexWrap: "wrap", alignItems: "center" }}>
+            <label className="muted">Fee (bps)</label>
+            <input
+              className="input"
+              style={{ width: 80 }}
+              value={pnlAssumptions.feeBps}
+              onChange={(e) => setPnlAssumptions((a) => ({ ...a, feeBps: e.target.value }))}
+            />
+            <label className="muted">Slippage (bps)</label>
+            <input
+              className="input"
+              style={{ width: 80 }}
+              value={pnlAssumptions.slippageBps}
+              onChange={(e) => setPnlAssumptions((a) => ({ ...a, slippageBps: e.target.value }))}
+            />
+          </div>
+
+          <div style={{ marginTop: 10 }}>
+            <Collapsible title={`Daily PnL (${pnlStats.daily.length} days)`}>
+              <div className="table">
+                <div className="tHead dailyGrid">
+                  <div>Day</div>
+                  <div>Realized</div>
+                  <div>Costs</div>
+                  <div>Fills</div>
+                </div>
+                {pnlStats.daily.map((d) => (
+                  <div key={d.day} className="tRow dailyGrid">
+                    <div className="mono">{d.day}</div>
+                    <div className={"mono " + (d.realized >= 0 ? "pos" : "neg")}>${formatUSD(d.realized)}</div>
+                    <div className="mono">${formatUSD(d.costs)}</div>
+                    <div className="mono">{d.fills}</div>
+                  </div>
+                ))}
+              </div>
+            </Collapsible>
+          </div>
+        </>
+      )}
+    </Card>
+  );
+}
@@ -0,0 +1,855 @@
+/**
+ * Nexus Analyt — live + health (feature)
+ *
+ * - SYMBOL mode (primary/compare is a watchlist symbol): live values come from the watchlist snapshot, health
+ *   from GET /api/health/market (FAST 24h, FULL multi-day; FULL is cached for 6h so reloads feel instant)
+ * - DEX item mode: GET /api/health?item= + /api/watchlist/live?item=, with the last good value per item kept
+ *   so a failed refresh does not blank the cards
+ * - the score profile (factor weights + Healthy/Stable cut-offs) is kept in localStorage; when enabled, the
+ *   selectors below recompute score/status from the returned metrics, so every reader (cards, alerts, AI) agrees
+ * - every market health result is handed to the health history feature (IndexedDB series, sparklines)
+ * - "Refresh all health" walks the whole watchlist through a rate-limited queue (src/queue.js): FAST for every
+ *   symbol first, then FULL for those that answered; progress lives in health.bulk for the watchlist card
+ * Cards: Live Price (hosts the price chart), LP, Volume 24h, Health Score, Raw JSON (DEV).
+ */
+
+import { useEffect, useMemo, useRef } from "react";
+import { isStaleResponse } from "../api.js";
+import { API, api } from "../backend.js";
+import { formatPct, formatPrice, formatUSD, normalizeSymbol, validateSymbol } from "../format.js";
+import {
+  DEFAULT_HEALTH_PROFILE,
+  HEALTH_BASE_SCORE,
+  HEALTH_FACTORS,
+  HEALTH_WEIGHT_MAX,
+  applyHealthProfile,
+  healthLabelForScore,
+  mergeMarketHealth,
+  normalizeHealthProfile,
+  scoreHealth,
+  withMetricFallbacks,
+} from "../health.js";
+import { runQueue } from "../queue.js";
+import { createSelector, useActions, useProvideActions, useSetSlice, useStore, useStoreApi, useStoreState } from "../store.js";
+import { BarChart, Card, Collapsible, DEV_MODE, Pill } from "../ui.jsx";
+import { loadJson, saveJson } from "../util.js";
+import { HealthChangeTag, HealthHistoryPanel, HealthSparkline } from "./healthHistory.jsx";
+import { isLikelySymbol, selectCompareSym, selectCompareSymRaw, selectPrimarySym, selectPrimarySymRaw } from "./resolver.jsx";
+import { selectWlMap } from "./watchlist.jsx";
+
+// Cache only FULL (non-fast) health per symbol so user-mode feels instant on reload.
+const HEALTH_FULL_CACHE_PREFIX = "na_health_full_v1_";
+const HEALTH_FULL_CACHE_MAX_AGE_MS = 6 * 60 * 60 * 1000; // 6h
+
+const LS_HEALTH_PROFILE = "na_health_profile_v1";
+
+const AUTO_HEALTH_POLL = false; // health auto-fetch disabled; use manual refresh button
+
+// "Refresh all health": requests in flight + spacing between request starts
+const BULK_HEALTH_CONCURRENCY = 2;
+const BULK_HEALTH_SPACING_MS = 300;
+
+function readFullHealthCache(symbol) {
+  try {
+    const S = normalizeSymbol(symbol);
+    if (!S) return null;
+    const raw = localStorage.getItem(`${HEALTH_FULL_CACHE_PREFIX}${S}`);
+    if (!raw) return null;
+    const obj = JSON.parse(raw);
+    if (!obj || typeof obj !== "object") return null;
+    if (obj.ts && Date.now() - obj.ts > HEALTH_FULL_CACHE_MAX_AGE_MS) return null;
+    return obj.data && typeof obj.data === "object" ? obj.data : null;
+  } catch {
+    return null;
+  }
+}
+
+function writeFullHealthCache(symbol, data) {
+  try {
+    const S = normalizeSymbol(symbol);
+    if (!S || !data || typeof data !== "object") return;
+    localStorage.setItem(`${HEALTH_FULL_CACHE_PREFIX}${S}`, JSON.stringify({ ts: Date.now(), data }));
+  } catch {
+    // ignore
+  }
+}
+
+export function healthState() {
+  return {
+    live: null, // DEX mode (/api/watchlist/live)
+    healthScore: null, // DEX mode (/api/health?item=)
+    compareHealthScore: null,
+    refreshBusy: false,
+    marketHealthMap: {}, // { SYMBOL: {score,status,reasons,confidence,metrics} }
+    bulk: null, // "Refresh all health": { running, phase: "fast"|"full", done, failed, total, ok, cancelled }
+    profile: normalizeHealthProfile(loadJson(LS_HEALTH_PROFILE, DEFAULT_HEALTH_PROFILE)),
+  };
+}
+
+/* -------------------------
+   Selectors (effective live/health used by UI + AI)
+--------------------------*/
+// Derived "live" for SYMBOL mode (from watchlist cache)
+function derivedLive(sym, wlMap) {
+  if (!sym) return null;
+  const r = wlMap.get(sym);
+  if (!r) return null;
+  return {
+    price: r.price,
+    change24h: r.change24h,
+    volume24h: r.volume24h,
+    liquidity: r.liquidity,
+    source: r.source || r.mode || "watchlist",
+    symbol: sym,
+    mode: r.mode || "market",
+  };
+}
+
+function derivedHealth(symRaw, marketHealthMap) {
+  if (!validateSymbol(symRaw)) return null;
+  return marketHealthMap?.[normalizeSymbol(symRaw)] || null;
+}
+
+export const selectEffectiveLive = createSelector([selectPrimarySym, selectWlMap, (s) => s.health.live], (primarySym, wlMap, live) =>
+  primarySym ? derivedLive(primarySym, wlMap) : live
+);
+
+export const selectEffectiveCompareLive = createSelector([selectCompareSym, selectWlMap], (compareSym, wlMap) =>
+  compareSym ? derivedLive(compareSym, wlMap) : null
+);
+
+// As returned by the backend (no profile applied)
+// (24h metrics the payload lacks are taken from the watchlist row, see withMetricFallbacks)
+export const selectBackendHealth = createSelector(
+  [selectPrimarySym, selectPrimarySymRaw, (s) => s.health.marketHealthMap, (s) => s.health.healthScore, selectWlMap],
+  (primarySym, primarySymRaw, marketHealthMap, healthScore, wlMap) =>
+    primarySym ? withMetricFallbacks(derivedHealth(primarySymRaw, marketHealthMap), wlMap.get(primarySym)) : healthScore
+);
+
+export const selectBackendCompareHealth = createSelector(
+  [selectCompareSym, selectCompareSymRaw, (s) => s.health.marketHealthMap, (s) => s.health.compareHealthScore, selectWlMap],
+  (compareSym, compareSymRaw, marketHealthMap, compareHealthScore, wlMap) =>
+    compareSym ? withMetricFallbacks(derivedHealth(compareSymRaw, marketHealthMap), wlMap.get(compareSym)) : compareHealthScore
+);
+
+export const selectHealthProfile = (s) => s.health.profile;
+
+// Cut-offs for the Healthy/Stable/Weak labels: the profile's while it is enabled, the defaults otherwise.
+export const selectHealthThresholds = (s) => (s.health.profile?.enabled ? s.health.profile.thresholds : DEFAULT_HEALTH_PROFILE.thresholds);
+
+export const selectEffectiveHealth = createSelector([selectBackendHealth, selectHealthProfile], applyHealthProfile);
+
+export const selectEffectiveCompareHealth = createSelector([selectBackendCompareHealth, selectHealthProfile], applyHealthProfile);
+
+/* -------------------------
+   Controller
+--------------------------*/
+export function HealthController() {
+  const store = useStoreApi();
+  const { primaryItemId, pairOrContract, compareItemId } = useStore((s) => s.resolver);
+  const primarySym = useStore(selectPrimarySym);
+  const compareSym = useStore(selectCompareSym);
+  const primarySymRaw = useStore(selectPrimarySymRaw);
+  const compareSymRaw = useStore(selectCompareSymRaw);
+  const [healthRefreshBusy, setHealthRefreshBusy] = useStoreState("health", "refreshBusy");
+  const setHealth = useSetSlice("health");
+  const setUi = useSetSlice("ui");
+  const watchlistActions = useActions("watchlist");
+  const healthHistory = useActions("healthHistory");
+  const healthProfile = useStore(selectHealthProfile);
+  const watchlist = useStore((s) => s.watchlist.list);
+
+  useEffect(() => {
+    saveJson(LS_HEALTH_PROFILE, healthProfile);
+  }, [healthProfile]);
+
+  // Keep last good values (prevents "-" during temporary refresh failures)
+  const lastLiveByKeyRef = useRef({});
+  const lastHealthByKeyRef = useRef({});
+  const lastCompareHealthByKeyRef = useRef({});
+  // Track "key" of the last successful context to avoid TBP sticking when user changes primary/compare.
+  const lastPrimaryKeyRef = useRef("");
+  const lastCompareKeyRef = useRef("");
+
+  // Deterministic cache keys for "last known good" values (prevents cross-asset sticking)
+  const primaryDexKey = `${(primaryItemId || "").trim()}||${(pairOrContract || "").trim()}`;
+  const compareDexKey = `${(compareItemId || "").trim()}||${(pairOrContract || "").trim()}`;
+
+  // opts: { fast, signal, retries } — queued callers pass their cancel signal and retries: 0 so the queue's spacing holds.
+  async function fetchMarketHealth(symbol, opts = {}) {
+    const S = normalizeSymbol(symbol);
+    if (!S) return null;
+    const fast = opts.fast !== undefined ? !!opts.fast : true;
+
+    try {
+      const url = fast
+        ? `${API}/health/market?fast=1&symbol=${encodeURIComponent(S)}`
+        : `${API}/health/market?symbol=${encodeURIComponent(S)}`;
+
+      const r = await api.get(url, { signal: opts.signal, retries: opts.retries });
+      const data = r?.data || r; // backend may wrap as {status:'ok',data:{...}}
+      const stale = isStaleResponse(r); // the service worker's offline copy: shown, but not recorded as a new reading
+
+      if (data && typeof data === "object") {
+        setHealth((cur) => {
+          const prev = cur.marketHealthMap || {};
+          return { marketHealthMap: { ...prev, [S]: mergeMarketHealth(prev[S], { ...data, stale }, fast) } };
+        });
+        if (stale) return data;
+        healthHistory.recordHealth(S, withMetricFallbacks(store.getState().health.marketHealthMap[S], selectWlMap(store.getState()).get(S)), fast);
+
+        if (!fast) writeFullHealthCache(S, data);
+        return data;
+      }
+    } catch {
+      // ignore: fallback will show existing/empty
+    }
+
+    return null;
+  }
+
+  // Whole watchlist, FAST then FULL. FULL is skipped for symbols whose FAST request failed (no market health).
+  const bulkRef = useRef(null);
+
+  async function refreshAllHealth() {
+    if (bulkRef.current) return;
+    const syms = [...new Set((store.getState().watchlist.list || []).map(normalizeSymbol))].filter((s) => validateSymbol(s));
+    if (!syms.length) return;
+    const ctrl = new AbortController();
+    bulkRef.current = ctrl;
+    const failed = new Set();
+    let todo = syms;
+    try {
+      for (const fast of [true, false]) {
+        setHealth({ bulk: { running: true, phase: fast ? "fast" : "full", done: 0, failed: 0, total: todo.length } });
+        const res = await runQueue(
+          todo,
+          async (s) => {
+            const data = await fetchMarketHealth(s, { fast, signal: ctrl.signal, retries: 0 });
+            // A request cut short by Cancel is not a failed symbol.
+            if (!data && !ctrl.signal.aborted) throw new Error(`No health for ${s}`);
+          },
+          {
+            concurrency: BULK_HEALTH_CONCURRENCY,
+            minIntervalMs: BULK_HEALTH_SPACING_MS,
+            signal: ctrl.signal,
+            onProgress: (p) => setHealth((cur) => ({ bulk: { ...cur.bulk, ...p } })),
+          }
+        );
+        for (const r of res) if (!r.ok && !r.skipped) failed.add(r.item);
+        todo = syms.filter((s) => !failed.has(s));
+        if (ctrl.signal.aborted || !todo.length) break;
+      }
+      setHealth((cur) => ({
+        bulk: { ...cur.bulk, running: false, ok: syms.length - failed.size, failed: failed.size, total: syms.length, cancelled: ctrl.signal.aborted },
+      }));
+    } finally {
+      bulkRef.current = null;
+    }
+  }
+
+  function cancelAllHealth() {
+    bulkRef.current?.abort();
+  }
+
+  useEffect(() => () => bulkRef.current?.abort(), []);
+
+  async function refreshSelectedHealthNow() {
+    // Manual refresh: fetch LIVE health only for Primary + Compare symbols (max 2 requests)
+    const syms = [primarySymRaw, compareSymRaw].filter((s) => validateSymbol(s));
+    if (!syms.length) return;
+    if (healthRefreshBusy) return;
+    setHealthRefreshBusy(true);
+    try {
+      // FAST refresh first, then FULL refresh in background
+      for (const s of syms) await fetchMarketHealth(s, { fast: true });
+      setTimeout(() => {
+        for (const s of syms) fetchMarketHealth(s, { fast: false });
+      }, 50);
+    } finally {
+      // Let UI breathe a bit (avoid double-click storms)
+      setTimeout(() => setHealthRefreshBusy(false), 600);
+    }
+  }
+
+  // Watchlist health column: fill symbols without a value from the FULL cache (no requests).
+  useEffect(() => {
+    setHealth((cur) => {
+      const missing = (watchlist || []).map(normalizeSymbol).filter((s) => s && !cur.marketHealthMap?.[s]);
+      const next = {};
+      for (const s of missing) {
+        const cached = readFullHealthCache(s);
+        if (cached) next[s] = cached;
+      }
+      return Object.keys(next).length ? { marketHealthMap: { ...cur.marketHealthMap, ...next } } : {};
+    });
+  }, [watchlist, setHealth]);
+
+  // On symbol change:
+  // 1) hydrate UI instantly from FULL-cache (if available)
+  // 2) fetch FAST immediately (quick 24h metrics)
+  // 3) fetch FULL in background (multi-day trend/drawdown), then cache it
+  useEffect(() => {
+    const syms = [primarySymRaw, compareSymRaw].filter((s) => validateSymbol(s));
+    if (!syms.length) return;
+
+    // 1) Instant hydrate from cache
+    setHealth((cur) => {
+      const next = { ...(cur.marketHealthMap || {}) };
+      for (const s of syms) {
+        const cached = readFullHealthCache(s);
+        if (cached && typeof cached === "object") next[normalizeSymbol(s)] = cached;
+      }
+      return { marketHealthMap: next };
+    });
+
+    if (!AUTO_HEALTH_POLL) {
+      // Only hydrate from cache unless user manually refreshes.
+      return;
+    }
+
+    // 2) FAST right away (does not wipe multi-day context due to mergeMarketHealth)
+    for (const s of syms) fetchMarketHealth(s, { fast: true });
+
+    // 3) FULL in background (don’t block UI)
+    const t = setTimeout(() => {
+      for (const s of syms) fetchMarketHealth(s, { fast: false });
+    }, 50);
+
+    return () => clearTimeout(t);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [primarySymRaw, compareSymRaw]);
+
+  // Refresh market health occasionally (not as often as prices)
+  useEffect(() => {
+    if (!AUTO_HEALTH_POLL) return;
+    const t = setInterval(() => {
+      if (validateSymbol(primarySymRaw)) fetchMarketHealth(primarySymRaw, { fast: true });
+      if (validateSymbol(compareSymRaw)) fetchMarketHealth(compareSymRaw, { fast: true });
+    }, 180_000);
+    return () => clearInterval(t);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [primarySymRaw, compareSymRaw]);
+
+  // Reset last-good refs when user changes primary/compare "identity"
+  useEffect(() => {
+    const key = `${primaryItemId || ""}||${pairOrContract || ""}`;
+    if (key !== lastPrimaryKeyRef.current) {
+      lastPrimaryKeyRef.current = key;
+
+      // Market-mode is derived from watchlist; no last-good reset needed here.
+      if (!isLikelySymbol(primaryItemId)) {
+        setHealth({ live: null, healthScore: null });
+      }
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [primaryItemId, pairOrContract]);
+
+  useEffect(() => {
+    const key = compareDexKey;
+    if (key !== lastCompareKeyRef.current) {
+      lastCompareKeyRef.current = key;
+      if (compareItemId && !isLikelySymbol(compareItemId)) {
+        setHealth({ compareHealthScore: null });
+      }
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [compareDexKey, compareItemId]);
+
+  // ===== Main refresh =====
+  async function refreshAll() {
+    setUi({ err: "", busy: true });
+    try {
+      if (primarySym) {
+        await watchlistActions.refreshWatchlist();
+        setUi({ busy: false });
+        return;
+      }
+
+      const primaryHealthUrl = primaryItemId
+        ? `${API}/health?item=${encodeURIComponent(primaryItemId)}${
+            pairOrContract ? `&pairOrContract=${encodeURIComponent(pairOrContract)}` : ""
+          }`
+        : `${API}/health`;
+
+      const [hRes, lRes] = await Promise.allSettled([
+        api.get(primaryHealthUrl),
+        api.get(
+          `${API}/watchlist/live?item=${encodeURIComponent(primaryItemId || "")}${
+            pairOrContract ? `&pairOrContract=${encodeURIComponent(pairOrContract)}` : ""
+          }`
+        ),
+      ]);
+
+      const h = hRes.status === "fulfilled" ? hRes.value : null;
+      const l = lRes.status === "fulfilled" ? lRes.value : null;
+
+      if (h) {
+        setHealth({ healthScore: h });
+        lastHealthByKeyRef.current[primaryDexKey] = h;
+      } else {
+        const cached = lastHealthByKeyRef.current[primaryDexKey];
+        if (cached) setHealth({ healthScore: cached });
+      }
+
+      if (l) {
+        setHealth({ live: l });
+        lastLiveByKeyRef.current[primaryDexKey] = l;
+      } else {
+        const cached = lastLiveByKeyRef.current[primaryDexKey];
+        if (cached) setHealth({ live: cached });
+      }
+
+      if (compareItemId && !compareSym) {
+        const chRes = await Promise.allSettled([
+          api.get(
+            `${API}/health?item=${encodeURIComponent(compareItemId)}${
+              pairOrContract ? `&pairOrContract=${encodeURIComponent(pairOrContract)}` : ""
+            }`
+          ),
+        ]);
+        const ch = chRes[0]?.status === "fulfilled" ? chRes[0].value : null;
+
+        if (ch) {
+          setHealth({ compareHealthScore: ch });
+          lastCompareHealthByKeyRef.current[compareDexKey] = ch;
+        } else {
+          const cached = lastCompareHealthByKeyRef.current[compareDexKey];
+          if (cached) setHealth({ compareHealthScore: cached });
+        }
+      } else {
+        setHealth({ compareHealthScore: null });
+      }
+    } catch (e) {
+      setUi({ err: String(e?.message || e) });
+    } finally {
+      setUi({ busy: false });
+    }
+  }
+
+  // initial load
+  useEffect(() => {
+    refreshAll();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  useProvideActions("health", { refreshAll, refreshSelectedHealthNow, refreshAllHealth, cancelAllHealth, fetchMarketHealth });
+  return null;
+}
+
+/* -------------------------
+   UI
+--------------------------*/
+function useResolved() {
+  const primaryItemId = useStore((s) => s.resolver.primaryItemId);
+  const compareItemId = useStore((s) => s.resolver.compareItemId);
+  const primarySym = useStore(selectPrimarySym);
+  const compareSym = useStore(selectCompareSym);
+  return { primaryItemId, compareItemId, primarySym, compareSym };
+}
+
+// Primary / Compare rows of the LP and Volume cards (`field` = liquidity | volume24h).
+function PrimaryCompareUsd({ field }) {
+  const { primaryItemId, compareItemId, primarySym, compareSym } = useResolved();
+  const effectiveLive = useStore(selectEffectiveLive);
+  const effectiveCompareLive = useStore(selectEffectiveCompareLive);
+
+  return (
+    <div className="big">
+      {effectiveLive?.[field] != null ? (
+        <div>
+          <div>
+            <span className="muted">Primary:</span>{" "}
+            <span className="mono">{primarySym || primaryItemId || "-"}</span>{" "}
+            <span style={{ marginLeft: 8 }}>{`$${formatUSD(effectiveLive[field])}`}</span>
+          </div>
+          {effectiveCompareLive?.[field] != null ? (
+            <div style={{ marginTop: 8, fontSize: 18 }}>
+              <span className="muted">Compare:</span>{" "}
+              <span className="mono">{compareSym || compareItemId || "-"}</span>{" "}
+              <span style={{ marginLeft: 8 }}>{`$${formatUSD(effectiveCompareLive[field])}`}</span>
+            </div>
+          ) : compareSym || compareItemId ? (
+            <div style={{ marginTop: 8, fontSize: 18 }}>
+              <span className="muted">Compare:</span>{" "}
+              <span className="mono">{compareSym || compareItemId || "-"}</span>{" "}
+              <span className="muted">—</span>
+            </div>
+          ) : null}
+        </div>
+      ) : effectiveCompareLive?.[field] != null ? (
+        <div>
+          <div>
+            <span className="muted">Primary:</span>{" "}
+            <span className="mono">{primarySym || primaryItemId || "-"}</span>{" "}
+            <span className="muted">—</span>
+          </div>
+          <div style={{ marginTop: 8, fontSize: 18 }}>
+            <span className="muted">Compare:</span>{" "}
+            <span className="mono">{compareSym || compareItemId || "-"}</span>{" "}
+            <span style={{ marginLeft: 8 }}>{`$${formatUSD(effectiveCompareLive[field])}`}</span>
+          </div>
+        </div>
+      ) : (
+        "—"
+      )}
+    </div>
+  );
+}
+
+function SourceNote() {
+  const primarySym = useStore(selectPrimarySym);
+  return (
+    <span className="muted">
+      Source: {primarySym ? "Watchlist snapshot" : "/api/watchlist/live"}
+    </span>
+  );
+}
+
+// children = the price history panel (chart.jsx), shown while a primary item is set.
+export function LivePriceCard({ children }) {
+  const { primaryItemId, compareItemId, primarySym, compareSym } = useResolved();
+  const effectiveLive = useStore(selectEffectiveLive);
+  const effectiveCompareLive = useStore(selectEffectiveCompareLive);
+
+  return (
+    <Card title="Live Price (USD)" right={DEV_MODE ? <SourceNote /> : null}>
+      <div className="big">
+        {effectiveLive?.price != null ? (
+          <div>
+            <div>
+              <span className="muted">Primary:</span>{" "}
+              <span className="mono">{primarySym || primaryItemId || "-"}</span>{" "}
+              <span style={{ marginLeft: 8 }}>{`$${formatPrice(effectiveLive.price)}`}</span>
+            </div>
+            {effectiveCompareLive?.price != null ? (
+              <div style={{ marginTop: 8, fontSize: 18 }}>
+                <span className="muted">Compare:</span>{" "}
+                <span className="mono">{compareSym || compareItemId || "-"}</span>{" "}
+                <span style={{ marginLeft: 8 }}>{`$${formatPrice(effectiveCompareLive.price)}`}</span>
+              </div>
+            ) : compareSym ? (
+              <div style={{ marginTop: 8, fontSize: 18 }}>
+                <span className="muted">Compare:</span>{" "}
+                <span className="mono">{compareSym}</span>{" "}
+                <span className="muted">—</span>
+              </div>
+            ) : null}
+          </div>
+        ) : (
+          "—"
+        )}
+      </div>
+      <div className="row" style={{ gap: 10, marginTop: 6 }}>
+        <Pill>24h {effectiveLive?.change24h != null ? formatPct(effectiveLive.change24h) : "—"}</Pill>
+        <Pill>Vol {effectiveLive?.volume24h != null ? `$${formatUSD(effectiveLive.volume24h)}` : "—"}</Pill>
+      </div>
+      {primarySym ? (
+        <div className="muted" style={{ marginTop: 10 }}>
+          Showing market live for <b>{primarySym}</b> from the watchlist cache.
+        </div>
+      ) : null}
+
+      {primaryItemId ? children : null}
+    </Card>
+  );
+}
+
+export function LpCard() {
+  const primarySym = useStore(selectPrimarySym);
+  if (!DEV_MODE && primarySym) return null;
+
+  return (
+    <Card title="LP (now)" right={<SourceNote />}>
+      <PrimaryCompareUsd field="liquidity" />
+      <div className="muted" style={{ marginTop: 8 }}>
+        {primarySym
+          ? "Market items usually have no LP. Use DEX item ids for LP."
+          : "This is liquidity reported by your backend for the selected item."}
+      </div>
+    </Card>
+  );
+}
+
+export function VolumeCard() {
+  return (
+    <Card title="Volume 24h (now)" right={<SourceNote />}>
+      <PrimaryCompareUsd field="volume24h" />
+      {/* User-facing: hide implementation details about data-source routing. */}
+    </Card>
+  );
+}
+
+function HealthTags({ label, score }) {
+  const thresholds = useStore(selectHealthThresholds);
+  const h = score != null ? healthLabelForScore(score, thresholds) : { label: "—", tone: "neutral" };
+  return (
+    <>
+      <span className={`healthTag ${h.tone}`}>
+        {label}: {score != null ? `${Number(score)}/100` : "—"}
+      </span>
+      <span className={`healthTag ${h.tone}`}>{h.label}</span>
+    </>
+  );
+}
+
+const MULTI_DAY_METRICS = [
+  ["change24h", "Change 24h"],
+  ["trend30d", "Trend 30d"],
+  ["trend180d", "Trend 180d"],
+  ["maxDrawdown180d", "Max drawdown 180d"],
+];
+
+function signedPoints(v) {
+  return `${v >= 0 ? "+" : ""}${Number(v).toFixed(1)}`;
+}
+
+const METRIC_SOURCE_LABELS = { payload: "health response", watchlist: "watchlist snapshot" };
+
+function factorValue(f) {
+  if (f.value == null) return "n/a";
+  return f.metric === "volume24h" || f.metric === "liquidity" ? `$${formatUSD(f.value)}` : formatPct(f.value);
+}
+
+// How each factor moved the score away from the base, with the profile's weights.
+function HealthBreakdown({ title, health }) {
+  const profile = useStore(selectHealthProfile);
+  const model = useMemo(() => scoreHealth(health?.metrics, profile), [health, profile]);
+
+  if (!health?.metrics) return <div className="muted" style={{ marginTop: 8 }}>{title}: no metrics returned yet.</div>;
+
+  const backendScore = health.backendScore ?? health.score;
+  const missing = model.factors.filter((f) => f.value == null).map((f) => f.label);
+  const multiDay = MULTI_DAY_METRICS.map(([k, label]) => {
+    const raw = health.metrics[k] ?? (k === "maxDrawdown180d" ? health.metrics.drawdown180d : null);
+    const v = raw == null ? NaN : Number(raw);
+    return { label, value: Number.isFinite(v) ? v : null };
+  });
+
+  return (
+    <div style={{ marginTop: 10 }}>
+      <div className="row" style={{ gap: 8, flexWrap: "wrap", alignItems: "center" }}>
+        <b>{title}</b>
+        <Pill>Backend {backendScore != null ? `${Number(backendScore)}/100` : "—"}</Pill>
+        <Pill>
+          Model {model.score}/100 · {model.covered}/{HEALTH_FACTORS.length} factors
+        </Pill>
+      </div>
+      <div className="table" style={{ marginTop: 8 }}>
+        <div className="tHead factorGrid">
+          <div>Factor</div>
+          <div>Value</div>
+          <div>Points</div>
+          <div>Weight</div>
+          <div>Contribution</div>
+        </div>
+        {model.factors.map((f) => (
+          <div key={f.key} className="tRow factorGrid">
+            <div>
+              {f.label} <span className="muted">({f.range})</span>
+            </div>
+            <div className="mono" title={health.metricSources?.[f.metric] ? `from the ${METRIC_SOURCE_LABELS[health.metricSources[f.metric]]}` : undefined}>
+              {factorValue(f)}
+              {health.metricSources?.[f.metric] === "watchlist" ? <span className="muted" style={{ fontSize: 11 }}> (watchlist)</span> : null}
+            </div>
+            <div className="mono">{f.points == null ? "n/a" : signedPoints(f.points)}</div>
+            <div className="mono">×{f.weight}</div>
+            <div className="mono">{f.points == null ? "—" : signedPoints(f.contribution)}</div>
+          </div>
+        ))}
+      </div>
+      <div className="muted" style={{ marginTop: 6, fontSize: 12 }}>
+        Model score = {HEALTH_BASE_SCORE} + weighted points, clamped to 0–100. Missing metrics count as 0
+        {health.metrics.trend30d == null ? " (multi-day factors arrive with the full health fetch)" : ""}.
+        {missing.length ? ` Missing: ${missing.join(", ")} (not in the health response or the watchlist snapshot).` : ""}
+      </div>
+
+      <div className="muted" style={{ marginTop: 10 }}>Contribution per factor</div>
+      <BarChart bars={model.factors.map((f) => ({ label: f.label, value: f.points == null ? null : f.contribution }))} format={signedPoints} />
+
+      <div className="muted" style={{ marginTop: 10 }}>Multi-day metrics</div>
+      <BarChart bars={multiDay} format={formatPct} />
+    </div>
+  );
+}
+
+function HealthProfileEditor() {
+  const profile = useStore(selectHealthProfile);
+  const setHealth = useSetSlice("health");
+  const patchProfile = (patch) => setHealth({ profile: normalizeHealthProfile({ ...profile, ...patch }) });
+
+  return (
+    <div>
+      <label className="muted" style={{ display: "flex", gap: 6, alignItems: "center" }}>
+        <input type="checkbox" checked={profile.enabled} onChange={(e) => patchProfile({ enabled: e.target.checked })} />
+        Use my profile (recompute scores client-side from the returned metrics)
+      </label>
+
+      <div className="table" style={{ marginTop: 8 }}>
+        <div className="tHead profileGrid">
+          <div>Factor</div>
+          <div>Weight</div>
+          <div />
+        </div>
+        {HEALTH_FACTORS.map((f) => (
+          <div key={f.key} className="tRow profileGrid">
+            <div>{f.label}</div>
+            <div className="mono">×{profile.weights[f.key]}</div>
+            <input
+              type="range"
+              min={0}
+              max={HEALTH_WEIGHT_MAX}
+              step={0.25}
+              value={profile.weights[f.key]}
+              aria-label={`${f.label} weight`}
+              onChange={(e) => patchProfile({ weights: { ...profile.weights, [f.key]: Number(e.target.value) } })}
+            />
+          </div>
+        ))}
+        <div className="tRow profileGrid">
+          <div>Healthy from</div>
+          <div className="mono">{profile.thresholds.healthy}</div>
+          <input
+            type="range"
+            min={0}
+            max={100}
+            value={profile.thresholds.healthy}
+            aria-label="Healthy threshold"
+            onChange={(e) => patchProfile({ thresholds: { ...profile.thresholds, healthy: Number(e.target.value) } })}
+          />
+        </div>
+        <div className="tRow profileGrid">
+          <div>Stable from</div>
+          <div className="mono">{profile.thresholds.stable}</div>
+          <input
+            type="range"
+            min={0}
+            max={100}
+            value={profile.thresholds.stable}
+            aria-label="Stable threshold"
+            onChange={(e) => patchProfile({ thresholds: { ...profile.thresholds, stable: Number(e.target.value) } })}
+          />
+        </div>
+      </div>
+
+      <div className="row" style={{ gap: 10, marginTop: 8, alignItems: "center" }}>
+        <button className="btn small" onClick={() => setHealth({ profile: { ...DEFAULT_HEALTH_PROFILE, enabled: profile.enabled } })}>
+          Reset to defaults
+        </button>
+        <span className="muted" style={{ fontSize: 12 }}>
+          Saved in this browser. Below “Stable from” = Weak.
+        </span>
+      </div>
+    </div>
+  );
+}
+
+export function HealthCard() {
+  const compareItemId = useStore((s) => s.resolver.compareItemId);
+  const healthRefreshBusy = useStore((s) => s.health.refreshBusy);
+  const effectiveHealth = useStore(selectEffectiveHealth);
+  const effectiveCompareHealth = useStore(selectEffectiveCompareHealth);
+  const profileEnabled = useStore((s) => s.health.profile.enabled);
+  const primarySymRaw = useStore(selectPrimarySymRaw);
+  const compareSymRaw = useStore(selectCompareSymRaw);
+  const { refreshSelectedHealthNow } = useActions("health");
+  const historySyms = [primarySymRaw, compareSymRaw].filter((s) => validateSymbol(s));
+
+  const scoreDiff =
+    effectiveCompareHealth?.score != null && effectiveHealth?.score != null
+      ? Number(effectiveCompareHealth.score) - Number(effectiveHealth.score)
+      : null;
+
+  return (
+    <Card
+      title="Health Score"
+      right={
+        <div className="row" style={{ gap: 10, flexWrap: "wrap", alignItems: "center" }}>
+          <HealthTags label="Primary" score={effectiveHealth?.score} />
+          {validateSymbol(primarySymRaw) ? <HealthSparkline symbol={primarySymRaw} /> : null}
+          {validateSymbol(primarySymRaw) ? <HealthChangeTag symbol={primarySymRaw} /> : null}
+
+          {compareItemId ? <HealthTags label="Compare" score={effectiveCompareHealth?.score} /> : null}
+
+          {scoreDiff != null ? (
+            <span className="healthTag neutral">Δ {scoreDiff >= 0 ? `+${scoreDiff}` : `${scoreDiff}`}</span>
+          ) : null}
+
+          {profileEnabled ? <span className="healthTag neutral" title="Scores recomputed with your profile">profile</span> : null}
+
+          {effectiveHealth?.stale || effectiveCompareHealth?.stale ? (
+            <span className="healthTag stable" title="Offline: the last health the app received, not a live answer">offline copy</span>
+          ) : null}
+
+          {/* Manual refresh: fetch live health only for selected Primary/Compare (max 2 calls) */}
+          <button
+            className="btn small"
+            onClick={refreshSelectedHealthNow}
+            disabled={healthRefreshBusy}
+            title="Live Health neu laden (Primary + Compare)"
+          >
+            {healthRefreshBusy ? "Refreshing…" : "Refresh"}
+          </button>
+        </div>
+      }
+    >
+      <div className="muted" style={{ marginBottom: 8 }}>
+        Reasons (Primary):
+      </div>
+      <div className="chips">
+        {(effectiveHealth?.reasons || ["stable"]).slice(0, 6).map((r, idx) => (
+          <span key={idx} className="chip">
+            {r}
+          </span>
+        ))}
+      </div>
+
+      {compareItemId ? (
+        <>
+          <div className="muted" style={{ marginTop: 12, marginBottom: 8 }}>
+            Reasons (Compare):
+          </div>
+          <div className="chips">
+            {(effectiveCompareHealth?.reasons || ["-"]).slice(0, 6).map((r, idx) => (
+              <span key={`c-${idx}`} className="chip">
+                {r}
+              </span>
+            ))}
+          </div>
+        </>
+      ) : null}
+
+      <div style={{ marginTop: 12 }}>
+        <Collapsible title="Score breakdown">
+          <HealthBreakdown title="Primary" health={effectiveHealth} />
+          {compareItemId ? <HealthBreakdown title="Compare" health={effectiveCompareHealth} /> : null}
+        </Collapsible>
+        <Collapsible title={`Score profile${profileEnabled ? " (active)" : ""}`}>
+          <HealthProfileEditor />
+        </Collapsible>
+        <Collapsible title="Score history">
+          <HealthHistoryPanel symbols={historySyms} />
+        </Collapsible>
+      </div>
+
+      {DEV_MODE ? (
+        <Collapsible title="Raw JSON (Debug)">
+          <pre className="pre">
+            {JSON.stringify({ primary: effectiveHealth ?? {}, compare: effectiveCompareHealth ?? {} }, null, 2)}
+          </pre>
+        </Collapsible>
+      ) : null}
+    </Card>
+  );
+}
+
+export function LiveDebugCard() {
+  const effectiveLive = useStore(selectEffectiveLive);
+  return (
+    <Card title="Raw JSON (Live Debug)">
+      <Collapsible title="Show / hide">
+        <pre className="pre">{JSON.stringify(effectiveLive ?? {}, null, 2)}</pre>
+      </Collapsible>
+    </Card>
+  );
+}
@@ -0,0 +1,235 @@
+/**
+ * Nexus Analyt — health history (feature)
+ *
+ * - every market health fetch (FAST and FULL) is appended to IndexedDB "healthHistory" as the merged value the UI shows
+ * - points older than the retention window are pruned on start and whenever the window changes
+ * - "changed since last visit": the label at the previous visit vs the latest point, scored with the active profile
+ * Used by the Health Score card (history panel) and the watchlist (sparkline + change tag per symbol).
+ */
+
+import { useEffect, useMemo } from "react";
+import { idbDeleteRange, idbGetAll, idbPut } from "../db.js";
+import { normalizeSymbol } from "../format.js";
+import {
+  HEALTH_HISTORY_RETENTION_DAYS,
+  appendHealthPoint,
+  applyHealthProfile,
+  healthHistoryEntry,
+  healthLabelChange,
+} from "../health.js";
+import { createSelector, useActions, useProvideActions, useSetSlice, useStore, useStoreApi } from "../store.js";
+import { LineChart, Sparkline } from "../ui.jsx";
+import { loadJson, saveJson } from "../util.js";
+
+const LS_HEALTH_HISTORY_DAYS = "na_health_history_days_v1";
+const LS_HEALTH_LAST_VISIT = "na_health_last_visit_v1";
+const HEALTH_HISTORY_MAX_POINTS = 200; // per symbol kept in memory (sparklines + chart)
+const DAY_MS = 86_400_000;
+
+export function healthHistoryState() {
+  const days = Number(loadJson(LS_HEALTH_HISTORY_DAYS, 30));
+  return {
+    series: {}, // { SYMBOL: [{ id, symbol, ts, fast, score, status, metrics }] } oldest first
+    retentionDays: HEALTH_HISTORY_RETENTION_DAYS.includes(days) ? days : 30,
+    lastVisitTs: Number(loadJson(LS_HEALTH_LAST_VISIT, 0)) || 0, // start of the previous visit
+    err: "",
+  };
+}
+
+/* -------------------------
+   Selectors
+--------------------------*/
+const selectProfile = (s) => s.health.profile;
+
+export const selectHealthChanges = createSelector(
+  [(s) => s.healthHistory.series, (s) => s.healthHistory.lastVisitTs, selectProfile],
+  (series, lastVisitTs, profile) => {
+    const out = {};
+    for (const [sym, points] of Object.entries(series || {})) {
+      const change = healthLabelChange(points, lastVisitTs, profile);
+      if (change) out[sym] = change;
+    }
+    return out;
+  }
+);
+
+function pruneAndLoad(retentionDays) {
+  const cutoff = Date.now() - retentionDays * DAY_MS;
+  return idbDeleteRange("healthHistory", "ts", IDBKeyRange.upperBound(cutoff, true))
+    .catch(() => 0)
+    .then(() => idbGetAll("healthHistory"))
+    .then((rows) => {
+      const series = {};
+      for (const r of (rows || []).sort((a, b) => a.ts - b.ts)) {
+        if (r.ts < cutoff) continue;
+        series[r.symbol] = appendHealthPoint(series[r.symbol], r, HEALTH_HISTORY_MAX_POINTS);
+      }
+      return series;
+    });
+}
+
+/* -------------------------
+   Controller
+--------------------------*/
+export function HealthHistoryController() {
+  const store = useStoreApi();
+  const retentionDays = useStore((s) => s.healthHistory.retentionDays);
+  const setHH = useSetSlice("healthHistory");
+
+  // This visit becomes the "last visit" of the next one.
+  useEffect(() => {
+    saveJson(LS_HEALTH_LAST_VISIT, Date.now());
+  }, []);
+
+  useEffect(() => {
+    saveJson(LS_HEALTH_HISTORY_DAYS, retentionDays);
+    if (typeof indexedDB === "undefined") return;
+    let cancelled = false;
+    pruneAndLoad(retentionDays)
+      .then((loaded) => {
+        if (cancelled) return;
+        // Keep points recorded while the load was in flight.
+        setHH((cur) => {
+          const series = { ...loaded };
+          for (const [sym, points] of Object.entries(cur.series || {})) {
+            for (const p of points) if (!series[sym]?.some((x) => x.id === p.id)) series[sym] = appendHealthPoint(series[sym], p, HEALTH_HISTORY_MAX_POINTS);
+          }
+          return { series, err: "" };
+        });
+      })
+      .catch((e) => {
+        if (!cancelled) setHH({ err: String(e?.message || e) });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [retentionDays, setHH]);
+
+  function recordHealth(symbol, data, fast) {
+    const entry = healthHistoryEntry(normalizeSymbol(symbol), data, fast);
+    if (!entry) return;
+    store.setState("healthHistory", (cur) => ({
+      series: { ...cur.series, [entry.symbol]: appendHealthPoint(cur.series?.[entry.symbol], entry, HEALTH_HISTORY_MAX_POINTS) },
+    }));
+    if (typeof indexedDB !== "undefined") idbPut("healthHistory", entry).catch(() => {});
+  }
+
+  function markHealthSeen() {
+    const now = Date.now();
+    saveJson(LS_HEALTH_LAST_VISIT, now);
+    setHH({ lastVisitTs: now });
+  }
+
+  useProvideActions("healthHistory", { recordHealth, markHealthSeen });
+  return null;
+}
+
+/* -------------------------
+   UI
+--------------------------*/
+function useScoredSeries(symbol) {
+  const points = useStore((s) => s.healthHistory.series[normalizeSymbol(symbol)]);
+  const profile = useStore(selectProfile);
+  return useMemo(
+    () => (points || []).map((p) => ({ ts: p.ts, score: Number(applyHealthProfile(p, profile)?.score), fast: p.fast })),
+    [points, profile]
+  );
+}
+
+export function HealthSparkline({ symbol, width, height }) {
+  const scored = useScoredSeries(symbol);
+  if (!scored.length) return null;
+  const last = scored[scored.length - 1];
+  return (
+    <Sparkline
+      values={scored.map((p) => p.score)}
+      width={width}
+      height={height}
+      min={0}
+      max={100}
+      title={`${normalizeSymbol(symbol)} health: ${scored.length} points, last ${last.score}/100 (${new Date(last.ts).toLocaleString()})`}
+    />
+  );
+}
+
+export function HealthChangeTag({ symbol }) {
+  const change = useStore((s) => selectHealthChanges(s)[normalizeSymbol(symbol)]);
+  if (!change) return null;
+  return (
+    <span className={`healthTag healthChanged ${change.to.toLowerCase()}`} title="Health label changed since your last visit">
+      {change.from} → {change.to}
+    </span>
+  );
+}
+
+// Score over time for the given symbols (Health Score card).
+export function HealthHistoryPanel({ symbols }) {
+  const retentionDays = useStore((s) => s.healthHistory.retentionDays);
+  const lastVisitTs = useStore((s) => s.healthHistory.lastVisitTs);
+  const changes = useStore(selectHealthChanges);
+  const err = useStore((s) => s.healthHistory.err);
+  const setHH = useSetSlice("healthHistory");
+  const { markHealthSeen } = useActions("healthHistory");
+  const changed = Object.entries(changes);
+  const syms = (symbols || []).map(normalizeSymbol).filter(Boolean);
+
+  return (
+    <div>
+      <div className="row" style={{ gap: 8, flexWrap: "wrap", alignItems: "center" }}>
+        <span className="muted">Keep</span>
+        <select className="select" style={{ width: 110 }} value={retentionDays} onChange={(e) => setHH({ retentionDays: Number(e.target.value) })}>
+          {HEALTH_HISTORY_RETENTION_DAYS.map((d) => (
+            <option key={d} value={d}>
+              {d} days
+            </option>
+          ))}
+        </select>
+        <span className="muted" style={{ fontSize: 12 }}>
+          Last visit: {lastVisitTs ? new Date(lastVisitTs).toLocaleString() : "—"}
+        </span>
+      </div>
+      {err ? <div className="muted" style={{ marginTop: 6 }}>History unavailable: {err}</div> : null}
+
+      {syms.map((sym) => (
+        <HealthHistoryChart key={sym} symbol={sym} />
+      ))}
+
+      <div className="muted" style={{ marginTop: 10 }}>Changed since last visit</div>
+      {changed.length ? (
+        <div className="chips" style={{ marginTop: 6 }}>
+          {changed.map(([sym, c]) => (
+            <span key={sym} className="chip">
+              {sym}: {c.from} → {c.to}
+            </span>
+          ))}
+        </div>
+      ) : (
+        <div className="muted" style={{ marginTop: 6, fontSize: 12 }}>No status changes.</div>
+      )}
+      <button className="btn small" style={{ marginTop: 8 }} onClick={markHealthSeen} disabled={!changed.length}>
+        Mark all as seen
+      </button>
+    </div>
+  );
+}
+
+function HealthHistoryChart({ symbol }) {
+  const scored = useScoredSeries(symbol);
+  return (
+    <div style={{ marginTop: 10 }}>
+      <div className="row" style={{ gap: 8, alignItems: "center" }}>
+        <b>{symbol}</b>
+        <span className="muted" style={{ fontSize: 12 }}>
+          {scored.length} point{scored.length === 1 ? "" : "s"}
+        </span>
+        <HealthChangeTag symbol={symbol} />
+      </div>
+      <LineChart
+        series={[{ points: scored.map((p) => ({ x: p.ts, y: p.score })) }]}
+        height={120}
+        yFormat={(v) => `${Math.round(v)}`}
+        xFormat={(v) => new Date(v).toLocaleDateString()}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,219 @@
+/**
+ * Nexus Analyt — portfolio (feature)
+ *
+ * - read-only balances of the connected wallet (eth_call via the wallet provider)
+ * - native coin + known majors + every dex-mode symbolMap token on the wallet's current chain (tokens without a known
+ *   chain are skipped: the same address on another chain is a different contract, or none)
+ * - valued with watchlist prices (stables at $1), so the view follows every snapshot refresh
+ */
+
+import { useEffect, useMemo, useRef } from "react";
+import { MAJOR_TOKENS, NATIVE_ASSETS, erc20Balance, nativeBalance } from "../chain.js";
+import { DEX_CHAINS, findDexChain, isEvmAddress } from "../dex.js";
+import { formatPrice, formatUSD, normalizeSymbol } from "../format.js";
+import { useActions, useProvideActions, useSetSlice, useStore, useStoreApi } from "../store.js";
+import { Card, Pill } from "../ui.jsx";
+import { shortAddr } from "./wallet.jsx";
+import { selectWlMap } from "./watchlist.jsx";
+
+export function portfolioState() {
+  return {
+    data: null, // { chainId, address, ts, rows:[{key, kind, symbol, priceSym, contract, balance}] }
+    busy: false,
+    err: "",
+    showZero: false,
+  };
+}
+
+export function portfolioAssets(chainId, symbolMap) {
+  const byContract = new Map();
+  const out = [{ key: "native", kind: "native", symbol: NATIVE_ASSETS[chainId].symbol, priceSym: NATIVE_ASSETS[chainId].price }];
+  for (const t of MAJOR_TOKENS[chainId] || []) {
+    const a = { key: t.address.toLowerCase(), kind: "erc20", symbol: t.symbol, priceSym: t.price, contract: t.address };
+    byContract.set(a.key, a);
+    out.push(a);
+  }
+  for (const [sym, meta] of Object.entries(symbolMap || {})) {
+    if (meta?.mode !== "dex" || !isEvmAddress(meta.contract)) continue;
+    const c = findDexChain(meta.chainId ?? meta.chain);
+    if (!c || c.chainId !== chainId) continue;
+    const k = meta.contract.toLowerCase();
+    if (byContract.has(k)) {
+      byContract.get(k).watchSym = sym;
+      continue;
+    }
+    const a = { key: k, kind: "erc20", symbol: sym, priceSym: sym, watchSym: sym, contract: meta.contract };
+    byContract.set(k, a);
+    out.push(a);
+  }
+  return out;
+}
+
+/* -------------------------
+   Controller
+--------------------------*/
+export function PortfolioController() {
+  const store = useStoreApi();
+  const walletAddress = useStore((s) => s.wallet.address);
+  const walletChainId = useStore((s) => s.wallet.chainId);
+  const setPortfolio = useSetSlice("portfolio");
+  const wallet = useActions("wallet");
+  const watchlistActions = useActions("watchlist");
+  const reqRef = useRef(0);
+
+  async function loadPortfolio() {
+    const reqId = ++reqRef.current;
+    setPortfolio({ err: "", busy: true });
+    try {
+      if (!walletAddress) throw new Error("Connect wallet first.");
+      const provider = wallet.walletProvider();
+      if (!provider?.request) throw new Error("Wallet provider not available – reconnect the wallet.");
+      const chainId = Number(walletChainId);
+      if (!NATIVE_ASSETS[chainId]) {
+        throw new Error(`Chain ${walletChainId ?? "?"} is not supported here (${DEX_CHAINS.map((c) => c.name).join(", ")}).`);
+      }
+
+      const assets = portfolioAssets(chainId, store.getState().watchlist.symbolMap);
+      const res = await Promise.allSettled(
+        assets.map((a) => (a.kind === "native" ? nativeBalance(provider, walletAddress) : erc20Balance(provider, chainId, a.contract, walletAddress)))
+      );
+      if (reqId !== reqRef.current) return;
+      setPortfolio({
+        data: {
+          chainId,
+          address: walletAddress,
+          ts: Date.now(),
+          rows: assets.map((a, i) =>
+            res[i].status === "fulfilled" ? { ...a, balance: res[i].value } : { ...a, balance: null, error: String(res[i].reason?.message || res[i].reason) }
+          ),
+        },
+      });
+    } catch (e) {
+      if (reqId === reqRef.current) setPortfolio({ err: String(e?.message || e) });
+    } finally {
+      if (reqId === reqRef.current) setPortfolio({ busy: false });
+    }
+  }
+
+  useEffect(() => {
+    if (!walletAddress) {
+      setPortfolio({ data: null, err: "" });
+      return;
+    }
+    loadPortfolio();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [walletAddress, walletChainId]);
+
+  function watchPortfolioAsset(r) {
+    const { symbolMap } = store.getState().watchlist;
+    if (symbolMap?.[r.watchSym]) store.setState("watchlist", (cur) => (cur.list.includes(r.watchSym) ? {} : { list: [r.watchSym, ...cur.list] }));
+    else watchlistActions.addToWatchlist(r.watchSym); // unknown symbol: open the market picker to choose the exact coin
+  }
+
+  useProvideActions("portfolio", { loadPortfolio, watchPortfolioAsset });
+  return null;
+}
+
+/* -------------------------
+   UI
+--------------------------*/
+export function PortfolioCard() {
+  const walletAddress = useStore((s) => s.wallet.address);
+  const walletChainId = useStore((s) => s.wallet.chainId);
+  const { data: portfolio, busy: portfolioBusy, err: portfolioErr, showZero: portfolioShowZero } = useStore((s) => s.portfolio);
+  const watchlist = useStore((s) => s.watchlist.list);
+  const wlBusy = useStore((s) => s.watchlist.busy);
+  const wlMap = useStore(selectWlMap);
+  const setPortfolio = useSetSlice("portfolio");
+  const { loadPortfolio, watchPortfolioAsset } = useActions("portfolio");
+
+  const portfolioView = useMemo(() => {
+    if (!portfolio) return null;
+    const rows = portfolio.rows.map((r) => {
+      const price = r.priceSym === "USD" ? 1 : Number(wlMap.get(r.priceSym)?.price) || null;
+      const watchSym = r.watchSym || (r.priceSym === "USD" ? normalizeSymbol(r.symbol) : r.priceSym);
+      return {
+        ...r,
+        price,
+        valueUsd: r.balance != null && price != null ? r.balance * price : null,
+        watchSym,
+        watched: (watchlist || []).includes(watchSym),
+      };
+    });
+    const total = rows.reduce((a, r) => a + (r.valueUsd || 0), 0);
+    for (const r of rows) r.pct = total > 0 && r.valueUsd != null ? (r.valueUsd / total) * 100 : null;
+    rows.sort((a, b) => (b.valueUsd ?? -1) - (a.valueUsd ?? -1) || (b.balance || 0) - (a.balance || 0));
+    return { ...portfolio, rows, total };
+  }, [portfolio, wlMap, watchlist]);
+
+  return (
+    <Card
+      title="Portfolio"
+      right={
+        walletAddress ? (
+          <span className="muted mono">
+            {shortAddr(walletAddress)} · {DEX_CHAINS.find((c) => c.chainId === Number(walletChainId))?.name || `chain ${walletChainId ?? "?"}`}
+          </span>
+        ) : null
+      }
+    >
+      {!walletAddress ? (
+        <div className="empty">Connect a wallet to read its balances.</div>
+      ) : (
+        <>
+          <div className="row" style={{ gap: 8, flexWrap: "wrap", alignItems: "center" }}>
+            <button className="btn small" onClick={loadPortfolio} disabled={portfolioBusy}>
+              {portfolioBusy ? "loading…" : "Refresh balances"}
+            </button>
+            <label className="muted" style={{ display: "flex", gap: 6, alignItems: "center" }}>
+              <input type="checkbox" checked={portfolioShowZero} onChange={(e) => setPortfolio({ showZero: e.target.checked })} />
+              show zero balances
+            </label>
+            {portfolioView ? <Pill>Total ${formatUSD(portfolioView.total)}</Pill> : null}
+          </div>
+          {portfolioErr ? <div className="muted" style={{ marginTop: 8 }}>{portfolioErr}</div> : null}
+
+          {portfolioView ? (
+            <div className="table" style={{ marginTop: 10 }}>
+              <div className="tHead portfolioGrid">
+                <div>Asset</div>
+                <div>Balance</div>
+                <div>Value</div>
+                <div>Alloc</div>
+                <div />
+              </div>
+              {portfolioView.rows
+                .filter((r) => portfolioShowZero || r.balance > 0 || r.error)
+                .map((r) => (
+                  <div key={r.key} className="tRow portfolioGrid">
+                    <div className="mono">
+                      {r.symbol}
+                      {r.kind === "native" ? <span className="muted"> · native</span> : null}
+                    </div>
+                    <div className="mono">{r.error ? <span className="muted" title={r.error}>error</span> : formatPrice(r.balance)}</div>
+                    <div className="mono">
+                      {r.valueUsd != null ? `$${formatUSD(r.valueUsd)}` : <span className="muted" title="No watchlist price">—</span>}
+                    </div>
+                    <div className="mono">{r.pct != null ? `${r.pct.toFixed(1)}%` : "—"}</div>
+                    <div>
+                      {!r.watched && r.balance > 0 ? (
+                        <button className="btn small" onClick={() => watchPortfolioAsset(r)} disabled={wlBusy}>
+                          + Watch
+                        </button>
+                      ) : null}
+                    </div>
+                  </div>
+                ))}
+              {!portfolioView.rows.some((r) => portfolioShowZero || r.balance > 0 || r.error) ? (
+                <div className="empty">No balances found for the tracked tokens on this chain.</div>
+              ) : null}
+            </div>
+          ) : null}
+          <div className="muted" style={{ marginTop: 8, fontSize: 12 }}>
+            Read-only (eth_call via your wallet). Valued with watchlist prices; stablecoins at $1.
+          </div>
+        </>
+      )}
+    </Card>
+  );
+}
@@ -0,0 +1,56 @@
+import { describe, expect, it } from "vitest";
+import { MAJOR_TOKENS, erc20Balance, nativeBalance } from "../chain.js";
+import { stubProvider } from "../test/eip1193.js";
+import { portfolioAssets } from "./portfolio.jsx";
+
+const OWNER = "0x" + "11".repeat(20);
+const ARB_TOKEN = "0x" + "a1".repeat(20);
+const BASE_TOKEN = "0x" + "b2".repeat(20);
+const NO_CHAIN = "0x" + "c3".repeat(20);
+const USDC_ARB = MAJOR_TOKENS[42161][0].address;
+
+const symbolMap = {
+  BTC: { mode: "market", id: "bitcoin" },
+  GMX: { mode: "dex", contract: ARB_TOKEN, chain: "arbitrum" },
+  BRETT: { mode: "dex", contract: BASE_TOKEN, chainId: 8453 },
+  MYST: { mode: "dex", contract: NO_CHAIN },
+  ODD: { mode: "dex", contract: NO_CHAIN, chain: "fantom" },
+  USDCW: { mode: "dex", contract: USDC_ARB.toLowerCase(), chain: "arb" },
+  BAD: { mode: "dex", contract: "0x12", chain: "arbitrum" },
+};
+
+describe("portfolioAssets", () => {
+  it("lists the native coin, the chain's majors and the dex tokens known to be on that chain", () => {
+    const assets = portfolioAssets(42161, symbolMap);
+    expect(assets[0]).toEqual({ key: "native", kind: "native", symbol: "ETH", priceSym: "ETH" });
+    expect(assets.slice(1, 1 + MAJOR_TOKENS[42161].length).map((a) => a.symbol)).toEqual(MAJOR_TOKENS[42161].map((t) => t.symbol));
+    // A watched major is not queried twice, it only links the watchlist symbol.
+    expect(assets.find((a) => a.contract === USDC_ARB)).toMatchObject({ symbol: "USDC", watchSym: "USDCW" });
+    expect(assets.filter((a) => a.watchSym && a.symbol === a.watchSym).map((a) => a.symbol)).toEqual(["GMX"]);
+  });
+
+  it("skips dex tokens whose chain is unknown instead of querying them on the wallet's chain", () => {
+    const contracts = portfolioAssets(8453, symbolMap).map((a) => a.contract?.toLowerCase());
+    expect(contracts).toContain(BASE_TOKEN);
+    expect(contracts).not.toContain(ARB_TOKEN);
+    expect(contracts).not.toContain(NO_CHAIN);
+  });
+
+  it("reads a balance for every listed asset through the wallet provider", async () => {
+    const provider = stubProvider({
+      owner: OWNER,
+      native: 10n ** 17n,
+      tokens: { [ARB_TOKEN]: { decimals: 18, balance: 5n * 10n ** 18n }, [USDC_ARB.toLowerCase()]: { decimals: 6, balance: 250_000_000n } },
+    });
+    const assets = portfolioAssets(42161, symbolMap);
+    const balances = await Promise.allSettled(
+      assets.map((a) => (a.kind === "native" ? nativeBalance(provider, OWNER) : erc20Balance(provider, 42161, a.contract, OWNER)))
+    );
+    const bySymbol = Object.fromEntries(assets.map((a, i) => [a.symbol, balances[i].value]));
+
+    expect(bySymbol).toMatchObject({ ETH: 0.1, GMX: 5, USDC: 250 });
+    const queried = new Set(provider.calls.filter((c) => c.method === "eth_call").map((c) => c.params[0].to.toLowerCase()));
+    expect(queried.has(NO_CHAIN)).toBe(false);
+    expect(queried.has(BASE_TOKEN)).toBe(false);
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * Nexus Analyt — PWA (feature)
+ *
+ * - install prompt (beforeinstallprompt) + service worker registration
+ * - offline queue: manual orders / grid stops made offline are replayed by the SW when back online
+ * - the SW gets the current session token from here (never stored with queued actions); logout, a 401 or an
+ *   account switch clears the queue, so nothing is replayed under another / an expired session
+ * - terms / disclaimer gate (first-run)
+ */
+
+import { useEffect, useRef } from "react";
+import { registerSW } from "virtual:pwa-register";
+import { useActions, useProvideActions, useSetSlice, useStore, useStoreState } from "../store.js";
+import { Badge, Collapsible } from "../ui.jsx";
+
+const LS_TERMS_ACCEPTED = "na_terms_v1_accepted";
+
+export function pwaState() {
+  return { deferredPrompt: null, canInstall: false, offlineQueue: 0, queueMsg: "" };
+}
+
+export function termsState() {
+  let open = true;
+  try {
+    open = localStorage.getItem(LS_TERMS_ACCEPTED) !== "1";
+  } catch {}
+  return { open, checked: false, err: "" };
+}
+
+export function PwaController() {
+  const setPwa = useSetSlice("pwa");
+  const setTerms = useSetSlice("terms");
+  const [deferredPrompt] = useStoreState("pwa", "deferredPrompt");
+  const [queueMsg, setQueueMsg] = useStoreState("pwa", "queueMsg");
+  const [termsChecked] = useStoreState("terms", "checked");
+  const grid = useActions("grid");
+  const authToken = useStore((s) => s.wallet.authToken);
+  const authRef = useRef(null); // last token posted to the SW (null = none yet)
+
+  useEffect(() => {
+    const handler = (e) => {
+      e.preventDefault();
+      setPwa({ deferredPrompt: e, canInstall: true });
+    };
+    window.addEventListener("beforeinstallprompt", handler);
+    return () => window.removeEventListener("beforeinstallprompt", handler);
+  }, [setPwa]);
+
+  async function installApp() {
+    if (!deferredPrompt) return;
+    deferredPrompt.prompt();
+  }
+
+  useEffect(() => {
+    registerSW({ immediate: true }); // ✅ immer registrieren, sonst kein App-Icon auf Android
+  }, []);
+
+  useEffect(() => {
+    const sw = navigator.serviceWorker;
+    if (!sw) return;
+    const post = (type, extra) => sw.controller?.postMessage({ type, ...extra });
+    const onMessage = (e) => {
+      const m = e.data || {};
+      if (m.type === "sw-need-session" && authRef.current && navigator.onLine) post("replay-queue", { token: authRef.current });
+      if (m.type === "sw-queue") setPwa({ offlineQueue: Number(m.pending) || 0 });
+      if (m.type === "sw-replayed") {
+        const what = String(m.url || "").replace(/^.*\/api\//, "");
+        setPwa({
+          queueMsg: m.ok
+            ? `Queued action sent: ${what}`
+            : `Queued action failed: ${what} (${m.error || `HTTP ${m.status}`})`,
+        });
+        grid.loadAllGridOrders?.();
+      }
+    };
+    const onOnline = () => post("replay-queue", { token: authRef.current || "" });
+    sw.addEventListener("message", onMessage);
+    window.addEventListener("online", onOnline);
+    post("queue-status");
+    return () => {
+      sw.removeEventListener("message", onMessage);
+      window.removeEventListener("online", onOnline);
+    };
+  }, [setPwa, grid]);
+
+  useEffect(() => {
+    const ctrl = navigator.serviceWorker?.controller;
+    const prev = authRef.current;
+    authRef.current = authToken || "";
+    if (!ctrl) return;
+    if (prev && prev !== authToken) ctrl.postMessage({ type: "clear-queue" }); // logout, 401 or another account
+    ctrl.postMessage({ type: "session", token: authToken || "" });
+  }, [authToken]);
+
+  useEffect(() => {
+    if (!queueMsg) return;
+    const t = setTimeout(() => setQueueMsg(""), 8000);
+    return () => clearTimeout(t);
+  }, [queueMsg, setQueueMsg]);
+
+  function acceptTerms() {
+    setTerms({ err: "" });
+    if (!termsChecked) {
+      setTerms({ err: "Please confirm the checkbox to continue." });
+      return;
+    }
+    try {
+      localStorage.setItem(LS_TERMS_ACCEPTED, "1");
+    } catch {}
+    setTerms({ open: false });
+  }
+
+  useProvideActions("pwa", { installApp, acceptTerms });
+  return null;
+}
+
+export function QueueToast() {
+  const queueMsg = useStore((s) => s.pwa.queueMsg);
+  return queueMsg ? <div className="toast">{queueMsg}</div> : null;
+}
+
+export function TermsGate() {
+  const { open, checked, err } = useStore((s) => s.terms);
+  const canInstall = useStore((s) => s.pwa.canInstall);
+  const setTerms = useSetSlice("terms");
+  const { acceptTerms, installApp } = useActions("pwa");
+  if (!open) return null;
+
+  return (
+    <div className="modalBackdrop" onClick={(e) => e.preventDefault()}>
+      <div className="modal" onClick={(e) => e.stopPropagation()}>
+        <div className="row" style={{ justifyContent: "space-between", alignItems: "center" }}>
+          <div style={{ fontWeight: 800, fontSize: 16 }}>Terms & Disclaimer</div>
+          <Badge ok={null}>Educational</Badge>
+        </div>
+
+        <div className="muted" style={{ marginTop: 10, lineHeight: 1.5 }}>
+          This app is <b>educational</b> and (in Free) <b>simulation only</b>. It does not provide financial advice. You are responsible
+          for your decisions and any outcomes. No guarantees.
+        </div>
+
+        <div style={{ marginTop: 12 }}>
+          <Collapsible title="Read more">
+            <div className="muted" style={{ lineHeight: 1.55 }}>
+              • No buy/sell instructions are provided.<br />
+              • Any “grid behaviour” references are conceptual and educational.<br />
+              • Market/DEX data can be incomplete, delayed, or inaccurate.<br />
+              • By continuing, you confirm you understand these limitations.
+            </div>
+          </Collapsible>
+        </div>
+
+        <div className="row" style={{ gap: 10, marginTop: 12, alignItems: "flex-start" }}>
+          <input type="checkbox" checked={checked} onChange={(e) => setTerms({ checked: e.target.checked })} style={{ marginTop: 3 }} />
+          <div>
+            <div style={{ fontWeight: 700 }}>I understand this is educational & simulation only (Free) and not financial advice.</div>
+            {err ? <div className="muted" style={{ marginTop: 6, color: "rgba(255,140,140,.95)" }}>{err}</div> : null}
+          </div>
+        </div>
+
+        <div className="row" style={{ gap: 10, marginTop: 14, justifyContent: "flex-end", flexWrap: "wrap" }}>
+          <button className="modeBtn" onClick={acceptTerms} disabled={!checked}>
+            Accept & Continue
+          </button>
+
+          {canInstall && (
+            <button className="modeBtn" onClick={installApp}>
+              Install App
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
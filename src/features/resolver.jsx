@@ -0,0 +1,168 @@
+/**
+ * Nexus Analyt — resolver (feature)
+ *
+ * Primary / compare inputs: a watchlist SYMBOL (market or mapped DEX token) or a backend DEX item id.
+ * - primarySym / compareSym are only set for symbols in the watchlist; the Live / Health / AI cards then work
+ *   from the watchlist snapshot instead of /api/watchlist/live (which expects DEX item ids)
+ * - inputs that are not a watchlist symbol fall back to the first two watchlist symbols, so nothing "sticks"
+ *   to an old DEX item id (e.g. polygon_tbp_...)
+ * - both inputs suggest the symbols of the active watchlist
+ */
+
+import { useEffect } from "react";
+import { isEvmAddress } from "../dex.js";
+import { normalizeSymbol } from "../format.js";
+import { createSelector, useActions, useSetSlice, useStore, useStoreState } from "../store.js";
+import { Card, DEV_MODE } from "../ui.jsx";
+import { selectWlMap } from "./watchlist.jsx";
+
+const LS_RESOLVER_PRIMARY = "na_resolver_primary";
+const LS_RESOLVER_PAIR = "na_resolver_pair";
+const LS_RESOLVER_COMPARE = "na_resolver_compare";
+
+export function resolverState() {
+  return {
+    primaryItemId: localStorage.getItem(LS_RESOLVER_PRIMARY) || "polygon_weth_usdc_quicksw",
+    pairOrContract: localStorage.getItem(LS_RESOLVER_PAIR) || "",
+    compareItemId: localStorage.getItem(LS_RESOLVER_COMPARE) || "",
+  };
+}
+
+// Treat any short ticker-like string as symbol (do NOT require watchlist to be loaded)
+export function isLikelySymbol(x) {
+  const s = normalizeSymbol(x);
+  if (!s) return false;
+  if (s.length > 12) return false;
+  return /^[A-Z0-9._-]+$/.test(s);
+}
+
+/* -------------------------
+   Selectors
+--------------------------*/
+export const selectPrimarySymRaw = createSelector([(s) => s.resolver.primaryItemId], normalizeSymbol);
+export const selectCompareSymRaw = createSelector([(s) => s.resolver.compareItemId], normalizeSymbol);
+
+// These are used for market/live widgets (watchlist snapshot). They remain gated to watchlist to prevent carry-over.
+export const selectPrimarySym = createSelector([selectPrimarySymRaw, selectWlMap], (s, wlMap) => (wlMap.get(s) ? s : ""));
+export const selectCompareSym = createSelector([selectCompareSymRaw, selectWlMap], (s, wlMap) => (wlMap.get(s) ? s : ""));
+
+/* -------------------------
+   Controller
+--------------------------*/
+export function ResolverController() {
+  const [primaryItemId, setPrimaryItemId] = useStoreState("resolver", "primaryItemId");
+  const [pairOrContract] = useStoreState("resolver", "pairOrContract");
+  const [compareItemId, setCompareItemId] = useStoreState("resolver", "compareItemId");
+  const watchlist = useStore((s) => s.watchlist.list);
+  const symbolMap = useStore((s) => s.watchlist.symbolMap);
+  const wlMap = useStore(selectWlMap);
+
+  // Persist inputs
+  useEffect(() => {
+    localStorage.setItem(LS_RESOLVER_PRIMARY, primaryItemId || "");
+  }, [primaryItemId]);
+  useEffect(() => {
+    localStorage.setItem(LS_RESOLVER_PAIR, pairOrContract || "");
+  }, [pairOrContract]);
+  useEffect(() => {
+    localStorage.setItem(LS_RESOLVER_COMPARE, compareItemId || "");
+  }, [compareItemId]);
+
+  // Auto-sync Resolver inputs so AI never "sticks" to an old DEX item-id (e.g., polygon_tbp_...) by accident.
+  // If the current primary/compare input is NOT a known watchlist symbol, we default to the first two symbols in the Watchlist.
+  useEffect(() => {
+    const items = (watchlist || []).map((x) => normalizeSymbol(x)).filter(Boolean);
+    if (!items.length) return;
+
+    const isSym = (x) => {
+      const s = normalizeSymbol(x);
+      if (!s) return false;
+      return Boolean(wlMap.get(s));
+    };
+
+    if (!isSym(primaryItemId)) {
+      setPrimaryItemId(items[0]);
+    }
+    if (!isSym(compareItemId)) {
+      setCompareItemId(items[Math.min(1, items.length - 1)] || items[0]);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [watchlist, wlMap, symbolMap]);
+
+  return null;
+}
+
+/* -------------------------
+   UI
+--------------------------*/
+export function ResolverCard() {
+  const { primaryItemId, pairOrContract, compareItemId } = useStore((s) => s.resolver);
+  const setResolver = useSetSlice("resolver");
+  const setPicker = useSetSlice("picker");
+  const { findDexPools } = useActions("watchlist");
+  const watchlist = useStore((s) => s.watchlist.list);
+  const listName = useStore((s) => s.watchlist.lists.find((l) => l.id === s.watchlist.activeId)?.name || "");
+
+  return (
+    <Card title="Resolver">
+      <datalist id="resolver-symbols">
+        {(watchlist || []).map((s) => (
+          <option key={s} value={s} />
+        ))}
+      </datalist>
+      <div className="field">
+        <div className="label">Primary item id</div>
+        <input
+          className="input mono"
+          value={primaryItemId}
+          onChange={(e) => setResolver({ primaryItemId: e.target.value })}
+          placeholder="polygon_weth_usdc_quicksw or ETH"
+          list="resolver-symbols"
+        />
+        {/* User-facing: keep Resolver clean (no internal/backend hints). */}
+        {isEvmAddress(primaryItemId) ? (
+          <button
+            className="btn small"
+            style={{ marginTop: 6 }}
+            onClick={() => {
+              const contract = primaryItemId.trim();
+              setPicker({ tab: "dex", dexSymbol: "", dexContract: contract, dexChain: "", results: [], open: true });
+              findDexPools(contract);
+            }}
+          >
+            Find DEX pools for this contract
+          </button>
+        ) : null}
+      </div>
+
+      {DEV_MODE ? (
+        <div className="field">
+          <div className="label">Optional: pair / contract</div>
+          <input
+            className="input mono"
+            value={pairOrContract}
+            onChange={(e) => setResolver({ pairOrContract: e.target.value })}
+            placeholder="optional (if your backend use)"
+          />
+        </div>
+      ) : null}
+
+      <div className="field">
+        <div className="label">Optional: Compare item (A vs B)</div>
+        <input
+          className="input mono"
+          value={compareItemId}
+          onChange={(e) => setResolver({ compareItemId: e.target.value })}
+          placeholder="e.g. BTC or polygon_tbp_weth_sush"
+          list="resolver-symbols"
+        />
+        {watchlist?.length ? (
+          <div className="muted" style={{ marginTop: 6, fontSize: 12 }}>
+            Suggestions from watchlist "{listName}": {watchlist.slice(0, 8).join(", ")}
+            {watchlist.length > 8 ? " …" : ""}
+          </div>
+        ) : null}
+      </div>
+    </Card>
+  );
+}
@@ -0,0 +1,192 @@
+/**
+ * Nexus Analyt — cross-tab sync + live stream (feature)
+ *
+ * - shared state (watchlists + active list, symbol map, tags, hidden orders, grid sessions, alert rules + history,
+ *   auth) is broadcast to the other tabs of this browser; localStorage alone is only read at startup
+ * - one tab holds the leader lock and runs the periodic polling; its results are broadcast to the others. A tab that
+ *   opens sends "hello" and the leader answers with its latest snapshots + orders (no wait for the next poll)
+ * - alert rules are evaluated by the leader only; the alerts it fires are shown as toasts in every tab
+ * - the leader also holds the optional live stream and forwards every event. While it is "live" the 120s
+ *   watchlist / 15s order polling pauses; when it drops ("down") polling takes over again
+ */
+
+import { useEffect, useMemo, useRef } from "react";
+import { LS_AUTH_TOKEN, STREAM_PATH, STREAM_TRANSPORT, apiUrl } from "../backend.js";
+import { normalizeSymbol } from "../format.js";
+import { createLiveStream } from "../stream.js";
+import { useActions, useProvideActions, useSetSlice, useStore, useStoreApi } from "../store.js";
+import { createTabSync, electLeader } from "../sync.js";
+import { normalizeSymbolTags, normalizeWatchlists } from "../watchlist.js";
+
+export function syncState() {
+  return { isLeader: false, streamStatus: STREAM_PATH ? "connecting" : "off" };
+}
+
+export function SyncController() {
+  const store = useStoreApi();
+  const watchlist = useStore((s) => s.watchlist.list);
+  const symbolMap = useStore((s) => s.watchlist.symbolMap);
+  const watchlists = useStore((s) => s.watchlist.lists);
+  const activeWatchlistId = useStore((s) => s.watchlist.activeId);
+  const symbolTags = useStore((s) => s.watchlist.tags);
+  const gridHiddenIds = useStore((s) => s.grid.hiddenIds);
+  const gridSessions = useStore((s) => s.grid.sessions);
+  const alertRules = useStore((s) => s.alerts.rules);
+  const alertHistory = useStore((s) => s.alerts.history);
+  const { address: walletAddress, chainId: walletChainId, connector: walletConnector, authToken } = useStore((s) => s.wallet);
+  const isLeader = useStore((s) => s.sync.isLeader);
+  const setSync = useSetSlice("sync");
+  const watchlistActions = useActions("watchlist");
+  const grid = useActions("grid");
+  const wallet = useActions("wallet");
+  const alerts = useActions("alerts");
+
+  const syncRef = useRef(null);
+  const syncIncomingRef = useRef({}); // topic -> JSON of the last value received, so it is not echoed back
+  const streamRef = useRef(null);
+
+  function publishSync(topic, value) {
+    const sync = syncRef.current;
+    if (!sync) return;
+    if (syncIncomingRef.current[topic] !== undefined && syncIncomingRef.current[topic] === JSON.stringify(value ?? null)) return;
+    sync.publish(topic, value);
+  }
+
+  useEffect(() => {
+    publishSync("watchlist", watchlist);
+  }, [watchlist]);
+  useEffect(() => {
+    publishSync("symbolMap", symbolMap);
+  }, [symbolMap]);
+  useEffect(() => {
+    publishSync("watchlists", { lists: watchlists, activeId: activeWatchlistId });
+  }, [watchlists, activeWatchlistId]);
+  useEffect(() => {
+    publishSync("symbolTags", symbolTags);
+  }, [symbolTags]);
+  useEffect(() => {
+    publishSync("gridHiddenIds", gridHiddenIds);
+  }, [gridHiddenIds]);
+  useEffect(() => {
+    publishSync("gridSessions", gridSessions);
+  }, [gridSessions]);
+  useEffect(() => {
+    publishSync("alertRules", alertRules);
+  }, [alertRules]);
+  useEffect(() => {
+    publishSync("alertHistory", alertHistory);
+  }, [alertHistory]);
+  useEffect(() => {
+    publishSync("auth", { address: walletAddress, chainId: walletChainId, connector: walletConnector, token: authToken });
+  }, [walletAddress, walletChainId, walletConnector, authToken]);
+
+  // Declared after the publish effects: they skip the initial mount because syncRef is still empty.
+  useEffect(() => {
+    const sync = createTabSync("nexus-analyt-sync");
+    syncRef.current = sync;
+    const off = sync.subscribe(({ topic, value }) => {
+      if (topic === "hello") return answerHello();
+      if (topic === "wlSnapshots") return watchlistActions.applyWlSnapshot(Array.isArray(value) ? value : []);
+      if (topic === "gridOrders") return grid.applyGridOrders(value);
+      if (topic === "alertsFired") return alerts.showAlertToasts(Array.isArray(value) ? value : []);
+      if (topic === "liveStatus") return setSync({ streamStatus: String(value || "off") });
+      if (topic === "liveEvent") {
+        setSync({ streamStatus: "live" });
+        return applyLiveEvent(value);
+      }
+
+      syncIncomingRef.current[topic] = JSON.stringify(value ?? null);
+      if (topic === "watchlist" && Array.isArray(value)) store.setState("watchlist", { list: value });
+      else if (topic === "symbolMap" && value && typeof value === "object") store.setState("watchlist", { symbolMap: value });
+      else if (topic === "watchlists" && value && typeof value === "object") {
+        const lists = normalizeWatchlists(value.lists);
+        const active = lists.find((l) => l.id === value.activeId) || lists[0];
+        if (active) store.setState("watchlist", { lists, activeId: active.id, list: active.symbols });
+      } else if (topic === "symbolTags") store.setState("watchlist", { tags: normalizeSymbolTags(value) });
+      else if (topic === "gridHiddenIds" && Array.isArray(value)) store.setState("grid", { hiddenIds: value });
+      else if (topic === "gridSessions" && value && typeof value === "object") store.setState("grid", { sessions: value });
+      else if (topic === "alertRules" && Array.isArray(value)) store.setState("alerts", { rules: value });
+      else if (topic === "alertHistory" && Array.isArray(value)) store.setState("alerts", { history: value });
+      // The other tab already wrote LS_AUTH_TOKEN / LS_WALLET_LAST / LS_WALLET_ACCOUNTS.
+      else if (topic === "auth" && value) wallet.applySyncedAuth(value);
+    });
+    const release = electLeader("nexus-analyt-leader", (v) => setSync({ isLeader: v }));
+    sync.publish("hello", null);
+    return () => {
+      off();
+      release();
+      sync.close();
+      syncRef.current = null;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  // A new tab asked for the current data: only the leader answers, and only with what it already has.
+  function answerHello() {
+    const s = store.getState();
+    if (!s.sync.isLeader) return;
+    if (s.watchlist.snapshots?.length) syncRef.current?.publish("wlSnapshots", s.watchlist.snapshots);
+    if (s.grid.orders?.length) syncRef.current?.publish("gridOrders", { orders: s.grid.orders });
+  }
+
+  // ===== Live stream =====
+  const streamGrids = useMemo(
+    () => Object.values(gridSessions || {}).filter((g) => g?.item && g.status === "RUNNING").map((g) => String(g.item)),
+    [gridSessions]
+  );
+
+  function applyLiveTick(ev) {
+    const sym = normalizeSymbol(ev?.symbol);
+    if (!sym) return;
+    const patch = {};
+    for (const k of ["price", "change24h", "volume24h", "liquidity"]) if (ev[k] != null) patch[k] = ev[k];
+    watchlistActions.applyTick(sym, patch);
+  }
+
+  function applyLiveEvent(ev) {
+    if (ev?.type === "tick") applyLiveTick(ev);
+    else if (ev?.type === "order" && ev.order) {
+      // Upsert into the known order list, then reuse the regular apply path (sessions + ledger).
+      const id = ev.order.id != null ? String(ev.order.id) : "";
+      const orders = store.getState().grid.orders;
+      const prev = Array.isArray(orders) ? orders : [];
+      const next = id && prev.some((o) => String(o?.id) === id) ? prev.map((o) => (String(o?.id) === id ? { ...o, ...ev.order } : o)) : [...prev, ev.order];
+      grid.applyGridOrders({ orders: next });
+    } else if (ev?.type === "fill") {
+      grid.appendLedgerFills(ev.item, [ev.fill]);
+      grid.patchGridSession(ev.item, (cur) => ({ lastFills: [ev.fill, ...(cur.lastFills || [])].slice(0, 20) }));
+    }
+  }
+
+  useEffect(() => {
+    if (!STREAM_PATH || !isLeader) return;
+    const stream = createLiveStream({
+      url: apiUrl(STREAM_PATH),
+      transport: STREAM_TRANSPORT,
+      getToken: () => localStorage.getItem(LS_AUTH_TOKEN) || "",
+      onEvent: (ev) => {
+        applyLiveEvent(ev);
+        publishSync("liveEvent", ev);
+      },
+      onStatus: (st) => {
+        setSync({ streamStatus: st });
+        publishSync("liveStatus", st);
+      },
+    });
+    streamRef.current = stream;
+    stream.subscribe({ symbols: watchlist, grids: streamGrids });
+    return () => {
+      stream.close();
+      streamRef.current = null;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isLeader, authToken]);
+
+  useEffect(() => {
+    streamRef.current?.subscribe({ symbols: watchlist, grids: streamGrids });
+  }, [watchlist, streamGrids]);
+
+  useProvideActions("sync", { publishSync });
+  return null;
+}
+
@@ -0,0 +1,712 @@
+/**
+ * Nexus Analyt — wallet + backend auth (feature)
+ *
+ * - injected (MetaMask/Rabby) or WalletConnect v2, restored after a reload without prompting
+ * - remembered accounts, each with its own backend session; LS_AUTH_TOKEN holds the active account's token
+ * - sign-in via backend nonce/sign, silent /auth/refresh before expiry, idle timeout
+ */
+
+import { useEffect, useRef } from "react";
+import { responseExpiry, tokenExpiry } from "../api.js";
+import { API, LS_AUTH_TOKEN, api } from "../backend.js";
+import { ADD_CHAIN_PARAMS } from "../chain.js";
+import { DEX_CHAINS } from "../dex.js";
+import { formatDuration } from "../format.js";
+import { createSelector, useActions, useProvideActions, useStore, useStoreState } from "../store.js";
+import { Badge, Card } from "../ui.jsx";
+import { loadJson, saveJson } from "../util.js";
+
+console.log("WC PID:", import.meta.env.VITE_WALLETCONNECT_PROJECT_ID);
+
+export const LS_WALLET_LAST = "na_wallet_last"; // {address, chainId, connector}
+export const LS_WALLET_ACCOUNTS = "na_wallet_accounts_v1"; // { addressLower: {address, connector, chainId, token, tokenExp, lastUsed} }
+const AUTH_WARN_MS = 5 * 60 * 1000; // warn (and try a silent refresh) this long before the session expires
+
+// --- Session idle timeout (keeps wallet connected, but signs out of backend/AI/grid) ---
+const LS_LAST_ACTIVITY = "na_last_activity";
+const IDLE_MS = 30 * 60 * 1000; // 30 minutes
+
+// wallet accounts are keyed case-insensitively (checksum vs lowercase addresses)
+export function accountKey(address) {
+  return String(address || "").trim().toLowerCase();
+}
+
+export function shortAddr(a) {
+  const s = String(a || "");
+  return s && s.length > 10 ? `${s.slice(0, 6)}…${s.slice(-4)}` : s;
+}
+
+function persistWallet(next) {
+  saveJson(LS_WALLET_LAST, next);
+}
+
+function touchActivity() {
+  try {
+    localStorage.setItem(LS_LAST_ACTIVITY, String(Date.now()));
+  } catch {}
+}
+
+export function walletState() {
+  const last = loadJson(LS_WALLET_LAST, null);
+  const accounts = loadJson(LS_WALLET_ACCOUNTS, {}) || {};
+  // Pre-multi-account installs: the single token belongs to the last wallet.
+  const token = localStorage.getItem(LS_AUTH_TOKEN) || "";
+  const k = accountKey(last?.address);
+  if (k && !accounts[k]) accounts[k] = { address: last.address, connector: last.connector || "", chainId: last.chainId || null, token, lastUsed: Date.now() };
+  return {
+    address: last?.address || "",
+    chainId: last?.chainId || null,
+    connector: last?.connector || "",
+    authToken: token,
+    busy: false,
+    err: "",
+    accounts,
+    now: Date.now(), // session clock (ticks while a session with a known expiry is active)
+  };
+}
+
+/* -------------------------
+   Selectors
+--------------------------*/
+// Expiry comes from the JWT `exp` claim, else from what /auth/verify advertised (stored per account).
+const selectAuthExpiresAt = createSelector(
+  [(s) => s.wallet.authToken, (s) => s.wallet.accounts, (s) => s.wallet.address],
+  (authToken, accounts, address) => (authToken ? tokenExpiry(authToken) ?? accounts?.[accountKey(address)]?.tokenExp ?? null : null)
+);
+
+export const selectAuth = createSelector([(s) => s.wallet.authToken, selectAuthExpiresAt, (s) => s.wallet.now], (authToken, expiresAt, now) => {
+  const isAuthed = Boolean(authToken);
+  const leftMs = expiresAt ? expiresAt - now : null;
+  return {
+    isAuthed,
+    expiresAt,
+    leftMs,
+    expired: leftMs != null && leftMs <= 0,
+    expiring: leftMs != null && leftMs > 0 && leftMs <= AUTH_WARN_MS,
+    badge: !isAuthed ? "" : leftMs != null ? `${formatDuration(leftMs)} left` : "no expiry",
+  };
+});
+
+/* -------------------------
+   Controller
+--------------------------*/
+export function WalletController() {
+  const [walletAddress, setWalletAddress] = useStoreState("wallet", "address");
+  const [walletChainId, setWalletChainId] = useStoreState("wallet", "chainId");
+  const [walletConnector, setWalletConnector] = useStoreState("wallet", "connector");
+  const [authToken, setAuthToken] = useStoreState("wallet", "authToken");
+  const authTokenRef = useRef(authToken); // read by the idle check's interval
+  authTokenRef.current = authToken;
+  const [, setWalletBusy] = useStoreState("wallet", "busy");
+  const [, setWalletErr] = useStoreState("wallet", "err");
+  const [walletAccounts, setWalletAccounts] = useStoreState("wallet", "accounts");
+  const [, setAuthNow] = useStoreState("wallet", "now");
+  const { expiresAt: authExpiresAt, expired: authExpired, expiring: authExpiring } = useStore(selectAuth);
+
+  const wcProviderRef = useRef(null);
+  const walletListenersRef = useRef(null); // detaches the provider listeners
+  const walletRef = useRef({ address: "", chainId: null, connector: "" });
+  walletRef.current = { address: walletAddress, chainId: walletChainId, connector: walletConnector };
+
+  const walletAccountsRef = useRef(walletAccounts);
+  walletAccountsRef.current = walletAccounts;
+  useEffect(() => {
+    saveJson(LS_WALLET_ACCOUNTS, walletAccounts);
+  }, [walletAccounts]);
+
+  function setActiveToken(token) {
+    if (token) localStorage.setItem(LS_AUTH_TOKEN, token);
+    else localStorage.removeItem(LS_AUTH_TOKEN);
+    setAuthToken(token || "");
+  }
+
+  function patchWalletAccount(address, patch) {
+    const k = accountKey(address);
+    if (!k) return;
+    setWalletAccounts((prev) => ({ ...(prev || {}), [k]: { ...(prev?.[k] || { address }), ...patch } }));
+  }
+
+  // Makes `address` the active wallet; switching accounts swaps in that account's own backend token.
+  function activateAccount(address, chainId, connector) {
+    const prevKey = accountKey(walletRef.current.address);
+    const k = accountKey(address);
+    walletRef.current = { address, chainId, connector };
+    setWalletAddress(address);
+    setWalletChainId(chainId);
+    setWalletConnector(connector);
+    persistWallet({ address, chainId, connector });
+    if (k !== prevKey) setActiveToken(k ? walletAccountsRef.current?.[k]?.token || "" : "");
+    if (k) patchWalletAccount(address, { address, chainId, connector, lastUsed: Date.now() });
+  }
+
+  function attachWalletListeners(provider, connector) {
+    walletListenersRef.current?.();
+    const onAccounts = (accs) => {
+      const a = accs?.[0] || "";
+      if (a) activateAccount(a, walletRef.current.chainId, connector);
+    };
+    const onChain = (ch) => {
+      const cid = typeof ch === "string" ? parseInt(ch, 16) : Number(ch) || null;
+      const cur = walletRef.current;
+      walletRef.current = { ...cur, chainId: cid };
+      setWalletChainId(cid);
+      persistWallet({ address: cur.address, chainId: cid, connector });
+      patchWalletAccount(cur.address, { chainId: cid });
+    };
+    const onDisconnect = () => disconnectWallet();
+    provider.on?.("accountsChanged", onAccounts);
+    provider.on?.("chainChanged", onChain);
+    // Injected wallets emit "disconnect" on RPC hiccups; only a WalletConnect disconnect ends the session.
+    if (connector === "walletconnect") provider.on?.("disconnect", onDisconnect);
+    walletListenersRef.current = () => {
+      provider.removeListener?.("accountsChanged", onAccounts);
+      provider.removeListener?.("chainChanged", onChain);
+      provider.removeListener?.("disconnect", onDisconnect);
+    };
+  }
+
+  function walletProvider() {
+    return walletConnector === "walletconnect" ? wcProviderRef.current : window.ethereum;
+  }
+
+  async function connectInjected() {
+    if (!window.ethereum) throw new Error("No injected wallet found (install MetaMask/Rabby)");
+    const eth = window.ethereum;
+    const accounts = await eth.request({ method: "eth_requestAccounts" });
+    const address = accounts?.[0] || "";
+    const chainHex = await eth.request({ method: "eth_chainId" }).catch(() => null);
+    const chainId = chainHex ? parseInt(chainHex, 16) : null;
+
+    activateAccount(address, chainId, "injected");
+    attachWalletListeners(eth, "injected");
+  }
+
+  // WalletConnect v2 provider (lazy import). init() also restores an existing session without the QR modal.
+  async function getWcProvider() {
+    if (wcProviderRef.current) return wcProviderRef.current;
+    let EthereumProvider;
+    try {
+      ({ EthereumProvider } = await import("@walletconnect/ethereum-provider"));
+    } catch (e) {
+      throw new Error(
+        'WalletConnect dependency missing. Run: npm i @walletconnect/ethereum-provider'
+      );
+    }
+
+    const projectId = import.meta?.env?.VITE_WALLETCONNECT_PROJECT_ID;
+    if (!projectId) {
+      throw new Error(
+        "Missing VITE_WALLETCONNECT_PROJECT_ID in .env (WalletConnect needs a project id)."
+      );
+    }
+
+    const provider = await EthereumProvider.init({
+      projectId,
+      // common chains: ETH, Polygon, BSC, Arbitrum
+      chains: [1, 137, 56, 42161],
+      optionalChains: [10, 43114, 8453],
+      showQrModal: true,
+      methods: ["eth_sendTransaction", "personal_sign", "eth_signTypedData", "wallet_switchEthereumChain", "wallet_addEthereumChain"],
+      events: ["accountsChanged", "chainChanged", "disconnect"],
+    });
+    wcProviderRef.current = provider;
+    return provider;
+  }
+
+  async function connectWalletConnect() {
+    // WalletConnect v2 (lazy import). Non-blocking + clear error handling.
+    setWalletErr("");
+    setWalletBusy(true);
+
+    try {
+      // If already connected via WC, just return.
+      if (walletConnector === "walletconnect" && walletAddress && wcProviderRef.current?.session) return;
+
+      const provider = await getWcProvider();
+
+      if (!provider.session) {
+        // Some setups can hang on connect; keep UI responsive with a timeout.
+        const connectWithTimeout = Promise.race([
+          provider.connect(),
+          new Promise((_, reject) =>
+            setTimeout(() => reject(new Error("WalletConnect timeout (try again).")), 25000)
+          ),
+        ]);
+
+        await connectWithTimeout;
+      }
+
+      const accounts = provider.accounts || [];
+      const address = accounts?.[0] || "";
+      const chainId = provider.chainId || null;
+
+      activateAccount(address, chainId, "walletconnect");
+      attachWalletListeners(provider, "walletconnect");
+    } catch (e) {
+      const msg = e?.message || String(e);
+      setWalletErr(msg);
+      console.error(e);
+    } finally {
+      setWalletBusy(false);
+    }
+  }
+
+  // Restore the provider after a reload: re-attach listeners without prompting the user.
+  useEffect(() => {
+    const last = loadJson(LS_WALLET_LAST, null);
+    if (!last?.connector || !last?.address) return;
+    let cancelled = false;
+    (async () => {
+      try {
+        if (last.connector === "injected") {
+          const eth = window.ethereum;
+          if (!eth?.request) return;
+          const accs = await eth.request({ method: "eth_accounts" }); // no prompt; empty while locked
+          if (cancelled) return;
+          attachWalletListeners(eth, "injected");
+          if (accs?.[0]) {
+            const ch = await eth.request({ method: "eth_chainId" }).catch(() => null);
+            if (!cancelled) activateAccount(accs[0], ch ? parseInt(ch, 16) : null, "injected");
+          }
+        } else if (last.connector === "walletconnect") {
+          if (!import.meta?.env?.VITE_WALLETCONNECT_PROJECT_ID) return;
+          const provider = await getWcProvider();
+          if (cancelled) return;
+          if (!provider.session) {
+            activateAccount("", null, ""); // session ended in the wallet app
+            return;
+          }
+          activateAccount(provider.accounts?.[0] || last.address, provider.chainId || null, "walletconnect");
+          attachWalletListeners(provider, "walletconnect");
+        }
+      } catch (e) {
+        if (!cancelled) setWalletErr(`Wallet restore failed: ${e?.message || e}`);
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  async function connectWallet(kind) {
+    setWalletErr("");
+    setWalletBusy(true);
+    try {
+      if (kind === "walletconnect") await connectWalletConnect();
+      else await connectInjected();
+    } catch (e) {
+      setWalletErr(String(e?.message || e));
+    } finally {
+      setWalletBusy(false);
+    }
+  }
+
+  async function disconnectWallet() {
+    setWalletErr("");
+    try {
+      walletListenersRef.current?.();
+      walletListenersRef.current = null;
+      if (walletRef.current.connector === "walletconnect" && wcProviderRef.current) {
+        await wcProviderRef.current.disconnect().catch(() => {});
+        wcProviderRef.current = null;
+      }
+    } catch {}
+    // The account keeps its stored token, so reconnecting it restores the backend session.
+    activateAccount("", null, "");
+  }
+
+  function logout() {
+    // The idle check calls this every 5 s: once the session is gone there is nothing to clear or save.
+    if (!authTokenRef.current) return;
+    setActiveToken("");
+    patchWalletAccount(walletRef.current.address, { token: "" });
+  }
+
+  // Picks a remembered account. The wallet decides which accounts are exposed, so this may prompt it.
+  async function selectWalletAccount(acc) {
+    setWalletErr("");
+    setWalletBusy(true);
+    try {
+      const want = accountKey(acc?.address);
+      if (acc.connector === "walletconnect") {
+        if (!wcProviderRef.current?.session) await connectWalletConnect();
+        const provider = wcProviderRef.current;
+        const hit = (provider?.accounts || []).find((a) => accountKey(a) === want);
+        if (!hit) throw new Error(`Select ${shortAddr(acc.address)} in your wallet app, then try again.`);
+        activateAccount(hit, provider.chainId || null, "walletconnect");
+        attachWalletListeners(provider, "walletconnect");
+      } else {
+        const eth = window.ethereum;
+        if (!eth?.request) throw new Error("No injected wallet found (install MetaMask/Rabby)");
+        let accs = await eth.request({ method: "eth_accounts" });
+        if (!(accs || []).some((a) => accountKey(a) === want)) {
+          await eth.request({ method: "wallet_requestPermissions", params: [{ eth_accounts: {} }] }).catch(() => {});
+          accs = await eth.request({ method: "eth_accounts" });
+        }
+        const hit = (accs || []).find((a) => accountKey(a) === want);
+        if (!hit) throw new Error(`Switch to ${shortAddr(acc.address)} in your wallet, then try again.`);
+        const ch = await eth.request({ method: "eth_chainId" }).catch(() => null);
+        activateAccount(hit, ch ? parseInt(ch, 16) : null, "injected");
+        attachWalletListeners(eth, "injected");
+      }
+    } catch (e) {
+      setWalletErr(String(e?.message || e));
+    } finally {
+      setWalletBusy(false);
+    }
+  }
+
+  function forgetWalletAccount(address) {
+    const k = accountKey(address);
+    if (k === accountKey(walletAddress)) setActiveToken("");
+    setWalletAccounts((prev) => {
+      const next = { ...(prev || {}) };
+      delete next[k];
+      return next;
+    });
+  }
+
+  // Asks the wallet to change networks; adds the chain first when the wallet does not know it (4902).
+  async function switchChain(chainId) {
+    setWalletErr("");
+    setWalletBusy(true);
+    try {
+      const provider = walletProvider();
+      if (!walletAddress || !provider?.request) throw new Error("Connect wallet first.");
+      const id = Number(chainId);
+      const hex = `0x${id.toString(16)}`;
+      try {
+        await provider.request({ method: "wallet_switchEthereumChain", params: [{ chainId: hex }] });
+      } catch (e) {
+        const code = e?.code ?? e?.data?.originalError?.code;
+        const params = ADD_CHAIN_PARAMS[id];
+        if (!params || (code !== 4902 && !/unrecognized|not added|unknown chain/i.test(String(e?.message || "")))) throw e;
+        await provider.request({ method: "wallet_addEthereumChain", params: [{ chainId: hex, ...params }] });
+        await provider.request({ method: "wallet_switchEthereumChain", params: [{ chainId: hex }] }).catch(() => {});
+      }
+      // chainChanged normally follows; not every provider emits it for its own request.
+      walletRef.current = { ...walletRef.current, chainId: id };
+      setWalletChainId(id);
+      persistWallet({ address: walletAddress, chainId: id, connector: walletConnector });
+      patchWalletAccount(walletAddress, { chainId: id });
+    } catch (e) {
+      setWalletErr(String(e?.message || e));
+    } finally {
+      setWalletBusy(false);
+    }
+  }
+
+  // Another tab changed the wallet / session; it already wrote LS_AUTH_TOKEN / LS_WALLET_LAST / LS_WALLET_ACCOUNTS.
+  function applySyncedAuth(value) {
+    walletRef.current = { address: value.address || "", chainId: value.chainId || null, connector: value.connector || "" };
+    setWalletAddress(value.address || "");
+    setWalletChainId(value.chainId || null);
+    setWalletConnector(value.connector || "");
+    setAuthToken(value.token || "");
+    setWalletAccounts(loadJson(LS_WALLET_ACCOUNTS, {}) || {});
+  }
+
+  // Backend rejected the session (401): api client already dropped the token, mirror it in state.
+  useEffect(() => {
+    return api.onUnauthorized((e) => {
+      setAuthToken("");
+      patchWalletAccount(walletRef.current.address, { token: "" });
+      setWalletErr(`Session expired – please sign in again. (${e?.message || "401"})`);
+    });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  useEffect(() => {
+    // initialize on mount
+    touchActivity();
+
+    const onAny = () => touchActivity();
+    window.addEventListener("mousemove", onAny);
+    window.addEventListener("keydown", onAny);
+    window.addEventListener("click", onAny);
+    window.addEventListener("touchstart", onAny);
+
+    const t = setInterval(() => {
+      try {
+        const last = parseInt(localStorage.getItem(LS_LAST_ACTIVITY) || "0", 10);
+        if (!last) return;
+        if (Date.now() - last > IDLE_MS) {
+          // only remove backend auth token; wallet session can remain
+          logout();
+        }
+      } catch {}
+    }, 5000);
+
+    return () => {
+      clearInterval(t);
+      window.removeEventListener("mousemove", onAny);
+      window.removeEventListener("keydown", onAny);
+      window.removeEventListener("click", onAny);
+      window.removeEventListener("touchstart", onAny);
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  async function signMessage(message) {
+    if (!walletAddress) throw new Error("Connect wallet first.");
+
+    // WalletConnect provider supports request() too
+    const provider = walletProvider();
+
+    if (!provider?.request) throw new Error("Wallet provider not available.");
+
+    // personal_sign expects [message, address]
+    const sig = await provider.request({
+      method: "personal_sign",
+      params: [message, walletAddress],
+    });
+    return sig;
+  }
+
+  async function signInBackend() {
+    setWalletErr("");
+    setWalletBusy(true);
+    try {
+      if (!walletAddress) throw new Error("Connect wallet first.");
+      const nonceRes = await api.post(`${API}/auth/nonce`, { address: walletAddress });
+      const message = nonceRes?.message;
+      const nonce = nonceRes?.nonce;
+      if (!message || !nonce) throw new Error("Backend nonce failed.");
+
+      const signature = await signMessage(message);
+
+      const verifyRes = await api.post(`${API}/auth/verify`, {
+        address: walletAddress,
+        signature,
+        message,
+        nonce,
+      });
+
+      const token = verifyRes?.token;
+      if (!token) throw new Error("Backend verify failed (no token).");
+      setActiveToken(token);
+      patchWalletAccount(walletAddress, { token, tokenExp: responseExpiry(verifyRes), signedInAt: Date.now() });
+    } catch (e) {
+      setWalletErr(String(e?.message || e));
+    } finally {
+      setWalletBusy(false);
+    }
+  }
+
+  // ===== Session expiry =====
+  useEffect(() => {
+    if (!authExpiresAt) return;
+    setAuthNow(Date.now());
+    const t = setInterval(() => setAuthNow(Date.now()), 15_000);
+    return () => clearInterval(t);
+  }, [authExpiresAt, setAuthNow]);
+
+  const authRefreshTriedRef = useRef("");
+
+  // Silent renewal via /auth/refresh (no signature). Resolves false when the backend has no refresh route.
+  async function refreshSession() {
+    try {
+      const r = await api.post(`${API}/auth/refresh`, {}, { retries: 0 });
+      if (!r?.token) return false;
+      setActiveToken(r.token);
+      patchWalletAccount(walletRef.current.address, { token: r.token, tokenExp: responseExpiry(r) });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  // One click: try the silent refresh, fall back to a new signature. AI / grid state is untouched.
+  async function renewSession() {
+    setWalletErr("");
+    if (await refreshSession()) return;
+    await signInBackend();
+  }
+
+  useEffect(() => {
+    if (authExpired) {
+      logout();
+      setWalletErr("Session expired – please sign in again.");
+    } else if (authExpiring && authRefreshTriedRef.current !== authToken) {
+      authRefreshTriedRef.current = authToken;
+      refreshSession();
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [authExpired, authExpiring, authToken]);
+
+  useProvideActions("wallet", {
+    connectWallet,
+    disconnectWallet,
+    logout,
+    signInBackend,
+    renewSession,
+    selectWalletAccount,
+    forgetWalletAccount,
+    switchChain,
+    walletProvider,
+    applySyncedAuth,
+  });
+  return null;
+}
+
+/* -------------------------
+   UI
+--------------------------*/
+export function WalletToasts() {
+  const walletErr = useStore((s) => s.wallet.err);
+  const walletBusy = useStore((s) => s.wallet.busy);
+  const { expiring: authExpiring, leftMs: authLeftMs } = useStore(selectAuth);
+  const { renewSession } = useActions("wallet");
+
+  return (
+    <>
+      {walletErr ? <div className="toast">{walletErr}</div> : null}
+      {authExpiring ? (
+        <div className="toast row" style={{ gap: 10, alignItems: "center", flexWrap: "wrap" }}>
+          <span>Session expires in {formatDuration(authLeftMs)}.</span>
+          <button className="btn small" onClick={renewSession} disabled={walletBusy}>
+            Renew session
+          </button>
+        </div>
+      ) : null}
+    </>
+  );
+}
+
+// DEV top bar: wallet / auth badges + connect buttons
+export function WalletStatusBadges() {
+  const walletAddress = useStore((s) => s.wallet.address);
+  const { isAuthed, expiring: authExpiring, badge: authBadge } = useStore(selectAuth);
+  return (
+    <>
+      <Badge ok={walletAddress ? true : null}>
+        {walletAddress ? `wallet: ${shortAddr(walletAddress)}` : "wallet: not connected"}
+      </Badge>
+      <Badge ok={isAuthed ? (authExpiring ? null : true) : null}>{isAuthed ? `auth: ok · ${authBadge}` : "auth: off"}</Badge>
+    </>
+  );
+}
+
+export function WalletDevButtons() {
+  const walletAddress = useStore((s) => s.wallet.address);
+  const walletBusy = useStore((s) => s.wallet.busy);
+  const { isAuthed } = useStore(selectAuth);
+  const { connectWallet, signInBackend, logout, disconnectWallet } = useActions("wallet");
+
+  return (
+    <div className="row" style={{ gap: 8, flexWrap: "wrap" }}>
+      {!walletAddress ? (
+        <>
+          <button className="modeBtn" onClick={() => connectWallet("injected")} disabled={walletBusy}>
+            Connect (MetaMask)
+          </button>
+          <button className="modeBtn" onClick={() => connectWallet("walletconnect")} disabled={walletBusy}>
+            WalletConnect
+          </button>
+        </>
+      ) : (
+        <>
+          {!isAuthed ? (
+            <button className="modeBtn" onClick={signInBackend} disabled={walletBusy}>
+              Sign-in
+            </button>
+          ) : (
+            <button className="modeBtn" onClick={logout} disabled={walletBusy}>
+              Logout
+            </button>
+          )}
+          <button className="modeBtn" onClick={disconnectWallet} disabled={walletBusy}>
+            Disconnect
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
+
+export function WalletCard() {
+  const { address: walletAddress, chainId: walletChainId, connector: walletConnector, busy: walletBusy, accounts: walletAccounts } = useStore(
+    (s) => s.wallet
+  );
+  const { isAuthed, expiring: authExpiring, badge: authBadge } = useStore(selectAuth);
+  const { connectWallet, signInBackend, logout, disconnectWallet, switchChain, selectWalletAccount, forgetWalletAccount } = useActions("wallet");
+
+  return (
+    <Card
+      title="Wallet"
+      right={<Badge ok={isAuthed ? (authExpiring ? null : true) : null}>{isAuthed ? `signed in · ${authBadge}` : "not signed in"}</Badge>}
+    >
+      {walletAddress ? (
+        <div className="row" style={{ gap: 8, flexWrap: "wrap", alignItems: "center" }}>
+          <span className="mono">{shortAddr(walletAddress)}</span>
+          <span className="muted">({walletConnector || "—"})</span>
+          <select
+            className="select"
+            value={DEX_CHAINS.some((c) => c.chainId === Number(walletChainId)) ? String(walletChainId) : ""}
+            onChange={(e) => e.target.value && switchChain(Number(e.target.value))}
+            disabled={walletBusy}
+            title="Switch network in the wallet"
+          >
+            {!DEX_CHAINS.some((c) => c.chainId === Number(walletChainId)) ? <option value="">chain {walletChainId ?? "?"}</option> : null}
+            {DEX_CHAINS.map((c) => (
+              <option key={c.chainId} value={String(c.chainId)}>
+                {c.name}
+              </option>
+            ))}
+          </select>
+          {!isAuthed ? (
+            <button className="btn small" onClick={signInBackend} disabled={walletBusy}>
+              Sign-in
+            </button>
+          ) : (
+            <button className="btn small" onClick={logout} disabled={walletBusy}>
+              Logout
+            </button>
+          )}
+          <button className="btn small" onClick={disconnectWallet} disabled={walletBusy}>
+            Disconnect
+          </button>
+        </div>
+      ) : (
+        <div className="row" style={{ gap: 8, flexWrap: "wrap" }}>
+          <button className="btn small" onClick={() => connectWallet("injected")} disabled={walletBusy}>
+            Connect (MetaMask)
+          </button>
+          <button className="btn small" onClick={() => connectWallet("walletconnect")} disabled={walletBusy}>
+            WalletConnect
+          </button>
+        </div>
+      )}
+
+      {Object.keys(walletAccounts || {}).length ? (
+        <div className="list" style={{ marginTop: 10 }}>
+          <div className="muted" style={{ marginBottom: 6 }}>Remembered accounts</div>
+          {Object.values(walletAccounts)
+            .sort((a, b) => (b.lastUsed || 0) - (a.lastUsed || 0))
+            .map((acc) => {
+              const active = accountKey(acc.address) === accountKey(walletAddress);
+              return (
+                <div key={accountKey(acc.address)} className={`listItem ${active ? "selected" : ""}`}>
+                  <div className="mono">{shortAddr(acc.address)}</div>
+                  <div className="muted">{acc.connector || "—"}</div>
+                  <div className="muted">{DEX_CHAINS.find((c) => c.chainId === Number(acc.chainId))?.name || "—"}</div>
+                  <div className="muted">{acc.token ? "session saved" : "signed out"}</div>
+                  <div className="row" style={{ gap: 6 }}>
+                    {!active ? (
+                      <button className="btn small" onClick={() => selectWalletAccount(acc)} disabled={walletBusy}>
+                        Use
+                      </button>
+                    ) : null}
+                    <button className="btn small" onClick={() => forgetWalletAccount(acc.address)} disabled={walletBusy} title="Forget account and its session">
+                      Forget
+                    </button>
+                  </div>
+                </div>
+              );
+            })}
+        </div>
+      ) : null}
+    </Card>
+  );
+}
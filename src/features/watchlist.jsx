@@ -0,0 +1,1030 @@
+/**
+ * Nexus Analyt — watchlist (feature)
+ *
+ * - named watchlists + symbolMap (symbol -> CoinGecko id or DEX chain/contract/pair), persisted in localStorage;
+ *   `list` is the active list's symbols, so the grid coin selector, resolver, alerts etc. follow the active list
+ * - free-form tags per symbol (shared by all lists), drag-and-drop ordering, optional pinned majors per list
+ * - snapshots from /api/watchlist/snapshot; the leader tab polls every 120s and broadcasts the results
+ * - add picker: CoinGecko search (market) or contract lookup via Dexscreener (DEX)
+ * - each row shows the symbol's health history sparkline and a "changed since last visit" tag
+ * - Health column (score profile applied), sort/filter by health, "Refresh all health" runs the health
+ *   feature's rate-limited bulk refresh and shows its progress here
+ */
+
+import { useEffect, useMemo, useRef, useState } from "react";
+import { isStaleResponse } from "../api.js";
+import { API, api } from "../backend.js";
+import { DEX_CHAINS, findDexChain, findTokenPools, isEvmAddress } from "../dex.js";
+import { formatPct, formatPrice, formatUSD, normalizeSymbol } from "../format.js";
+import { DEFAULT_HEALTH_PROFILE, applyHealthProfile, healthLabelForScore, withMetricFallbacks } from "../health.js";
+import {
+  WL_HEALTH_FILTERS,
+  WL_HEALTH_SORTS,
+  allTags,
+  buildWatchItems,
+  mergeSnapshotCache,
+  mergeWatchlistRows,
+  normalizeSymbolTags,
+  normalizeWatchlists,
+  parseTags,
+  reorderSymbols,
+  sortFilterWatchRows,
+  withMajors,
+} from "../watchlist.js";
+import { createSelector, useActions, useProvideActions, useSetSlice, useStore, useStoreApi, useStoreState } from "../store.js";
+import { Badge, Card } from "../ui.jsx";
+import { loadJson, newId, saveJson } from "../util.js";
+import { HealthChangeTag, HealthSparkline } from "./healthHistory.jsx";
+
+const LS_WATCHLIST = "na_watchlist"; // active list (pre-lists key, still written for older builds)
+const LS_WATCHLISTS = "na_watchlists_v1";
+const LS_SYMBOL_TAGS = "na_symbol_tags_v1";
+const LS_SYMBOL_MAP = "na_symbol_map";
+
+// Default mapping for majors (market) and TBP as dex mapping (optional)
+export const DEFAULT_SYMBOL_MAP = {
+  BTC: { mode: "market", id: "bitcoin" },
+  ETH: { mode: "market", id: "ethereum" },
+  BNB: { mode: "market", id: "binancecoin" },
+  XRP: { mode: "market", id: "ripple" },
+  SOL: { mode: "market", id: "solana" },
+  TBP: {
+    mode: "dex",
+    chain: "polygon",
+    contract: "0x5D636a3b495ac15e3C8180cb462e1302fa4D01f1",
+  },
+};
+
+export const DEFAULT_WATCHLIST = ["BTC", "ETH", "BNB", "XRP", "SOL"];
+
+// Pre-lists storage (one flat array): migrated into the first list, majors ensured as before.
+function legacyWatchlist() {
+  // Default majors, TBP is optional and only appears when added.
+  const stored = loadJson(LS_WATCHLIST, DEFAULT_WATCHLIST);
+  const arr = Array.isArray(stored) ? stored : DEFAULT_WATCHLIST;
+  const uniq = [];
+  for (const s of arr.map((x) => String(x).trim().toUpperCase())) {
+    if (s && !uniq.includes(s)) uniq.push(s);
+  }
+  // Ensure majors are always present
+  for (const s of DEFAULT_WATCHLIST) {
+    if (!uniq.includes(s)) uniq.push(s);
+  }
+  // TBP NICHT auto-add!
+  return uniq.filter((s) => s !== "TBP" || arr.includes("TBP"));
+}
+
+export function watchlistState() {
+  // Merge stored mappings with defaults so majors don't vanish on reload.
+  const symbolMap = { ...DEFAULT_SYMBOL_MAP, ...(loadJson(LS_SYMBOL_MAP, {}) || {}) };
+
+  // Lists with "pin majors" get the majors back on every load (the old forced-majors behaviour, now optional).
+  const stored = loadJson(LS_WATCHLISTS, null);
+  let lists = normalizeWatchlists(stored?.lists);
+  if (!lists.length) lists = [{ id: "main", name: "Main", symbols: legacyWatchlist(), pinMajors: true }];
+  lists = lists.map((l) => (l.pinMajors ? { ...l, symbols: withMajors(l.symbols, DEFAULT_WATCHLIST) } : l));
+  const active = lists.find((l) => l.id === stored?.activeId) || lists[0];
+
+  return {
+    symbolMap,
+    lists, // [{ id, name, symbols, pinMajors }]
+    activeId: active.id,
+    list: active.symbols, // symbols of the active list: what every other feature reads
+    tags: normalizeSymbolTags(loadJson(LS_SYMBOL_TAGS, {})), // { SYMBOL: ["tag", ...] }, shared by all lists
+    snapshots: [],
+    cache: {},
+    busy: false,
+    err: "",
+    addInput: "",
+    healthSort: "list",
+    healthFilter: "all",
+    tagFilter: "",
+  };
+}
+
+export function pickerState() {
+  return {
+    open: false,
+    query: "",
+    results: [],
+    busy: false,
+    err: "",
+    tab: "market", // "market" | "dex"
+    dexSymbol: "",
+    dexContract: "",
+    dexChain: "",
+    dexErr: "",
+    dexPools: null, // { token, chains, pools, otherChains } from findTokenPools
+    dexBusy: false,
+  };
+}
+
+/* -------------------------
+   Selectors
+--------------------------*/
+export const selectWlRows = createSelector(
+  [(s) => s.watchlist.list, (s) => s.watchlist.snapshots, (s) => s.watchlist.cache, (s) => s.watchlist.symbolMap],
+  mergeWatchlistRows
+);
+
+export const selectWlMap = createSelector([selectWlRows], (rows) => {
+  const m = new Map();
+  for (const r of rows || []) {
+    const s = normalizeSymbol(r?.symbol);
+    if (s) m.set(s, r);
+  }
+  return m;
+});
+
+// Health per symbol for the Health column: { SYMBOL: { score, label, tone, reasons } }, profile applied like the Health card.
+export const selectWlHealth = createSelector([(s) => s.health.marketHealthMap, (s) => s.health.profile, selectWlMap], (map, profile, wlMap) => {
+  const thresholds = profile?.enabled ? profile.thresholds : DEFAULT_HEALTH_PROFILE.thresholds;
+  const out = {};
+  for (const [sym, h] of Object.entries(map || {})) {
+    const eff = applyHealthProfile(withMetricFallbacks(h, wlMap.get(sym)), profile);
+    if (eff?.score == null || !Number.isFinite(Number(eff.score))) continue;
+    out[sym] = { score: Number(eff.score), ...healthLabelForScore(eff.score, thresholds), reasons: eff.reasons || [] };
+  }
+  return out;
+});
+
+const STREAM_BADGES = { live: "live · stream", connecting: "live · connecting", down: "live · polling" };
+
+/* -------------------------
+   Controller
+--------------------------*/
+const sameSymbols = (a, b) => a.length === b.length && a.every((x, i) => x === b[i]);
+
+export function WatchlistController() {
+  const store = useStoreApi();
+  const [watchlist, setWatchlist] = useStoreState("watchlist", "list");
+  const lists = useStore((s) => s.watchlist.lists);
+  const activeId = useStore((s) => s.watchlist.activeId);
+  const tags = useStore((s) => s.watchlist.tags);
+  const [symbolMap, setSymbolMap] = useStoreState("watchlist", "symbolMap");
+  const setWl = useSetSlice("watchlist");
+  const { query: addPickerQuery, dexSymbol: addDexSymbol, dexContract: addDexContract, dexChain: addDexChain } = useStore((s) => s.picker);
+  const setPicker = useSetSlice("picker");
+  const setResolver = useSetSlice("resolver");
+  const isLeader = useStore((s) => s.sync.isLeader);
+  const streamLive = useStore((s) => s.sync.streamStatus === "live");
+  const sync = useActions("sync");
+
+  useEffect(() => {
+    saveJson(LS_SYMBOL_MAP, symbolMap);
+  }, [symbolMap]);
+  useEffect(() => {
+    saveJson(LS_WATCHLIST, watchlist);
+  }, [watchlist]);
+  useEffect(() => {
+    saveJson(LS_WATCHLISTS, { lists, activeId });
+  }, [lists, activeId]);
+  useEffect(() => {
+    saveJson(LS_SYMBOL_TAGS, tags);
+  }, [tags]);
+
+  // `list` is the working copy of the active list (every add/remove/move goes there); mirror it into `lists`.
+  useEffect(() => {
+    setWl((cur) => {
+      const i = cur.lists.findIndex((l) => l.id === cur.activeId);
+      if (i < 0 || sameSymbols(cur.lists[i].symbols, cur.list)) return {};
+      const next = [...cur.lists];
+      next[i] = { ...next[i], symbols: cur.list };
+      return { lists: next };
+    });
+  }, [watchlist, setWl]);
+
+  function switchWatchlist(id) {
+    setWl((cur) => {
+      const l = cur.lists.find((x) => x.id === id);
+      return l && l.id !== cur.activeId ? { activeId: l.id, list: l.symbols, tagFilter: "" } : {};
+    });
+  }
+
+  // Trimmed name when non-empty and unique (case-insensitive), else "" with wl.err set.
+  function checkListName(name, exceptId) {
+    const n = String(name || "").trim().slice(0, 40);
+    if (!n) {
+      setWl({ err: "Enter a name for the watchlist." });
+      return "";
+    }
+    if (store.getState().watchlist.lists.some((l) => l.id !== exceptId && l.name.toLowerCase() === n.toLowerCase())) {
+      setWl({ err: `A watchlist named "${n}" already exists.` });
+      return "";
+    }
+    return n;
+  }
+
+  // New empty list; it becomes the active one.
+  function createWatchlist(name) {
+    const n = checkListName(name);
+    if (!n) return false;
+    const l = { id: newId("wl"), name: n, symbols: [], pinMajors: false };
+    setWl((cur) => ({ lists: [...cur.lists, l], activeId: l.id, list: l.symbols, tagFilter: "", err: "" }));
+    return true;
+  }
+
+  function renameWatchlist(id, name) {
+    const n = checkListName(name, id);
+    if (!n) return false;
+    setWl((cur) => ({ lists: cur.lists.map((l) => (l.id === id ? { ...l, name: n } : l)), err: "" }));
+    return true;
+  }
+
+  // The last list cannot be deleted. Symbol mappings and tags stay (other lists may use them).
+  function deleteWatchlist(id) {
+    setWl((cur) => {
+      if (cur.lists.length <= 1) return {};
+      const next = cur.lists.filter((l) => l.id !== id);
+      return cur.activeId === id ? { lists: next, activeId: next[0].id, list: next[0].symbols } : { lists: next };
+    });
+  }
+
+  // Pinned majors: turned on, the missing majors are added back now and on every load.
+  function setPinMajors(on) {
+    setWl((cur) => ({
+      lists: cur.lists.map((l) => (l.id === cur.activeId ? { ...l, pinMajors: Boolean(on) } : l)),
+      ...(on ? { list: withMajors(cur.list, DEFAULT_WATCHLIST) } : {}),
+    }));
+  }
+
+  function setSymbolTags(sym, input) {
+    const s = normalizeSymbol(sym);
+    if (!s) return;
+    const next = parseTags(input);
+    setWl((cur) => {
+      const t = { ...cur.tags };
+      if (next.length) t[s] = next;
+      else delete t[s];
+      return { tags: t };
+    });
+  }
+
+  // Drag-and-drop: drop `sym` onto `target` (null = end of the list).
+  function reorderWatchlist(sym, target) {
+    setWatchlist((prev) => reorderSymbols(prev, normalizeSymbol(sym), normalizeSymbol(target) || null));
+  }
+
+  // Move symbol up/down in the watchlist (used for prioritization / Top 10 order)
+  function moveWatchlistSymbol(sym, dir) {
+    const s = normalizeSymbol(sym);
+    if (!s) return;
+    setWatchlist((prev) => {
+      const arr = Array.isArray(prev) ? [...prev] : [];
+      const i = arr.indexOf(s);
+      if (i < 0) return prev;
+      const j = i + dir;
+      if (j < 0 || j >= arr.length) return prev;
+      const next = [...arr];
+      const tmp = next[i];
+      next[i] = next[j];
+      next[j] = tmp;
+      return next;
+    });
+  }
+
+  async function refreshWatchlist(onlySyms = null) {
+    setWl({ err: "" });
+    let items = buildWatchItems(watchlist, symbolMap);
+    if (Array.isArray(onlySyms) && onlySyms.length) {
+      const set = new Set(onlySyms.map((s) => String(s || '').toUpperCase()));
+      items = items.filter((it) => set.has(String(it.symbol || '').toUpperCase()));
+    }
+    if (!items.length) {
+      setWl({ snapshots: [] });
+      return;
+    }
+
+    setWl({ busy: true });
+    try {
+      const r = await api.post(`${API}/watchlist/snapshot`, { items });
+      // Offline copy from the service worker: every row says so (and keeps saying so in the other tabs).
+      const results = isStaleResponse(r) ? (r?.results || []).map((row) => ({ ...row, stale: true })) : r?.results || [];
+      applyWlSnapshot(results);
+      sync.publishSync("wlSnapshots", results);
+    } catch (e) {
+      setWl({ err: String(e?.message || e) });
+    } finally {
+      setWl({ busy: false });
+    }
+  }
+
+  // Shared by refreshWatchlist and snapshots broadcast by the polling tab.
+  function applyWlSnapshot(results) {
+    // Cache: values do not vanish during updating/error
+    setWl((cur) => ({ snapshots: results, cache: mergeSnapshotCache(cur.cache, results) }));
+  }
+
+  // Live stream tick: patch the row in place (snapshot + cache).
+  function applyTick(sym, patch) {
+    setWl((cur) => ({
+      snapshots: (cur.snapshots || []).map((r) => (normalizeSymbol(r?.symbol) === sym ? { ...r, ...patch, stale: false } : r)),
+      cache: { ...(cur.cache || {}), [sym]: { ...(cur.cache?.[sym] || { symbol: sym }), ...patch, stale: false } },
+    }));
+  }
+
+  async function searchMarket(query) {
+    setPicker({ err: "", busy: true });
+    try {
+      const r = await api.get(`${API}/market/search?query=${encodeURIComponent(query)}`);
+      const results = Array.isArray(r?.results) ? r.results : [];
+      setPicker({ results });
+      return results;
+    } catch (e) {
+      setPicker({ err: String(e?.message || e) });
+      return null;
+    } finally {
+      setPicker({ busy: false });
+    }
+  }
+
+  async function addToWatchlist(sym) {
+    const s = normalizeSymbol(sym);
+    if (!s) return;
+
+    // Open searchable picker so user can pick the exact token
+    setPicker({ err: "", tab: "market", query: s, open: true });
+    const results = await searchMarket(s);
+    if (results && !results.length) {
+      setPicker({ err: "Kein Treffer gefunden. Bitte anderen Namen/Symbol versuchen." });
+    }
+  }
+
+  function addResolvedToWatchlist(coin) {
+    if (!coin || !coin.id) return;
+    const sym = normalizeSymbol(coin.symbol || addPickerQuery);
+    if (!sym) return;
+
+    // Save mapping: symbol -> coingecko id
+    setSymbolMap((prev) => ({
+      ...prev,
+      [sym]: { mode: "market", id: coin.id, name: coin.name || sym },
+    }));
+
+    // Add symbol to watchlist
+    setWatchlist((prev) => (prev.includes(sym) ? prev : [sym, ...prev]));
+
+    setPicker({ open: false, results: [], query: "" });
+    setWl({ addInput: "" });
+  }
+
+  function addDexToWatchlist() {
+    setPicker({ dexErr: "" });
+    const sym = normalizeSymbol(addDexSymbol || addPickerQuery);
+    const contract = String(addDexContract || "").trim();
+    const known = findDexChain(addDexChain);
+    const chain = known ? known.key : String(addDexChain || "").trim();
+    if (!sym) return setPicker({ dexErr: "Bitte Symbol eingeben (z.B. PEPE)." });
+    if (!isEvmAddress(contract)) {
+      return setPicker({ dexErr: "Contract muss eine gültige EVM-Adresse sein (0x + 40 hex)." });
+    }
+
+    setSymbolMap((prev) => ({
+      ...(prev || {}),
+      [sym]: { mode: "dex", contract, chain, ...(known ? { chainId: known.chainId } : {}) },
+    }));
+
+    setWatchlist((prev) => {
+      const arr = Array.isArray(prev) ? prev.slice() : [];
+      if (!arr.includes(sym)) arr.unshift(sym);
+      return arr;
+    });
+
+    setPicker({ open: false, dexSymbol: "", dexContract: "", dexChain: "", dexPools: null, results: [] });
+  }
+
+  async function findDexPools(contractArg) {
+    const contract = String(contractArg ?? addDexContract ?? "").trim();
+    setPicker({ dexErr: "", dexPools: null });
+    if (!isEvmAddress(contract)) return setPicker({ dexErr: "Contract muss eine gültige EVM-Adresse sein (0x + 40 hex)." });
+    setPicker({ dexBusy: true });
+    try {
+      const r = await findTokenPools(contract);
+      setPicker({ dexPools: r });
+      if (!r.pools.length) {
+        setPicker({
+          dexErr: r.otherChains.length
+            ? `Keine Pools auf unterstützten Chains (gefunden auf: ${r.otherChains.join(", ")}).`
+            : "Keine Pools für diesen Contract gefunden.",
+        });
+      } else if (!addDexSymbol && r.token?.symbol) {
+        setPicker({ dexSymbol: normalizeSymbol(r.token.symbol) });
+      }
+    } catch (e) {
+      setPicker({ dexErr: String(e?.message || e) });
+    } finally {
+      setPicker({ dexBusy: false });
+    }
+  }
+
+  // A picked pool becomes the symbolMap entry (contract + chain + pair) and the Resolver primary item.
+  function pickDexPool(pool) {
+    const contract = pool.base.address;
+    let sym = normalizeSymbol(addDexSymbol || pool.base.symbol);
+    if (!sym) return setPicker({ dexErr: "Bitte Symbol eingeben (z.B. PEPE)." });
+    const cur = symbolMap?.[sym];
+    const same = cur?.mode === "dex" && String(cur.contract || "").toLowerCase() === contract.toLowerCase() && (!cur.chain || cur.chain === pool.chain);
+    if (cur && !same) {
+      // Symbol already taken (market coin or the same ticker on another chain).
+      sym = normalizeSymbol(`${sym}.${DEX_CHAINS.find((c) => c.chainId === pool.chainId)?.short || pool.chain}`);
+    }
+
+    setSymbolMap((prev) => ({
+      ...(prev || {}),
+      [sym]: {
+        mode: "dex",
+        contract,
+        chain: pool.chain,
+        chainId: pool.chainId,
+        pair: pool.pairAddress,
+        dex: pool.dex,
+        quote: pool.quote.symbol,
+        name: pool.base.name || sym,
+      },
+    }));
+    setWatchlist((prev) => {
+      const arr = Array.isArray(prev) ? prev.slice() : [];
+      if (!arr.includes(sym)) arr.unshift(sym);
+      return arr;
+    });
+    setResolver({ primaryItemId: sym, pairOrContract: pool.pairAddress });
+
+    setPicker({ open: false, dexSymbol: "", dexContract: "", dexChain: "", dexPools: null, results: [] });
+  }
+
+  function removeFromWatchlist(sym) {
+    const s = normalizeSymbol(sym);
+    setWatchlist((prev) => prev.filter((x) => normalizeSymbol(x) !== s));
+  }
+
+  // Another list became active: load its snapshot right away (leader; the other tabs get the broadcast).
+  const activeIdRef = useRef(activeId);
+  useEffect(() => {
+    if (activeIdRef.current === activeId) return;
+    activeIdRef.current = activeId;
+    if (isLeader) refreshWatchlist();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [activeId]);
+
+  // Periodic watchlist refresh (keeps prices alive). Leader tab only; the others receive its snapshots.
+  // With a live stream only the full snapshot is loaded here, ticks keep the prices current.
+  useEffect(() => {
+    if (!isLeader) return;
+    refreshWatchlist();
+    if (streamLive) return;
+    const t = setInterval(() => refreshWatchlist(), 120_000);
+    return () => clearInterval(t);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [symbolMap, isLeader, streamLive]);
+
+  useProvideActions("watchlist", {
+    moveWatchlistSymbol,
+    reorderWatchlist,
+    switchWatchlist,
+    createWatchlist,
+    renameWatchlist,
+    deleteWatchlist,
+    setPinMajors,
+    setSymbolTags,
+    refreshWatchlist,
+    applyWlSnapshot,
+    applyTick,
+    searchMarket,
+    addToWatchlist,
+    addResolvedToWatchlist,
+    addDexToWatchlist,
+    findDexPools,
+    pickDexPool,
+    removeFromWatchlist,
+  });
+  return null;
+}
+
+/* -------------------------
+   UI
+--------------------------*/
+export function WatchlistCard() {
+  const {
+    list: watchlist,
+    busy: wlBusy,
+    err: wlErr,
+    addInput: wlAddInput,
+    healthSort,
+    healthFilter,
+    tags,
+    tagFilter,
+  } = useStore((s) => s.watchlist);
+  const wlRows = useStore(selectWlRows);
+  const wlHealth = useStore(selectWlHealth);
+  const bulk = useStore((s) => s.health.bulk);
+  const { refreshAllHealth, cancelAllHealth } = useActions("health");
+  const tagOptions = useMemo(() => allTags(tags), [tags]);
+  const shownRows = useMemo(
+    () => sortFilterWatchRows(wlRows, wlHealth, { sort: healthSort, status: healthFilter, tag: tagFilter, tags }),
+    [wlRows, wlHealth, healthSort, healthFilter, tagFilter, tags]
+  );
+  const streamStatus = useStore((s) => s.sync.streamStatus);
+  const setWl = useSetSlice("watchlist");
+  const { addToWatchlist, refreshWatchlist, moveWatchlistSymbol, reorderWatchlist, removeFromWatchlist, setSymbolTags } = useActions("watchlist");
+  const [dragOver, setDragOver] = useState("");
+  const [tagEdit, setTagEdit] = useState(null); // { symbol, value }
+  const wlBadge = wlBusy ? "updating" : STREAM_BADGES[streamStatus] || "live";
+
+  return (
+    <Card
+      title="Watchlist"
+      right={
+        <div className="row" style={{ gap: 10 }}>
+          <Badge ok={wlBusy || streamStatus === "down" || streamStatus === "connecting" ? null : true}>{wlBadge}</Badge>
+        </div>
+      }
+    >
+      <WatchlistPicker />
+
+      <div className="field">
+        <input
+          className="input"
+          value={wlAddInput}
+          onChange={(e) => setWl({ addInput: e.target.value })}
+          placeholder="Add symbol (e.g. TBP, BTC, XRP, SOL)"
+          onKeyDown={(e) => {
+            if (e.key === "Enter") {
+              addToWatchlist(wlAddInput);
+              setWl({ addInput: "" });
+            }
+          }}
+        />
+      </div>
+
+      <div className="row" style={{ gap: 10, flexWrap: "wrap" }}>
+        <button
+          className="btn"
+          onClick={() => {
+            addToWatchlist(wlAddInput);
+            setWl({ addInput: "" });
+          }}
+          disabled={wlBusy}
+        >
+          + Add
+        </button>
+        <button className="btn" onClick={refreshWatchlist} disabled={wlBusy}>
+          ⟳ Refresh Watchlist
+        </button>
+        {bulk?.running ? (
+          <button className="btn" onClick={cancelAllHealth}>
+            Cancel health refresh
+          </button>
+        ) : (
+          <button className="btn" onClick={refreshAllHealth} disabled={!watchlist?.length} title="FAST health for every symbol, then FULL">
+            ♥ Refresh all health
+          </button>
+        )}
+        {wlErr ? <span className="muted">{wlErr}</span> : null}
+      </div>
+
+      {bulk ? <BulkHealthProgress bulk={bulk} /> : null}
+
+      <div className="muted" style={{ marginTop: 10 }}>
+        Items: {wlRows?.length || 0}
+        {shownRows.length !== (wlRows?.length || 0) ? ` · shown: ${shownRows.length}` : ""}
+      </div>
+
+      {/* Drag a chip onto another to reorder (the arrows stay for keyboard use). */}
+      <div className="chips" style={{ marginTop: 10 }}>
+        {(watchlist || []).map((s, idx) => (
+          <span
+            key={s}
+            className={"chip" + (idx < 10 ? " chipTop" : "") + (dragOver === s ? " chipDragOver" : "")}
+            draggable={!wlBusy}
+            onDragStart={(e) => {
+              e.dataTransfer.setData("text/plain", s);
+              e.dataTransfer.effectAllowed = "move";
+            }}
+            onDragOver={(e) => {
+              e.preventDefault();
+              setDragOver(s);
+            }}
+            onDragLeave={() => setDragOver((cur) => (cur === s ? "" : cur))}
+            onDrop={(e) => {
+              e.preventDefault();
+              setDragOver("");
+              reorderWatchlist(e.dataTransfer.getData("text/plain"), s);
+            }}
+          >
+            {s}{" "}
+            <button
+              className="chipArrow"
+              onClick={() => moveWatchlistSymbol(s, -1)}
+              disabled={wlBusy || idx === 0}
+              title="move up"
+            >
+              ▲
+            </button>
+            <button
+              className="chipArrow"
+              onClick={() => moveWatchlistSymbol(s, +1)}
+              disabled={wlBusy || idx === (watchlist || []).length - 1}
+              title="move down"
+            >
+              ▼
+            </button>
+            <button className="chipX" onClick={() => removeFromWatchlist(s)} disabled={wlBusy} title="remove">
+              ×
+            </button>
+          </span>
+        ))}
+      </div>
+
+      <div className="row" style={{ gap: 8, marginTop: 12, flexWrap: "wrap", alignItems: "center" }}>
+        <span className="muted">Sort</span>
+        <select className="select" style={{ width: 120 }} value={healthSort} onChange={(e) => setWl({ healthSort: e.target.value })} aria-label="Sort watchlist">
+          {Object.entries(WL_HEALTH_SORTS).map(([k, label]) => (
+            <option key={k} value={k}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <span className="muted">Health</span>
+        <select className="select" style={{ width: 120 }} value={healthFilter} onChange={(e) => setWl({ healthFilter: e.target.value })} aria-label="Filter watchlist by health">
+          {Object.entries(WL_HEALTH_FILTERS).map(([k, label]) => (
+            <option key={k} value={k}>
+              {label}
+            </option>
+          ))}
+        </select>
+        {tagOptions.length ? (
+          <>
+            <span className="muted">Tag</span>
+            <select className="select" style={{ width: 120 }} value={tagFilter} onChange={(e) => setWl({ tagFilter: e.target.value })} aria-label="Filter watchlist by tag">
+              <option value="">All</option>
+              {tagOptions.map((t) => (
+                <option key={t} value={t}>
+                  #{t}
+                </option>
+              ))}
+            </select>
+          </>
+        ) : null}
+      </div>
+
+      <div className="table" style={{ marginTop: 8 }}>
+        <div className="tHead wlGrid">
+          <div>Symbol</div>
+          <div>Health</div>
+          <div>Mode</div>
+          <div>Price</div>
+          <div>24h</div>
+          <div>Volume 24h</div>
+          <div>LP</div>
+          <div>Source</div>
+          <div></div>
+        </div>
+
+        <div className="wlTableScroll">
+          {shownRows.map((r) => (
+            <div key={r.symbol} className="tRow wlGrid">
+              <div className="mono">
+                {r.symbol}
+                <div className="row" style={{ gap: 4, alignItems: "center" }}>
+                  <HealthSparkline symbol={r.symbol} width={60} height={16} />
+                  <HealthChangeTag symbol={r.symbol} />
+                </div>
+                {tagEdit?.symbol === r.symbol ? (
+                  <input
+                    className="input tagInput"
+                    autoFocus
+                    value={tagEdit.value}
+                    placeholder="defi, l2 … (Enter saves)"
+                    aria-label={`Tags for ${r.symbol}`}
+                    onChange={(e) => setTagEdit({ symbol: r.symbol, value: e.target.value })}
+                    onKeyDown={(e) => {
+                      if (e.key === "Enter") {
+                        setSymbolTags(r.symbol, tagEdit.value);
+                        setTagEdit(null);
+                      } else if (e.key === "Escape") setTagEdit(null);
+                    }}
+                    onBlur={() => setTagEdit(null)}
+                  />
+                ) : (
+                  <div className="tagRow">
+                    {(tags[r.symbol] || []).map((t) => (
+                      <span key={t} className="tagChip">
+                        #{t}
+                      </span>
+                    ))}
+                    <button
+                      className="chipArrow"
+                      onClick={() => setTagEdit({ symbol: r.symbol, value: (tags[r.symbol] || []).join(", ") })}
+                      title={`Edit tags of ${r.symbol}`}
+                    >
+                      #
+                    </button>
+                  </div>
+                )}
+              </div>
+              <div>
+                {wlHealth[r.symbol] ? (
+                  <span className={`healthTag ${wlHealth[r.symbol].tone}`} title={wlHealth[r.symbol].reasons.slice(0, 3).join(" · ")}>
+                    {wlHealth[r.symbol].score} · {wlHealth[r.symbol].label}
+                  </span>
+                ) : (
+                  <span className="muted">—</span>
+                )}
+              </div>
+              <div className="mono">{r.mode || "-"}</div>
+              <div className="mono">{r.price != null ? formatPrice(r.price) : "—"}</div>
+              <div className={Number(r.change24h) >= 0 ? "pos" : "neg"}>
+                {r.change24h != null ? formatPct(r.change24h) : "—"}
+              </div>
+              <div className="mono">{r.volume24h != null ? formatUSD(r.volume24h) : "—"}</div>
+              <div className="mono">{r.liquidity != null ? formatUSD(r.liquidity) : "—"}</div>
+              <div className="mono">
+                {r.source || "-"}
+                {r.stale ? (
+                  <span className="healthTag stable" title="Offline: last snapshot the app received for this list" style={{ marginLeft: 6 }}>
+                    offline
+                  </span>
+                ) : null}
+              </div>
+              <div style={{ textAlign: "right" }}>
+                <button className="btn small" onClick={() => removeFromWatchlist(r.symbol)} disabled={wlBusy}>
+                  Remove
+                </button>
+              </div>
+            </div>
+          ))}
+          {!shownRows.length && wlRows?.length ? <div className="empty">No symbols match these filters.</div> : null}
+          {!wlRows?.length ? <div className="empty">This list is empty. Add symbols above or tick "always include majors".</div> : null}
+        </div>
+      </div>
+    </Card>
+  );
+}
+
+// Active list switcher + new / rename / delete and the per-list "pin majors" option.
+function WatchlistPicker() {
+  const lists = useStore((s) => s.watchlist.lists);
+  const activeId = useStore((s) => s.watchlist.activeId);
+  const { switchWatchlist, createWatchlist, renameWatchlist, deleteWatchlist, setPinMajors } = useActions("watchlist");
+  const [edit, setEdit] = useState(null); // { mode: "new" | "rename", name }
+  const active = lists.find((l) => l.id === activeId);
+
+  function saveEdit() {
+    const ok = edit.mode === "new" ? createWatchlist(edit.name) : renameWatchlist(activeId, edit.name);
+    if (ok) setEdit(null);
+  }
+
+  return (
+    <div className="row" style={{ gap: 8, flexWrap: "wrap", alignItems: "center", marginBottom: 10 }}>
+      <select className="select" style={{ width: 180 }} value={activeId} onChange={(e) => switchWatchlist(e.target.value)} aria-label="Active watchlist">
+        {lists.map((l) => (
+          <option key={l.id} value={l.id}>
+            {l.name} ({l.symbols.length})
+          </option>
+        ))}
+      </select>
+      {edit ? (
+        <>
+          <input
+            className="input"
+            style={{ width: 160 }}
+            autoFocus
+            value={edit.name}
+            placeholder="e.g. Polygon DEX"
+            aria-label="Watchlist name"
+            onChange={(e) => setEdit({ ...edit, name: e.target.value })}
+            onKeyDown={(e) => {
+              if (e.key === "Enter") saveEdit();
+              else if (e.key === "Escape") setEdit(null);
+            }}
+          />
+          <button className="btn small" onClick={saveEdit}>
+            {edit.mode === "new" ? "Create" : "Save"}
+          </button>
+          <button className="btn small" onClick={() => setEdit(null)}>
+            Cancel
+          </button>
+        </>
+      ) : (
+        <>
+          <button className="btn small" onClick={() => setEdit({ mode: "new", name: "" })}>
+            + New list
+          </button>
+          <button className="btn small" onClick={() => setEdit({ mode: "rename", name: active?.name || "" })}>
+            Rename
+          </button>
+          <button
+            className="btn small"
+            onClick={() => deleteWatchlist(activeId)}
+            disabled={lists.length <= 1}
+            title="Delete this list (symbol mappings and tags are kept)"
+          >
+            Delete
+          </button>
+        </>
+      )}
+      <label className="muted" style={{ display: "flex", gap: 6, alignItems: "center" }} title={DEFAULT_WATCHLIST.join(", ")}>
+        <input type="checkbox" checked={Boolean(active?.pinMajors)} onChange={(e) => setPinMajors(e.target.checked)} />
+        always include majors
+      </label>
+    </div>
+  );
+}
+
+function BulkHealthProgress({ bulk }) {
+  const pct = bulk.total ? Math.round((bulk.done / bulk.total) * 100) : 0;
+  return (
+    <div style={{ marginTop: 8 }}>
+      {bulk.running ? (
+        <>
+          <div className="muted" style={{ fontSize: 12 }}>
+            Health {bulk.phase === "fast" ? "FAST" : "FULL"}: {bulk.done}/{bulk.total}
+            {bulk.failed ? ` · ${bulk.failed} failed` : ""}
+          </div>
+          <div className="progressBar" role="progressbar" aria-valuenow={pct} aria-valuemin={0} aria-valuemax={100}>
+            <div style={{ width: `${pct}%` }} />
+          </div>
+        </>
+      ) : (
+        <div className="muted" style={{ fontSize: 12 }}>
+          Health {bulk.cancelled ? "refresh cancelled" : "refreshed"}: {bulk.ok}/{bulk.total}
+          {bulk.failed ? ` · ${bulk.failed} without market health` : ""}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export function AddPickerModal() {
+  const {
+    open,
+    query: addPickerQuery,
+    results: addPickerResults,
+    busy: addPickerBusy,
+    err: addPickerErr,
+    tab: addPickerTab,
+    dexSymbol: addDexSymbol,
+    dexContract: addDexContract,
+    dexChain: addDexChain,
+    dexErr: addDexErr,
+    dexPools: addDexPools,
+    dexBusy: addDexBusy,
+  } = useStore((s) => s.picker);
+  const setPicker = useSetSlice("picker");
+  const { searchMarket, addResolvedToWatchlist, findDexPools, addDexToWatchlist, pickDexPool } = useActions("watchlist");
+  if (!open) return null;
+
+  return (
+    <div className="modalBackdrop" onClick={() => setPicker({ open: false })}>
+      <div className="modal" onClick={(e) => e.stopPropagation()}>
+        <div className="row" style={{ justifyContent: "space-between", alignItems: "center" }}>
+          <div style={{ fontWeight: 700 }}>Select token (CoinGecko)</div>
+          <button className="btn" onClick={() => setPicker({ open: false })}>✕</button>
+        </div>
+        <div className="row" style={{ gap: 8, marginTop: 10, flexWrap: "wrap" }}>
+          <button className={"btn " + (addPickerTab === "market" ? "primary" : "")} onClick={() => setPicker({ tab: "market" })}>
+            Market (CEX)
+          </button>
+          <button className={"btn " + (addPickerTab === "dex" ? "primary" : "")} onClick={() => setPicker({ tab: "dex" })}>
+            DEX (Contract)
+          </button>
+        </div>
+
+        {addPickerTab === "market" ? (
+          <>
+            <div className="muted" style={{ marginTop: 6 }}>
+              Suche: <b>{addPickerQuery}</b> — wähle den genauen Coin, damit Preis & Updates korrekt sind.
+            </div>
+
+            <div className="row" style={{ gap: 10, marginTop: 12 }}>
+              <input
+                className="input"
+                value={addPickerQuery}
+                onChange={(e) => setPicker({ query: e.target.value })}
+                placeholder="Type name or symbol…"
+              />
+              <button
+                className="btn"
+                disabled={addPickerBusy}
+                onClick={async () => {
+                  const results = await searchMarket(addPickerQuery);
+                  if (results && !results.length) setPicker({ err: "Kein Treffer gefunden." });
+                }}
+              >
+                {addPickerBusy ? "searching…" : "Search"}
+              </button>
+            </div>
+
+            {addPickerErr ? <div className="muted" style={{ marginTop: 10 }}>{addPickerErr}</div> : null}
+
+            <div style={{ marginTop: 12, maxHeight: 360, overflow: "auto" }}>
+              {(addPickerResults || []).map((c) => (
+                <div
+                  key={c.id}
+                  className="row"
+                  style={{
+                    justifyContent: "space-between",
+                    alignItems: "center",
+                    padding: "10px 0",
+                    borderBottom: "1px solid rgba(255,255,255,0.08)",
+                    gap: 10,
+                  }}
+                >
+                  <div>
+                    <div style={{ fontWeight: 600 }}>{c.name} <span className="muted">({(c.symbol || "").toUpperCase()})</span></div>
+                    <div className="muted" style={{ fontSize: 12 }}>ID: {c.id}{c.market_cap_rank ? ` • Rank #${c.market_cap_rank}` : ""}</div>
+                  </div>
+                  <button className="btn" onClick={() => addResolvedToWatchlist(c)}>
+                    Add
+                  </button>
+                </div>
+              ))}
+            </div>
+
+            <div className="muted" style={{ marginTop: 10, fontSize: 12 }}>
+              Tip: Bei gleichen Symbolen (z.B. POL) immer den richtigen Namen/Rank auswählen.
+            </div>
+          </>
+        ) : null}
+
+        {addPickerTab === "dex" ? (
+          <div style={{ marginTop: 12 }}>
+            <div className="muted" style={{ marginTop: 6 }}>
+              DEX Token per Contract-Adresse: "Find pools" erkennt die Chain ({DEX_CHAINS.map((c) => c.name).join(", ")}) und listet die Pools.
+            </div>
+
+            <div className="row" style={{ gap: 10, marginTop: 12, flexWrap: "wrap" }}>
+              <input
+                className="input mono"
+                value={addDexSymbol}
+                onChange={(e) => setPicker({ dexSymbol: e.target.value })}
+                placeholder="Symbol (z.B. PEPE)"
+                style={{ minWidth: 160 }}
+              />
+              <input
+                className="input mono"
+                value={addDexContract}
+                onChange={(e) => setPicker({ dexContract: e.target.value })}
+                placeholder="Contract (0x...)"
+                style={{ minWidth: 320, flex: 1 }}
+              />
+              <input
+                className="input mono"
+                value={addDexChain}
+                onChange={(e) => setPicker({ dexChain: e.target.value })}
+                placeholder="Chain (optional, z.B. ethereum/base)"
+                style={{ minWidth: 220 }}
+              />
+              <button className="btn primary" onClick={() => findDexPools()} disabled={addDexBusy}>
+                {addDexBusy ? "searching…" : "Find pools"}
+              </button>
+              <button className="btn" onClick={addDexToWatchlist} title="Add without pool lookup">
+                Add
+              </button>
+            </div>
+
+            {addDexErr ? <div className="muted" style={{ marginTop: 10 }}>{addDexErr}</div> : null}
+
+            {addDexPools?.pools.length ? (
+              <div style={{ marginTop: 12, maxHeight: 360, overflow: "auto" }}>
+                <div className="muted" style={{ fontSize: 12 }}>
+                  {addDexPools.token ? <b>{addDexPools.token.name} ({addDexPools.token.symbol})</b> : null} · found on{" "}
+                  {addDexPools.chains.map((c) => `${c.name} (${c.pools.length})`).join(", ")}
+                  {addDexPools.otherChains.length ? ` · also on unsupported: ${addDexPools.otherChains.join(", ")}` : ""}
+                </div>
+                {addDexPools.chains.map((c) => (
+                  <div key={c.chainId} style={{ marginTop: 10 }}>
+                    <div className="listHeader">
+                      {c.name} <span className="muted mono">#{c.chainId}</span>
+                    </div>
+                    {c.pools.map((p) => (
+                      <div key={p.pairAddress} className="row dexPoolRow">
+                        <div>
+                          <div style={{ fontWeight: 600 }}>
+                            {p.base.symbol}/{p.quote.symbol} <span className="muted">· {p.dex}</span>
+                          </div>
+                          <div className="muted mono" style={{ fontSize: 12 }}>
+                            Liq {p.liquidityUsd != null ? `$${formatUSD(p.liquidityUsd)}` : "—"} · Vol 24h{" "}
+                            {p.volume24h != null ? `$${formatUSD(p.volume24h)}` : "—"} · {p.priceUsd != null ? `$${formatPrice(p.priceUsd)}` : "—"}
+                          </div>
+                          <div className="muted mono" style={{ fontSize: 11 }}>{p.pairAddress}</div>
+                        </div>
+                        <button className="btn" onClick={() => pickDexPool(p)}>
+                          Use
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                ))}
+              </div>
+            ) : null}
+
+            <div className="muted" style={{ marginTop: 8 }}>
+              Preise/Vol/Liq kommen über Dexscreener für den Contract.
+            </div>
+          </div>
+        ) : null}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,79 @@
+/**
+ * Nexus Analyt — formatting helpers (symbols, prices, durations)
+ *
+ * Pure functions shared by the cards; numbers use the browser locale like the rest of the UI.
+ */
+
+export function normalizeSymbol(x) {
+  return String(x || "")
+    .trim()
+    .toUpperCase()
+    .replace(/[^A-Z0-9._-]/g, "");
+}
+
+// "1h 05m" / "12m" / "40s"
+export function formatDuration(ms) {
+  const sec = Math.max(0, Math.round(Number(ms) / 1000));
+  if (sec < 60) return `${sec}s`;
+  const min = Math.floor(sec / 60);
+  if (min < 60) return `${min}m`;
+  return `${Math.floor(min / 60)}h ${String(min % 60).padStart(2, "0")}m`;
+}
+
+// validate / canonicalize a symbol id (kept simple & deterministic)
+export function validateSymbol(x) {
+  return normalizeSymbol(x);
+}
+
+export function formatUSD(v) {
+  const n = Number(v);
+  if (!isFinite(n)) return String(v);
+  return n.toLocaleString(undefined, {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  });
+}
+
+export function formatPrice(v) {
+  const n = Number(v);
+  if (!isFinite(n)) return String(v);
+  const a = Math.abs(n);
+  // Adaptive decimals so small-price coins don't show as 0.00
+  let max = 2;
+  let min = 2;
+  if (a >= 1) {
+    max = 2;
+    min = 2;
+  } else if (a >= 0.1) {
+    max = 4;
+    min = 0;
+  } else if (a >= 0.01) {
+    max = 5;
+    min = 0;
+  } else if (a >= 0.001) {
+    max = 6;
+    min = 0;
+  } else {
+    max = 8;
+    min = 0;
+  }
+  return n.toLocaleString(undefined, {
+    minimumFractionDigits: min,
+    maximumFractionDigits: max,
+  });
+}
+
+export function ttlToSeconds(value, unit) {
+  const v = Number(value);
+  if (!Number.isFinite(v) || v <= 0) return null;
+  const u = (unit || 's').toLowerCase();
+  const mult = u === 'd' ? 86400 : u === 'h' ? 3600 : u === 'm' ? 60 : 1;
+  return Math.round(v * mult);
+}
+
+export function formatPct(v) {
+  const n = Number(v);
+  if (!isFinite(n)) return String(v);
+  const sign = n > 0 ? "+" : "";
+  return `${sign}${n.toFixed(2)}%`;
+}
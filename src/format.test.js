@@ -0,0 +1,68 @@
+import { describe, expect, it } from "vitest";
+import { formatDuration, formatPct, formatPrice, normalizeSymbol, ttlToSeconds } from "./format.js";
+
+describe("normalizeSymbol", () => {
+  it("upper-cases, trims and drops characters outside A-Z0-9._-", () => {
+    expect(normalizeSymbol("  btc ")).toBe("BTC");
+    expect(normalizeSymbol("polygon_tbp_weth/sush!")).toBe("POLYGON_TBP_WETHSUSH");
+    expect(normalizeSymbol("usd.e-1")).toBe("USD.E-1");
+  });
+
+  it("returns an empty string for empty input", () => {
+    expect(normalizeSymbol(null)).toBe("");
+    expect(normalizeSymbol(undefined)).toBe("");
+    expect(normalizeSymbol("$$")).toBe("");
+  });
+});
+
+describe("ttlToSeconds", () => {
+  it("converts value + unit to seconds", () => {
+    expect(ttlToSeconds(30, "s")).toBe(30);
+    expect(ttlToSeconds(5, "m")).toBe(300);
+    expect(ttlToSeconds("1.5", "H")).toBe(5400);
+    expect(ttlToSeconds(2, "d")).toBe(172800);
+    expect(ttlToSeconds(10)).toBe(10);
+  });
+
+  it("returns null for missing, zero or negative values", () => {
+    expect(ttlToSeconds("", "m")).toBeNull();
+    expect(ttlToSeconds(0, "m")).toBeNull();
+    expect(ttlToSeconds(-1, "h")).toBeNull();
+    expect(ttlToSeconds("abc", "s")).toBeNull();
+  });
+});
+
+describe("formatPrice", () => {
+  const fmt = (v, min, max) => v.toLocaleString(undefined, { minimumFractionDigits: min, maximumFractionDigits: max });
+
+  it("uses 2 decimals from 1 upwards", () => {
+    expect(formatPrice(64250)).toBe(fmt(64250, 2, 2));
+    expect(formatPrice(1)).toBe(fmt(1, 2, 2));
+  });
+
+  it("adds decimals for small prices so they do not show as 0.00", () => {
+    expect(formatPrice(0.52)).toBe(fmt(0.52, 0, 4));
+    expect(formatPrice(0.012345)).toBe(fmt(0.012345, 0, 5));
+    expect(formatPrice(0.00000172)).toBe(fmt(0.00000172, 0, 8));
+    expect(formatPrice(0.00000172)).not.toBe("0");
+  });
+
+  it("passes non-numbers through as strings", () => {
+    expect(formatPrice("n/a")).toBe("n/a");
+  });
+});
+
+describe("formatPct / formatDuration", () => {
+  it("signs percentages", () => {
+    expect(formatPct(1.234)).toBe("+1.23%");
+    expect(formatPct(-0.5)).toBe("-0.50%");
+    expect(formatPct(0)).toBe("0.00%");
+  });
+
+  it("formats durations as s / m / h mm", () => {
+    expect(formatDuration(40_000)).toBe("40s");
+    expect(formatDuration(12 * 60_000)).toBe("12m");
+    expect(formatDuration(65 * 60_000)).toBe("1h 05m");
+    expect(formatDuration(-5)).toBe("0s");
+  });
+});
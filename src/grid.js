@@ -0,0 +1,309 @@
+/**
+ * Nexus Analyt — grid helpers
+ *
+ * - designer ladder (CUSTOM order mode) and the AUTO ladder rules
+ * - session state rebuilt from /api/grid/orders
+ * - PnL ledger (fills -> realized / unrealized, fees + slippage applied locally)
+ * - manual order route fallback
+ */
+
+import { formatPrice, formatUSD } from "./format.js";
+
+/* -------------------------
+   Grid designer (CUSTOM order mode)
+--------------------------*/
+export const GRID_DESIGN_MAX_LEVELS = 100;
+export const DEFAULT_GRID_DESIGN = { lower: "", upper: "", levels: 10, spacing: "geometric", sizeMode: "usd", qtyPerLevel: "" };
+
+const isBlank = (v) => v === undefined || v === null || v === "";
+
+/**
+ * Errors in the design's own fields (bounds, level count, quantity per level); buildGridLevels adds the capital check.
+ * `allowBlank` skips unset fields: a saved design may still be a draft without bounds.
+ */
+export function gridDesignErrors(design, { allowBlank = false } = {}) {
+  const errors = [];
+  const checked = (v) => !(allowBlank && isBlank(v));
+  const lower = Number(design?.lower);
+  const upper = Number(design?.upper);
+  const count = Number(design?.levels);
+  const qtyPerLevel = Number(design?.qtyPerLevel);
+
+  if (checked(design?.lower) && !(lower > 0)) errors.push("Lower bound must be > 0.");
+  if (checked(design?.upper) && !(upper > 0)) errors.push("Upper bound must be > 0.");
+  if (lower > 0 && upper > 0 && upper <= lower) errors.push("Upper bound must be above the lower bound.");
+  if (checked(design?.levels) && (!Number.isInteger(count) || count < 2 || count > GRID_DESIGN_MAX_LEVELS)) {
+    errors.push(`Levels must be a whole number between 2 and ${GRID_DESIGN_MAX_LEVELS}.`);
+  }
+  if (design?.sizeMode === "qty" && checked(design?.qtyPerLevel) && !(qtyPerLevel > 0)) errors.push("Quantity per level must be > 0.");
+  return errors;
+}
+
+/**
+ * Builds the level ladder for a design. Levels below the current price are BUY, above are SELL.
+ * sizeMode "usd" splits capitalUsd equally over all levels, "qty" uses qtyPerLevel coins per level.
+ * Returns { levels:[{price, side, qty, usd}], errors, warnings, stepPct, buyUsd, sellUsd, sellQty, totalUsd }.
+ */
+export function buildGridLevels(design, { price, capitalUsd } = {}) {
+  const errors = gridDesignErrors(design);
+  const warnings = [];
+  const lower = Number(design?.lower);
+  const upper = Number(design?.upper);
+  const count = Number(design?.levels);
+  const geometric = design?.spacing !== "arithmetic";
+  const byQty = design?.sizeMode === "qty";
+  const qtyPerLevel = Number(design?.qtyPerLevel);
+  const capital = Number(capitalUsd);
+  const now = Number(price);
+
+  if (!byQty && !(capital > 0)) errors.push("Capital must be > 0.");
+  if (errors.length) return { levels: [], errors, warnings, stepPct: null, buyUsd: 0, sellUsd: 0, sellQty: 0, totalUsd: 0 };
+
+  const ratio = Math.pow(upper / lower, 1 / (count - 1));
+  const diff = (upper - lower) / (count - 1);
+  const stepPct = geometric ? (ratio - 1) * 100 : (diff / lower) * 100; // arithmetic: widest step (at the bottom)
+
+  const levels = [];
+  for (let i = 0; i < count; i++) {
+    const p = geometric ? lower * ratio ** i : lower + diff * i;
+    const side = Number.isFinite(now) && now > 0 && p > now ? "SELL" : "BUY";
+    const qty = byQty ? qtyPerLevel : capital / count / p;
+    levels.push({ price: p, side, qty, usd: qty * p });
+  }
+
+  const buyUsd = levels.filter((l) => l.side === "BUY").reduce((a, l) => a + l.usd, 0);
+  const sellUsd = levels.filter((l) => l.side === "SELL").reduce((a, l) => a + l.usd, 0);
+  const sellQty = levels.filter((l) => l.side === "SELL").reduce((a, l) => a + l.qty, 0);
+
+  if (!(now > 0)) warnings.push("No live price – every level is treated as BUY until a price is available.");
+  else if (now < lower) warnings.push(`Current price $${formatPrice(now)} is below the range – only SELL levels, nothing fills until the price rises.`);
+  else if (now > upper) warnings.push(`Current price $${formatPrice(now)} is above the range – only BUY levels, the grid sits idle until the price drops.`);
+  if (stepPct < 0.2) warnings.push(`Level spacing ${stepPct.toFixed(3)}% is tighter than typical fees + slippage.`);
+  if (!byQty && sellUsd > 0) warnings.push(`SELL levels need ${formatPrice(sellQty)} coins (~$${formatUSD(sellUsd)}) bought at start.`);
+
+  return { levels, errors, warnings, stepPct, buyUsd, sellUsd, sellQty, totalUsd: buyUsd + sellUsd };
+}
+
+/* -------------------------
+   Grid sessions (one per item)
+--------------------------*/
+export function gridKey(item) {
+  return String(item || "").trim().toUpperCase();
+}
+
+export function isOpenOrder(o) {
+  return String(o?.status || "").toUpperCase() === "OPEN";
+}
+
+// Backend may send session metadata as an array ([{item, ...}]) or a map ({ item: {...} }).
+function backendSessionList(meta) {
+  if (Array.isArray(meta)) return meta;
+  if (meta && typeof meta === "object") return Object.entries(meta).map(([item, m]) => ({ item, ...(m || {}) }));
+  return [];
+}
+
+export function rebuildGridSessions(prev, orders, backendMeta) {
+  const next = { ...(prev || {}) };
+  const byItem = new Map();
+  for (const o of Array.isArray(orders) ? orders : []) {
+    const k = gridKey(o?.item || o?.symbol);
+    if (!k) continue;
+    if (!byItem.has(k)) byItem.set(k, { item: String(o?.item || o?.symbol).trim(), orders: [] });
+    byItem.get(k).orders.push(o);
+  }
+
+  for (const [k, g] of byItem) {
+    const cur = next[k] || { item: g.item, mode: "SAFE", orderMode: "AUTO", capitalUsd: null, tick: 0, autoRun: false, autoInterval: 10, pnl: null, fillsCount: 0, lastFills: [] };
+    const open = g.orders.filter(isOpenOrder).length;
+    const filled = g.orders.filter((o) => String(o?.status || "").toUpperCase() === "FILLED").length;
+    next[k] = {
+      ...cur,
+      item: cur.item || g.item,
+      status: open ? "RUNNING" : cur.status === "RUNNING" ? "RUNNING" : cur.status || "STOPPED",
+      openOrders: open,
+      fillsCount: Math.max(Number(cur.fillsCount) || 0, filled),
+    };
+  }
+
+  // Items the backend no longer lists cannot be running (MANUAL grids may legitimately start empty).
+  for (const k of Object.keys(next)) {
+    const g = next[k];
+    if (byItem.has(k) || g?.status !== "RUNNING" || g.orderMode === "MANUAL") continue;
+    if (Date.now() - (Number(g.startedAt) || 0) < 60_000) continue; // backend may not list a fresh grid yet
+    next[k] = { ...g, status: "STOPPED", openOrders: 0, autoRun: false };
+  }
+
+  for (const m of backendSessionList(backendMeta)) {
+    const k = gridKey(m?.item || m?.symbol);
+    if (!k) continue;
+    const cur = next[k] || { item: String(m.item || m.symbol).trim(), lastFills: [] };
+    const running = m.running ?? m.is_running ?? m.active;
+    next[k] = {
+      ...cur,
+      mode: m.mode || cur.mode || "SAFE",
+      orderMode: m.order_mode || cur.orderMode || "AUTO",
+      capitalUsd: m.initial_capital_usd ?? cur.capitalUsd ?? null,
+      tick: m.tick ?? cur.tick ?? 0,
+      pnl: m.pnl?.total ?? (typeof m.pnl === "number" ? m.pnl : cur.pnl ?? null),
+      autoRun: Boolean(m.autorun ?? m.auto_run ?? cur.autoRun),
+      autoInterval: m.interval ?? cur.autoInterval ?? 10,
+      status: m.status ? String(m.status).toUpperCase() : running === true ? "RUNNING" : running === false ? "STOPPED" : cur.status || "STOPPED",
+    };
+  }
+  return next;
+}
+
+/* -------------------------
+   AUTO order mode
+--------------------------*/
+// ASSUMED AUTO ladder. The backend does not publish how /api/grid/start lays out order_mode AUTO; the client only
+// knows it places AUTO_GRID_ORDERS orders. levelsPerSide BUY below and SELL above the price, stepPct apart, capital
+// split equally is a guess: the mock backend is built on it and the backtest uses it as its (editable) default.
+export const AUTO_GRID_LADDER = {
+  SAFE: { stepPct: 1, levelsPerSide: 5 },
+  AGGRESSIVE: { stepPct: 2, levelsPerSide: 5 },
+};
+
+export function autoGridLadder(mode) {
+  return AUTO_GRID_LADDER[mode] || AUTO_GRID_LADDER.SAFE;
+}
+
+/* -------------------------
+   PnL ledger
+--------------------------*/
+export const AUTO_GRID_ORDERS = AUTO_GRID_LADDER.SAFE.levelsPerSide * 2; // notional per order when a fill has no qty (CUSTOM stores orderCount)
+
+export function ledgerFillKey(f) {
+  const id = f?.order_id ?? f?.id;
+  if (id != null && id !== "") return `id:${id}`;
+  return `${String(f?.side || "").toUpperCase()}|${Number(f?.fill_price).toPrecision(10)}|${f?.filled_ts ?? ""}`;
+}
+
+// Normalizes a tick fill or a FILLED order into a ledger fill.
+export function toLedgerFill(f) {
+  const price = Number(f?.fill_price ?? f?.price);
+  const side = String(f?.side || "").toUpperCase();
+  if (!Number.isFinite(price) || price <= 0 || (side !== "BUY" && side !== "SELL")) return null;
+  const qty = Number(f?.qty ?? f?.amount);
+  const ts = Number(f?.filled_ts ?? f?.ts);
+  const out = {
+    side,
+    fill_price: price,
+    qty: Number.isFinite(qty) && qty > 0 ? qty : null,
+    pnl_delta: Number.isFinite(Number(f?.pnl_delta)) ? Number(f.pnl_delta) : null,
+    filled_ts: Number.isFinite(ts) && ts > 0 ? (ts > 1e12 ? Math.floor(ts / 1000) : ts) : Math.floor(Date.now() / 1000),
+    order_id: f?.order_id ?? f?.id ?? null,
+  };
+  out.key = ledgerFillKey(out);
+  return out;
+}
+
+// Fills not yet in the ledger. A ledger reset on Start keeps its startedAt, so FILLED orders of earlier sessions
+// (the backend still lists them) stay out of the new session's PnL.
+export function newLedgerFills(ledger, fills) {
+  const since = Number(ledger?.startedAt) > 0 ? Math.floor(Number(ledger.startedAt) / 1000) : 0;
+  const seen = new Set((ledger?.fills || []).map((f) => f.key));
+  return (fills || []).filter((f) => f && f.filled_ts >= since && !seen.has(f.key));
+}
+
+export function computeGridPnl(ledger, { price, feeBps = 0, slippageBps = 0 } = {}) {
+  const capital = Number(ledger?.capitalUsd) > 0 ? Number(ledger.capitalUsd) : null;
+  const fills = [...(ledger?.fills || [])].sort((a, b) => a.filled_ts - b.filled_ts);
+  const fee = Math.max(0, Number(feeBps) || 0) / 10_000;
+  const slip = Math.max(0, Number(slippageBps) || 0) / 10_000;
+
+  let pos = 0;
+  let avg = 0;
+  let realized = 0;
+  let costs = 0;
+  let estimatedQty = false;
+  const curve = [];
+  const daily = new Map();
+
+  for (const f of fills) {
+    let qty = f.qty;
+    if (!qty) {
+      qty = capital ? capital / (Number(ledger?.orderCount) || AUTO_GRID_ORDERS) / f.fill_price : 0;
+      estimatedQty = true;
+    }
+    const notional = qty * f.fill_price;
+    const cost = notional * (fee + slip);
+    costs += cost;
+    let gross = 0;
+
+    // Average-cost position; a fill against the open side realizes PnL, the rest opens/extends a position.
+    const p = f.fill_price;
+    const dir = f.side === "BUY" ? 1 : -1;
+    if (!(qty > 0)) {
+      // no qty and no capital to estimate it: only the backend pnl_delta counts
+    } else if (pos * dir < 0) {
+      const closeQty = Math.min(qty, Math.abs(pos));
+      gross = (p - avg) * closeQty * (dir < 0 ? 1 : -1);
+      pos += dir * closeQty;
+      const rest = qty - closeQty;
+      if (rest > 0) {
+        pos = dir * rest;
+        avg = p;
+      } else if (pos === 0) avg = 0;
+    } else {
+      const held = Math.abs(pos);
+      avg = (avg * held + p * qty) / (held + qty);
+      pos += dir * qty;
+    }
+    // Grid sells are often backed by inventory bought at start (unknown cost here): backend pnl_delta wins.
+    if (f.pnl_delta != null) gross = f.pnl_delta;
+    realized += gross - cost;
+
+    const mark = f.fill_price;
+    curve.push({ x: f.filled_ts * 1000, y: realized + pos * (mark - avg) });
+
+    const day = new Date(f.filled_ts * 1000).toLocaleDateString("sv-SE"); // YYYY-MM-DD
+    const d = daily.get(day) || { day, realized: 0, fills: 0, costs: 0 };
+    d.realized += gross - cost;
+    d.costs += cost;
+    d.fills += 1;
+    daily.set(day, d);
+  }
+
+  const px = Number(price);
+  const unrealized = Number.isFinite(px) && pos !== 0 ? pos * (px - avg) : 0;
+  const total = realized + unrealized;
+  if (curve.length) curve.push({ x: Date.now(), y: total });
+
+  return {
+    fills: fills.length,
+    position: pos,
+    avgCost: avg,
+    realized,
+    unrealized,
+    total,
+    costs,
+    roiPct: capital ? (total / capital) * 100 : null,
+    capital,
+    equityCurve: curve.map((p) => ({ x: p.x, y: (capital || 0) + p.y })),
+    daily: Array.from(daily.values()).sort((a, b) => (a.day < b.day ? 1 : -1)),
+    estimatedQty,
+  };
+}
+
+/* -------------------------
+   Manual orders
+--------------------------*/
+// Backends differ in where manual orders live; tried in this order, only a 404 (route missing) moves on.
+export const MANUAL_ORDER_PATHS = ["/grid/manual/add", "/grid/add", "/grid/order/add", "/add", "/grid/manual"];
+
+/**
+ * POSTs a manual order to the first route the backend has. 400/5xx errors are real and thrown as-is.
+ * Resolves with the response body ({queued:true} when the service worker queued it offline).
+ */
+export async function postManualOrder(api, apiBase, payload) {
+  for (const path of MANUAL_ORDER_PATHS) {
+    try {
+      return await api.post(`${apiBase}${path}`, payload);
+    } catch (e) {
+      // ApiError carries the HTTP status (see ./api.js)
+      if (e?.status !== 404) throw e;
+    }
+  }
+  throw new Error(`Manual Add failed: route not found (tried: ${MANUAL_ORDER_PATHS.map((p) => `<API>${p}`).join(", ")})`);
+}
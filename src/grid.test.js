@@ -0,0 +1,158 @@
+import { describe, expect, it, vi } from "vitest";
+import { ApiError } from "./api.js";
+import { buildGridLevels, computeGridPnl, MANUAL_ORDER_PATHS, newLedgerFills, postManualOrder, rebuildGridSessions, toLedgerFill } from "./grid.js";
+
+describe("buildGridLevels", () => {
+  it("builds a geometric ladder split into BUY below and SELL above the price", () => {
+    const r = buildGridLevels({ lower: 100, upper: 400, levels: 3, spacing: "geometric", sizeMode: "usd" }, { price: 250, capitalUsd: 300 });
+    expect(r.errors).toEqual([]);
+    expect(r.levels.map((l) => Math.round(l.price))).toEqual([100, 200, 400]);
+    expect(r.levels.map((l) => l.side)).toEqual(["BUY", "BUY", "SELL"]);
+    expect(r.levels.every((l) => Math.abs(l.usd - 100) < 1e-9)).toBe(true);
+    expect(r.stepPct).toBeCloseTo(100);
+    expect(r.totalUsd).toBeCloseTo(300);
+  });
+
+  it("spaces arithmetic levels evenly and uses a fixed qty per level", () => {
+    const r = buildGridLevels({ lower: 10, upper: 20, levels: 5, spacing: "arithmetic", sizeMode: "qty", qtyPerLevel: 2 }, { price: 15 });
+    expect(r.levels.map((l) => l.price)).toEqual([10, 12.5, 15, 17.5, 20]);
+    expect(r.levels.every((l) => l.qty === 2)).toBe(true);
+    expect(r.sellQty).toBe(4);
+  });
+
+  it("rejects invalid designs", () => {
+    const r = buildGridLevels({ lower: 20, upper: 10, levels: 1, sizeMode: "usd" }, { price: 15, capitalUsd: 0 });
+    expect(r.levels).toEqual([]);
+    expect(r.errors).toHaveLength(3);
+  });
+
+  it("warns when the price is outside the range", () => {
+    const r = buildGridLevels({ lower: 10, upper: 20, levels: 4, sizeMode: "usd" }, { price: 25, capitalUsd: 100 });
+    expect(r.levels.every((l) => l.side === "BUY")).toBe(true);
+    expect(r.warnings.some((w) => w.includes("above the range"))).toBe(true);
+  });
+});
+
+describe("rebuildGridSessions", () => {
+  it("marks items with OPEN orders as running and counts fills", () => {
+    const orders = [
+      { item: "btc", status: "OPEN" },
+      { item: "BTC", status: "OPEN" },
+      { item: "BTC", status: "FILLED" },
+    ];
+    const s = rebuildGridSessions({}, orders, null);
+    expect(s.BTC).toMatchObject({ item: "btc", status: "RUNNING", openOrders: 2, fillsCount: 1, mode: "SAFE", orderMode: "AUTO" });
+  });
+
+  it("stops AUTO sessions the backend no longer lists, but keeps fresh and MANUAL ones", () => {
+    const prev = {
+      OLD: { item: "OLD", status: "RUNNING", orderMode: "AUTO", startedAt: Date.now() - 120_000 },
+      NEW: { item: "NEW", status: "RUNNING", orderMode: "AUTO", startedAt: Date.now() },
+      MAN: { item: "MAN", status: "RUNNING", orderMode: "MANUAL" },
+    };
+    const s = rebuildGridSessions(prev, [], null);
+    expect(s.OLD).toMatchObject({ status: "STOPPED", openOrders: 0, autoRun: false });
+    expect(s.NEW.status).toBe("RUNNING");
+    expect(s.MAN.status).toBe("RUNNING");
+  });
+
+  it("applies backend session metadata from an array or a map", () => {
+    const fromArray = rebuildGridSessions({}, [], [{ item: "ETH", mode: "AGGRESSIVE", initial_capital_usd: 500, running: true, pnl: { total: 12 } }]);
+    expect(fromArray.ETH).toMatchObject({ mode: "AGGRESSIVE", capitalUsd: 500, status: "RUNNING", pnl: 12 });
+    const fromMap = rebuildGridSessions({}, [], { SOL: { status: "stopped", order_mode: "MANUAL", interval: 30 } });
+    expect(fromMap.SOL).toMatchObject({ status: "STOPPED", orderMode: "MANUAL", autoInterval: 30 });
+  });
+});
+
+describe("computeGridPnl", () => {
+  it("realizes a round trip and marks the open position to the price", () => {
+    const fills = [
+      toLedgerFill({ side: "BUY", fill_price: 100, qty: 2, filled_ts: 1_700_000_000, order_id: 1 }),
+      toLedgerFill({ side: "SELL", fill_price: 110, qty: 1, filled_ts: 1_700_000_100, order_id: 2 }),
+    ];
+    const r = computeGridPnl({ capitalUsd: 1000, fills }, { price: 120 });
+    expect(r.fills).toBe(2);
+    expect(r.position).toBe(1);
+    expect(r.avgCost).toBe(100);
+    expect(r.realized).toBeCloseTo(10);
+    expect(r.unrealized).toBeCloseTo(20);
+    expect(r.roiPct).toBeCloseTo(3);
+  });
+
+  it("applies fees + slippage per fill and prefers the backend pnl_delta", () => {
+    const fills = [toLedgerFill({ side: "SELL", fill_price: 200, qty: 1, pnl_delta: 5, filled_ts: 1_700_000_000 })];
+    const r = computeGridPnl({ fills }, { price: 200, feeBps: 10, slippageBps: 15 });
+    expect(r.costs).toBeCloseTo(0.5);
+    expect(r.realized).toBeCloseTo(4.5);
+  });
+
+  it("estimates qty from capital when fills have none", () => {
+    const fills = [toLedgerFill({ side: "BUY", price: 50, ts: 1_700_000_000_000 })];
+    const r = computeGridPnl({ capitalUsd: 1000, orderCount: 4, fills }, { price: 50 });
+    expect(r.estimatedQty).toBe(true);
+    expect(r.position).toBeCloseTo(5);
+  });
+});
+
+describe("newLedgerFills", () => {
+  it("keeps earlier sessions' FILLED orders out of a ledger reset by a restart", () => {
+    const t0 = 1_700_000_000;
+    const orders = [
+      { id: 1, side: "BUY", price: 100, qty: 1, status: "FILLED", filled_ts: t0 },
+      { id: 2, side: "SELL", price: 101, qty: 1, status: "FILLED", filled_ts: t0 + 60 },
+    ].map(toLedgerFill);
+    const first = { startedAt: (t0 - 10) * 1000, fills: [] };
+    expect(newLedgerFills(first, orders)).toHaveLength(2);
+    expect(newLedgerFills({ ...first, fills: orders }, orders)).toEqual([]);
+
+    // Start again: fresh ledger, the next orders poll still returns both old fills.
+    const restarted = { startedAt: (t0 + 120) * 1000, fills: [] };
+    expect(newLedgerFills(restarted, orders)).toEqual([]);
+    expect(computeGridPnl({ ...restarted, fills: newLedgerFills(restarted, orders) }, { price: 100 }).fills).toBe(0);
+
+    const fresh = toLedgerFill({ id: 3, side: "BUY", price: 99, qty: 1, filled_ts: t0 + 180 });
+    expect(newLedgerFills(restarted, [...orders, fresh])).toEqual([fresh]);
+    expect(newLedgerFills(null, orders)).toHaveLength(2);
+  });
+});
+
+describe("postManualOrder", () => {
+  const notFound = (url) => new ApiError("Not Found", { status: 404, url });
+
+  it("falls through 404 routes until one accepts the order", async () => {
+    const post = vi.fn(async (url) => {
+      if (url.endsWith("/grid/order/add")) return { ok: true, order: { id: 7 } };
+      throw notFound(url);
+    });
+    await expect(postManualOrder({ post }, "https://api.test/api", { item: "BTC" })).resolves.toEqual({ ok: true, order: { id: 7 } });
+    expect(post.mock.calls.map((c) => c[0])).toEqual([
+      "https://api.test/api/grid/manual/add",
+      "https://api.test/api/grid/add",
+      "https://api.test/api/grid/order/add",
+    ]);
+    expect(post.mock.calls[0][1]).toEqual({ item: "BTC" });
+  });
+
+  it("treats an empty body as success", async () => {
+    const post = vi.fn(async () => null);
+    await expect(postManualOrder({ post }, "", {})).resolves.toBeNull();
+    expect(post).toHaveBeenCalledTimes(1);
+  });
+
+  it("throws other errors without trying further routes", async () => {
+    const err = new ApiError("price required", { status: 400 });
+    const post = vi.fn(async () => {
+      throw err;
+    });
+    await expect(postManualOrder({ post }, "", {})).rejects.toBe(err);
+    expect(post).toHaveBeenCalledTimes(1);
+  });
+
+  it("reports every tried route when none exists", async () => {
+    const post = vi.fn(async (url) => {
+      throw notFound(url);
+    });
+    await expect(postManualOrder({ post }, "", {})).rejects.toThrow(/route not found \(tried: <API>\/grid\/manual\/add/);
+    expect(post).toHaveBeenCalledTimes(MANUAL_ORDER_PATHS.length);
+  });
+});
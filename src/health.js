@@ -0,0 +1,202 @@
+/**
+ * Nexus Analyt — market health helpers
+ *
+ * /api/health/market is fetched FAST (24h only) and FULL (multi-day trend / drawdown); the merge keeps
+ * what a FULL fetch knew when a later FAST fetch arrives.
+ *
+ * Health model: the returned metrics are turned into per-factor points (volume, liquidity, volatility, trend,
+ * drawdown) around a base score. A user profile weights the factors and sets the Healthy/Stable cut-offs;
+ * when the profile is enabled the score is recomputed client-side instead of taking the backend's.
+ * /api/health/market `metrics` usually only carry trend30d / trend180d / maxDrawdown180d: volume, liquidity and
+ * the 24h change fall back to the payload's top-level fields, then to the watchlist snapshot row.
+ */
+
+export function mergeMarketHealth(prev, incoming, fast) {
+  if (!incoming || typeof incoming !== "object") return prev;
+  if (!prev || typeof prev !== "object") return incoming;
+
+  if (!fast) return incoming; // full fetch wins
+
+  // FAST fetch should NOT wipe multi-day context (trend/drawdown) from a previous FULL fetch.
+  const prevMetrics = prev.metrics || {};
+  const inMetrics = incoming.metrics || {};
+  const hasPrevMultiDay =
+    prevMetrics.trend30d != null ||
+    prevMetrics.trend180d != null ||
+    prevMetrics.maxDrawdown180d != null ||
+    prevMetrics.drawdown180d != null;
+
+  const hasIncomingMultiDay =
+    inMetrics.trend30d != null ||
+    inMetrics.trend180d != null ||
+    inMetrics.maxDrawdown180d != null ||
+    inMetrics.drawdown180d != null;
+
+  const merged = { ...prev, ...incoming };
+
+  // Preserve multi-day metrics if FAST doesn't provide them.
+  if (hasPrevMultiDay && !hasIncomingMultiDay) {
+    merged.metrics = { ...inMetrics, ...prevMetrics };
+    // Keep the FULL score to avoid "reset to 65" behaviour
+    if (Number.isFinite(Number(prev.score))) merged.score = prev.score;
+
+    // Merge reasons: keep previous non-24h reasons, then take incoming 24h-ish reasons.
+    const prevReasons = Array.isArray(prev.reasons) ? prev.reasons : [];
+    const inReasonsArr = Array.isArray(incoming.reasons) ? incoming.reasons : [];
+    const keep = prevReasons.filter((s) => typeof s === "string" && !/\b24h\b/i.test(s));
+    const add = inReasonsArr.filter((s) => typeof s === "string" && /\b24h\b/i.test(s));
+    merged.reasons = [...keep, ...add].slice(0, 12);
+  }
+
+  return merged;
+}
+
+/* -------------------------
+   Health model (factor breakdown + profile)
+--------------------------*/
+export const HEALTH_BASE_SCORE = 65;
+
+// points(value) -> number, or null when the metric is missing (factor shown as "n/a", contributes 0)
+export const HEALTH_FACTORS = [
+  { key: "volume", label: "Volume 24h", metric: "volume24h", range: "-15…+10", points: (v) => (v > 0 ? lerp(Math.log10(v), 6, 9, -15, 10) : null) },
+  { key: "liquidity", label: "Liquidity", metric: "liquidity", range: "-25…+5", points: (v) => (v > 0 ? lerp(Math.log10(v), 4.7, 6, -25, 5) : null) },
+  { key: "volatility", label: "Volatility 24h", metric: "change24h", range: "-20…+5", points: (v) => lerp(Math.abs(v), 3, 15, 5, -20) },
+  { key: "trend", label: "Trend 30d", metric: "trend30d", range: "-15…+10", points: (v) => Math.max(-15, Math.min(10, v * 0.5)) },
+  { key: "drawdown", label: "Drawdown 180d", metric: "maxDrawdown180d", range: "-15…+5", points: (v) => lerp(Math.abs(v), 20, 60, 5, -15) },
+];
+
+export const DEFAULT_HEALTH_PROFILE = {
+  enabled: false, // false = show the backend score
+  weights: { volume: 1, liquidity: 1, volatility: 1, trend: 1, drawdown: 1 },
+  thresholds: { healthy: 71, stable: 51 },
+};
+export const HEALTH_WEIGHT_MAX = 3;
+
+// Linear from (x0 -> y0) to (x1 -> y1), clamped outside [x0, x1].
+function lerp(x, x0, x1, y0, y1) {
+  if (!Number.isFinite(x)) return null;
+  const t = Math.max(0, Math.min(1, (x - x0) / (x1 - x0)));
+  return y0 + t * (y1 - y0);
+}
+
+function metricValue(metrics, metric) {
+  const raw = metrics?.[metric] ?? (metric === "maxDrawdown180d" ? metrics?.drawdown180d : undefined);
+  if (raw == null || raw === "") return null;
+  const n = Number(raw);
+  return Number.isFinite(n) ? n : null;
+}
+
+const FALLBACK_METRICS = ["volume24h", "liquidity", "change24h"];
+
+// Health payload with the 24h metrics filled in from the payload's top level or the watchlist row.
+// metricSources[metric] = "payload" | "watchlist" for every filled metric; unchanged object when nothing was filled.
+export function withMetricFallbacks(health, row) {
+  if (!health || typeof health !== "object") return health;
+  const metrics = { ...(health.metrics || {}) };
+  const metricSources = {};
+  for (const k of FALLBACK_METRICS) {
+    if (metricValue(metrics, k) != null) continue;
+    if (metricValue(health, k) != null) {
+      metrics[k] = health[k];
+      metricSources[k] = "payload";
+    } else if (metricValue(row, k) != null) {
+      metrics[k] = row[k];
+      metricSources[k] = "watchlist";
+    }
+  }
+  if (!Object.keys(metricSources).length) return health;
+  return { ...health, metrics, metricSources: { ...(health.metricSources || {}), ...metricSources } };
+}
+
+export function normalizeHealthProfile(p) {
+  const src = p && typeof p === "object" ? p : {};
+  const weights = {};
+  for (const f of HEALTH_FACTORS) {
+    const w = Number(src.weights?.[f.key]);
+    weights[f.key] = Number.isFinite(w) ? Math.max(0, Math.min(HEALTH_WEIGHT_MAX, w)) : DEFAULT_HEALTH_PROFILE.weights[f.key];
+  }
+  const clampScore = (v, d) => (v != null && v !== "" && Number.isFinite(Number(v)) ? Math.max(0, Math.min(100, Number(v))) : d);
+  const healthy = clampScore(src.thresholds?.healthy, DEFAULT_HEALTH_PROFILE.thresholds.healthy);
+  const stable = Math.min(healthy, clampScore(src.thresholds?.stable, DEFAULT_HEALTH_PROFILE.thresholds.stable));
+  return { enabled: Boolean(src.enabled), weights, thresholds: { healthy, stable } };
+}
+
+// Per-factor breakdown + recomputed score. Returns { score, factors:[{key,label,metric,value,points,weight,contribution}], covered }
+export function scoreHealth(metrics, profile = DEFAULT_HEALTH_PROFILE) {
+  const weights = profile?.weights || DEFAULT_HEALTH_PROFILE.weights;
+  const factors = HEALTH_FACTORS.map((f) => {
+    const value = metricValue(metrics, f.metric);
+    const points = value == null ? null : f.points(value);
+    const weight = Number(weights[f.key] ?? 1);
+    return { key: f.key, label: f.label, metric: f.metric, range: f.range, value, points, weight, contribution: points == null ? 0 : points * weight };
+  });
+  const total = HEALTH_BASE_SCORE + factors.reduce((a, f) => a + f.contribution, 0);
+  return {
+    score: Math.max(0, Math.min(100, Math.round(total))),
+    factors,
+    covered: factors.filter((f) => f.points != null).length,
+  };
+}
+
+// Backend health payload with the profile applied (score + status recomputed); untouched while the profile is off.
+export function applyHealthProfile(health, profile) {
+  if (!health || typeof health !== "object" || !profile?.enabled || !health.metrics) return health;
+  const { score } = scoreHealth(health.metrics, profile);
+  return {
+    ...health,
+    score,
+    status: healthLabelForScore(score, profile.thresholds).label.toLowerCase(),
+    backendScore: health.score,
+    backendStatus: health.status,
+    scoredBy: "profile",
+  };
+}
+
+// Health label (UX): translates score into a simple status (educational, not a trade signal)
+export function healthLabelForScore(score, thresholds = DEFAULT_HEALTH_PROFILE.thresholds) {
+  const s = Number(score);
+  if (!Number.isFinite(s)) return { label: "—", tone: "neutral" };
+  if (s >= thresholds.healthy) return { label: "Healthy", tone: "healthy" };
+  if (s >= thresholds.stable) return { label: "Stable", tone: "stable" };
+  return { label: "Weak", tone: "weak" };
+}
+
+/* -------------------------
+   Health history (IndexedDB "healthHistory")
+--------------------------*/
+export const HEALTH_HISTORY_RETENTION_DAYS = [7, 30, 90, 365];
+
+// One history point per health fetch (the merged value the UI shows); null when there is no score.
+export function healthHistoryEntry(symbol, data, fast, ts = Date.now()) {
+  const score = Number(data?.score);
+  if (!symbol || data?.score == null || !Number.isFinite(score)) return null;
+  return { id: `${symbol}:${ts}`, symbol, ts, fast: Boolean(fast), score, status: data.status ?? null, metrics: data.metrics || null };
+}
+
+// Appends in time order; keeps the newest `maxPoints`.
+export function appendHealthPoint(series, entry, maxPoints = Infinity) {
+  const prev = Array.isArray(series) ? series : [];
+  const next = prev.length && prev[prev.length - 1].ts > entry.ts ? [...prev, entry].sort((a, b) => a.ts - b.ts) : [...prev, entry];
+  return next.length > maxPoints ? next.slice(next.length - maxPoints) : next;
+}
+
+// Label of a history point, scored like the live value (profile + thresholds).
+export function healthPointLabel(entry, profile) {
+  const scored = applyHealthProfile(entry, profile);
+  return healthLabelForScore(scored?.score, profile?.enabled ? profile.thresholds : DEFAULT_HEALTH_PROFILE.thresholds).label;
+}
+
+// { from, to } when the label at `sinceTs` differs from the latest one; null otherwise (or without a point before `sinceTs`).
+export function healthLabelChange(series, sinceTs, profile) {
+  if (!Array.isArray(series) || !series.length || !sinceTs) return null;
+  let before = null;
+  for (const e of series) {
+    if (e.ts > sinceTs) break;
+    before = e;
+  }
+  const last = series[series.length - 1];
+  if (!before || before === last) return null;
+  const from = healthPointLabel(before, profile);
+  const to = healthPointLabel(last, profile);
+  return from !== to && from !== "—" && to !== "—" ? { from, to, ts: last.ts } : null;
+}
@@ -0,0 +1,166 @@
+import { describe, expect, it } from "vitest";
+import {
+  DEFAULT_HEALTH_PROFILE,
+  HEALTH_BASE_SCORE,
+  appendHealthPoint,
+  applyHealthProfile,
+  healthHistoryEntry,
+  healthLabelChange,
+  healthLabelForScore,
+  mergeMarketHealth,
+  normalizeHealthProfile,
+  scoreHealth,
+  withMetricFallbacks,
+} from "./health.js";
+
+const full = {
+  symbol: "BTC",
+  score: 58,
+  status: "stable",
+  reasons: ["24h: sideways", "30d trend -18.0%", "180d drawdown -52%"],
+  metrics: { price: 64000, change24h: 0.4, trend30d: -18, trend180d: -32.4, maxDrawdown180d: -52 },
+};
+
+const fast = {
+  symbol: "BTC",
+  score: 65,
+  status: "stable",
+  reasons: ["24h: up 4.1%", "Deep market (high volume)"],
+  metrics: { price: 66000, change24h: 4.1 },
+};
+
+describe("mergeMarketHealth", () => {
+  it("takes the incoming payload when there is nothing to merge", () => {
+    expect(mergeMarketHealth(null, fast, true)).toBe(fast);
+    expect(mergeMarketHealth(full, null, true)).toBe(full);
+  });
+
+  it("lets a FULL fetch replace everything", () => {
+    expect(mergeMarketHealth(fast, full, false)).toBe(full);
+  });
+
+  it("keeps multi-day metrics, score and non-24h reasons when a FAST fetch follows a FULL one", () => {
+    const m = mergeMarketHealth(full, fast, true);
+    expect(m.metrics).toMatchObject({ trend30d: -18, trend180d: -32.4, maxDrawdown180d: -52 });
+    expect(m.score).toBe(58);
+    expect(m.reasons).toEqual(["30d trend -18.0%", "180d drawdown -52%", "24h: up 4.1%"]);
+  });
+
+  it("does not keep stale multi-day metrics when the FAST payload brings its own", () => {
+    const withTrend = { ...fast, metrics: { ...fast.metrics, trend30d: 3 } };
+    const m = mergeMarketHealth(full, withTrend, true);
+    expect(m.metrics.trend30d).toBe(3);
+    expect(m.score).toBe(65);
+  });
+
+  it("takes a FAST payload as-is when the previous one had no multi-day context", () => {
+    const m = mergeMarketHealth({ ...fast, score: 40 }, fast, true);
+    expect(m).toEqual(fast);
+  });
+});
+
+describe("scoreHealth", () => {
+  it("breaks the score down into one entry per factor", () => {
+    const { factors, covered } = scoreHealth(full.metrics);
+    expect(factors.map((f) => f.key)).toEqual(["volume", "liquidity", "volatility", "trend", "drawdown"]);
+    // the metrics alone have no volume / liquidity (filled in by withMetricFallbacks)
+    expect(covered).toBe(3);
+    expect(factors.find((f) => f.key === "liquidity")).toMatchObject({ value: null, points: null, contribution: 0 });
+    expect(factors.find((f) => f.key === "trend").points).toBe(-9);
+    expect(factors.find((f) => f.key === "drawdown").points).toBeCloseTo(-11);
+  });
+
+  it("adds weighted points to the base score and clamps to 0-100", () => {
+    expect(scoreHealth({}).score).toBe(HEALTH_BASE_SCORE);
+    const deep = { volume24h: 5e9, liquidity: 5e6, change24h: 0.5, trend30d: 40, maxDrawdown180d: -10 };
+    expect(scoreHealth(deep).score).toBe(100);
+    const thin = { volume24h: 1e5, liquidity: 1e4, change24h: -25, trend30d: -60, maxDrawdown180d: -85 };
+    expect(scoreHealth(thin).score).toBe(0);
+  });
+
+  it("applies the profile weights", () => {
+    const m = { trend30d: -20 };
+    expect(scoreHealth(m).score).toBe(HEALTH_BASE_SCORE - 10);
+    const profile = normalizeHealthProfile({ weights: { trend: 2 } });
+    expect(scoreHealth(m, profile).score).toBe(HEALTH_BASE_SCORE - 20);
+    expect(scoreHealth(m, normalizeHealthProfile({ weights: { trend: 0 } })).score).toBe(HEALTH_BASE_SCORE);
+  });
+
+  it("fills volume / liquidity from the payload's top level, then from the watchlist row", () => {
+    const h = withMetricFallbacks({ ...full, volume24h: 2e9 }, { volume24h: 1, liquidity: 3e6, change24h: 9 });
+    expect(h.metrics).toMatchObject({ volume24h: 2e9, liquidity: 3e6, change24h: 0.4, trend30d: -18 });
+    expect(h.metricSources).toEqual({ volume24h: "payload", liquidity: "watchlist" });
+    expect(scoreHealth(h.metrics).covered).toBe(5);
+    expect(full.metrics.volume24h).toBeUndefined();
+    expect(withMetricFallbacks(full, null)).toBe(full);
+    expect(withMetricFallbacks(null, { volume24h: 1 })).toBeNull();
+  });
+
+  it("reads drawdown180d when maxDrawdown180d is missing", () => {
+    const f = scoreHealth({ drawdown180d: -60 }).factors.find((x) => x.key === "drawdown");
+    expect(f.points).toBe(-15);
+  });
+});
+
+describe("health profile", () => {
+  it("normalizes weights and thresholds", () => {
+    expect(normalizeHealthProfile(null)).toEqual(DEFAULT_HEALTH_PROFILE);
+    const p = normalizeHealthProfile({ enabled: 1, weights: { volume: 9, trend: "x" }, thresholds: { healthy: 60, stable: 80 } });
+    expect(p.enabled).toBe(true);
+    expect(p.weights.volume).toBe(3);
+    expect(p.weights.trend).toBe(1);
+    expect(p.thresholds).toEqual({ healthy: 60, stable: 60 });
+  });
+
+  it("labels scores with custom thresholds", () => {
+    expect(healthLabelForScore(72).label).toBe("Healthy");
+    expect(healthLabelForScore(72, { healthy: 80, stable: 60 }).label).toBe("Stable");
+    expect(healthLabelForScore(55, { healthy: 80, stable: 60 }).label).toBe("Weak");
+    expect(healthLabelForScore(undefined).label).toBe("—");
+  });
+
+  it("recomputes score and status only while enabled", () => {
+    expect(applyHealthProfile(full, DEFAULT_HEALTH_PROFILE)).toBe(full);
+    const p = normalizeHealthProfile({ enabled: true, thresholds: { healthy: 90, stable: 50 } });
+    const h = applyHealthProfile(full, p);
+    expect(h.backendScore).toBe(58);
+    expect(h.score).toBe(scoreHealth(full.metrics, p).score);
+    expect(h.status).toBe("stable");
+    expect(h.reasons).toBe(full.reasons);
+    expect(applyHealthProfile(null, p)).toBeNull();
+  });
+});
+
+describe("health history", () => {
+  it("builds entries only for results with a score", () => {
+    expect(healthHistoryEntry("BTC", full, false, 1000)).toEqual({
+      id: "BTC:1000",
+      symbol: "BTC",
+      ts: 1000,
+      fast: false,
+      score: 58,
+      status: "stable",
+      metrics: full.metrics,
+    });
+    expect(healthHistoryEntry("BTC", { status: "stable" }, true, 1000)).toBeNull();
+    expect(healthHistoryEntry("", full, true, 1000)).toBeNull();
+  });
+
+  it("keeps series sorted and capped", () => {
+    let series = [];
+    for (const ts of [3, 1, 2, 4]) series = appendHealthPoint(series, { ts }, 3);
+    expect(series.map((e) => e.ts)).toEqual([2, 3, 4]);
+  });
+
+  it("reports label changes since the last visit", () => {
+    const series = [
+      { ts: 100, score: 75 },
+      { ts: 200, score: 60 },
+      { ts: 300, score: 45 },
+    ];
+    expect(healthLabelChange(series, 150, DEFAULT_HEALTH_PROFILE)).toEqual({ from: "Healthy", to: "Weak", ts: 300 });
+    expect(healthLabelChange(series, 50, DEFAULT_HEALTH_PROFILE)).toBeNull();
+    expect(healthLabelChange(series, 0, DEFAULT_HEALTH_PROFILE)).toBeNull();
+    expect(healthLabelChange(series.slice(0, 2), 250, DEFAULT_HEALTH_PROFILE)).toBeNull();
+  });
+});
@@ -2,8 +2,20 @@ import React from "react";
 import ReactDOM from "react-dom/client";
 import App from "./App.jsx";
 
-ReactDOM.createRoot(document.getElementById("root")).render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>
-);
+// Mock backend for local development (VITE_MOCK_API=1 or =<scenario>); not part of production builds.
+async function start() {
+  let mock = null;
+  if (import.meta.env.VITE_MOCK_API) {
+    const { installMockApi } = await import("./mock/server.js");
+    const env = String(import.meta.env.VITE_MOCK_API);
+    mock = installMockApi({ scenario: env === "1" || env === "true" ? undefined : env });
+  }
+
+  ReactDOM.createRoot(document.getElementById("root")).render(
+    <React.StrictMode>
+      <App mock={mock} />
+    </React.StrictMode>
+  );
+}
+
+start();
@@ -0,0 +1,162 @@
+/**
+ * Nexus Analyt — mock backend fixtures
+ *
+ * Deterministic market data for the mock API: a fixed asset list, a seeded price walk for history
+ * candles and health payloads shaped like the Render backend's. Same input = same output.
+ */
+
+// Baseline market (scenario "normal"). liquidity = DEX pool depth in USD (null for CEX-listed majors).
+export const ASSETS = {
+  BTC: { id: "bitcoin", name: "Bitcoin", rank: 1, price: 64250, change24h: 1.8, volume24h: 28_400_000_000, liquidity: null },
+  ETH: { id: "ethereum", name: "Ethereum", rank: 2, price: 3150, change24h: 2.4, volume24h: 14_900_000_000, liquidity: null },
+  USDT: { id: "tether", name: "Tether", rank: 3, price: 1, change24h: 0.01, volume24h: 52_000_000_000, liquidity: null },
+  BNB: { id: "binancecoin", name: "BNB", rank: 4, price: 585, change24h: -0.6, volume24h: 1_650_000_000, liquidity: null },
+  SOL: { id: "solana", name: "Solana", rank: 5, price: 148.2, change24h: 4.1, volume24h: 2_900_000_000, liquidity: null },
+  USDC: { id: "usd-coin", name: "USDC", rank: 6, price: 1, change24h: 0, volume24h: 6_100_000_000, liquidity: null },
+  XRP: { id: "ripple", name: "XRP", rank: 7, price: 0.52, change24h: -1.2, volume24h: 1_100_000_000, liquidity: null },
+  AVAX: { id: "avalanche-2", name: "Avalanche", rank: 12, price: 27.4, change24h: 3.3, volume24h: 410_000_000, liquidity: null },
+  POL: { id: "polygon-ecosystem-token", name: "POL (ex-MATIC)", rank: 24, price: 0.41, change24h: -2.2, volume24h: 190_000_000, liquidity: null },
+  TBP: { id: "", name: "TurboPepe", rank: null, price: 0.00000172, change24h: 6.5, volume24h: 185_000, liquidity: 640_000 },
+};
+
+// Extra /market/search hits that are not priced unless added (same symbol, different coins -> picker test).
+export const SEARCH_EXTRA = [
+  { id: "matic-network", symbol: "matic", name: "Polygon (old MATIC)", market_cap_rank: 310 },
+  { id: "pol-token-fake", symbol: "pol", name: "Pol Token", market_cap_rank: null },
+  { id: "wrapped-bitcoin", symbol: "wbtc", name: "Wrapped Bitcoin", market_cap_rank: 16 },
+  { id: "weth", symbol: "weth", name: "WETH", market_cap_rank: 19 },
+];
+
+export function hashString(s) {
+  let h = 2166136261;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+// mulberry32 — small seeded PRNG
+export function seeded(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** Known asset, or a made-up but stable one for unknown symbols / DEX items. */
+export function assetFor(symbol) {
+  const S = String(symbol || "").toUpperCase();
+  if (ASSETS[S]) return { symbol: S, ...ASSETS[S] };
+  const rnd = seeded(hashString(S));
+  return {
+    symbol: S,
+    id: "",
+    name: S,
+    rank: null,
+    price: Number((0.01 + rnd() * 20).toPrecision(6)),
+    change24h: Number((rnd() * 16 - 8).toFixed(2)),
+    volume24h: Math.round(250_000 + rnd() * 40_000_000),
+    liquidity: Math.round(150_000 + rnd() * 5_000_000),
+  };
+}
+
+/**
+ * Daily (hourly for 1 day) candles ending at `end` whose last close is `price`. The walk is seeded by symbol, so a reload
+ * shows the same chart. `drift` (e.g. -0.35) bends the last quarter of the range (crash scenario).
+ */
+export function historyCandles(symbol, days, { price, end = Date.now(), drift = 0, volatility = 0.035 } = {}) {
+  const hourly = Number(days) <= 1; // 1D range = hourly candles
+  const n = hourly ? 24 : Math.max(2, Math.min(365, Number(days) || 30));
+  const stepMs = hourly ? 3600_000 : 86400_000;
+  const rnd = seeded(hashString(`${symbol}|${days}`));
+  const steps = [];
+  for (let i = 0; i < n; i++) steps.push((rnd() - 0.5) * 2 * volatility);
+  const tail = Math.max(1, Math.floor(n / 4));
+  for (let i = n - tail; i < n; i++) steps[i] += Math.log(1 + drift) / tail;
+
+  // Walk backwards from the current price so the chart lines up with the watchlist.
+  const closes = new Array(n);
+  closes[n - 1] = price;
+  for (let i = n - 1; i > 0; i--) closes[i - 1] = closes[i] / Math.exp(steps[i]);
+
+  const endTs = Math.floor(end / stepMs) * stepMs;
+  return closes.map((close, i) => {
+    const open = i ? closes[i - 1] : close;
+    const wick = Math.abs(steps[i]) / 2 + volatility / 4;
+    return {
+      ts: endTs - (n - 1 - i) * stepMs,
+      open,
+      high: Math.max(open, close) * (1 + wick * rnd()),
+      low: Math.min(open, close) * (1 - wick * rnd()),
+      close,
+    };
+  });
+}
+
+/** /api/health/market payload. `fast` leaves out the multi-day metrics (like the backend). */
+export function marketHealth(a, { fast = true, trend30d = null, drawdown180d = null } = {}) {
+  const reasons = [];
+  let score = 65;
+  if (a.change24h <= -10) {
+    score -= 30;
+    reasons.push(`24h: sharp drop ${a.change24h.toFixed(1)}%`);
+  } else if (a.change24h < -3) {
+    score -= 10;
+    reasons.push(`24h: down ${a.change24h.toFixed(1)}%`);
+  } else if (a.change24h > 3) {
+    score += 8;
+    reasons.push(`24h: up ${a.change24h.toFixed(1)}%`);
+  } else reasons.push("24h: sideways");
+  if (a.volume24h < 1_000_000) {
+    score -= 15;
+    reasons.push("Low 24h volume");
+  } else if (a.volume24h > 1_000_000_000) {
+    score += 10;
+    reasons.push("Deep market (high volume)");
+  }
+  if (a.liquidity != null && a.liquidity < 50_000) {
+    score -= 25;
+    reasons.push(`Thin liquidity ($${Math.round(a.liquidity).toLocaleString("en-US")})`);
+  }
+
+  const metrics = { price: a.price, change24h: a.change24h, volume24h: a.volume24h, liquidity: a.liquidity };
+  if (!fast) {
+    const t30 = trend30d ?? Number((a.change24h * 2.5).toFixed(2));
+    const dd = drawdown180d ?? -Math.min(80, Math.abs(t30) + 12);
+    Object.assign(metrics, { trend30d: t30, trend180d: Number((t30 * 1.8).toFixed(2)), maxDrawdown180d: dd });
+    if (t30 < -15) {
+      score -= 10;
+      reasons.push(`30d trend ${t30.toFixed(1)}%`);
+    }
+    if (dd < -50) reasons.push(`180d drawdown ${dd.toFixed(0)}%`);
+  }
+  const s = Math.max(0, Math.min(100, Math.round(score)));
+  return { symbol: a.symbol, score: s, status: s >= 71 ? "healthy" : s >= 51 ? "stable" : "weak", reasons, metrics, source: "mock", fast };
+}
+
+/** /api/health?item=… payload (DEX item health). */
+export function itemHealth(a) {
+  const h = marketHealth(a, { fast: false });
+  return { item: a.symbol, score: h.score, status: h.status, reasons: h.reasons, metrics: h.metrics, source: "mock" };
+}
+
+/** Canned AI answer built from the request context, so the panel shows which symbols were sent. */
+export function aiAnswer(body) {
+  const q = String(body?.question || "").split("\n")[0].slice(0, 160);
+  const ctx = body?.context && typeof body.context === "object" ? body.context : {};
+  const syms = [ctx.primary?.id, ctx.compare?.id].filter(Boolean).join(" vs ") || "the selected asset";
+  return [
+    `Mock analysis for ${syms}.`,
+    "",
+    `Question: ${q || "(none)"}`,
+    "",
+    "- Trend: taken from the mock watchlist snapshot.",
+    "- Risk: see the health reasons of the active scenario.",
+    "- This answer is a fixture; no model was called.",
+  ].join("\n");
+}
@@ -0,0 +1,76 @@
+/**
+ * Nexus Analyt — mock backend scenario presets
+ *
+ * Each preset adjusts the baseline fixtures:
+ * - market(asset)  -> asset as served in this scenario (price / change / volume / liquidity)
+ * - drift          -> bend of the history chart's last quarter (-0.4 = 40% down)
+ * - delayMs(path)  -> artificial latency per route
+ * - fail(path)     -> { status, error } to fail a route, or null
+ */
+
+const NEVER = () => null;
+
+export const SCENARIOS = {
+  normal: {
+    label: "Normal market",
+    market: (a) => a,
+    drift: 0,
+    delayMs: () => 150,
+    fail: NEVER,
+  },
+
+  // Broad sell-off: everything but stables down 25–40%, volumes spike, health turns weak.
+  crash: {
+    label: "Market crash",
+    market: (a) => {
+      if (a.price === 1 && Math.abs(a.change24h) < 0.1) return { ...a, change24h: -0.4 }; // stables wobble only
+      const drop = a.liquidity != null ? 0.6 : a.rank && a.rank <= 2 ? 0.25 : 0.38;
+      return {
+        ...a,
+        price: a.price * (1 - drop),
+        change24h: -drop * 100,
+        volume24h: a.volume24h * 3.2,
+        liquidity: a.liquidity != null ? a.liquidity * 0.35 : null,
+      };
+    },
+    drift: -0.4,
+    trend30d: -32,
+    drawdown180d: -58,
+    delayMs: () => 400,
+    fail: NEVER,
+  },
+
+  // DEX pools (anything with liquidity) dry up: tiny depth and volume, quiet price.
+  illiquid: {
+    label: "Illiquid pool",
+    market: (a) =>
+      a.liquidity != null
+        ? { ...a, liquidity: Math.min(a.liquidity, 3_800), volume24h: Math.min(a.volume24h, 1_200), change24h: -14.5 }
+        : a,
+    drift: -0.2,
+    delayMs: () => 150,
+    fail: NEVER,
+  },
+
+  // Render is down: every route answers 503 (the client retries GETs, the SW serves stale snapshots).
+  outage: {
+    label: "API outage",
+    market: (a) => a,
+    drift: 0,
+    delayMs: () => 250,
+    fail: () => ({ status: 503, error: "Service unavailable (mock outage)" }),
+  },
+
+  // Cold-start Render: 2–6 s per call, full health beyond the client's 15 s timeout.
+  slow: {
+    label: "Slow responses",
+    market: (a) => a,
+    drift: 0,
+    delayMs: (path) => (path === "/api/health/market#full" ? 17_000 : path.startsWith("/api/ai") ? 6_000 : 2_000 + (path.length % 5) * 1_000),
+    fail: NEVER,
+  },
+};
+
+export function getScenario(name) {
+  return SCENARIOS[String(name || "").toLowerCase()] || SCENARIOS.normal;
+}
@@ -0,0 +1,434 @@
+/**
+ * Nexus Analyt — in-browser mock backend
+ *
+ * Enabled with VITE_MOCK_API (e.g. `VITE_MOCK_API=1 npm run dev`). Replaces window.fetch for /api/* and
+ * CoinGecko's market_chart (price history), so api.js, the live stream and the AI streaming run unchanged;
+ * Dexscreener and wallet RPC stay real.
+ * Scenario: VITE_MOCK_API=<name> or ?mock=<name> in the URL (remembered), see ./scenarios.js.
+ *
+ * Routes: /api/watchlist/snapshot, /api/watchlist/live, /api/health, /api/health/market, /api/market/search,
+ *         /api/grid/*, /api/auth/*, /api/ai, /api/stream (SSE ticks)
+ * Grid orders live in localStorage (LS_MOCK_GRID) so they survive a reload like real backend state.
+ */
+
+import { autoGridLadder } from "../grid.js";
+import { ASSETS, SEARCH_EXTRA, aiAnswer, assetFor, historyCandles, itemHealth, marketHealth } from "./fixtures.js";
+import { SCENARIOS, getScenario } from "./scenarios.js";
+
+const LS_MOCK_SCENARIO = "na_mock_scenario";
+const LS_MOCK_GRID = "na_mock_grid_v1"; // { orders: [...], sessions: { ITEM: {...} }, seq }
+const TOKEN_TTL_S = 3600;
+const ALIASES = { WETH: "ETH", WBTC: "BTC", BTCB: "BTC", MATIC: "POL", WMATIC: "POL", WPOL: "POL" };
+
+/* -------------------------
+   helpers
+--------------------------*/
+function json(status, body) {
+  return new Response(JSON.stringify(body), { status, headers: { "Content-Type": "application/json" } });
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (!ms) return resolve();
+    const t = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(t);
+        reject(new DOMException("Aborted", "AbortError"));
+      },
+      { once: true }
+    );
+  });
+}
+
+function b64url(obj) {
+  return btoa(JSON.stringify(obj)).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+// Unsigned JWT: enough for tokenExpiry() to read `exp`.
+function mockToken(address) {
+  const now = Math.floor(Date.now() / 1000);
+  return `${b64url({ alg: "none", typ: "JWT" })}.${b64url({ sub: String(address || "").toLowerCase(), iat: now, exp: now + TOKEN_TTL_S })}.mock`;
+}
+
+// "polygon_weth_usdc_quicksw" -> ETH (first known symbol in the item id), else the id itself.
+function itemSymbol(item) {
+  const parts = String(item || "").toUpperCase().split(/[_\-/:]+/);
+  for (const p of parts) {
+    const s = ALIASES[p] || p;
+    if (ASSETS[s]) return s;
+  }
+  return String(item || "").toUpperCase();
+}
+
+/* -------------------------
+   grid state
+--------------------------*/
+function loadGrid() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(LS_MOCK_GRID) || "null");
+    if (raw && Array.isArray(raw.orders)) return { orders: raw.orders, sessions: raw.sessions || {}, seq: raw.seq || 1 };
+  } catch {}
+  return { orders: [], sessions: {}, seq: 1 };
+}
+
+function saveGrid(g) {
+  try {
+    localStorage.setItem(LS_MOCK_GRID, JSON.stringify(g));
+  } catch {}
+}
+
+/**
+ * @param {{scenario?:string, latency?:boolean}} [options] latency:false skips the scenario delays (tests)
+ * @returns {{scenario:string, label:string}}
+ */
+export function installMockApi({ scenario, latency = true } = {}) {
+  const params = new URLSearchParams(window.location.search);
+  let name = params.get("mock") || localStorage.getItem(LS_MOCK_SCENARIO) || scenario || "normal";
+  if (!SCENARIOS[name]) name = "normal";
+  if (params.get("mock")) localStorage.setItem(LS_MOCK_SCENARIO, name);
+  const sc = getScenario(name);
+  const realFetch = window.fetch.bind(window);
+
+  const quote = (symbol, { dex = false } = {}) => {
+    const a = assetFor(symbol);
+    if (dex && a.liquidity == null) a.liquidity = Math.round(a.volume24h * 0.04);
+    return sc.market(a);
+  };
+
+  const row = (it) => {
+    const dex = it?.mode === "dex";
+    const a = quote(dex ? itemSymbol(it.symbol) : it?.symbol, { dex });
+    return {
+      symbol: String(it?.symbol || a.symbol).toUpperCase(),
+      mode: dex ? "dex" : "market",
+      price: a.price,
+      change24h: a.change24h,
+      volume24h: a.volume24h,
+      liquidity: a.liquidity,
+      source: "mock",
+    };
+  };
+
+  // Grid price moves on a fixed ±3% wave around the start price, so ticks fill orders predictably.
+  const gridPrice = (g, item, tick) => {
+    const base = Number(g.sessions[item]?.basePrice) || quote(itemSymbol(item)).price;
+    return base * (1 + 0.03 * Math.sin(tick * 0.9));
+  };
+
+  function runTick(g, item) {
+    const s = g.sessions[item];
+    s.tick = (s.tick || 0) + 1;
+    const price = gridPrice(g, item, s.tick);
+    const fills = [];
+    for (const o of g.orders) {
+      if (o.item !== item || o.status !== "OPEN") continue;
+      if (o.expires_ts && o.expires_ts * 1000 < Date.now()) {
+        o.status = "EXPIRED";
+        continue;
+      }
+      const hit = o.side === "BUY" ? price <= o.price : price >= o.price;
+      if (!hit) continue;
+      o.status = "FILLED";
+      o.fill_price = o.price;
+      o.filled_ts = Math.floor(Date.now() / 1000);
+      const pnlDelta = o.side === "SELL" ? o.qty * o.price * 0.01 : 0; // a SELL closes a 1% grid step
+      s.pnl = (s.pnl || 0) + pnlDelta;
+      fills.push({ order_id: o.id, side: o.side, fill_price: o.price, qty: o.qty, pnl_delta: pnlDelta, filled_ts: o.filled_ts });
+    }
+    return { tick: s.tick, price, price_source: "mock", filled_now: fills.length, fills, pnl: { total: s.pnl || 0 }, note: fills.length ? null : "no level crossed" };
+  }
+
+  // Autorun grids advance lazily: every read catches up on the ticks since the last one.
+  function catchUp(g) {
+    const now = Date.now();
+    for (const [item, s] of Object.entries(g.sessions)) {
+      if (!s.running || !s.autorun) continue;
+      const every = Math.max(5, Number(s.interval) || 10) * 1000;
+      const due = Math.min(20, Math.floor((now - (s.lastTickAt || now)) / every));
+      for (let i = 0; i < due; i++) runTick(g, item);
+      if (due) s.lastTickAt = now;
+    }
+  }
+
+  function addOrder(g, item, { side, price, qty, level = null, ttl_s = null, order_mode = "AUTO" }) {
+    const o = {
+      id: `m${g.seq++}`,
+      item,
+      side,
+      price,
+      qty,
+      level,
+      status: "OPEN",
+      order_mode,
+      ts: Math.floor(Date.now() / 1000),
+      ...(ttl_s ? { expires_ts: Math.floor(Date.now() / 1000) + Number(ttl_s) } : {}),
+    };
+    g.orders.push(o);
+    return o;
+  }
+
+  const routes = {
+    "POST /api/watchlist/snapshot": ({ body }) => json(200, { results: (body?.items || []).map(row) }),
+
+    "GET /api/watchlist/live": ({ q }) => {
+      const item = q.get("item") || "";
+      const a = quote(itemSymbol(item), { dex: true });
+      return json(200, { item, price: a.price, change24h: a.change24h, volume24h: a.volume24h, liquidity: a.liquidity, source: "mock" });
+    },
+
+    "GET /api/health": ({ q }) => {
+      const item = q.get("item");
+      if (!item) return json(200, { ...itemHealth(quote("ETH")), service: "nexus-analyt (mock)", scenario: name });
+      return json(200, itemHealth({ ...quote(itemSymbol(item), { dex: true }), symbol: item }));
+    },
+
+    "GET /api/health/market": ({ q }) => {
+      const a = quote(q.get("symbol"));
+      return json(200, { status: "ok", data: marketHealth(a, { fast: q.get("fast") === "1", trend30d: sc.trend30d, drawdown180d: sc.drawdown180d }) });
+    },
+
+    "GET /api/market/search": ({ q }) => {
+      const s = String(q.get("query") || "").trim().toLowerCase();
+      const known = Object.entries(ASSETS)
+        .filter(([, a]) => a.id)
+        .map(([sym, a]) => ({ id: a.id, symbol: sym.toLowerCase(), name: a.name, market_cap_rank: a.rank }));
+      const results = [...known, ...SEARCH_EXTRA].filter((c) => s && (c.symbol === s || c.id.includes(s) || c.name.toLowerCase().includes(s)));
+      return json(200, { results });
+    },
+
+    "POST /api/auth/nonce": ({ body }) => {
+      const nonce = Math.random().toString(36).slice(2, 10);
+      return json(200, { nonce, message: `Sign in to Nexus Analyt (mock)\nAddress: ${body?.address || ""}\nNonce: ${nonce}` });
+    },
+    "POST /api/auth/verify": ({ body }) => {
+      if (!body?.signature) return json(400, { error: "signature missing" });
+      return json(200, { token: mockToken(body.address), expires_in: TOKEN_TTL_S });
+    },
+    "POST /api/auth/refresh": ({ token }) => {
+      if (!token) return json(401, { error: "no session" });
+      let sub = "";
+      try {
+        sub = JSON.parse(atob(token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/")))?.sub || "";
+      } catch {}
+      return json(200, { token: mockToken(sub), expires_in: TOKEN_TTL_S });
+    },
+
+    "GET /api/grid/orders": () => {
+      const g = loadGrid();
+      catchUp(g);
+      saveGrid(g);
+      const sessions = {};
+      for (const [item, s] of Object.entries(g.sessions)) {
+        sessions[item] = {
+          running: s.running,
+          mode: s.mode,
+          order_mode: s.order_mode,
+          initial_capital_usd: s.capital,
+          tick: s.tick,
+          pnl: { total: s.pnl || 0 },
+          autorun: s.autorun,
+          interval: s.interval,
+        };
+      }
+      return json(200, { orders: g.orders, sessions });
+    },
+
+    "POST /api/grid/start": ({ body }) => {
+      const item = String(body?.item || "").trim();
+      if (!item) return json(400, { error: "item missing" });
+      const g = loadGrid();
+      const price = Number(body.price) || quote(itemSymbol(item)).price;
+      const capital = Number(body.initial_capital_usd) || 0;
+      const orderMode = String(body.order_mode || "AUTO").toUpperCase();
+      for (const o of g.orders) if (o.item === item && o.status === "OPEN") o.status = "CANCELED";
+      g.sessions[item] = { running: true, mode: body.mode || "SAFE", order_mode: orderMode, capital, basePrice: price, tick: 0, pnl: 0, autorun: false, interval: 10 };
+
+      if (orderMode === "CUSTOM" && Array.isArray(body.levels)) {
+        body.levels.forEach((l, i) => addOrder(g, item, { side: l.side, price: Number(l.price), qty: Number(l.qty), level: i + 1, order_mode: orderMode }));
+      } else if (orderMode === "AUTO") {
+        // The real AUTO layout is not published; the mock places the assumed ladder from grid.js.
+        const { stepPct, levelsPerSide } = autoGridLadder(body.mode);
+        const step = stepPct / 100;
+        const usd = capital / (levelsPerSide * 2);
+        for (let i = 1; i <= levelsPerSide; i++) {
+          const buy = price * (1 - step * i);
+          const sell = price * (1 + step * i);
+          addOrder(g, item, { side: "BUY", price: buy, qty: usd / buy, level: -i });
+          addOrder(g, item, { side: "SELL", price: sell, qty: usd / sell, level: i });
+        }
+      }
+      saveGrid(g);
+      return json(200, { ok: true, item, tick: 0, price, fills: [], pnl: { total: 0 } });
+    },
+
+    "POST /api/grid/tick": ({ body }) => {
+      const g = loadGrid();
+      const item = String(body?.item || "").trim();
+      if (!g.sessions[item]?.running) return json(400, { error: `No running grid for ${item}` });
+      const r = runTick(g, item);
+      saveGrid(g);
+      return json(200, r);
+    },
+
+    "POST /api/grid/autorun": ({ body }) => {
+      const g = loadGrid();
+      const s = g.sessions[String(body?.item || "").trim()];
+      if (!s) return json(404, { error: "grid not found" });
+      s.autorun = Boolean(body.enable);
+      s.interval = Number(body.interval) || s.interval || 10;
+      s.lastTickAt = Date.now();
+      saveGrid(g);
+      return json(200, { ok: true, autorun: s.autorun, interval: s.interval });
+    },
+
+    "POST /api/grid/stop": ({ body }) => {
+      const g = loadGrid();
+      const item = String(body?.item || "").trim();
+      for (const o of g.orders) if (o.item === item && o.status === "OPEN") o.status = "CANCELED";
+      if (g.sessions[item]) Object.assign(g.sessions[item], { running: false, autorun: false });
+      saveGrid(g);
+      return json(200, { ok: true, item });
+    },
+
+    "POST /api/grid/order/stop": ({ body }) => {
+      const g = loadGrid();
+      const o = g.orders.find((x) => String(x.id) === String(body?.id));
+      if (!o) return json(404, { error: "order not found" });
+      if (o.status === "OPEN") o.status = "CANCELED";
+      saveGrid(g);
+      return json(200, { ok: true, order: o });
+    },
+
+    "POST /api/grid/manual/add": ({ body }) => {
+      const item = String(body?.item || "").trim();
+      const price = Number(body?.price);
+      const side = String(body?.side || "").toUpperCase();
+      if (!item || !(price > 0) || (side !== "BUY" && side !== "SELL")) return json(400, { error: "item, side and price > 0 required" });
+      const g = loadGrid();
+      if (!g.sessions[item]) g.sessions[item] = { running: true, mode: "SAFE", order_mode: "MANUAL", capital: null, tick: 0, pnl: 0, autorun: false, interval: 10 };
+      g.sessions[item].running = true;
+      const qty = Number(body.qty ?? body.amount) || 100 / price;
+      const o = addOrder(g, item, { side, price, qty, ttl_s: body.ttl_s, order_mode: "MANUAL" });
+      saveGrid(g);
+      return json(200, { ok: true, order: o });
+    },
+
+    "POST /api/ai": ({ body, signal }) => {
+      const answer = aiAnswer(body);
+      if (!body?.stream) return json(200, { answer });
+      const words = answer.split(/(?<= )/);
+      const enc = new TextEncoder();
+      let timer = null;
+      const stream = new ReadableStream({
+        start(ctrl) {
+          let i = 0;
+          timer = setInterval(() => {
+            if (i < words.length) ctrl.enqueue(enc.encode(`data: ${JSON.stringify({ token: words[i++] })}\n\n`));
+            else {
+              ctrl.enqueue(enc.encode("data: [DONE]\n\n"));
+              clearInterval(timer);
+              ctrl.close();
+            }
+          }, 35);
+          // Like a real fetch: aborting the request errors the body, so a pending read rejects.
+          signal?.addEventListener(
+            "abort",
+            () => {
+              clearInterval(timer);
+              try {
+                ctrl.error(new DOMException("The operation was aborted.", "AbortError"));
+              } catch {}
+            },
+            { once: true }
+          );
+        },
+        cancel() {
+          clearInterval(timer);
+        },
+      });
+      return new Response(stream, { status: 200, headers: { "Content-Type": "text/event-stream" } });
+    },
+
+    // Live stream (VITE_STREAM_PATH=/api/stream): a tick per subscribed symbol every 3 s.
+    "GET /api/stream": ({ q, signal }) => {
+      const symbols = String(q.get("symbols") || "").split(",").filter(Boolean);
+      const enc = new TextEncoder();
+      let timer = null;
+      let n = 0;
+      const stream = new ReadableStream({
+        start(ctrl) {
+          timer = setInterval(() => {
+            n++;
+            for (const s of symbols) {
+              const a = quote(s);
+              const price = a.price * (1 + 0.002 * Math.sin(n + s.length));
+              ctrl.enqueue(enc.encode(`data: ${JSON.stringify({ type: "tick", symbol: s, price, change24h: a.change24h })}\n\n`));
+            }
+            if (!symbols.length) ctrl.enqueue(enc.encode(": keep-alive\n\n"));
+          }, 3000);
+          signal?.addEventListener(
+            "abort",
+            () => {
+              clearInterval(timer);
+              try {
+                ctrl.close();
+              } catch {}
+            },
+            { once: true }
+          );
+        },
+        cancel() {
+          clearInterval(timer);
+        },
+      });
+      return new Response(stream, { status: 200, headers: { "Content-Type": "text/event-stream" } });
+    },
+  };
+
+  // CoinGecko market_chart ({ prices: [[ms, price], ...] }) for the coins in the fixtures.
+  function coinHistory(id, q) {
+    const sym = Object.keys(ASSETS).find((s) => ASSETS[s].id && ASSETS[s].id === id);
+    if (!sym) return json(404, { error: "coin not found" });
+    const a = quote(sym);
+    const days = Number(q.get("days")) || 30;
+    // 1D follows the served 24h change; longer ranges get the scenario's drift.
+    const drift = days <= 1 ? a.change24h / 100 : sc.drift;
+    return json(200, { prices: historyCandles(sym, days, { price: a.price, drift }).map((c) => [c.ts, c.close]) });
+  }
+
+  window.fetch = async (input, init = {}) => {
+    const req = typeof Request !== "undefined" && input instanceof Request ? input : null;
+    const url = new URL(req ? req.url : String(input), window.location.href);
+    if (url.hostname === "api.coingecko.com") {
+      const m = url.pathname.match(/^\/api\/v3\/coins\/([^/]+)\/market_chart$/);
+      return m ? coinHistory(decodeURIComponent(m[1]), url.searchParams) : realFetch(input, init);
+    }
+    if (!url.pathname.startsWith("/api/")) return realFetch(input, init);
+
+    const method = String(init.method || req?.method || "GET").toUpperCase();
+    const path = url.pathname.replace(/\/+$/, "");
+    const signal = init.signal || req?.signal;
+    const headers = new Headers(init.headers || req?.headers || {});
+    const token = String(headers.get("Authorization") || "").replace(/^Bearer\s+/i, "");
+    let body = null;
+    try {
+      const raw = init.body ?? (req ? await req.clone().text() : null);
+      body = raw ? JSON.parse(raw) : null;
+    } catch {}
+
+    const delayKey = path === "/api/health/market" && url.searchParams.get("fast") !== "1" ? `${path}#full` : path;
+    if (latency) await sleep(sc.delayMs(delayKey), signal);
+
+    const failure = sc.fail(path);
+    if (failure) return json(failure.status, { error: failure.error });
+
+    const handler = routes[`${method} ${path}`];
+    if (!handler) return json(404, { error: `mock: no route for ${method} ${path}` });
+    return handler({ q: url.searchParams, body, token, signal });
+  };
+
+  console.info(`[mock] /api/* served locally — scenario "${name}" (${sc.label}). Switch with ?mock=${Object.keys(SCENARIOS).join("|")}`);
+  return { scenario: name, label: sc.label };
+}
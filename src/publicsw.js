@@ -1,17 +1,258 @@
-const CACHE = "nexus-analyt-v1";
-const ASSETS = ["/", "/manifest.json"];
-
-
-self.addEventListener("install", (e) => {
-  e.waitUntil(caches.open(CACHE).then((c) => c.addAll(ASSETS)));
-  self.skipWaiting();
-});
-self.addEventListener("activate", (e) => {
-  e.waitUntil(self.clients.claim());
-});
-self.addEventListener("fetch", (e) => {
-  e.respondWith(
-    caches.match(e.request).then((cached) => cached || fetch(e.request).catch(() => caches.match("/")))
-  );
-});
-
+/**
+ * Nexus Analyt — service worker (built by vite-plugin-pwa, strategy "injectManifest")
+ *
+ * - app shell: precached from the build manifest, cache-first; navigations fall back to index.html offline
+ * - /api/watchlist/snapshot (POST) + /api/health/market: network-first; offline, the last good response for the same
+ *   request (URL / body) is served with an "X-SW-Stale: 1" header, which the API client passes on to the UI
+ * - /api/ai*, /api/auth* and every other API route: network only, never cached
+ * - manual orders + grid stop that fail for lack of network are queued in IndexedDB and replayed on "sync" / "online"; the bearer token
+ *   is never stored with them: replay uses the session the page last posted ("session"), and the page clears the
+ *   queue on logout / 401 / account switch ("clear-queue")
+ * - caches are versioned by the precache manifest; old ones are deleted on activate
+ */
+
+const PRECACHE_MANIFEST = self.__WB_MANIFEST || [];
+
+const CACHE_PREFIX = "nexus-analyt-";
+const MANIFEST_HASH = hash(JSON.stringify(PRECACHE_MANIFEST));
+const PRECACHE = `${CACHE_PREFIX}precache-${MANIFEST_HASH}`;
+const API_CACHE = `${CACHE_PREFIX}api-v1`;
+const CURRENT_CACHES = [PRECACHE, API_CACHE];
+
+const SYNC_TAG = "nexus-replay";
+const QUEUE_DB = "nexus-analyt-sw";
+const QUEUE_STORE = "queue";
+const QUEUE_MAX_AGE_MS = 24 * 60 * 60 * 1000; // older offline actions are dropped instead of replayed
+
+const STALE_API = [/\/api\/watchlist\/snapshot$/, /\/api\/health\/market$/];
+const NEVER_CACHE = [/\/api\/ai(\/|$)/, /\/api\/auth(\/|$)/];
+const QUEUEABLE = [
+  /\/api\/grid\/stop$/,
+  /\/api\/grid\/order\/stop$/,
+  /\/api\/grid\/manual\/add$/,
+  /\/api\/grid\/add$/,
+  /\/api\/grid\/order\/add$/,
+  /\/api\/add$/,
+  /\/api\/grid\/manual$/,
+];
+
+function hash(s) {
+  let h = 5381;
+  for (let i = 0; i < s.length; i++) h = ((h << 5) + h + s.charCodeAt(i)) >>> 0;
+  return h.toString(36);
+}
+
+function precacheUrl(entry) {
+  const url = typeof entry === "string" ? entry : entry.url;
+  return new URL(url, self.registration.scope).href;
+}
+
+const matches = (list, path) => list.some((re) => re.test(path));
+
+/* -------------------------
+   install / activate
+--------------------------*/
+self.addEventListener("install", (e) => {
+  e.waitUntil(
+    caches
+      .open(PRECACHE)
+      .then((c) => c.addAll([...new Set(PRECACHE_MANIFEST.map(precacheUrl))])) // addAll rejects duplicate URLs
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (e) => {
+  e.waitUntil(
+    (async () => {
+      const keys = await caches.keys();
+      // Also removes the pre-versioning "nexus-analyt-v1" cache.
+      await Promise.all(keys.filter((k) => k.startsWith(CACHE_PREFIX) && !CURRENT_CACHES.includes(k)).map((k) => caches.delete(k)));
+      await self.clients.claim();
+      await replayQueue().catch(() => {});
+    })()
+  );
+});
+
+/* -------------------------
+   fetch routing
+--------------------------*/
+self.addEventListener("fetch", (e) => {
+  const req = e.request;
+  const url = new URL(req.url);
+  const path = url.pathname.replace(/\/+$/, "");
+
+  if (path.includes("/api/")) {
+    if (matches(NEVER_CACHE, path)) return;
+    if (req.method === "POST" && matches(QUEUEABLE, path)) {
+      e.respondWith(fetchOrQueue(req));
+      return;
+    }
+    if (matches(STALE_API, path) && (req.method === "GET" || req.method === "POST")) {
+      e.respondWith(networkFirst(req, path));
+    }
+    return;
+  }
+
+  if (req.method !== "GET" || url.origin !== self.location.origin) return;
+
+  if (req.mode === "navigate") {
+    e.respondWith(
+      fetch(req).catch(async () => (await caches.match(req)) || (await caches.match(new URL("index.html", self.registration.scope).href)) || Response.error())
+    );
+    return;
+  }
+
+  e.respondWith(caches.match(req).then((hit) => hit || fetch(req)));
+});
+
+// POST bodies cannot be cache keys: snapshots are stored under a synthetic GET URL per request body.
+async function apiCacheKey(req, path) {
+  if (req.method === "GET") return req.url;
+  const body = await req.clone().text();
+  return `${self.location.origin}/__sw-cache${path}?body=${hash(body)}`;
+}
+
+// Only the response to the very same request is served: a snapshot of another list would show the wrong symbols.
+async function networkFirst(req, path) {
+  const key = await apiCacheKey(req, path);
+  const cache = await caches.open(API_CACHE);
+  try {
+    const res = await fetch(req);
+    if (res.ok) await cache.put(key, res.clone());
+    return res;
+  } catch (err) {
+    const hit = await cache.match(key);
+    if (!hit) throw err;
+    const headers = new Headers(hit.headers);
+    headers.set("X-SW-Stale", "1");
+    return new Response(await hit.blob(), { status: hit.status, statusText: hit.statusText, headers });
+  }
+}
+
+/* -------------------------
+   offline queue (IndexedDB)
+--------------------------*/
+function openQueue() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(QUEUE_DB, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(QUEUE_STORE, { keyPath: "id", autoIncrement: true });
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function queueTx(mode, fn) {
+  const db = await openQueue();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(QUEUE_STORE, mode);
+    const out = fn(tx.objectStore(QUEUE_STORE));
+    tx.oncomplete = () => resolve(out?.result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+const queueAll = () => queueTx("readonly", (s) => s.getAll());
+const queueAdd = (entry) => queueTx("readwrite", (s) => s.add(entry));
+const queueDelete = (id) => queueTx("readwrite", (s) => s.delete(id));
+const queueClear = () => queueTx("readwrite", (s) => s.clear());
+
+// Current backend session, posted by the page. Memory only: gone when the browser stops the worker.
+let sessionToken = "";
+
+async function notifyClients(msg) {
+  const list = await self.clients.matchAll({ includeUncontrolled: true, type: "window" });
+  for (const c of list) c.postMessage(msg);
+}
+
+async function notifyQueueSize() {
+  await notifyClients({ type: "sw-queue", pending: (await queueAll()).length });
+}
+
+// Queues only network failures. A request the page aborted (its timeout or the user) may still have reached the
+// backend: replaying it could place the order twice, so the abort goes back to the page like any other error.
+async function fetchOrQueue(req) {
+  const body = await req.clone().text();
+  try {
+    return await fetch(req);
+  } catch (err) {
+    if (req.signal?.aborted || err?.name === "AbortError") throw err;
+    const headers = {};
+    if (req.headers.get("content-type")) headers["content-type"] = req.headers.get("content-type");
+    const auth = Boolean(req.headers.get("authorization"));
+    const id = await queueAdd({ url: req.url, method: req.method, headers, auth, body, ts: Date.now() });
+    try {
+      await self.registration.sync?.register(SYNC_TAG);
+    } catch {}
+    await notifyQueueSize();
+    return new Response(JSON.stringify({ queued: true, id }), { status: 202, headers: { "Content-Type": "application/json" } });
+  }
+}
+
+let replaying = null;
+
+// Replays queued actions in order. Stops at the first network error (still offline) and keeps the rest.
+// Signed-in actions wait for the page to post a session (asked for here when the worker has none).
+function replayQueue() {
+  if (replaying) return replaying;
+  replaying = (async () => {
+    const entries = (await queueAll()).sort((a, b) => a.id - b.id);
+    for (const q of entries) {
+      if (Date.now() - q.ts > QUEUE_MAX_AGE_MS) {
+        await queueDelete(q.id);
+        await notifyClients({ type: "sw-replayed", url: q.url, ok: false, status: 0, error: "expired" });
+        continue;
+      }
+      const { authorization: legacyAuth, ...headers } = q.headers || {}; // entries queued by older workers carried the token
+      if (q.auth || legacyAuth) {
+        if (!sessionToken) {
+          await notifyClients({ type: "sw-need-session" });
+          throw new Error("no session");
+        }
+        headers.authorization = `Bearer ${sessionToken}`;
+      }
+      let res;
+      try {
+        res = await fetch(q.url, { method: q.method, headers, body: q.body });
+      } catch {
+        throw new Error("still offline");
+      }
+      // 5xx may be temporary: keep it for the next sync. Anything else is final.
+      if (res.status >= 500) throw new Error(`server error ${res.status}`);
+      await queueDelete(q.id);
+      await notifyClients({ type: "sw-replayed", url: q.url, ok: res.ok, status: res.status });
+    }
+  })()
+    .finally(async () => {
+      replaying = null;
+      await notifyQueueSize().catch(() => {});
+    });
+  return replaying;
+}
+
+self.addEventListener("sync", (e) => {
+  if (e.tag === SYNC_TAG) e.waitUntil(replayQueue());
+});
+
+// Browsers without Background Sync: the app posts "replay-queue" on its "online" event.
+self.addEventListener("message", (e) => {
+  const type = e.data?.type;
+  if (type === "session" || type === "replay-queue") sessionToken = String(e.data.token || "");
+  if (type === "replay-queue") e.waitUntil(replayQueue().catch(() => {}));
+  else if (type === "queue-status") e.waitUntil(notifyQueueSize());
+  else if (type === "clear-queue") e.waitUntil(queueClear().then(notifyQueueSize));
+});
+
+/* -------------------------
+   notifications (alerts)
+--------------------------*/
+self.addEventListener("notificationclick", (e) => {
+  e.notification.close();
+  e.waitUntil(
+    (async () => {
+      const list = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+      const open = list.find((c) => "focus" in c);
+      if (open) return open.focus();
+      return self.clients.openWindow(self.registration.scope);
+    })()
+  );
+});
@@ -0,0 +1,52 @@
+/**
+ * Nexus Analyt — rate-limited task queue
+ *
+ * - runs worker(item) for every item with at most `concurrency` tasks in flight
+ * - task starts are spaced at least `minIntervalMs` apart (backend rate limits)
+ * - a failing task does not stop the queue; results are { item, ok, value | error } in input order
+ * - an aborted signal stops starting new tasks (those come back as { item, ok: false, skipped: true });
+ *   tasks already running are awaited
+ */
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+export async function runQueue(items, worker, { concurrency = 2, minIntervalMs = 0, signal, onProgress } = {}) {
+  const list = Array.from(items || []);
+  const results = list.map((item) => ({ item, ok: false, skipped: true }));
+  const progress = { done: 0, failed: 0, total: list.length };
+  let next = 0;
+  let lastStart = -Infinity;
+  let gate = Promise.resolve();
+
+  // Starts are handed out one at a time, so parallel lanes still respect minIntervalMs.
+  function startSlot() {
+    gate = gate.then(async () => {
+      const wait = lastStart + minIntervalMs - Date.now();
+      if (wait > 0) await sleep(wait);
+      lastStart = Date.now();
+    });
+    return gate;
+  }
+
+  async function lane() {
+    while (next < list.length && !signal?.aborted) {
+      const i = next++;
+      await startSlot();
+      if (signal?.aborted) return;
+      try {
+        results[i] = { item: list[i], ok: true, value: await worker(list[i], i) };
+      } catch (e) {
+        results[i] = { item: list[i], ok: false, error: e };
+        progress.failed++;
+      }
+      progress.done++;
+      onProgress?.({ ...progress });
+    }
+  }
+
+  const lanes = Math.max(1, Math.min(Number(concurrency) || 1, list.length));
+  await Promise.all(Array.from({ length: lanes }, lane));
+  return results;
+}
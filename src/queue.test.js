@@ -0,0 +1,47 @@
+import { describe, expect, it, vi } from "vitest";
+import { runQueue } from "./queue.js";
+
+describe("runQueue", () => {
+  it("caps tasks in flight and keeps results in input order", async () => {
+    let inFlight = 0;
+    let peak = 0;
+    const worker = async (n) => {
+      inFlight++;
+      peak = Math.max(peak, inFlight);
+      await new Promise((r) => setTimeout(r, 5 * (5 - n)));
+      inFlight--;
+      if (n === 2) throw new Error("boom");
+      return n * 10;
+    };
+    const onProgress = vi.fn();
+
+    const res = await runQueue([1, 2, 3, 4], worker, { concurrency: 2, onProgress });
+    expect(peak).toBe(2);
+    expect(res.map((r) => r.ok)).toEqual([true, false, true, true]);
+    expect(res[0].value).toBe(10);
+    expect(res[1].error.message).toBe("boom");
+    expect(onProgress).toHaveBeenCalledTimes(4);
+    expect(onProgress).toHaveBeenLastCalledWith({ done: 4, failed: 1, total: 4 });
+  });
+
+  it("spaces task starts by minIntervalMs", async () => {
+    const starts = [];
+    await runQueue([1, 2, 3], async () => starts.push(Date.now()), { concurrency: 3, minIntervalMs: 30 });
+    expect(starts[1] - starts[0]).toBeGreaterThanOrEqual(25);
+    expect(starts[2] - starts[1]).toBeGreaterThanOrEqual(25);
+  });
+
+  it("stops starting tasks once aborted", async () => {
+    const ctrl = new AbortController();
+    const worker = vi.fn(async (n) => {
+      if (n === 2) ctrl.abort();
+    });
+
+    const res = await runQueue([1, 2, 3, 4], worker, { concurrency: 1, signal: ctrl.signal });
+    expect(worker).toHaveBeenCalledTimes(2);
+    expect(res.slice(2)).toEqual([
+      { item: 3, ok: false, skipped: true },
+      { item: 4, ok: false, skipped: true },
+    ]);
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Nexus Analyt — app store
+ *
+ * One external store split into feature slices (wallet, resolver, watchlist, health, grid, ai, ...).
+ * - cards read with useStore(selector) and only re-render when the selected value changes
+ * - useStoreState(slice, key) is the useState-shaped accessor the feature controllers use
+ * - createSelector() memoizes derived data (watchlist rows, resolved symbols, ...) across all readers
+ * - controllers publish their actions with useProvideActions(name, impl); useActions(name) hands out stable
+ *   wrappers that always call the latest implementation, so cards and other features never hold stale closures
+ */
+
+import { createContext, useCallback, useContext, useRef, useSyncExternalStore } from "react";
+
+export function createStore(initialState) {
+  let state = initialState;
+  const listeners = new Set();
+
+  return {
+    getState: () => state,
+    // patch = object or (sliceState) => object; a patch that changes nothing is a no-op (like a useState bail-out)
+    setState(slice, patch) {
+      const cur = state[slice] || {};
+      const next = typeof patch === "function" ? patch(cur) : patch;
+      if (!next || Object.keys(next).every((k) => Object.is(cur[k], next[k]))) return;
+      state = { ...state, [slice]: { ...cur, ...next } };
+      for (const fn of listeners) fn();
+    },
+    subscribe(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+    actions: {}, // name -> { fn: stable wrapper }
+    impl: {}, // name -> latest implementations (set on every controller render)
+  };
+}
+
+export function shallowEqual(a, b) {
+  if (Object.is(a, b)) return true;
+  if (!a || !b || typeof a !== "object" || typeof b !== "object") return false;
+  const ka = Object.keys(a);
+  if (ka.length !== Object.keys(b).length) return false;
+  return ka.every((k) => Object.prototype.hasOwnProperty.call(b, k) && Object.is(a[k], b[k]));
+}
+
+/** Memoized selector: combine() only re-runs when one of the input selectors returns something new. */
+export function createSelector(inputs, combine) {
+  let lastArgs = null;
+  let lastValue;
+  return (state) => {
+    const args = inputs.map((fn) => fn(state));
+    if (lastArgs && args.every((a, i) => Object.is(a, lastArgs[i]))) return lastValue;
+    lastArgs = args;
+    lastValue = combine(...args);
+    return lastValue;
+  };
+}
+
+export const StoreContext = createContext(null);
+
+export function useStoreApi() {
+  return useContext(StoreContext);
+}
+
+export function useStore(selector, equal = Object.is) {
+  const store = useStoreApi();
+  const cacheRef = useRef(null);
+  const getSnapshot = () => {
+    const state = store.getState();
+    const c = cacheRef.current;
+    if (c && c.state === state && c.selector === selector) return c.value;
+    const next = selector(state);
+    const value = c && equal(c.value, next) ? c.value : next;
+    cacheRef.current = { state, selector, value };
+    return value;
+  };
+  return useSyncExternalStore(store.subscribe, getSnapshot, getSnapshot);
+}
+
+export function useStoreState(slice, key) {
+  const store = useStoreApi();
+  const value = useStore((s) => s[slice]?.[key]);
+  const setValue = useCallback(
+    (v) => store.setState(slice, (cur) => ({ [key]: typeof v === "function" ? v(cur[key]) : v })),
+    [store, slice, key]
+  );
+  return [value, setValue];
+}
+
+/** set({ key: value }) / set((sliceState) => patch) for one slice. */
+export function useSetSlice(slice) {
+  const store = useStoreApi();
+  return useCallback((patch) => store.setState(slice, patch), [store, slice]);
+}
+
+export function useProvideActions(name, impl) {
+  const store = useStoreApi();
+  store.impl[name] = impl;
+  const bound = (store.actions[name] ||= {});
+  for (const k of Object.keys(impl)) {
+    bound[k] ||= (...args) => store.impl[name][k](...args);
+  }
+}
+
+export function useActions(name) {
+  const store = useStoreApi();
+  return (store.actions[name] ||= {});
+}
@@ -0,0 +1,69 @@
+import { describe, expect, it, vi } from "vitest";
+import { createSelector, createStore, shallowEqual } from "./store.js";
+
+describe("createStore", () => {
+  it("merges patches into one slice and notifies subscribers", () => {
+    const store = createStore({ grid: { mode: "SAFE", orders: [] }, ui: { busy: false } });
+    const ui = store.getState().ui;
+    const fn = vi.fn();
+    store.subscribe(fn);
+
+    store.setState("grid", { mode: "AGGRESSIVE" });
+    expect(store.getState().grid).toEqual({ mode: "AGGRESSIVE", orders: [] });
+    expect(store.getState().ui).toBe(ui);
+    expect(fn).toHaveBeenCalledTimes(1);
+
+    store.setState("grid", (cur) => ({ orders: [...cur.orders, { id: 1 }] }));
+    expect(store.getState().grid.orders).toEqual([{ id: 1 }]);
+    expect(fn).toHaveBeenCalledTimes(2);
+  });
+
+  it("treats a patch that changes nothing as a no-op", () => {
+    const store = createStore({ ui: { busy: false, err: "" } });
+    const before = store.getState();
+    const fn = vi.fn();
+    store.subscribe(fn);
+
+    store.setState("ui", { busy: false });
+    store.setState("ui", () => ({}));
+    store.setState("ui", () => null);
+    expect(store.getState()).toBe(before);
+    expect(fn).not.toHaveBeenCalled();
+  });
+
+  it("stops notifying after unsubscribe", () => {
+    const store = createStore({ ui: { busy: false } });
+    const fn = vi.fn();
+    const off = store.subscribe(fn);
+    off();
+    store.setState("ui", { busy: true });
+    expect(fn).not.toHaveBeenCalled();
+  });
+});
+
+describe("createSelector", () => {
+  it("only recomputes when an input changes", () => {
+    const combine = vi.fn((list, map) => list.filter((s) => map[s]));
+    const select = createSelector([(s) => s.wl.list, (s) => s.wl.map], combine);
+    const state = { wl: { list: ["BTC", "ETH"], map: { BTC: 1 } }, ui: { busy: false } };
+
+    const a = select(state);
+    const b = select({ ...state, ui: { busy: true } });
+    expect(a).toEqual(["BTC"]);
+    expect(b).toBe(a);
+    expect(combine).toHaveBeenCalledTimes(1);
+
+    select({ ...state, wl: { ...state.wl, map: { BTC: 1, ETH: 1 } } });
+    expect(combine).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe("shallowEqual", () => {
+  it("compares own keys by identity", () => {
+    const o = {};
+    expect(shallowEqual({ a: 1, b: o }, { a: 1, b: o })).toBe(true);
+    expect(shallowEqual({ a: 1, b: {} }, { a: 1, b: {} })).toBe(false);
+    expect(shallowEqual({ a: 1 }, { a: 1, b: undefined })).toBe(false);
+    expect(shallowEqual(null, {})).toBe(false);
+  });
+});
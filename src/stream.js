@@ -0,0 +1,183 @@
+/**
+ * Nexus Analyt — live stream (price ticks + grid order events)
+ *
+ * Optional push channel on top of the REST polling, enabled with VITE_STREAM_PATH (relative to API_BASE):
+ * - transport "sse" (default): fetch + text/event-stream, subscription in the query string, session as Bearer header;
+ *   changing the subscription reconnects
+ * - transport "ws": WebSocket, subscription (and session token) sent as {type:"subscribe", symbols, grids, token}
+ * Events are JSON: {type:"tick", symbol, price, change24h?, volume24h?, liquidity?}
+ *                  {type:"order", order:{id, item, status, ...}} / {type:"fill", item, fill:{...}}
+ * Drops are retried with exponential backoff; onStatus gets "connecting" | "live" | "down".
+ */
+
+import { createSseParser } from "./api.js";
+
+const IDLE_TIMEOUT_MS = 45_000; // no data (incl. keep-alives) for this long = dead connection
+const RECONNECT_MAX_MS = 30_000;
+
+/** Parses one stream message; the SSE event name is used when the payload has no `type`. */
+export function parseStreamEvent(data, eventName = "message") {
+  let j;
+  try {
+    j = typeof data === "string" ? JSON.parse(data) : data;
+  } catch {
+    return null;
+  }
+  if (!j || typeof j !== "object") return null;
+  const type = String(j.type || (eventName !== "message" ? eventName : "")).toLowerCase();
+  if (type === "tick" || type === "price") {
+    const price = Number(j.price);
+    if (!j.symbol || !Number.isFinite(price)) return null;
+    const tick = { type: "tick", symbol: String(j.symbol), price };
+    for (const k of ["change24h", "volume24h", "liquidity"]) if (j[k] != null && Number.isFinite(Number(j[k]))) tick[k] = Number(j[k]);
+    return tick;
+  }
+  if (type === "order") return j.order && typeof j.order === "object" ? { type: "order", order: j.order } : null;
+  if (type === "fill") return j.item && j.fill ? { type: "fill", item: String(j.item), fill: j.fill } : null;
+  return null; // heartbeats and unknown events
+}
+
+function toWsUrl(url) {
+  return String(url).replace(/^http(s?):/i, "ws$1:");
+}
+
+/**
+ * @param {{url:string, transport?:"sse"|"ws", getToken?:()=>string, onEvent:(ev:object)=>void, onStatus?:(s:string)=>void}} options
+ * @returns {{subscribe:(sub:{symbols?:string[], grids?:string[]})=>void, close:()=>void}}
+ */
+export function createLiveStream({ url, transport = "sse", getToken = () => "", onEvent, onStatus = () => {} }) {
+  let sub = { symbols: [], grids: [] };
+  let closed = false;
+  let attempt = 0;
+  let retryTimer = null;
+  let idleTimer = null;
+  let ctrl = null; // SSE
+  let ws = null; // WebSocket
+  let status = "";
+
+  function setStatus(s) {
+    if (s === status) return;
+    status = s;
+    onStatus(s);
+  }
+
+  function emit(data, eventName) {
+    const ev = parseStreamEvent(data, eventName);
+    if (ev) onEvent(ev);
+  }
+
+  function armIdle() {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => drop(), IDLE_TIMEOUT_MS);
+  }
+
+  function teardown() {
+    clearTimeout(idleTimer);
+    ctrl?.abort();
+    ctrl = null;
+    if (ws) {
+      ws.onopen = ws.onmessage = ws.onclose = ws.onerror = null;
+      try {
+        ws.close();
+      } catch {}
+      ws = null;
+    }
+  }
+
+  // Connection lost: back to "down" (the app polls again) and retry later.
+  function drop() {
+    teardown();
+    if (closed) return;
+    setStatus("down");
+    clearTimeout(retryTimer);
+    const delay = Math.min(RECONNECT_MAX_MS, 1000 * 2 ** attempt) + Math.random() * 500;
+    attempt++;
+    retryTimer = setTimeout(connect, delay);
+  }
+
+  async function connectSse() {
+    const c = new AbortController();
+    ctrl = c;
+    const q = new URLSearchParams();
+    if (sub.symbols.length) q.set("symbols", sub.symbols.join(","));
+    if (sub.grids.length) q.set("grids", sub.grids.join(","));
+    const token = getToken() || "";
+    try {
+      const res = await fetch(`${url}${q.toString() ? (url.includes("?") ? "&" : "?") + q : ""}`, {
+        headers: { Accept: "text/event-stream", ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+        signal: c.signal,
+      });
+      if (!res.ok || !res.body?.getReader) throw new Error(`stream HTTP ${res.status}`);
+      if (ctrl !== c) return;
+      attempt = 0;
+      setStatus("live");
+      armIdle();
+      const parser = createSseParser(({ event, data }) => ctrl === c && emit(data, event));
+      const reader = res.body.getReader();
+      const decoder = new TextDecoder();
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done || ctrl !== c) break;
+        armIdle();
+        parser.push(decoder.decode(value, { stream: true }));
+      }
+      throw new Error("stream closed");
+    } catch {
+      if (ctrl === c) drop(); // aborted on purpose (resubscribe/close) otherwise
+    }
+  }
+
+  function sendSubscribe() {
+    if (ws?.readyState !== 1) return;
+    const token = getToken() || "";
+    ws.send(JSON.stringify({ type: "subscribe", symbols: sub.symbols, grids: sub.grids, ...(token ? { token } : {}) }));
+  }
+
+  function connectWs() {
+    try {
+      ws = new WebSocket(toWsUrl(url));
+    } catch {
+      drop();
+      return;
+    }
+    ws.onopen = () => {
+      attempt = 0;
+      setStatus("live");
+      armIdle();
+      sendSubscribe();
+    };
+    ws.onmessage = (e) => {
+      armIdle();
+      emit(e.data, "message");
+    };
+    ws.onclose = () => drop();
+    ws.onerror = () => drop();
+  }
+
+  function connect() {
+    clearTimeout(retryTimer);
+    teardown();
+    if (closed) return;
+    if (status !== "live") setStatus("connecting");
+    if (transport === "ws") connectWs();
+    else connectSse();
+  }
+
+  connect();
+
+  return {
+    subscribe(next) {
+      const symbols = Array.from(new Set((next?.symbols || []).map(String))).sort();
+      const grids = Array.from(new Set((next?.grids || []).map(String))).sort();
+      if (JSON.stringify({ symbols, grids }) === JSON.stringify(sub)) return;
+      sub = { symbols, grids };
+      if (transport === "ws") sendSubscribe();
+      else if (ctrl) connect(); // SSE subscriptions live in the URL
+    },
+    close() {
+      closed = true;
+      clearTimeout(retryTimer);
+      teardown();
+    },
+  };
+}
@@ -0,0 +1,72 @@
+/**
+ * Nexus Analyt — cross-tab sync
+ *
+ * - createTabSync(): BroadcastChannel wrapper, messages are { topic, value, from }
+ * - electLeader(): one tab per browser holds a Web Lock and does the polling
+ * Without BroadcastChannel / navigator.locks every tab simply works on its own (old behaviour).
+ */
+
+export function createTabSync(name) {
+  const tabId = Math.random().toString(36).slice(2);
+  const listeners = new Set();
+  let channel = null;
+  try {
+    channel = typeof BroadcastChannel !== "undefined" ? new BroadcastChannel(name) : null;
+  } catch {
+    channel = null;
+  }
+  if (channel) {
+    channel.onmessage = (e) => {
+      const m = e.data;
+      if (!m || m.from === tabId || typeof m.topic !== "string") return;
+      for (const fn of listeners) {
+        try {
+          fn(m);
+        } catch {}
+      }
+    };
+  }
+
+  return {
+    tabId,
+    publish(topic, value) {
+      try {
+        channel?.postMessage({ topic, value, from: tabId });
+      } catch {} // non-cloneable values are simply not shared
+    },
+    subscribe(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+    close() {
+      listeners.clear();
+      channel?.close();
+    },
+  };
+}
+
+/**
+ * Calls onChange(true) once this tab holds the exclusive lock `name`; the lock passes to another tab
+ * when this one closes. Returns a release function. Without Web Locks every tab is leader.
+ */
+export function electLeader(name, onChange) {
+  if (typeof navigator === "undefined" || !navigator.locks?.request) {
+    onChange(true);
+    return () => {};
+  }
+  const ctrl = new AbortController();
+  let release = null;
+  navigator.locks
+    .request(name, { signal: ctrl.signal }, () => {
+      onChange(true);
+      return new Promise((resolve) => {
+        release = resolve;
+      });
+    })
+    .catch(() => {}); // AbortError when released before acquiring
+  return () => {
+    ctrl.abort();
+    release?.();
+    onChange(false);
+  };
+}
@@ -0,0 +1,21 @@
+// EIP-1193 provider stub for the on-chain reads (src/chain.js): eth_getBalance plus decimals() / balanceOf(owner)
+// for the given tokens (lowercase address -> { decimals, balance }); every request is recorded in `calls`.
+export const word = (n) => "0x" + BigInt(n).toString(16).padStart(64, "0");
+
+export function stubProvider({ owner, native = 0n, tokens = {} } = {}) {
+  const calls = [];
+  const balanceOf = "0x70a08231" + String(owner).toLowerCase().replace(/^0x/, "").padStart(64, "0");
+  return {
+    calls,
+    async request({ method, params }) {
+      calls.push({ method, params });
+      if (method === "eth_getBalance") return word(native);
+      if (method !== "eth_call") throw new Error(`unexpected ${method}`);
+      const { to, data } = params[0];
+      const t = tokens[to.toLowerCase()];
+      if (!t) return "0x"; // no contract at that address
+      if (data === "0x313ce567") return word(t.decimals);
+      return data === balanceOf ? word(t.balance) : word(0);
+    },
+  };
+}
@@ -0,0 +1,274 @@
+/**
+ * Nexus Analyt — tiny UI primitives shared by the feature cards
+ *
+ * Card / Badge / Pill / Collapsible, the SVG charts and the inline logo. Styles live in theme.css.
+ */
+
+import { useState } from "react";
+import { formatPct, formatPrice } from "./format.js";
+
+export const DEV_MODE = import.meta?.env?.DEV === true;
+
+export function Card({ title, right, children }) {
+  return (
+    <div className="card">
+      <div className="cardTop">
+        <div className="cardTitle">{title}</div>
+        <div className="cardRight">{right}</div>
+      </div>
+      <div className="cardBody">{children}</div>
+    </div>
+  );
+}
+export function Badge({ ok, children }) {
+  const cls =
+    ok === true ? "badge ok" : ok === false ? "badge bad" : "badge neutral";
+  return <span className={cls}>{children}</span>;
+}
+export function Pill({ children }) {
+  return <span className="pill">{children}</span>;
+}
+export function Collapsible({ title, children }) {
+  const [open, setOpen] = useState(false);
+  return (
+    <div className="collapsible">
+      <button className="collapsibleBtn" onClick={() => setOpen((s) => !s)}>
+        <span className="caret">{open ? "▼" : "▶"}</span> {title}
+      </button>
+      {open ? <div className="collapsibleBody">{children}</div> : null}
+    </div>
+  );
+}
+
+// Lightweight SVG line chart. series: [{ points: [{x, y}], color, label? }]
+export function LineChart({ series, height = 160, yFormat = (v) => String(v), xFormat = (v) => String(v), zeroLine = false }) {
+  const W = 600;
+  const H = height;
+  const pad = { l: 8, r: 8, t: 10, b: 18 };
+  const all = (series || []).flatMap((s) => (s?.points || []).filter((p) => Number.isFinite(p?.x) && Number.isFinite(p?.y)));
+  if (all.length < 2) return <div className="empty">Not enough data for a chart yet.</div>;
+
+  let minX = Math.min(...all.map((p) => p.x));
+  let maxX = Math.max(...all.map((p) => p.x));
+  let minY = Math.min(...all.map((p) => p.y), ...(zeroLine ? [0] : []));
+  let maxY = Math.max(...all.map((p) => p.y), ...(zeroLine ? [0] : []));
+  if (maxX === minX) maxX = minX + 1;
+  if (maxY === minY) {
+    maxY += Math.abs(maxY) * 0.01 || 1;
+    minY -= Math.abs(minY) * 0.01 || 1;
+  }
+  const sx = (x) => pad.l + ((x - minX) / (maxX - minX)) * (W - pad.l - pad.r);
+  const sy = (y) => pad.t + (1 - (y - minY) / (maxY - minY)) * (H - pad.t - pad.b);
+
+  return (
+    <svg className="lineChart" viewBox={`0 0 ${W} ${H}`} role="img">
+      {zeroLine ? <line x1={pad.l} x2={W - pad.r} y1={sy(0)} y2={sy(0)} className="chartZero" /> : null}
+      {(series || []).map((s, i) => {
+        const pts = (s?.points || []).filter((p) => Number.isFinite(p?.x) && Number.isFinite(p?.y));
+        if (pts.length < 2) return null;
+        const d = pts.map((p, j) => `${j ? "L" : "M"}${sx(p.x).toFixed(1)},${sy(p.y).toFixed(1)}`).join(" ");
+        return <path key={i} d={d} fill="none" stroke={s.color || "rgba(0,255,160,.9)"} strokeWidth="2" vectorEffect="non-scaling-stroke" />;
+      })}
+      <text x={pad.l} y={pad.t + 8} className="chartLabel">{yFormat(maxY)}</text>
+      <text x={pad.l} y={H - pad.b - 2} className="chartLabel">{yFormat(minY)}</text>
+      <text x={pad.l} y={H - 4} className="chartLabel">{xFormat(minX)}</text>
+      <text x={W - pad.r} y={H - 4} textAnchor="end" className="chartLabel">{xFormat(maxX)}</text>
+    </svg>
+  );
+}
+
+// SVG price chart with grid overlays.
+// levels: [{price, side}] (open orders), markers: [{ts, price, side}] (fills), overlay: [{ts, value, pct}] (normalized compare)
+export function PriceChart({ candles, kind = "line", levels = [], markers = [], overlay = [], height = 240, overlayLabel = "" }) {
+  const [hover, setHover] = useState(null);
+  const W = 600;
+  const H = height;
+  const pad = { l: 8, r: 64, t: 12, b: 18 };
+  const series = Array.isArray(candles) ? candles : [];
+  if (series.length < 2) return <div className="empty">No price history for this range yet.</div>;
+
+  const minX = series[0].ts;
+  const maxX = series[series.length - 1].ts > minX ? series[series.length - 1].ts : minX + 1;
+  const inRange = (ts) => ts >= minX && ts <= maxX;
+  const shownMarkers = markers.filter((m) => inRange(m.ts));
+  const shownOverlay = overlay.filter((p) => inRange(p.ts));
+  const ys = [
+    ...series.flatMap((c) => (kind === "candles" ? [c.low, c.high] : [c.close])),
+    ...levels.map((l) => l.price),
+    ...shownMarkers.map((m) => m.price),
+    ...shownOverlay.map((p) => p.value),
+  ].filter((y) => Number.isFinite(y));
+  let minY = Math.min(...ys);
+  let maxY = Math.max(...ys);
+  const span = maxY - minY || Math.abs(maxY) * 0.01 || 1;
+  minY -= span * 0.03;
+  maxY += span * 0.03;
+
+  const sx = (x) => pad.l + ((x - minX) / (maxX - minX)) * (W - pad.l - pad.r);
+  const sy = (y) => pad.t + (1 - (y - minY) / (maxY - minY)) * (H - pad.t - pad.b);
+  const path = (pts, key) => pts.map((p, j) => `${j ? "L" : "M"}${sx(p.ts).toFixed(1)},${sy(p[key]).toFixed(1)}`).join(" ");
+  const bodyW = Math.max(1, ((W - pad.l - pad.r) / series.length) * 0.6);
+
+  function onMove(e) {
+    const box = e.currentTarget.getBoundingClientRect();
+    if (!box.width) return;
+    const x = ((e.clientX - box.left) / box.width) * W;
+    const ts = minX + ((x - pad.l) / (W - pad.l - pad.r)) * (maxX - minX);
+    let best = series[0];
+    for (const c of series) if (Math.abs(c.ts - ts) < Math.abs(best.ts - ts)) best = c;
+    let cmp = null;
+    for (const p of shownOverlay) if (!cmp || Math.abs(p.ts - best.ts) < Math.abs(cmp.ts - best.ts)) cmp = p;
+    setHover({ c: best, cmp });
+  }
+
+  const fmtTs = (ts) => new Date(ts).toLocaleString(undefined, { month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" });
+
+  return (
+    <div className="priceChartWrap">
+      <svg className="lineChart priceChart" viewBox={`0 0 ${W} ${H}`} role="img" onMouseMove={onMove} onMouseLeave={() => setHover(null)}>
+        {levels.map((l, i) => (
+          <g key={`l${i}`} className={`chartLevel ${l.side === "SELL" ? "sell" : "buy"}`}>
+            <line x1={pad.l} x2={W - pad.r} y1={sy(l.price)} y2={sy(l.price)} />
+            <text x={W - pad.r + 4} y={sy(l.price) + 3} className="chartLabel">
+              {l.side === "SELL" ? "S" : "B"} {formatPrice(l.price)}
+            </text>
+          </g>
+        ))}
+
+        {shownOverlay.length >= 2 ? <path d={path(shownOverlay, "value")} className="chartOverlay" fill="none" /> : null}
+
+        {kind === "candles"
+          ? series.map((c, i) => {
+              const up = c.close >= c.open;
+              const x = sx(c.ts);
+              return (
+                <g key={i} className={`chartCandle ${up ? "up" : "down"}`}>
+                  <line x1={x} x2={x} y1={sy(c.high)} y2={sy(c.low)} />
+                  <rect x={x - bodyW / 2} width={bodyW} y={sy(Math.max(c.open, c.close))} height={Math.max(1, Math.abs(sy(c.open) - sy(c.close)))} />
+                </g>
+              );
+            })
+          : <path d={path(series, "close")} fill="none" stroke="rgba(0,255,160,.9)" strokeWidth="2" />}
+
+        {shownMarkers.map((m, i) => (
+          <circle key={`m${i}`} cx={sx(m.ts)} cy={sy(m.price)} r="4" className={`chartFill ${m.side === "SELL" ? "sell" : "buy"}`}>
+            <title>{`${m.side} ${formatPrice(m.price)} · ${fmtTs(m.ts)}`}</title>
+          </circle>
+        ))}
+
+        {hover ? <line x1={sx(hover.c.ts)} x2={sx(hover.c.ts)} y1={pad.t} y2={H - pad.b} className="chartZero" /> : null}
+
+        <text x={pad.l} y={pad.t + 8} className="chartLabel">{formatPrice(maxY)}</text>
+        <text x={pad.l} y={H - pad.b - 2} className="chartLabel">{formatPrice(minY)}</text>
+        <text x={pad.l} y={H - 4} className="chartLabel">{fmtTs(minX)}</text>
+        <text x={W - pad.r} y={H - 4} textAnchor="end" className="chartLabel">{fmtTs(maxX)}</text>
+      </svg>
+      <div className="muted mono chartHover">
+        {hover
+          ? `${fmtTs(hover.c.ts)} · $${formatPrice(hover.c.close)}${
+              kind === "candles" ? ` (O ${formatPrice(hover.c.open)} H ${formatPrice(hover.c.high)} L ${formatPrice(hover.c.low)})` : ""
+            }${hover.cmp ? ` · ${overlayLabel || "compare"} ${formatPct(hover.cmp.pct)}` : ""}`
+          : " "}
+      </div>
+    </div>
+  );
+}
+
+// Horizontal SVG bars around a zero line. bars: [{ label, value }] (value null = "n/a")
+export function BarChart({ bars, format = (v) => String(v), rowHeight = 22 }) {
+  const W = 600;
+  const labelW = 140;
+  const valueW = 70;
+  const rows = Array.isArray(bars) ? bars : [];
+  if (!rows.length) return <div className="empty">Not enough data for a chart yet.</div>;
+
+  const vals = rows.map((b) => b.value).filter((v) => Number.isFinite(v));
+  const maxAbs = Math.max(1e-9, ...vals.map((v) => Math.abs(v)));
+  const hasNeg = vals.some((v) => v < 0);
+  const hasPos = vals.some((v) => v > 0);
+  const x0 = labelW + (hasNeg && hasPos ? 0.5 : hasNeg ? 1 : 0) * (W - labelW - valueW);
+  const scale = (W - labelW - valueW) / (hasNeg && hasPos ? 2 * maxAbs : maxAbs);
+  const H = rows.length * rowHeight + 4;
+
+  return (
+    <svg className="lineChart barChart" viewBox={`0 0 ${W} ${H}`} role="img">
+      <line x1={x0} x2={x0} y1={0} y2={H} className="chartZero" />
+      {rows.map((b, i) => {
+        const y = 2 + i * rowHeight;
+        const ok = Number.isFinite(b.value);
+        const w = ok ? Math.abs(b.value) * scale : 0;
+        return (
+          <g key={b.label}>
+            <text x={0} y={y + rowHeight * 0.65} className="chartLabel">{b.label}</text>
+            {ok ? (
+              <rect x={b.value < 0 ? x0 - w : x0} y={y + 4} width={Math.max(1, w)} height={rowHeight - 8} className={b.value < 0 ? "barNeg" : "barPos"} />
+            ) : null}
+            <text x={W} y={y + rowHeight * 0.65} textAnchor="end" className="chartLabel">
+              {ok ? format(b.value) : "n/a"}
+            </text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+// Tiny inline trend line (no axes). values: numbers in time order; `min`/`max` pin the y range (e.g. 0..100).
+export function Sparkline({ values, width = 90, height = 22, min, max, title }) {
+  const pts = (values || []).filter((v) => Number.isFinite(v));
+  if (pts.length < 2) return <span className="sparkline empty muted">{pts.length ? "·" : ""}</span>;
+  const lo = min ?? Math.min(...pts);
+  const hi = max ?? Math.max(...pts);
+  const span = hi - lo || 1;
+  const d = pts
+    .map((v, i) => `${i ? "L" : "M"}${((i / (pts.length - 1)) * (width - 2) + 1).toFixed(1)},${(1 + (1 - (v - lo) / span) * (height - 2)).toFixed(1)}`)
+    .join(" ");
+  const up = pts[pts.length - 1] >= pts[0];
+  return (
+    <svg className={`sparkline ${up ? "up" : "down"}`} width={width} height={height} viewBox={`0 0 ${width} ${height}`} role="img">
+      {title ? <title>{title}</title> : null}
+      <path d={d} fill="none" vectorEffect="non-scaling-stroke" />
+    </svg>
+  );
+}
+
+/* -------------------------
+   Inline Logo
+--------------------------*/
+export function NexusLogo() {
+  return (
+    <div className="brand">
+      <svg
+        className="logo"
+        viewBox="0 0 64 64"
+        aria-hidden="true"
+        focusable="false"
+      >
+        <defs>
+          <linearGradient id="g" x1="0" x2="1" y1="0" y2="1">
+            <stop offset="0" stopColor="rgba(0,255,160,0.95)" />
+            <stop offset="1" stopColor="rgba(0,140,255,0.85)" />
+          </linearGradient>
+        </defs>
+        <path
+          d="M32 4l9 16 18 3-12 13 3 18-18-8-18 8 3-18-12-13 18-3 9-16z"
+          fill="rgba(0,0,0,0.25)"
+          stroke="rgba(97,255,194,0.35)"
+          strokeWidth="2"
+        />
+        <circle cx="32" cy="32" r="12" fill="url(#g)" opacity="0.9" />
+        <path
+          d="M22 32h20M32 22v20"
+          stroke="rgba(10,18,16,0.85)"
+          strokeWidth="3"
+          strokeLinecap="round"
+        />
+      </svg>
+
+      <div className="brandText">
+        <div className="title">Nexus Analyt</div>
+        <div className="subtitle">Grid + Watchlist + Health</div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,182 @@
+/**
+ * Nexus Analyt — watchlist helpers
+ *
+ * - request items for /api/watchlist/snapshot from the symbol list + symbolMap
+ * - the last good value per symbol is cached, so prices do not vanish while a refresh is running or failed
+ * - named watchlists ({ id, name, symbols, pinMajors }), free-form tags per symbol and drag-and-drop reordering
+ */
+
+import { normalizeSymbol } from "./format.js";
+
+const CACHED_FIELDS = ["price", "change24h", "volume24h", "liquidity"];
+
+// Fields missing in `row` are taken over from `prev` (the cached row).
+function withCached(prev, row, symbol) {
+  const merged = { ...(prev || {}), ...row, symbol };
+  for (const k of CACHED_FIELDS) {
+    if (row?.[k] == null && prev?.[k] != null) merged[k] = prev[k];
+  }
+  if (!row?.source && prev?.source) merged.source = prev.source;
+  if (!row?.mode && prev?.mode) merged.mode = prev.mode;
+  if (!row?.stale) delete merged.stale; // "offline copy" only sticks to the row that came from one
+  return merged;
+}
+
+/** Snapshot request items: market symbols by CoinGecko id (or symbol only), DEX symbols by chain + contract. */
+export function buildWatchItems(watchlist, symbolMap) {
+  const items = [];
+  for (const sym of watchlist || []) {
+    const meta = symbolMap?.[sym];
+    if (!meta) {
+      items.push({ symbol: sym, mode: "market" }); // no id -> backend resolves (cached/common)
+      continue;
+    }
+    if (meta.mode === "market") {
+      items.push({ symbol: sym, mode: "market", id: meta.id });
+    } else if (meta.mode === "dex") {
+      items.push({
+        symbol: sym,
+        mode: "dex",
+        chain: meta.chain,
+        contract: meta.contract,
+        ...(meta.pair ? { pair: meta.pair } : {}),
+      });
+    }
+  }
+  return items;
+}
+
+/** Cache after a snapshot: every returned row is merged over the previous one per symbol. */
+export function mergeSnapshotCache(prevCache, results) {
+  const next = { ...(prevCache || {}) };
+  for (const row of results || []) {
+    const sym = normalizeSymbol(row?.symbol);
+    if (!sym) continue;
+    next[sym] = withCached(next[sym], row, sym);
+  }
+  return next;
+}
+
+/**
+ * Watchlist rows in watchlist order: the latest snapshot row with cached values filling its gaps,
+ * the cached row when the snapshot has none, else an error placeholder.
+ */
+export function mergeWatchlistRows(watchlist, snapshots, cache, symbolMap) {
+  const bySym = new Map();
+  for (const r of snapshots || []) {
+    const sym = normalizeSymbol(r?.symbol);
+    if (sym) bySym.set(sym, r);
+  }
+
+  return (watchlist || []).map((s) => {
+    const snap = bySym.get(s);
+    const cached = cache?.[s];
+    if (!snap && cached) return cached;
+    if (!snap)
+      return {
+        symbol: s,
+        mode: symbolMap?.[s]?.mode || "market",
+        source: "error",
+      };
+    return withCached(cached, snap, s);
+  });
+}
+
+export const WL_HEALTH_SORTS = { list: "List order", "health-desc": "Health ↓", "health-asc": "Health ↑" };
+export const WL_HEALTH_FILTERS = { all: "All", Healthy: "Healthy", Stable: "Stable", Weak: "Weak", none: "No health" };
+
+/**
+ * Watchlist rows sorted/filtered by health. `healthBySym` is { SYMBOL: { score, label } } (profile already applied);
+ * rows without a score match only the "none" filter and always sort last. `tag` keeps rows carrying that tag.
+ */
+export function sortFilterWatchRows(rows, healthBySym, { sort = "list", status = "all", tag = "", tags = {} } = {}) {
+  const scoreOf = (r) => {
+    const s = Number(healthBySym?.[r.symbol]?.score);
+    return healthBySym?.[r.symbol]?.score != null && Number.isFinite(s) ? s : null;
+  };
+  const tagLc = String(tag || "").toLowerCase();
+  const out = (rows || []).filter((r) => {
+    if (tagLc && !(tags?.[r.symbol] || []).some((t) => t.toLowerCase() === tagLc)) return false;
+    if (status === "all") return true;
+    if (status === "none") return scoreOf(r) == null;
+    return scoreOf(r) != null && healthBySym[r.symbol].label === status;
+  });
+  if (sort !== "health-desc" && sort !== "health-asc") return out;
+  const dir = sort === "health-desc" ? -1 : 1;
+  return out
+    .map((r, i) => ({ r, i, s: scoreOf(r) }))
+    .sort((a, b) => (a.s == null) - (b.s == null) || (a.s != null && dir * (a.s - b.s)) || a.i - b.i)
+    .map((x) => x.r);
+}
+
+/* -------------------------
+   Named watchlists + tags
+--------------------------*/
+const TAG_MAX_LEN = 24;
+
+function uniqSymbols(list) {
+  const out = [];
+  for (const x of Array.isArray(list) ? list : []) {
+    const s = normalizeSymbol(x);
+    if (s && !out.includes(s)) out.push(s);
+  }
+  return out;
+}
+
+/** Valid lists only: unique ids, trimmed non-empty unique names (case-insensitive), normalized symbols. */
+export function normalizeWatchlists(lists) {
+  const out = [];
+  for (const l of Array.isArray(lists) ? lists : []) {
+    const id = String(l?.id || "").trim();
+    const name = String(l?.name || "").trim().slice(0, 40);
+    if (!id || !name || out.some((x) => x.id === id || x.name.toLowerCase() === name.toLowerCase())) continue;
+    out.push({ id, name, symbols: uniqSymbols(l.symbols), pinMajors: Boolean(l.pinMajors) });
+  }
+  return out;
+}
+
+/** Appends the missing `majors` (forced majors of a pinned list). */
+export function withMajors(symbols, majors) {
+  const out = uniqSymbols(symbols);
+  for (const m of majors || []) if (!out.includes(m)) out.push(m);
+  return out;
+}
+
+/** Drag-and-drop: `sym` takes the place of `target` (which shifts one step toward sym's old slot); no target = end. */
+export function reorderSymbols(list, sym, target) {
+  const arr = Array.isArray(list) ? list : [];
+  if (!arr.includes(sym) || sym === target) return arr;
+  const rest = arr.filter((x) => x !== sym);
+  const i = target ? rest.indexOf(target) : -1;
+  if (i < 0) rest.push(sym);
+  else rest.splice(arr.indexOf(sym) < arr.indexOf(target) ? i + 1 : i, 0, sym);
+  return rest;
+}
+
+/** "defi, L2 #polygon" -> ["defi", "L2", "polygon"] (unique case-insensitively, max 24 chars each). */
+export function parseTags(input) {
+  const out = [];
+  for (const raw of String(input || "").split(/[,\s]+/)) {
+    const t = raw.replace(/^#+/, "").trim().slice(0, TAG_MAX_LEN);
+    if (t && !out.some((x) => x.toLowerCase() === t.toLowerCase())) out.push(t);
+  }
+  return out;
+}
+
+export function normalizeSymbolTags(tags) {
+  const out = {};
+  if (!tags || typeof tags !== "object" || Array.isArray(tags)) return out;
+  for (const [k, v] of Object.entries(tags)) {
+    const sym = normalizeSymbol(k);
+    const list = parseTags(Array.isArray(v) ? v.join(",") : "");
+    if (sym && list.length) out[sym] = list;
+  }
+  return out;
+}
+
+/** Every tag in use, sorted case-insensitively. */
+export function allTags(tags) {
+  const out = [];
+  for (const list of Object.values(tags || {})) for (const t of list) if (!out.some((x) => x.toLowerCase() === t.toLowerCase())) out.push(t);
+  return out.sort((a, b) => a.localeCompare(b, undefined, { sensitivity: "base" }));
+}
@@ -0,0 +1,141 @@
+import { describe, expect, it } from "vitest";
+import {
+  allTags,
+  buildWatchItems,
+  mergeSnapshotCache,
+  mergeWatchlistRows,
+  normalizeSymbolTags,
+  normalizeWatchlists,
+  parseTags,
+  reorderSymbols,
+  sortFilterWatchRows,
+  withMajors,
+} from "./watchlist.js";
+
+const symbolMap = {
+  BTC: { mode: "market", id: "bitcoin" },
+  TBP: { mode: "dex", chain: "polygon", contract: "0xabc", pair: "0xpair" },
+  FOO: { mode: "dex", chain: "base", contract: "0xfoo" },
+};
+
+describe("buildWatchItems", () => {
+  it("maps market symbols by id, DEX symbols by chain + contract and unknown symbols by symbol only", () => {
+    expect(buildWatchItems(["BTC", "TBP", "FOO", "XRP"], symbolMap)).toEqual([
+      { symbol: "BTC", mode: "market", id: "bitcoin" },
+      { symbol: "TBP", mode: "dex", chain: "polygon", contract: "0xabc", pair: "0xpair" },
+      { symbol: "FOO", mode: "dex", chain: "base", contract: "0xfoo" },
+      { symbol: "XRP", mode: "market" },
+    ]);
+  });
+
+  it("handles a missing watchlist or map", () => {
+    expect(buildWatchItems(null, null)).toEqual([]);
+    expect(buildWatchItems(["ETH"], undefined)).toEqual([{ symbol: "ETH", mode: "market" }]);
+  });
+});
+
+describe("mergeSnapshotCache", () => {
+  it("keeps the last good values when a row comes back without them", () => {
+    const prev = { BTC: { symbol: "BTC", price: 64000, change24h: 1.2, source: "coingecko", mode: "market" } };
+    const next = mergeSnapshotCache(prev, [
+      { symbol: "btc", price: null, change24h: 2.5 },
+      { symbol: "eth", price: 3150 },
+      { symbol: "" },
+    ]);
+    expect(next.BTC).toEqual({ symbol: "BTC", price: 64000, change24h: 2.5, source: "coingecko", mode: "market" });
+    expect(next.ETH).toEqual({ symbol: "ETH", price: 3150 });
+    expect(Object.keys(next)).toEqual(["BTC", "ETH"]);
+    expect(prev.BTC.change24h).toBe(1.2);
+  });
+
+  it("drops the offline mark once a live row arrives", () => {
+    const offline = mergeSnapshotCache({}, [{ symbol: "BTC", price: 64000, stale: true }]);
+    expect(offline.BTC.stale).toBe(true);
+    expect(mergeSnapshotCache(offline, [{ symbol: "BTC", price: 64100 }]).BTC).toEqual({ symbol: "BTC", price: 64100 });
+  });
+});
+
+describe("mergeWatchlistRows", () => {
+  it("returns rows in watchlist order with snapshot, cache and error fallbacks", () => {
+    const cache = {
+      BTC: { symbol: "BTC", price: 64000, volume24h: 1e9, source: "coingecko" },
+      ETH: { symbol: "ETH", price: 3100, source: "coingecko" },
+    };
+    const rows = mergeWatchlistRows(["ETH", "BTC", "TBP"], [{ symbol: "btc", price: 64250, volume24h: null }], cache, symbolMap);
+    expect(rows).toEqual([
+      cache.ETH,
+      { symbol: "BTC", price: 64250, volume24h: 1e9, source: "coingecko" },
+      { symbol: "TBP", mode: "dex", source: "error" },
+    ]);
+  });
+});
+
+describe("sortFilterWatchRows", () => {
+  const rows = ["BTC", "ETH", "TBP", "SOL"].map((symbol) => ({ symbol }));
+  const health = {
+    BTC: { score: 58, label: "Stable" },
+    ETH: { score: 74, label: "Healthy" },
+    SOL: { score: 58, label: "Stable" },
+  };
+  const syms = (list) => list.map((r) => r.symbol);
+
+  it("keeps list order by default", () => {
+    expect(syms(sortFilterWatchRows(rows, health))).toEqual(["BTC", "ETH", "TBP", "SOL"]);
+  });
+
+  it("sorts by score with ties in list order and missing scores last", () => {
+    expect(syms(sortFilterWatchRows(rows, health, { sort: "health-desc" }))).toEqual(["ETH", "BTC", "SOL", "TBP"]);
+    expect(syms(sortFilterWatchRows(rows, health, { sort: "health-asc" }))).toEqual(["BTC", "SOL", "ETH", "TBP"]);
+  });
+
+  it("filters by label or missing health", () => {
+    expect(syms(sortFilterWatchRows(rows, health, { status: "Stable" }))).toEqual(["BTC", "SOL"]);
+    expect(syms(sortFilterWatchRows(rows, health, { status: "none" }))).toEqual(["TBP"]);
+    expect(sortFilterWatchRows(rows, health, { status: "Weak" })).toEqual([]);
+  });
+});
+
+describe("named watchlists", () => {
+  it("drops invalid or duplicate lists and normalizes symbols", () => {
+    expect(
+      normalizeWatchlists([
+        { id: "a", name: " Majors ", symbols: ["btc", "BTC", "eth"], pinMajors: 1 },
+        { id: "b", name: "majors", symbols: [] },
+        { id: "a", name: "Other" },
+        { id: "", name: "No id" },
+        null,
+      ])
+    ).toEqual([{ id: "a", name: "Majors", symbols: ["BTC", "ETH"], pinMajors: true }]);
+  });
+
+  it("appends missing majors", () => {
+    expect(withMajors(["SOL", "BTC"], ["BTC", "ETH"])).toEqual(["SOL", "BTC", "ETH"]);
+  });
+
+  it("reorders by dropping a symbol onto another", () => {
+    const list = ["A", "B", "C", "D"];
+    expect(reorderSymbols(list, "A", "C")).toEqual(["B", "C", "A", "D"]);
+    expect(reorderSymbols(list, "D", "B")).toEqual(["A", "D", "B", "C"]);
+    expect(reorderSymbols(list, "B", null)).toEqual(["A", "C", "D", "B"]);
+    expect(reorderSymbols(list, "X", "A")).toBe(list);
+  });
+});
+
+describe("symbol tags", () => {
+  it("parses free-form tag input", () => {
+    expect(parseTags("defi, L2 #polygon defi")).toEqual(["defi", "L2", "polygon"]);
+    expect(parseTags("")).toEqual([]);
+  });
+
+  it("normalizes the tag map and lists every tag once", () => {
+    const tags = normalizeSymbolTags({ btc: ["Store", "store"], eth: "x", sol: ["L1", "defi"], "": ["a"] });
+    expect(tags).toEqual({ BTC: ["Store"], SOL: ["L1", "defi"] });
+    expect(allTags(tags)).toEqual(["defi", "L1", "Store"]);
+  });
+
+  it("filters watchlist rows by tag", () => {
+    const rows = ["BTC", "ETH", "SOL"].map((symbol) => ({ symbol }));
+    const out = sortFilterWatchRows(rows, {}, { tag: "l1", tags: { SOL: ["L1"], ETH: ["defi"] } });
+    expect(out.map((r) => r.symbol)).toEqual(["SOL"]);
+  });
+});
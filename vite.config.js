@@ -7,6 +7,13 @@ export default defineConfig({
     react(),
     VitePWA({
       registerType: "autoUpdate",
+      // Hand-written service worker (src/publicsw.js): API caching + offline queue for grid actions
+      strategies: "injectManifest",
+      srcDir: "src",
+      filename: "publicsw.js",
+      injectManifest: {
+        globPatterns: ["**/*.{js,css,html,png,svg,ico,json,webmanifest}"],
+      },
       includeAssets: ["apple-touch-icon.png"],
       manifest: {
         name: "Nexus Analyt",
@@ -30,5 +37,10 @@ export default defineConfig({
         ]
       }
     })
-  ]
+  ],
+  // Vitest (npm test): unit tests next to the modules, App flows against the mock backend (src/mock)
+  test: {
+    environment: "jsdom",
+    setupFiles: ["./src/test/setup.js"],
+  },
 });